@@ -13,6 +13,25 @@ export const config = {
   jwtSecret:
     process.env.JWT_SECRET || "fallback_jwt_secret_change_in_production",
   jwtExpire: process.env.JWT_EXPIRE || "7d",
+  accessTokenExpire: process.env.ACCESS_TOKEN_EXPIRE || "15m", // Session-bound access tokens
+  refreshTokenExpireDays: parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30,
+  urlUnlockExpire: process.env.URL_UNLOCK_EXPIRE || "30m", // Password-protected link sessions
+  continueTokenExpire: process.env.CONTINUE_TOKEN_EXPIRE || "10m", // "Continue" links on safety warning and interstitial pages
+
+  // Email
+  mailDriver:
+    process.env.MAIL_DRIVER ||
+    (process.env.NODE_ENV === "test" ? "file" : "console"), // smtp | console | file
+  mailFrom: process.env.MAIL_FROM || "SnapURL <no-reply@snapurl.local>",
+  mailOutboxDir: process.env.MAIL_OUTBOX_DIR || "tmp/outbox", // file driver only
+  smtpHost: process.env.SMTP_HOST || "localhost",
+  smtpPort: parseInt(process.env.SMTP_PORT) || 587,
+  smtpSecure: process.env.SMTP_SECURE === "true",
+  smtpUser: process.env.SMTP_USER || "",
+  smtpPass: process.env.SMTP_PASS || "",
+  appUrl:
+    process.env.APP_URL || process.env.BASE_URL || "http://localhost:5000", // Links in emails
+  linkExpiryWarningHours: parseInt(process.env.LINK_EXPIRY_WARNING_HOURS) || 72,
 
   // CORS
   corsOrigin: process.env.CORS_ORIGIN || "*",
@@ -20,6 +39,9 @@ export const config = {
   // Rate Limiting
   rateLimitWindowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 900000, // 15 minutes
   rateLimitMaxRequests: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100,
+  rateLimitStore:
+    process.env.RATE_LIMIT_STORE ||
+    (process.env.NODE_ENV === "test" ? "memory" : "mongo"), // mongo | memory
 
   // SnapURL Specific
   baseUrl: process.env.BASE_URL || "http://localhost:5000",
@@ -28,6 +50,39 @@ export const config = {
   // Analytics Features
   enableAnalytics: process.env.ENABLE_ANALYTICS === "true",
   enableGeolocation: process.env.ENABLE_GEOLOCATION === "true",
+  ipHashSecret:
+    process.env.IP_HASH_SECRET ||
+    process.env.JWT_SECRET ||
+    "fallback_ip_hash_secret_change_in_production", // Pseudonymised IPs in exports and visitor keys
+  clickPrivacyMode: process.env.CLICK_PRIVACY_MODE || "off", // off | truncate | hash
+
+  // Background Jobs
+  runWorkerInProcess: process.env.RUN_WORKER_IN_PROCESS !== "false", // Set to false when running `node src/worker.js`
+  jobConcurrency: parseInt(process.env.JOB_CONCURRENCY) || 2,
+  jobPollIntervalMs: parseInt(process.env.JOB_POLL_INTERVAL_MS) || 1000,
+  clickRetentionDays: parseInt(process.env.CLICK_RETENTION_DAYS) || 365, // Links without an owner; users have their own
+  metadataTimeoutMs: parseInt(process.env.METADATA_TIMEOUT_MS) || 10000,
+  metadataMaxBytes: parseInt(process.env.METADATA_MAX_BYTES) || 1048576, // Page bytes read for metadata
+  allowPrivateNetworkRequests:
+    (process.env.ALLOW_PRIVATE_NETWORK_REQUESTS ||
+      (process.env.NODE_ENV === "test" ? "true" : "false")) === "true", // Requests to user-supplied URLs on loopback/private hosts
+
+  // URL Safety Screening
+  urlSafetyProvider:
+    process.env.URL_SAFETY_PROVIDER ||
+    (process.env.NODE_ENV === "test" ? "fake" : "none"), // none | fake | safe-browsing
+  urlSafetyApiKey: process.env.URL_SAFETY_API_KEY || "", // safe-browsing provider only
+  urlSafetyListFile: process.env.URL_SAFETY_LIST_FILE || "", // JSON { "blocked": [...], "allowed": [...] }
+  urlSafetyTimeoutMs: parseInt(process.env.URL_SAFETY_TIMEOUT_MS) || 5000,
+
+  // Destination Health Checks
+  healthCheckIntervalHours:
+    parseInt(process.env.HEALTH_CHECK_INTERVAL_HOURS) || 24, // How often each link is re-checked
+  healthCheckConcurrency: parseInt(process.env.HEALTH_CHECK_CONCURRENCY) || 5,
+  healthCheckBatchSize: parseInt(process.env.HEALTH_CHECK_BATCH_SIZE) || 100, // Links checked per run
+  healthCheckFailureThreshold:
+    parseInt(process.env.HEALTH_CHECK_FAILURE_THRESHOLD) || 3, // Consecutive failures before a link is broken
+  healthCheckTimeoutMs: parseInt(process.env.HEALTH_CHECK_TIMEOUT_MS) || 10000,
 
   // URL Configuration
   maxUrlLength: parseInt(process.env.MAX_URL_LENGTH) || 2048,
@@ -1,6 +1,16 @@
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
 import analyticsService from '../services/analyticsService.js';
 import urlService from '../services/urlService.js';
 import { ApiResponse } from '../utils/responses.js';
+import { PERMISSIONS, isAdmin } from '../utils/permissions.js';
+import {
+  EXPORT_FORMATS,
+  CLICK_EXPORT_COLUMNS,
+  DEFAULT_CLICK_EXPORT_COLUMNS,
+  parseExportColumns,
+  serializeExport
+} from '../utils/exportFormats.js';
 
 /**
  * Analytics Controller for SnapURL
@@ -88,7 +98,8 @@ export const getClickAnalytics = async (req, res, next) => {
       startDate: actualStartDate,
       endDate: actualEndDate,
       userId: urlId ? null : userId, // If specific URL, don't filter by user
-      urlId: urlId || null
+      urlId: urlId || null,
+      workspaceId: req.workspace?._id || null
     };
 
     const analytics = urlId 
@@ -182,7 +193,9 @@ export const getGeographicAnalytics = async (req, res, next) => {
       level = 'country' // 'country', 'city'
     } = req.query;
 
-    const options = {};
+    const options = {
+      workspaceId: req.workspace?._id || null
+    };
     if (startDate) options.startDate = new Date(startDate);
     if (endDate) options.endDate = new Date(endDate);
 
@@ -217,13 +230,6 @@ export const getGeographicAnalytics = async (req, res, next) => {
  */
 export const cleanupAnalyticsData = async (req, res, next) => {
   try {
-    // Check admin permissions
-    if (req.user.role !== 'admin') {
-      return res.status(403).json(
-        ApiResponse.error('Access denied. Admin role required.', null, 403)
-      );
-    }
-
     const {
       retentionDays = 365,
       dryRun = true
@@ -265,7 +271,8 @@ export const getUserDashboard = async (req, res, next) => {
     } = req.query;
 
     const options = {
-      limit: parseInt(limit)
+      limit: parseInt(limit),
+      workspaceId: req.workspace?._id || null
     };
 
     if (startDate) options.startDate = new Date(startDate);
@@ -291,13 +298,6 @@ export const getUserDashboard = async (req, res, next) => {
  */
 export const getPlatformAnalytics = async (req, res, next) => {
   try {
-    // Check if user is admin
-    if (req.user.role !== 'admin') {
-      return res.status(403).json(
-        ApiResponse.error('Access denied. Admin role required.', null, 403)
-      );
-    }
-
     const {
       startDate,
       endDate
@@ -366,13 +366,6 @@ export const generateReport = async (req, res, next) => {
       includeCharts = false
     } = req.body;
 
-    // Validate permissions
-    if (type === 'platform' && req.user.role !== 'admin') {
-      return res.status(403).json(
-        ApiResponse.error('Access denied. Admin role required for platform reports.', null, 403)
-      );
-    }
-
     // Set targetId to current user if not provided and type is user
     const finalTargetId = targetId || (type === 'user' ? req.user._id : null);
 
@@ -436,6 +429,14 @@ export const getAnalyticsSummary = async (req, res, next) => {
     // Get analytics for each URL
     const summaryPromises = urlIds.map(async (urlId) => {
       try {
+        const allowed =
+          isAdmin(req.user) ||
+          (await urlService.canAccessUrl(urlId, userId, PERMISSIONS.ANALYTICS_READ));
+
+        if (!allowed) {
+          throw new Error("URL not found or you don't have permission");
+        }
+
         const options = {};
         if (startDate) options.startDate = new Date(startDate);
         if (endDate) options.endDate = new Date(endDate);
@@ -503,13 +504,6 @@ export const exportAnalytics = async (req, res, next) => {
       includeDetailed = 'false'
     } = req.query;
 
-    // Admin check for platform exports
-    if (type === 'platform' && req.user.role !== 'admin') {
-      return res.status(403).json(
-        ApiResponse.error('Access denied. Admin role required.', null, 403)
-      );
-    }
-
     const criteria = {
       type,
       targetId: type === 'user' ? userId : null,
@@ -532,4 +526,94 @@ export const exportAnalytics = async (req, res, next) => {
   } catch (error) {
     next(error);
   }
-};
\ No newline at end of file
+};
+/**
+ * Stream raw clicks of a URL
+ * @route GET /api/analytics/url/:id/clicks/export
+ * @access Private
+ */
+export const exportClicks = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const {
+      format = 'csv',
+      columns,
+      startDate,
+      endDate,
+      country,
+      device,
+      campaign,
+      includeBots = 'false',
+      includeIp = 'false'
+    } = req.query;
+
+    const exportFormat = EXPORT_FORMATS[format];
+    if (!exportFormat) {
+      return res.status(400).json(
+        ApiResponse.error(`Format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`, null, 400)
+      );
+    }
+
+    const selected = parseExportColumns(columns, CLICK_EXPORT_COLUMNS, DEFAULT_CLICK_EXPORT_COLUMNS);
+    if (selected.invalid.length > 0 || selected.columns.length === 0) {
+      return res.status(400).json(
+        ApiResponse.error(
+          `Unknown export columns: ${selected.invalid.join(', ') || 'none selected'}`,
+          { availableColumns: CLICK_EXPORT_COLUMNS },
+          400
+        )
+      );
+    }
+
+    const dates = { startDate, endDate };
+    for (const [name, value] of Object.entries(dates)) {
+      dates[name] = value ? new Date(value) : undefined;
+      if (dates[name] && isNaN(dates[name].getTime())) {
+        return res.status(400).json(
+          ApiResponse.error(`Invalid ${name}`, null, 400)
+        );
+      }
+    }
+
+    // Raw IP addresses are only ever released to the link's owner
+    if (includeIp === 'true') {
+      const url = await urlService.getUrlById(id);
+      const ownerId = url?.userId?._id || url?.userId;
+
+      if (!ownerId || String(ownerId) !== String(req.user._id)) {
+        return res.status(403).json(
+          ApiResponse.error('Only the link owner can export raw IP addresses', null, 403)
+        );
+      }
+    }
+
+    const records = analyticsService.exportClicks(id, {
+      columns: selected.columns,
+      includeIp: includeIp === 'true',
+      includeBots: includeBots === 'true',
+      startDate: dates.startDate,
+      endDate: dates.endDate,
+      country: typeof country === 'string' ? country : undefined,
+      deviceType: typeof device === 'string' ? device : undefined,
+      campaign: typeof campaign === 'string' ? campaign : undefined
+    });
+
+    res.status(200).set({
+      'Content-Type': exportFormat.contentType,
+      'Content-Disposition': `attachment; filename=snapurl-clicks-${id}-${Date.now()}.${exportFormat.extension}`
+    });
+
+    await pipeline(
+      Readable.from(serializeExport(records, format, selected.columns)),
+      res
+    );
+  } catch (error) {
+    // Once streaming started the response can only be aborted
+    if (res.headersSent) {
+      console.error('Click export stream failed:', error.message);
+      return;
+    }
+
+    next(error);
+  }
+};
@@ -1,11 +1,23 @@
 import authService from "../services/authService.js";
+import sessionService from "../services/sessionService.js";
 import { ApiResponse } from "../utils/responses.js";
+import { getPlanQuotaUsage } from "../middleware/rateLimiter.js";
 
 /**
  * Authentication Controller for SnapURL
  * Handles HTTP requests for user authentication and account management
  */
 
+/**
+ * Device details recorded on the session
+ * @param {Object} req - Express request
+ * @returns {Object} { userAgent, ipAddress }
+ */
+const getSessionContext = (req) => ({
+  userAgent: req.get("User-Agent") || null,
+  ipAddress: req.ip,
+});
+
 /**
  * Register a new user account
  * @route POST /api/auth/register
@@ -15,11 +27,14 @@ export const register = async (req, res, next) => {
   try {
     const { name, email, password } = req.body;
 
-    const result = await authService.register({
-      name,
-      email,
-      password,
-    });
+    const result = await authService.register(
+      {
+        name,
+        email,
+        password,
+      },
+      getSessionContext(req)
+    );
 
     res.status(201).json(
       ApiResponse.success(
@@ -27,9 +42,11 @@ export const register = async (req, res, next) => {
         {
           user: result.user,
           token: result.token,
+          refreshToken: result.refreshToken,
         },
         {
           expiresIn: result.expiresIn,
+          refreshExpiresAt: result.refreshExpiresAt,
           tokenType: "Bearer",
         }
       )
@@ -48,10 +65,13 @@ export const login = async (req, res, next) => {
   try {
     const { email, password } = req.body;
 
-    const result = await authService.login({
-      email,
-      password,
-    });
+    const result = await authService.login(
+      {
+        email,
+        password,
+      },
+      getSessionContext(req)
+    );
 
     res.status(200).json(
       ApiResponse.success(
@@ -59,9 +79,11 @@ export const login = async (req, res, next) => {
         {
           user: result.user,
           token: result.token,
+          refreshToken: result.refreshToken,
         },
         {
           expiresIn: result.expiresIn,
+          refreshExpiresAt: result.refreshExpiresAt,
           tokenType: "Bearer",
         }
       )
@@ -72,31 +94,42 @@ export const login = async (req, res, next) => {
 };
 
 /**
- * Refresh authentication token
+ * Exchange a refresh token for a new access and refresh token
  * @route POST /api/auth/refresh
- * @access Private
+ * @access Public (requires a refresh token)
  */
 export const refreshToken = async (req, res, next) => {
   try {
-    const token = req.headers.authorization?.split(" ")[1];
+    const result = await authService.refreshToken(
+      req.body.refreshToken,
+      getSessionContext(req)
+    );
 
-    if (!token) {
+    if (!result.valid) {
       return res
         .status(401)
-        .json(ApiResponse.error("No token provided", null, 401));
+        .json(
+          ApiResponse.error(
+            result.reuseDetected
+              ? "Refresh token was already used. The session has been revoked, please login again"
+              : "Invalid or expired refresh token. Please login again",
+            null,
+            401
+          )
+        );
     }
 
-    const result = await authService.refreshToken(token);
-
     res.status(200).json(
       ApiResponse.success(
         "Token refreshed successfully",
         {
           user: result.user,
           token: result.token,
+          refreshToken: result.refreshToken,
         },
         {
           expiresIn: result.expiresIn,
+          refreshExpiresAt: result.refreshExpiresAt,
           tokenType: "Bearer",
         }
       )
@@ -157,10 +190,14 @@ export const changePassword = async (req, res, next) => {
     const userId = req.user._id;
     const { currentPassword, newPassword } = req.body;
 
-    const result = await authService.changePassword(userId, {
-      currentPassword,
-      newPassword,
-    });
+    const result = await authService.changePassword(
+      userId,
+      {
+        currentPassword,
+        newPassword,
+      },
+      req.sessionId
+    );
 
     res.status(200).json(ApiResponse.success(result.message));
   } catch (error) {
@@ -179,15 +216,7 @@ export const forgotPassword = async (req, res, next) => {
 
     const result = await authService.requestPasswordReset(email);
 
-    res.status(200).json(
-      ApiResponse.success(
-        result.message,
-        // In production, don't return the reset token
-        process.env.NODE_ENV === "development"
-          ? { resetToken: result.resetToken }
-          : null
-      )
-    );
+    res.status(200).json(ApiResponse.success(result.message));
   } catch (error) {
     next(error);
   }
@@ -210,6 +239,38 @@ export const resetPassword = async (req, res, next) => {
   }
 };
 
+/**
+ * Confirm an email address
+ * @route POST /api/auth/verify-email
+ * @access Public (requires a verification token)
+ */
+export const verifyEmail = async (req, res, next) => {
+  try {
+    const result = await authService.verifyEmail(req.body.token);
+
+    res
+      .status(200)
+      .json(ApiResponse.success(result.message, { user: result.user }));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Send a new verification email
+ * @route POST /api/auth/verify-email/resend
+ * @access Private
+ */
+export const resendVerificationEmail = async (req, res, next) => {
+  try {
+    const result = await authService.resendVerificationEmail(req.user._id);
+
+    res.status(200).json(ApiResponse.success(result.message));
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Validate token (health check for token)
  * @route GET /api/auth/validate
@@ -234,12 +295,23 @@ export const validateToken = async (req, res, next) => {
       })
     );
   } catch (error) {
+    // Rejected tokens get the same 401 as protect gives them
+    if (
+      /Invalid token|Token has expired|Session has been revoked|User not found or inactive/.test(
+        error.message
+      )
+    ) {
+      return res
+        .status(401)
+        .json(ApiResponse.error("Token is not valid", null, 401));
+    }
+
     next(error);
   }
 };
 
 /**
- * Get user's API usage statistics
+ * Get user's API usage statistics and usage against their plan
  * @route GET /api/auth/usage
  * @access Private
  */
@@ -247,7 +319,9 @@ export const getApiUsage = async (req, res, next) => {
   try {
     const userId = req.user._id;
 
-    const usage = await authService.getApiUsage(userId);
+    const usage = await authService.getApiUsage(userId, {
+      apiRequestsToday: await getPlanQuotaUsage(userId),
+    });
 
     res
       .status(200)
@@ -259,23 +333,29 @@ export const getApiUsage = async (req, res, next) => {
 
 /**
  * Generate API key for external integrations
- * @route POST /api/auth/api-key
+ * @route POST /api/auth/api-keys
  * @access Private
  */
 export const generateApiKey = async (req, res, next) => {
   try {
     const userId = req.user._id;
-    const { keyName } = req.body;
+    // keyName is still accepted from the deprecated POST /api/auth/api-key
+    const { name, keyName, scopes, expiresIn } = req.body;
 
-    const result = await authService.generateApiKey(userId, keyName);
+    const { apiKey, key } = await authService.generateApiKey(userId, {
+      name: name || keyName,
+      scopes,
+      expiresIn,
+    });
 
     res.status(201).json(
       ApiResponse.success(
         "API key generated successfully",
         {
-          apiKey: result.apiKey,
-          keyName: result.keyName,
-          expiresAt: result.expiresAt,
+          apiKey,
+          key,
+          keyName: key.name,
+          expiresAt: key.expiresAt,
         },
         {
           warning: "Store this API key securely. It will not be shown again.",
@@ -287,6 +367,40 @@ export const generateApiKey = async (req, res, next) => {
   }
 };
 
+/**
+ * Get the current user's API keys
+ * @route GET /api/auth/api-keys
+ * @access Private
+ */
+export const getApiKeys = async (req, res, next) => {
+  try {
+    const keys = await authService.getApiKeys(req.user._id);
+
+    res
+      .status(200)
+      .json(ApiResponse.success("API keys retrieved successfully", { keys }));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Revoke an API key
+ * @route DELETE /api/auth/api-keys/:id
+ * @access Private
+ */
+export const revokeApiKey = async (req, res, next) => {
+  try {
+    const key = await authService.revokeApiKey(req.user._id, req.params.id);
+
+    res
+      .status(200)
+      .json(ApiResponse.success("API key revoked successfully", { key }));
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Deactivate user account
  * @route DELETE /api/auth/account
@@ -311,21 +425,76 @@ export const deactivateAccount = async (req, res, next) => {
 };
 
 /**
- * Logout user (client-side token invalidation)
+ * Logout by revoking the current session
  * @route POST /api/auth/logout
  * @access Private
  */
 export const logout = async (req, res, next) => {
   try {
-    // In a stateless JWT setup, logout is handled client-side
-    // In production, you might want to maintain a token blacklist
+    if (req.sessionId) {
+      await sessionService.revokeSession(req.user._id, req.sessionId, "logout");
+    }
 
-    res.status(200).json(
-      ApiResponse.success("Logged out successfully", null, {
-        instruction: "Please remove the token from client storage",
-      })
+    res.status(200).json(ApiResponse.success("Logged out successfully"));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the current user's active sessions
+ * @route GET /api/auth/sessions
+ * @access Private
+ */
+export const getSessions = async (req, res, next) => {
+  try {
+    const sessions = await sessionService.getUserSessions(
+      req.user._id,
+      req.sessionId
     );
+
+    res
+      .status(200)
+      .json(
+        ApiResponse.success("Sessions retrieved successfully", { sessions })
+      );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Revoke one session (signs that device out)
+ * @route DELETE /api/auth/sessions/:id
+ * @access Private
+ */
+export const revokeSession = async (req, res, next) => {
+  try {
+    await sessionService.revokeSession(req.user._id, req.params.id);
+
+    res.status(200).json(ApiResponse.success("Session revoked successfully"));
   } catch (error) {
     next(error);
   }
 };
+
+/**
+ * Revoke all sessions, optionally keeping the current one
+ * @route DELETE /api/auth/sessions
+ * @access Private
+ */
+export const revokeAllSessions = async (req, res, next) => {
+  try {
+    const keepCurrent = req.query.keepCurrent === "true";
+
+    const revoked = await sessionService.revokeAllSessions(req.user._id, {
+      exceptSessionId: keepCurrent ? req.sessionId : null,
+    });
+
+    res
+      .status(200)
+      .json(ApiResponse.success("Sessions revoked successfully", { revoked }));
+  } catch (error) {
+    next(error);
+  }
+};
\ No newline at end of file
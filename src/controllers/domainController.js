@@ -0,0 +1,116 @@
+import domainService from "../services/domainService.js";
+import { ApiResponse } from "../utils/responses.js";
+
+/**
+ * Domain Controller for SnapURL
+ * Handles HTTP requests for custom domain management and verification
+ */
+
+/**
+ * Register a custom domain
+ * @route POST /api/domains
+ * @access Private
+ */
+export const createDomain = async (req, res, next) => {
+  try {
+    const userId = req.user._id;
+    const { hostname } = req.body;
+
+    const domain = await domainService.createDomain(userId, hostname);
+
+    res
+      .status(201)
+      .json(
+        ApiResponse.success(
+          "Domain registered. Publish the TXT record, then verify it",
+          { domain }
+        )
+      );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the current user's domains
+ * @route GET /api/domains
+ * @access Private
+ */
+export const getDomains = async (req, res, next) => {
+  try {
+    const domains = await domainService.getUserDomains(req.user._id);
+
+    res
+      .status(200)
+      .json(ApiResponse.success("Domains retrieved successfully", { domains }));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a single domain
+ * @route GET /api/domains/:id
+ * @access Private
+ */
+export const getDomainById = async (req, res, next) => {
+  try {
+    const domain = await domainService.getDomainById(
+      req.params.id,
+      req.user._id
+    );
+
+    res
+      .status(200)
+      .json(ApiResponse.success("Domain retrieved successfully", { domain }));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Check the domain's DNS verification record
+ * @route POST /api/domains/:id/verify
+ * @access Private
+ */
+export const verifyDomain = async (req, res, next) => {
+  try {
+    const { domain, verified } = await domainService.verifyDomain(
+      req.params.id,
+      req.user._id
+    );
+
+    if (!verified) {
+      return res
+        .status(400)
+        .json(
+          ApiResponse.error(
+            "Verification record not found. DNS changes can take a while to propagate",
+            { verificationRecord: domain.verificationRecord },
+            400
+          )
+        );
+    }
+
+    res
+      .status(200)
+      .json(ApiResponse.success("Domain verified successfully", { domain }));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Remove a custom domain
+ * @route DELETE /api/domains/:id
+ * @access Private
+ */
+export const deleteDomain = async (req, res, next) => {
+  try {
+    await domainService.deleteDomain(req.params.id, req.user._id);
+
+    res.status(200).json(ApiResponse.success("Domain deleted successfully"));
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,66 @@
+import jobService from "../services/jobService.js";
+import { ApiResponse } from "../utils/responses.js";
+
+/**
+ * Job Controller for SnapURL
+ * Handles admin HTTP requests for background job monitoring
+ */
+
+/**
+ * Get queue size and health by job type
+ * @route GET /api/jobs/stats
+ * @access Private (Admin)
+ */
+export const getJobStats = async (req, res, next) => {
+  try {
+    const stats = await jobService.getStats();
+
+    res
+      .status(200)
+      .json(ApiResponse.success("Job stats retrieved successfully", stats));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List background jobs (e.g. ?status=dead for the dead-letter queue)
+ * @route GET /api/jobs
+ * @access Private (Admin)
+ */
+export const getJobs = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20, status, type } = req.query;
+
+    const result = await jobService.getJobs({
+      page: Math.max(parseInt(page) || 1, 1),
+      limit: Math.min(Math.max(parseInt(limit) || 20, 1), 100),
+      status,
+      type,
+    });
+
+    res.status(200).json(
+      ApiResponse.success("Jobs retrieved successfully", {
+        jobs: result.jobs,
+        pagination: result.pagination,
+      })
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Re-queue a dead-lettered job
+ * @route POST /api/jobs/:id/retry
+ * @access Private (Admin)
+ */
+export const retryJob = async (req, res, next) => {
+  try {
+    const job = await jobService.retryJob(req.params.id);
+
+    res.status(200).json(ApiResponse.success("Job queued for retry", { job }));
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,64 @@
+import planService from "../services/planService.js";
+import { ApiResponse } from "../utils/responses.js";
+
+/**
+ * Plan Controller for SnapURL
+ * Handles HTTP requests for listing, editing and assigning plans
+ */
+
+/**
+ * List the plans users can be on
+ * @route GET /api/plans
+ * @access Public
+ */
+export const getPlans = async (req, res, next) => {
+  try {
+    const plans = await planService.listPlans();
+
+    res
+      .status(200)
+      .json(ApiResponse.success("Plans retrieved successfully", { plans }));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a plan or change its limits
+ * @route PUT /api/plans/:name
+ * @access Private (Admin)
+ */
+export const savePlan = async (req, res, next) => {
+  try {
+    const plan = await planService.savePlan(
+      req.params.name.toLowerCase(),
+      req.body
+    );
+
+    res
+      .status(200)
+      .json(ApiResponse.success("Plan saved successfully", { plan }));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Move a user to another plan
+ * @route PUT /api/plans/users/:userId
+ * @access Private (Admin)
+ */
+export const assignPlan = async (req, res, next) => {
+  try {
+    const result = await planService.assignPlan(
+      req.params.userId,
+      req.body.plan.trim().toLowerCase() // Joi only validates, it doesn't convert req.body
+    );
+
+    res
+      .status(200)
+      .json(ApiResponse.success("Plan assigned successfully", result));
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,15 +1,533 @@
 import urlService from "../services/urlService.js";
 import analyticsService from "../services/analyticsService.js";
+import urlSafetyService from "../services/urlSafetyService.js";
 import { ApiResponse } from "../utils/responses.js";
+import { getVisitorKey } from "../utils/variantSelector.js";
+import { lookupCountry } from "../utils/geoLocation.js";
+import { getDeviceProfile } from "../utils/deviceDetector.js";
+import {
+  createUnlockToken,
+  getUnlockCookieName,
+  getUnlockTokenFromRequest,
+  verifyUnlockToken,
+} from "../utils/unlockToken.js";
+import { renderUnlockPage } from "../utils/unlockPage.js";
+import { renderSafetyPage } from "../utils/safetyPage.js";
+import {
+  INTERSTITIAL_PAGE_CSP,
+  renderInterstitialPage,
+} from "../utils/interstitialPage.js";
+import { worstVerdict } from "../utils/urlSafety.js";
+import {
+  forwardQueryParams,
+  renderRefreshPage,
+} from "../utils/redirectOptions.js";
+import {
+  appendPathSuffix,
+  renderDestinationTemplate,
+  splitPathSuffix,
+} from "../utils/destinationTemplate.js";
+import { hasPrivacySignal } from "../utils/privacy.js";
+import {
+  createContinueToken,
+  verifyContinueToken,
+} from "../utils/continueToken.js";
+import { config } from "../config/config.js";
 
 /**
  * Redirect Controller for SnapURL
  * Handles HTTP requests for URL redirects and click tracking
  */
 
+// Query parameter carrying the signed token of the "continue anyway" link on
+// the safety warning page
+const SAFETY_CONFIRM_PARAM = "safetyConfirmed";
+
+// Query parameter carrying the signed token of the "continue" link on the
+// interstitial/preview page
+const INTERSTITIAL_PARAM = "viaInterstitial";
+
+// SnapURL's own parameters, never forwarded to destinations
+const CONTROL_PARAMS = [SAFETY_CONFIRM_PARAM, INTERSTITIAL_PARAM];
+
+// Parameters /:shortCode/track reads itself (UTM keys are always passed on)
+const TRACKING_PARAMS = ["ref", "track_id"];
+
+/**
+ * Build a same-site link back to a short URL carrying a continue token
+ * @param {string} path - Path (and query) to return to
+ * @param {string} param - Parameter to put the token in
+ * @param {string} token - Continue token (utils/continueToken.js)
+ * @returns {string} Relative URL
+ */
+const buildContinueUrl = (path, param, token) => {
+  const target = new URL(path, config.baseUrl);
+  target.searchParams.set(param, token);
+  return `${target.pathname}${target.search}`;
+};
+
+/**
+ * Read the parts of the request that dynamic destinations use
+ * @param {Object} req - Express request object
+ * @returns {Object} { path: wildcard path segments, query: URLSearchParams }
+ */
+const getRequestContext = (req) => ({
+  path: splitPathSuffix(req.params.path),
+  query: new URL(req.originalUrl, config.baseUrl).searchParams,
+});
+
+/**
+ * Build the link's own destination: its template filled from the request, or
+ * originalUrl, plus any wildcard path remainder
+ * A template that renders an invalid URL falls back to originalUrl
+ * @param {Object} url - URL document
+ * @param {Object} visitor - Visitor IP address and user agent
+ * @param {Object} request - Result of getRequestContext
+ * @param {string|null} country - Visitor country, if already looked up
+ * @returns {string} Destination
+ */
+const buildLinkDestination = (url, visitor, request, country) => {
+  if (url.destinationTemplate) {
+    try {
+      return renderDestinationTemplate(url.destinationTemplate, {
+        ...request,
+        country: country || lookupCountry(visitor.ipAddress),
+        device: getDeviceProfile(visitor.userAgent),
+      });
+    } catch (error) {
+      console.error(
+        `Destination template for ${url.shortCode} failed:`,
+        error.message
+      );
+    }
+  }
+
+  return appendPathSuffix(url.originalUrl, request.path);
+};
+
+/**
+ * Resolve the destination for a visitor
+ * Geographic restrictions are applied first; allowed visitors are then routed by
+ * device rules, per-country overrides, A/B variants and finally the link's own
+ * destination (or its fallback URL while health checks flag it as broken).
+ * Wildcard path remainders are appended to every destination except fallbacks
+ * @param {Object} url - URL document
+ * @param {Object} visitor - Visitor IP address and user agent
+ * @param {Object} [request] - Result of getRequestContext
+ * @returns {Object} { denied, destination, variant, routingRule, country, reason?, fallbackUrl? }
+ */
+const resolveDestination = (
+  url,
+  visitor,
+  request = { path: [], query: new URLSearchParams() }
+) => {
+  let country = null;
+  let countryDestination = null;
+
+  if (url.hasGeoRules()) {
+    country = lookupCountry(visitor.ipAddress);
+    const geo = url.checkGeoAccess(country);
+
+    if (!geo.allowed) {
+      return {
+        denied: true,
+        reason: geo.reason,
+        fallbackUrl: geo.fallbackUrl,
+        country,
+      };
+    }
+
+    countryDestination = geo.destination;
+  }
+
+  if (url.routingRules?.length) {
+    const routingRule = url.matchRoutingRule(
+      getDeviceProfile(visitor.userAgent)
+    );
+
+    if (routingRule) {
+      return {
+        denied: false,
+        destination: appendPathSuffix(routingRule.destination, request.path),
+        variant: null,
+        routingRule,
+        country,
+      };
+    }
+  }
+
+  if (countryDestination) {
+    return {
+      denied: false,
+      destination: appendPathSuffix(countryDestination, request.path),
+      variant: null,
+      routingRule: null,
+      country,
+    };
+  }
+
+  const variant = url.selectVariant(getVisitorKey(visitor));
+  const fallbackUrl = url.health?.status === "broken" ? url.fallbackUrl : null;
+
+  const destination = variant
+    ? appendPathSuffix(variant.url, request.path)
+    : fallbackUrl || buildLinkDestination(url, visitor, request, country);
+
+  return {
+    denied: false,
+    destination,
+    variant,
+    routingRule: null,
+    country,
+  };
+};
+
+/**
+ * Respond to a visitor denied by geographic restrictions
+ * Sends them to the fallback URL if one is configured, otherwise returns 451
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} url - URL document
+ * @param {Object} resolution - Result of resolveDestination
+ * @param {Object} visitor - Visitor IP address, user agent and referrer
+ * @param {string} source - Redirect endpoint ('redirect', 'tracked', 'qr', 'unlock', 'preview')
+ */
+const denyGeoAccess = (req, res, url, resolution, visitor, source) => {
+  const { fallbackUrl, country } = resolution;
+
+  analyticsService
+    .recordAccessEvent({
+      urlId: url._id,
+      type: "geo_blocked",
+      outcome: fallbackUrl ? "fallback" : "blocked",
+      source,
+      country,
+      ipAddress: visitor.ipAddress,
+      userAgent: visitor.userAgent,
+      referrer: visitor.referrer,
+      destination: fallbackUrl,
+      doNotTrack: hasPrivacySignal(req.headers),
+    })
+    .catch((error) => {
+      console.error("Access event recording failed:", error);
+    });
+
+  if (fallbackUrl) {
+    return res.redirect(302, fallbackUrl);
+  }
+
+  return res
+    .status(451)
+    .json(
+      ApiResponse.error(
+        "This link is not available in your region",
+        { country },
+        451
+      )
+    );
+};
+
+/**
+ * Screen the destination a visitor is about to be sent to
+ * Combines the result stored when the link was created with the local
+ * rules, so newly blocklisted domains and routed destinations are covered
+ * @param {Object} url - URL document
+ * @param {string} destination - Resolved destination
+ * @returns {Object} { verdict, reasons }
+ */
+const screenDestination = (url, destination) => {
+  const local = urlSafetyService.screenLocal(destination);
+  if (local.allowlisted) {
+    return { verdict: "safe", reasons: [] };
+  }
+
+  // Stored provider results only describe originalUrl
+  const stored =
+    destination === url.originalUrl ? url.safety?.reasons || [] : [];
+  const reasons = [...stored, ...local.reasons].filter(
+    (reason, index, all) =>
+      all.findIndex(
+        (other) => other.source === reason.source && other.rule === reason.rule
+      ) === index
+  );
+
+  return {
+    verdict: worstVerdict(reasons.map((reason) => reason.verdict)),
+    reasons: reasons.map(({ source, rule, verdict, message }) => ({
+      source,
+      rule,
+      verdict,
+      message,
+    })),
+  };
+};
+
+/**
+ * Stop visitors before a destination that failed safety screening
+ * Malicious destinations are blocked; suspicious ones get a warning page
+ * until the visitor follows its continue link, whose signed token is bound
+ * to the link and destination
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} url - URL document
+ * @param {string} destination - Resolved destination
+ * @param {Object} visitor - Visitor IP address, user agent and referrer
+ * @param {string} source - Redirect endpoint ('redirect', 'tracked', 'qr', 'unlock', 'preview')
+ * @returns {boolean} True if a response was sent
+ */
+const stopIfUnsafe = (req, res, url, destination, visitor, source) => {
+  const { verdict, reasons } = screenDestination(url, destination);
+  const confirmed = verifyContinueToken(
+    req.query[SAFETY_CONFIRM_PARAM],
+    url,
+    destination,
+    "safety"
+  );
+
+  if (verdict === "safe" || (verdict === "suspicious" && confirmed)) {
+    return false;
+  }
+
+  const blocked = verdict === "malicious";
+  let continueUrl = null;
+  if (!blocked) {
+    // Unlocked visitors continue through the regular redirect
+    const returnPath =
+      source === "unlock" ? `/${req.params.shortCode}` : req.originalUrl;
+    continueUrl = buildContinueUrl(
+      returnPath,
+      SAFETY_CONFIRM_PARAM,
+      createContinueToken(url, destination, "safety")
+    );
+  }
+
+  analyticsService
+    .recordAccessEvent({
+      urlId: url._id,
+      type: "unsafe_destination",
+      outcome: blocked ? "blocked" : "warned",
+      source,
+      ipAddress: visitor.ipAddress,
+      userAgent: visitor.userAgent,
+      referrer: visitor.referrer,
+      destination,
+      doNotTrack: hasPrivacySignal(req.headers),
+    })
+    .catch((error) => {
+      console.error("Access event recording failed:", error);
+    });
+
+  const statusCode = blocked ? 403 : 200;
+
+  if (req.accepts(["json", "html"]) === "html") {
+    res
+      .status(statusCode)
+      .type("html")
+      .send(renderSafetyPage({ destination, reasons, continueUrl }));
+    return true;
+  }
+
+  if (blocked) {
+    res
+      .status(403)
+      .json(
+        ApiResponse.error(
+          "This link has been blocked because its destination is unsafe",
+          { destination, reasons },
+          403
+        )
+      );
+  } else {
+    res.status(200).json(
+      ApiResponse.success("This link may be unsafe", {
+        warning: true,
+        destination,
+        reasons,
+        continueUrl,
+      })
+    );
+  }
+
+  return true;
+};
+
+/**
+ * Merge the visitor's query parameters into the destination
+ * following the link's forwardQuery policy
+ * @param {Object} req - Express request object
+ * @param {Object} url - URL document
+ * @param {string} destination - Resolved destination
+ * @param {Array<string>} [consumed] - Parameters the endpoint reads itself
+ * @returns {string} Destination to redirect to
+ */
+const buildDestination = (req, url, destination, consumed = []) =>
+  forwardQueryParams(
+    destination,
+    new URL(req.originalUrl, config.baseUrl).searchParams,
+    url.forwardQuery,
+    [...CONTROL_PARAMS, ...consumed]
+  );
+
+/**
+ * Query string of the request, including the leading "?"
+ * @param {Object} req - Express request object
+ * @returns {string} e.g. "?utm_source=mail", or "" if there is none
+ */
+const getQueryString = (req) => new URL(req.originalUrl, config.baseUrl).search;
+
+/**
+ * Redirect with the link's redirectType
+ * Meta-refresh links get an HTML page instead of a 3xx response
+ * @param {Object} res - Express response object
+ * @param {Object} url - URL document
+ * @param {string} target - Final destination URL
+ */
+const sendRedirect = (res, url, target) => {
+  if (url.redirectType === "meta-refresh") {
+    return res.status(200).type("html").send(renderRefreshPage(target));
+  }
+
+  return res.redirect(Number(url.redirectType) || 302, target);
+};
+
+/**
+ * Send the interstitial/preview page for a link and count the view
+ * API clients get the same details as JSON
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} url - URL document
+ * @param {Object} page - Page options
+ * @param {string} page.destination - Destination to show (null hides it)
+ * @param {string} page.continueUrl - Link that continues to the destination
+ * @param {number} [page.countdown=0] - Seconds before continuing automatically
+ */
+const sendInterstitial = (
+  req,
+  res,
+  url,
+  { destination, continueUrl, countdown = 0 }
+) => {
+  const details = {
+    destination,
+    title: url.metadata?.pageTitle || url.title || null,
+    description: url.metadata?.pageDescription || url.description || null,
+    favicon: url.metadata?.favicon || null,
+    continueUrl,
+    countdown,
+  };
+
+  analyticsService.recordInterstitialView(url._id).catch((error) => {
+    console.error("Interstitial view recording failed:", error);
+  });
+
+  if (req.accepts(["json", "html"]) === "html") {
+    return res
+      .status(200)
+      .set("Content-Security-Policy", INTERSTITIAL_PAGE_CSP)
+      .type("html")
+      .send(renderInterstitialPage(details));
+  }
+
+  return res.status(200).json(
+    ApiResponse.success("This link shows a page before redirecting", {
+      interstitial: true,
+      redirectMode: url.redirectMode,
+      ...details,
+    })
+  );
+};
+
+/**
+ * Check whether the visitor followed the continue link of a link's
+ * interstitial or preview page (a token signed for this link and destination)
+ * @param {Object} req - Express request object
+ * @param {Object} url - URL document
+ * @param {string} destination - Resolved destination
+ * @returns {boolean} True if the continue token verifies
+ */
+const passedInterstitial = (req, url, destination) =>
+  verifyContinueToken(
+    req.query[INTERSTITIAL_PARAM],
+    url,
+    destination,
+    "interstitial"
+  );
+
+/**
+ * Show the interstitial or preview page for links that use one
+ * Visitors following the page's continue link pass straight through
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} url - URL document
+ * @param {string} destination - Resolved destination
+ * @returns {boolean} True if the page was sent
+ */
+const showInterstitial = (req, res, url, destination) => {
+  if (
+    !url.redirectMode ||
+    url.redirectMode === "direct" ||
+    passedInterstitial(req, url, destination)
+  ) {
+    return false;
+  }
+
+  sendInterstitial(req, res, url, {
+    destination,
+    continueUrl: buildContinueUrl(
+      req.originalUrl,
+      INTERSTITIAL_PARAM,
+      createContinueToken(url, destination, "interstitial")
+    ),
+    // Preview mode always waits for the visitor
+    countdown:
+      url.redirectMode === "interstitial" ? url.interstitialCountdown : 0,
+  });
+  return true;
+};
+
+/**
+ * Check whether the visitor may pass a link's password gate
+ * @param {Object} req - Express request object
+ * @param {Object} url - URL document
+ * @returns {boolean} True if the link is unprotected or unlocked for this visitor
+ */
+const isUnlocked = (req, url) =>
+  !url.isPasswordProtected ||
+  verifyUnlockToken(getUnlockTokenFromRequest(req, url), url);
+
+/**
+ * Ask the visitor for a link password
+ * Browsers get an HTML unlock form, API clients a JSON 401 challenge
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} url - URL document
+ * @param {string} shortCode - Short code or alias that was requested
+ */
+const challengePassword = (req, res, url, shortCode) => {
+  if (req.accepts(["json", "html"]) === "html") {
+    return res
+      .status(401)
+      .type("html")
+      .send(renderUnlockPage({ shortCode, query: getQueryString(req) }));
+  }
+
+  return res.status(401).json(
+    ApiResponse.error(
+      "This link is password protected",
+      {
+        shortCode,
+        passwordRequired: true,
+        unlockUrl: `${url.shortUrl}/unlock`,
+      },
+      401
+    )
+  );
+};
+
 /**
  * Handle short URL redirect with analytics tracking
  * @route GET /:shortCode
+ * @route GET /:shortCode/*path (wildcard links)
  * @access Public
  */
 export const handleRedirect = async (req, res, next) => {
@@ -22,9 +540,14 @@ export const handleRedirect = async (req, res, next) => {
     const referrer = req.get("Referrer") || req.get("Referer") || null;
 
     // Get URL by short code
-    const url = await urlService.getUrlByShortCode(shortCode);
+    const url = await urlService.getUrlByShortCode(
+      shortCode,
+      false,
+      req.customDomain?._id
+    );
 
-    if (!url) {
+    // Only wildcard links accept a path after the short code
+    if (!url || (req.params.path && !url.wildcard)) {
       // Return a user-friendly 404 page or redirect to error page
       return res.status(404).json(
         ApiResponse.error(
@@ -38,6 +561,28 @@ export const handleRedirect = async (req, res, next) => {
       );
     }
 
+    // Apply geo rules, then pick the A/B variant (sticky per visitor)
+    const visitor = { ipAddress, userAgent, referrer };
+    const resolution = resolveDestination(url, visitor, getRequestContext(req));
+
+    if (resolution.denied) {
+      return denyGeoAccess(req, res, url, resolution, visitor, "redirect");
+    }
+
+    if (!isUnlocked(req, url)) {
+      return challengePassword(req, res, url, shortCode);
+    }
+
+    const { destination, variant, routingRule } = resolution;
+
+    if (stopIfUnsafe(req, res, url, destination, visitor, "redirect")) {
+      return;
+    }
+
+    if (showInterstitial(req, res, url, destination)) {
+      return;
+    }
+
     // Record the click asynchronously (don't block the redirect)
     const clickData = {
       urlId: url._id,
@@ -46,6 +591,10 @@ export const handleRedirect = async (req, res, next) => {
       referrer,
       userId: null, // Anonymous click
       sessionId: req.sessionID || null,
+      variant,
+      routingRule,
+      viaInterstitial: passedInterstitial(req, url, destination),
+      doNotTrack: hasPrivacySignal(req.headers),
     };
 
     // Record click without waiting (fire and forget)
@@ -55,7 +604,7 @@ export const handleRedirect = async (req, res, next) => {
     });
 
     // Perform the redirect
-    res.redirect(302, url.originalUrl);
+    sendRedirect(res, url, buildDestination(req, url, destination));
   } catch (error) {
     // Even if there's an error, try to redirect if we have the original URL
     console.error("Redirect error:", error);
@@ -76,14 +625,20 @@ export const handleRedirect = async (req, res, next) => {
 
 /**
  * Get redirect preview (shows destination without redirecting)
+ * Browsers get the preview page with a continue link, API clients JSON
  * @route GET /preview/:shortCode
+ * @route GET /:shortCode+
  * @access Public
  */
 export const getRedirectPreview = async (req, res, next) => {
   try {
     const { shortCode } = req.params;
 
-    const url = await urlService.getUrlByShortCode(shortCode);
+    const url = await urlService.getUrlByShortCode(
+      shortCode,
+      false,
+      req.customDomain?._id
+    );
 
     if (!url) {
       return res
@@ -91,16 +646,52 @@ export const getRedirectPreview = async (req, res, next) => {
         .json(ApiResponse.error("Short URL not found or expired", null, 404));
     }
 
+    // Visitors the link is geo-blocked for don't get to see its destination
+    const visitor = {
+      ipAddress: req.ip || req.connection.remoteAddress || "127.0.0.1",
+      userAgent: req.get("User-Agent") || null,
+      referrer: req.get("Referrer") || req.get("Referer") || null,
+    };
+    const resolution = resolveDestination(url, visitor, getRequestContext(req));
+
+    if (resolution.denied) {
+      return denyGeoAccess(req, res, url, resolution, visitor, "preview");
+    }
+
+    if (req.accepts(["json", "html"]) === "html") {
+      // The continue token is bound to where the short link sends this visitor
+      const { destination } = resolution;
+
+      return sendInterstitial(req, res, url, {
+        // Protected links don't reveal their destination before unlocking
+        destination: url.isPasswordProtected ? null : url.originalUrl,
+        continueUrl: buildContinueUrl(
+          `/${shortCode}`,
+          INTERSTITIAL_PARAM,
+          createContinueToken(
+            url,
+            destination || url.originalUrl,
+            "interstitial"
+          )
+        ),
+      });
+    }
+
     // Return preview information without redirecting
     res.status(200).json(
       ApiResponse.success("Redirect preview retrieved successfully", {
         shortCode,
         shortUrl: url.shortUrl,
-        originalUrl: url.originalUrl,
+        // Protected links don't reveal their destination before unlocking
+        originalUrl: url.isPasswordProtected ? null : url.originalUrl,
+        isPasswordProtected: url.isPasswordProtected,
         title: url.title || url.metadata?.pageTitle || "Untitled",
         description: url.description || url.metadata?.pageDescription || "",
         domain: url.metadata?.domain,
         favicon: url.metadata?.favicon,
+        image: url.metadata?.image,
+        safetyVerdict: url.safety?.verdict || "unknown",
+        redirectMode: url.redirectMode || "direct",
         createdAt: url.createdAt,
         isActive: url.isActive,
         totalClicks: url.clickCount,
@@ -136,7 +727,11 @@ export const handleTrackedRedirect = async (req, res, next) => {
     const referrer = ref || req.get("Referrer") || req.get("Referer") || null;
 
     // Get URL by short code
-    const url = await urlService.getUrlByShortCode(shortCode);
+    const url = await urlService.getUrlByShortCode(
+      shortCode,
+      false,
+      req.customDomain?._id
+    );
 
     if (!url) {
       return res
@@ -144,6 +739,27 @@ export const handleTrackedRedirect = async (req, res, next) => {
         .json(ApiResponse.error("Short URL not found or expired", null, 404));
     }
 
+    const visitor = { ipAddress, userAgent, referrer };
+    const resolution = resolveDestination(url, visitor, getRequestContext(req));
+
+    if (resolution.denied) {
+      return denyGeoAccess(req, res, url, resolution, visitor, "tracked");
+    }
+
+    if (!isUnlocked(req, url)) {
+      return challengePassword(req, res, url, shortCode);
+    }
+
+    const { destination, variant, routingRule } = resolution;
+
+    if (stopIfUnsafe(req, res, url, destination, visitor, "tracked")) {
+      return;
+    }
+
+    if (showInterstitial(req, res, url, destination)) {
+      return;
+    }
+
     // Enhanced click data with tracking parameters
     const clickData = {
       urlId: url._id,
@@ -152,6 +768,10 @@ export const handleTrackedRedirect = async (req, res, next) => {
       referrer,
       userId: null,
       sessionId: req.sessionID || null,
+      variant,
+      routingRule,
+      viaInterstitial: passedInterstitial(req, url, destination),
+      doNotTrack: hasPrivacySignal(req.headers),
       customData: {
         trackingId: track_id,
         utm_source,
@@ -168,10 +788,15 @@ export const handleTrackedRedirect = async (req, res, next) => {
       console.error("Enhanced click recording failed:", error);
     });
 
-    // Build destination URL with preserved parameters
-    let destinationUrl = url.originalUrl;
+    // Build destination URL with the forwarded query parameters
+    const destinationUrl = buildDestination(
+      req,
+      url,
+      destination,
+      TRACKING_PARAMS
+    );
 
-    // If destination URL already has query parameters, append; otherwise, add them
+    // UTM parameters are always passed on, replacing the destination's own
     const urlObj = new URL(destinationUrl);
     if (utm_source) urlObj.searchParams.set("utm_source", utm_source);
     if (utm_medium) urlObj.searchParams.set("utm_medium", utm_medium);
@@ -179,7 +804,7 @@ export const handleTrackedRedirect = async (req, res, next) => {
     if (utm_term) urlObj.searchParams.set("utm_term", utm_term);
     if (utm_content) urlObj.searchParams.set("utm_content", utm_content);
 
-    res.redirect(302, urlObj.toString());
+    sendRedirect(res, url, urlObj.toString());
   } catch (error) {
     console.error("Tracked redirect error:", error);
     res
@@ -197,7 +822,11 @@ export const getPublicStats = async (req, res, next) => {
   try {
     const { shortCode } = req.params;
 
-    const url = await urlService.getUrlByShortCode(shortCode);
+    const url = await urlService.getUrlByShortCode(
+      shortCode,
+      false,
+      req.customDomain?._id
+    );
 
     if (!url) {
       return res
@@ -238,7 +867,11 @@ export const handleQRRedirect = async (req, res, next) => {
     const referrer = req.get("Referrer") || req.get("Referer") || null;
 
     // Get URL by short code
-    const url = await urlService.getUrlByShortCode(shortCode);
+    const url = await urlService.getUrlByShortCode(
+      shortCode,
+      false,
+      req.customDomain?._id
+    );
 
     if (!url) {
       return res
@@ -248,6 +881,27 @@ export const handleQRRedirect = async (req, res, next) => {
         );
     }
 
+    const visitor = { ipAddress, userAgent, referrer };
+    const resolution = resolveDestination(url, visitor, getRequestContext(req));
+
+    if (resolution.denied) {
+      return denyGeoAccess(req, res, url, resolution, visitor, "qr");
+    }
+
+    if (!isUnlocked(req, url)) {
+      return challengePassword(req, res, url, shortCode);
+    }
+
+    const { destination, variant, routingRule } = resolution;
+
+    if (stopIfUnsafe(req, res, url, destination, visitor, "qr")) {
+      return;
+    }
+
+    if (showInterstitial(req, res, url, destination)) {
+      return;
+    }
+
     // Record click with QR code source tracking
     const clickData = {
       urlId: url._id,
@@ -255,6 +909,10 @@ export const handleQRRedirect = async (req, res, next) => {
       userAgent,
       referrer,
       userId: null,
+      variant,
+      routingRule,
+      viaInterstitial: passedInterstitial(req, url, destination),
+      doNotTrack: hasPrivacySignal(req.headers),
       customData: {
         source: "qr_code",
         qrScanTimestamp: new Date(),
@@ -265,8 +923,8 @@ export const handleQRRedirect = async (req, res, next) => {
       console.error("QR click recording failed:", error);
     });
 
-    // Redirect to original URL
-    res.redirect(302, url.originalUrl);
+    // Redirect to original URL (or the visitor's A/B variant)
+    sendRedirect(res, url, buildDestination(req, url, destination));
   } catch (error) {
     console.error("QR redirect error:", error);
     res.status(500).json(ApiResponse.error("QR redirect failed", null, 500));
@@ -303,7 +961,11 @@ export const validateBatchRedirects = async (req, res, next) => {
     // Validate each short code
     const validationPromises = shortCodes.map(async (shortCode) => {
       try {
-        const url = await urlService.getUrlByShortCode(shortCode);
+        const url = await urlService.getUrlByShortCode(
+          shortCode,
+          false,
+          req.customDomain?._id
+        );
         return {
           shortCode,
           valid: !!url,
@@ -342,51 +1004,110 @@ export const validateBatchRedirects = async (req, res, next) => {
 };
 
 /**
- * Handle redirect with password protection (future feature)
+ * Unlock a password-protected short URL and issue an unlock session
  * @route POST /:shortCode/unlock
  * @access Public
  */
 export const handlePasswordProtectedRedirect = async (req, res, next) => {
   try {
     const { shortCode } = req.params;
-    const { password } = req.body;
+    const { password } = req.body || {};
+
+    // The HTML unlock form gets pages and redirects instead of JSON
+    const fromForm = Boolean(req.is("application/x-www-form-urlencoded"));
+
+    const fail = (statusCode, message) =>
+      fromForm
+        ? res
+            .status(statusCode)
+            .type("html")
+            .send(
+              renderUnlockPage({
+                shortCode,
+                error: message,
+                query: getQueryString(req),
+              })
+            )
+        : res
+            .status(statusCode)
+            .json(ApiResponse.error(message, null, statusCode));
 
     if (!password) {
-      return res
-        .status(400)
-        .json(ApiResponse.error("Password is required", null, 400));
+      return fail(400, "Password is required");
     }
 
-    const url = await urlService.getUrlByShortCode(shortCode);
+    const result = await urlService.verifyUrlPassword(
+      shortCode,
+      password,
+      req.customDomain?._id
+    );
 
-    if (!url) {
+    if (!result) {
       return res
         .status(404)
         .json(ApiResponse.error("Short URL not found or expired", null, 404));
     }
 
+    const { url, isValid } = result;
+
+    if (!isValid) {
+      return fail(401, "Invalid password");
+    }
+
+    const ipAddress = req.ip || "127.0.0.1";
+    const userAgent = req.get("User-Agent") || null;
+    const referrer = req.get("Referrer") || req.get("Referer") || null;
+
+    const visitor = { ipAddress, userAgent, referrer };
+    const resolution = resolveDestination(url, visitor, getRequestContext(req));
+
+    if (resolution.denied) {
+      return denyGeoAccess(req, res, url, resolution, visitor, "unlock");
+    }
+
+    const { destination, variant, routingRule } = resolution;
+
+    // The unlock form posts the visit's query string along for forwardQuery
+    const target = buildDestination(req, url, destination);
+
     // Check if URL has password protection
-    if (!url.password) {
+    if (!url.isPasswordProtected) {
+      if (stopIfUnsafe(req, res, url, destination, visitor, "unlock")) {
+        return;
+      }
+
       // If no password set, redirect normally
-      return res.redirect(302, url.originalUrl);
+      return sendRedirect(res, url, target);
     }
 
-    // Verify password (in production, this would be hashed)
-    const bcrypt = await import("bcryptjs");
-    const isValidPassword = await bcrypt.compare(password, url.password);
+    // Remember the unlock so repeat visits skip the prompt
+    const { token, expiresAt } = createUnlockToken(url);
+    res.cookie(getUnlockCookieName(url._id), token, {
+      httpOnly: true,
+      sameSite: "lax",
+      secure: config.nodeEnv === "production",
+      expires: expiresAt,
+    });
 
-    if (!isValidPassword) {
-      return res
-        .status(401)
-        .json(ApiResponse.error("Invalid password", null, 401));
+    // The regular redirect shows the interstitial page (and records the click)
+    if (fromForm && url.redirectMode && url.redirectMode !== "direct") {
+      return res.redirect(302, `/${shortCode}${getQueryString(req)}`);
+    }
+
+    // After the unlock, so continuing past the warning doesn't ask again
+    if (stopIfUnsafe(req, res, url, destination, visitor, "unlock")) {
+      return;
     }
 
     // Record click with password unlock tracking
     const clickData = {
       urlId: url._id,
-      ipAddress: req.ip || "127.0.0.1",
-      userAgent: req.get("User-Agent"),
-      referrer: req.get("Referrer"),
+      ipAddress,
+      userAgent,
+      referrer,
+      variant,
+      routingRule,
+      doNotTrack: hasPrivacySignal(req.headers),
       customData: {
         passwordProtected: true,
         unlockedAt: new Date(),
@@ -395,9 +1116,15 @@ export const handlePasswordProtectedRedirect = async (req, res, next) => {
 
     analyticsService.recordClick(clickData).catch(console.error);
 
+    if (fromForm) {
+      return sendRedirect(res, url, target);
+    }
+
     res.status(200).json(
       ApiResponse.success("URL unlocked successfully", {
-        redirectUrl: url.originalUrl,
+        redirectUrl: target,
+        unlockToken: token,
+        expiresAt,
       })
     );
   } catch (error) {
@@ -1,5 +1,25 @@
+import { Readable } from "stream";
+import { pipeline } from "stream/promises";
 import urlService from "../services/urlService.js";
+import importService from "../services/importService.js";
+import linkHealthService from "../services/linkHealthService.js";
+import urlSafetyService from "../services/urlSafetyService.js";
+import planService from "../services/planService.js";
 import { ApiResponse } from "../utils/responses.js";
+import {
+  EXPORT_FORMATS,
+  URL_EXPORT_COLUMNS,
+  URL_ANALYTICS_COLUMNS,
+  DEFAULT_URL_EXPORT_COLUMNS,
+  parseExportColumns,
+  serializeExport,
+} from "../utils/exportFormats.js";
+import {
+  IMPORT_CONTENT_TYPES,
+  IMPORT_REPORT_COLUMNS,
+  MAX_IMPORT_ROWS,
+  parseImportFile,
+} from "../utils/importFormats.js";
 
 /**
  * URL Controller for SnapURL
@@ -36,10 +56,36 @@ export const createUrl = async (req, res, next) => {
       fetchMetadata = true,
       tags,
       expiresIn,
+      geoRestrictions,
+      password,
+      routingRules,
+      fallbackUrl,
+      redirectMode,
+      interstitialCountdown,
+      redirectType,
+      forwardQuery,
+      wildcard,
+      destinationTemplate,
+      domainId,
+      workspaceId,
     } = req.body;
 
     const userId = req.user?._id || null; // Optional authentication
 
+    // Phishing and malware destinations are refused with the reasons
+    const safety = await urlSafetyService.screenUrl(originalUrl);
+    if (safety.verdict === "malicious") {
+      return res
+        .status(400)
+        .json(
+          ApiResponse.error(
+            "Destination blocked by safety screening",
+            { reasons: safety.reasons },
+            400
+          )
+        );
+    }
+
     const result = await urlService.createUrl(
       {
         originalUrl,
@@ -47,12 +93,25 @@ export const createUrl = async (req, res, next) => {
         title,
         description,
         userId,
-        tags
+        tags,
+        geoRestrictions,
+        password,
+        routingRules,
+        fallbackUrl,
+        redirectMode,
+        interstitialCountdown,
+        redirectType,
+        forwardQuery,
+        wildcard,
+        destinationTemplate,
+        domainId,
+        workspaceId,
       },
       {
         generateQR,
         fetchMetadata,
         expiresIn,
+        safety,
       }
     );
 
@@ -104,6 +163,7 @@ export const getUserUrls = async (req, res, next) => {
       sortOrder,
       search,
       isActive: isActive !== undefined ? isActive === "true" : null,
+      workspaceId: req.workspace?._id || null, // set by resolveWorkspaceScope
     };
 
     const result = await urlService.getUserUrls(userId, options);
@@ -229,6 +289,27 @@ export const generateQRCode = async (req, res, next) => {
   }
 };
 
+/**
+ * Re-fetch the destination's title, description and images now
+ * @route POST /api/urls/:id/refresh-metadata
+ * @access Private
+ */
+export const refreshMetadata = async (req, res, next) => {
+  try {
+    const metadata = await urlService.refreshMetadata(req.params.id, {
+      userId: req.user._id,
+    });
+
+    res
+      .status(200)
+      .json(
+        ApiResponse.success("Metadata refreshed successfully", { metadata })
+      );
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Search URLs
  * @route GET /api/urls/search
@@ -251,6 +332,7 @@ export const searchUrls = async (req, res, next) => {
       limit: parseInt(limit),
       sortBy: sortBy === "relevance" ? "createdAt" : sortBy,
       sortOrder: "desc",
+      workspaceId: req.workspace?._id || null,
     };
 
     const result = await urlService.getUserUrls(userId, options);
@@ -269,6 +351,35 @@ export const searchUrls = async (req, res, next) => {
   }
 };
 
+/**
+ * Get links whose destination is flagged broken by the health checks
+ * @route GET /api/urls/broken
+ * @access Private
+ */
+export const getBrokenUrls = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 10 } = req.query;
+
+    const result = await linkHealthService.getBrokenUrls(req.user._id, {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      workspaceId: req.workspace?._id || null, // set by resolveWorkspaceScope
+    });
+
+    res
+      .status(200)
+      .json(
+        ApiResponse.paginated(
+          "Broken URLs retrieved successfully",
+          result.urls,
+          result.pagination
+        )
+      );
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Get popular URLs
  * @route GET /api/urls/popular
@@ -333,12 +444,14 @@ export const bulkCreateUrls = async (req, res, next) => {
         );
     }
 
-    if (urls.length > 100) {
+    // Batch size depends on the user's plan
+    const { bulkBatchSize } = (await planService.getUserPlan(req.user)).limits;
+    if (bulkBatchSize !== null && urls.length > bulkBatchSize) {
       return res
         .status(400)
         .json(
           ApiResponse.error(
-            "Maximum 100 URLs allowed per bulk operation",
+            `Maximum ${bulkBatchSize} URLs allowed per bulk operation on your plan`,
             null,
             400
           )
@@ -395,39 +508,227 @@ export const exportUrls = async (req, res, next) => {
     const userId = req.user._id;
     const {
       format = "json",
+      columns,
       includeAnalytics = "true",
       includeInactive = "false",
+      includeExpired = "false",
       startDate,
       endDate,
     } = req.query;
 
-    const options = {
-      format,
-      includeAnalytics: includeAnalytics === "true",
+    const exportFormat = EXPORT_FORMATS[format];
+    if (!exportFormat) {
+      return res
+        .status(400)
+        .json(
+          ApiResponse.error(
+            `Format must be one of: ${Object.keys(EXPORT_FORMATS).join(", ")}`,
+            null,
+            400
+          )
+        );
+    }
+
+    const defaultColumns =
+      includeAnalytics === "true"
+        ? DEFAULT_URL_EXPORT_COLUMNS
+        : DEFAULT_URL_EXPORT_COLUMNS.filter(
+            (column) => !URL_ANALYTICS_COLUMNS.includes(column)
+          );
+    const selected = parseExportColumns(
+      columns,
+      URL_EXPORT_COLUMNS,
+      defaultColumns
+    );
+
+    if (selected.invalid.length > 0 || selected.columns.length === 0) {
+      return res
+        .status(400)
+        .json(
+          ApiResponse.error(
+            `Unknown export columns: ${selected.invalid.join(", ") || "none selected"}`,
+            { availableColumns: URL_EXPORT_COLUMNS },
+            400
+          )
+        );
+    }
+
+    const records = urlService.exportUserUrls(userId, {
       includeInactive: includeInactive === "true",
+      includeExpired: includeExpired === "true",
       dateRange:
         startDate && endDate ? { start: startDate, end: endDate } : null,
-    };
-
-    const result = await urlService.exportUserUrls(userId, options);
+    });
 
     // Set appropriate headers for download
-    res.set({
-      "Content-Type": format === "json" ? "application/json" : "text/csv",
-      "Content-Disposition": `attachment; filename=snapurl-export-${Date.now()}.${format}`,
+    res.status(200).set({
+      "Content-Type": exportFormat.contentType,
+      "Content-Disposition": `attachment; filename=snapurl-export-${Date.now()}.${exportFormat.extension}`,
     });
 
-    if (format === "json") {
-      res.status(200).json(result);
-    } else {
-      // For CSV format, you would convert the data to CSV here
-      // For now, return JSON with a note
-      res.status(200).json({
-        ...result,
-        note: "CSV format conversion would be implemented here",
-      });
+    await pipeline(
+      Readable.from(serializeExport(records, format, selected.columns)),
+      res
+    );
+  } catch (error) {
+    // Once streaming started the response can only be aborted
+    if (res.headersSent) {
+      console.error("URL export stream failed:", error.message);
+      return;
+    }
+
+    next(error);
+  }
+};
+
+/**
+ * Import links from a CSV or NDJSON upload
+ * @route POST /api/urls/import
+ * @access Private
+ */
+export const importUrls = async (req, res, next) => {
+  try {
+    const { dryRun = "false" } = req.query;
+
+    if (typeof req.body !== "string" || req.body.trim() === "") {
+      return res
+        .status(400)
+        .json(
+          ApiResponse.error(
+            "Upload the file as the request body with a text/csv or application/x-ndjson Content-Type",
+            null,
+            400
+          )
+        );
+    }
+
+    const format =
+      req.query.format ||
+      (req.is(IMPORT_CONTENT_TYPES.ndjson) ? "ndjson" : "csv");
+    if (!IMPORT_CONTENT_TYPES[format]) {
+      return res
+        .status(400)
+        .json(
+          ApiResponse.error(
+            `Format must be one of: ${Object.keys(IMPORT_CONTENT_TYPES).join(", ")}`,
+            null,
+            400
+          )
+        );
+    }
+
+    let rows;
+    try {
+      rows = parseImportFile(req.body, format);
+    } catch (error) {
+      return res
+        .status(400)
+        .json(
+          ApiResponse.error(`Could not parse file: ${error.message}`, null, 400)
+        );
+    }
+
+    if (rows.length === 0 || rows.length > MAX_IMPORT_ROWS) {
+      return res
+        .status(400)
+        .json(
+          ApiResponse.error(
+            `Imports must contain between 1 and ${MAX_IMPORT_ROWS} rows`,
+            null,
+            400
+          )
+        );
+    }
+
+    const job = await importService.createImport(req.user._id, {
+      rows,
+      format,
+      dryRun: dryRun === "true",
+    });
+
+    res
+      .status(202)
+      .json(
+        ApiResponse.success(
+          "Import queued. Poll the job for progress",
+          { job },
+          { statusUrl: `/api/urls/import/${job._id}` }
+        )
+      );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get an import job's progress
+ * @route GET /api/urls/import/:jobId
+ * @access Private
+ */
+export const getImportJob = async (req, res, next) => {
+  try {
+    const job = await importService.getImport(req.params.jobId, req.user._id);
+
+    res
+      .status(200)
+      .json(ApiResponse.success("Import retrieved successfully", { job }));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Download the per-row report of a finished import
+ * @route GET /api/urls/import/:jobId/report
+ * @access Private
+ */
+export const downloadImportReport = async (req, res, next) => {
+  try {
+    const { format = "csv" } = req.query;
+
+    const exportFormat = EXPORT_FORMATS[format];
+    if (!exportFormat) {
+      return res
+        .status(400)
+        .json(
+          ApiResponse.error(
+            `Format must be one of: ${Object.keys(EXPORT_FORMATS).join(", ")}`,
+            null,
+            400
+          )
+        );
     }
+
+    const job = await importService.getImport(req.params.jobId, req.user._id);
+    if (job.status !== "completed") {
+      return res
+        .status(409)
+        .json(
+          ApiResponse.error(
+            "The report is available once the import completes",
+            { status: job.status, progress: job.progress },
+            409
+          )
+        );
+    }
+
+    const report = await importService.getImportReport(job._id, req.user._id);
+
+    res.status(200).set({
+      "Content-Type": exportFormat.contentType,
+      "Content-Disposition": `attachment; filename=snapurl-import-${job._id}.${exportFormat.extension}`,
+    });
+
+    await pipeline(
+      Readable.from(serializeExport(report, format, IMPORT_REPORT_COLUMNS)),
+      res
+    );
   } catch (error) {
+    if (res.headersSent) {
+      console.error("Import report stream failed:", error.message);
+      return;
+    }
+
     next(error);
   }
 };
@@ -488,3 +789,91 @@ export const getUrlStats = async (req, res, next) => {
     next(error);
   }
 };
+
+/**
+ * Get A/B variants for a URL
+ * @route GET /api/urls/:id/variants
+ * @access Private
+ */
+export const getVariants = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user._id;
+
+    const variants = await urlService.getVariants(id, userId);
+
+    res
+      .status(200)
+      .json(ApiResponse.success("Variants retrieved successfully", { variants }));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Add an A/B variant to a URL
+ * @route POST /api/urls/:id/variants
+ * @access Private
+ */
+export const addVariant = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user._id;
+    const { name, url, weight } = req.body;
+
+    const variant = await urlService.addVariant(id, userId, {
+      name,
+      url,
+      weight,
+    });
+
+    res
+      .status(201)
+      .json(ApiResponse.success("Variant created successfully", { variant }));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update an A/B variant
+ * @route PUT /api/urls/:id/variants/:variantId
+ * @access Private
+ */
+export const updateVariant = async (req, res, next) => {
+  try {
+    const { id, variantId } = req.params;
+    const userId = req.user._id;
+    const { name, url, weight } = req.body;
+
+    const variant = await urlService.updateVariant(id, userId, variantId, {
+      name,
+      url,
+      weight,
+    });
+
+    res
+      .status(200)
+      .json(ApiResponse.success("Variant updated successfully", { variant }));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Remove an A/B variant
+ * @route DELETE /api/urls/:id/variants/:variantId
+ * @access Private
+ */
+export const deleteVariant = async (req, res, next) => {
+  try {
+    const { id, variantId } = req.params;
+    const userId = req.user._id;
+
+    await urlService.deleteVariant(id, userId, variantId);
+
+    res.status(200).json(ApiResponse.success("Variant deleted successfully"));
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,188 @@
+import webhookService from "../services/webhookService.js";
+import { ApiResponse } from "../utils/responses.js";
+
+/**
+ * Webhook Controller for SnapURL
+ * Handles HTTP requests for webhook endpoints and their delivery logs
+ */
+
+/**
+ * Register a webhook endpoint
+ * @route POST /api/webhooks
+ * @access Private
+ */
+export const createWebhook = async (req, res, next) => {
+  try {
+    const { webhook, secret } = await webhookService.createWebhook(
+      req.user._id,
+      req.body
+    );
+
+    res
+      .status(201)
+      .json(
+        ApiResponse.success(
+          "Webhook created. Store the secret now - it won't be shown again",
+          { webhook, secret }
+        )
+      );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the current user's webhooks
+ * @route GET /api/webhooks
+ * @access Private
+ */
+export const getWebhooks = async (req, res, next) => {
+  try {
+    const webhooks = await webhookService.getWebhooks(req.user._id);
+
+    res
+      .status(200)
+      .json(
+        ApiResponse.success("Webhooks retrieved successfully", { webhooks })
+      );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a single webhook
+ * @route GET /api/webhooks/:id
+ * @access Private
+ */
+export const getWebhookById = async (req, res, next) => {
+  try {
+    const webhook = await webhookService.getWebhook(
+      req.params.id,
+      req.user._id
+    );
+
+    res
+      .status(200)
+      .json(ApiResponse.success("Webhook retrieved successfully", { webhook }));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a webhook
+ * @route PUT /api/webhooks/:id
+ * @access Private
+ */
+export const updateWebhook = async (req, res, next) => {
+  try {
+    const webhook = await webhookService.updateWebhook(
+      req.params.id,
+      req.user._id,
+      req.body
+    );
+
+    res
+      .status(200)
+      .json(ApiResponse.success("Webhook updated successfully", { webhook }));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a webhook and its delivery log
+ * @route DELETE /api/webhooks/:id
+ * @access Private
+ */
+export const deleteWebhook = async (req, res, next) => {
+  try {
+    await webhookService.deleteWebhook(req.params.id, req.user._id);
+
+    res.status(200).json(ApiResponse.success("Webhook deleted successfully"));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Replace a webhook's signing secret
+ * @route POST /api/webhooks/:id/rotate-secret
+ * @access Private
+ */
+export const rotateWebhookSecret = async (req, res, next) => {
+  try {
+    const { webhook, secret } = await webhookService.rotateSecret(
+      req.params.id,
+      req.user._id
+    );
+
+    res.status(200).json(
+      ApiResponse.success("Webhook secret rotated successfully", {
+        webhook,
+        secret,
+      })
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a webhook's delivery log
+ * @route GET /api/webhooks/:id/deliveries
+ * @access Private
+ */
+export const getWebhookDeliveries = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20, status } = req.query;
+
+    const result = await webhookService.getDeliveries(
+      req.params.id,
+      req.user._id,
+      {
+        page: Math.max(parseInt(page) || 1, 1),
+        limit: Math.min(Math.max(parseInt(limit) || 20, 1), 100),
+        status,
+      }
+    );
+
+    res.status(200).json(
+      ApiResponse.success("Deliveries retrieved successfully", {
+        deliveries: result.deliveries,
+        pagination: result.pagination,
+      })
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Send a past delivery again
+ * @route POST /api/webhooks/:id/deliveries/:deliveryId/redeliver
+ * @access Private
+ */
+export const redeliverWebhook = async (req, res, next) => {
+  try {
+    const delivery = await webhookService.redeliver(
+      req.params.id,
+      req.user._id,
+      req.params.deliveryId
+    );
+
+    res
+      .status(200)
+      .json(
+        ApiResponse.success(
+          delivery.status === "succeeded"
+            ? "Delivery sent successfully"
+            : "Delivery failed and will be retried",
+          { delivery }
+        )
+      );
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,265 @@
+import workspaceService from "../services/workspaceService.js";
+import { ApiResponse } from "../utils/responses.js";
+import { PERMISSIONS, roleHasPermission } from "../utils/permissions.js";
+
+/**
+ * Workspace Controller for SnapURL
+ * Handles HTTP requests for workspaces, members and invitations.
+ * Routes load the membership first (req.workspace, req.workspaceRole).
+ */
+
+/**
+ * Create a workspace
+ * @route POST /api/workspaces
+ * @access Private
+ */
+export const createWorkspace = async (req, res, next) => {
+  try {
+    const { name, description } = req.body;
+
+    const workspace = await workspaceService.createWorkspace(req.user._id, {
+      name,
+      description,
+    });
+
+    res
+      .status(201)
+      .json(
+        ApiResponse.success("Workspace created successfully", { workspace })
+      );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the current user's workspaces
+ * @route GET /api/workspaces
+ * @access Private
+ */
+export const getWorkspaces = async (req, res, next) => {
+  try {
+    const workspaces = await workspaceService.getUserWorkspaces(req.user._id);
+
+    res.status(200).json(
+      ApiResponse.success("Workspaces retrieved successfully", {
+        workspaces,
+      })
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a workspace with its members
+ * @route GET /api/workspaces/:id
+ * @access Private (any member)
+ */
+export const getWorkspaceById = async (req, res, next) => {
+  try {
+    const workspace = await workspaceService.getWorkspaceById(
+      req.workspace._id
+    );
+
+    res.status(200).json(
+      ApiResponse.success("Workspace retrieved successfully", {
+        workspace,
+        role: req.workspaceRole,
+      })
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update workspace name or description
+ * @route PUT /api/workspaces/:id
+ * @access Private (owner)
+ */
+export const updateWorkspace = async (req, res, next) => {
+  try {
+    const { name, description } = req.body;
+
+    const workspace = await workspaceService.updateWorkspace(
+      req.workspace._id,
+      { name, description }
+    );
+
+    res
+      .status(200)
+      .json(
+        ApiResponse.success("Workspace updated successfully", { workspace })
+      );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a workspace; its links return to their creators
+ * @route DELETE /api/workspaces/:id
+ * @access Private (owner)
+ */
+export const deleteWorkspace = async (req, res, next) => {
+  try {
+    const result = await workspaceService.deleteWorkspace(req.workspace._id);
+
+    res
+      .status(200)
+      .json(ApiResponse.success("Workspace deleted successfully", result));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get pending invitations
+ * @route GET /api/workspaces/:id/invitations
+ * @access Private (owner)
+ */
+export const getInvitations = async (req, res, next) => {
+  try {
+    const invitations = await workspaceService.getInvitations(
+      req.workspace._id
+    );
+
+    res.status(200).json(
+      ApiResponse.success("Invitations retrieved successfully", {
+        invitations,
+      })
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Invite a user by email
+ * @route POST /api/workspaces/:id/invitations
+ * @access Private (owner)
+ */
+export const createInvitation = async (req, res, next) => {
+  try {
+    const { email, role } = req.body;
+
+    const { invitation, token } = await workspaceService.createInvitation(
+      req.workspace._id,
+      req.user._id,
+      { email, role }
+    );
+
+    res
+      .status(201)
+      .json(
+        ApiResponse.success(
+          "Invitation created. Share the token with the invitee",
+          { invitation, token },
+          { expiresAt: invitation.expiresAt }
+        )
+      );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Revoke a pending invitation
+ * @route DELETE /api/workspaces/:id/invitations/:invitationId
+ * @access Private (owner)
+ */
+export const revokeInvitation = async (req, res, next) => {
+  try {
+    await workspaceService.revokeInvitation(
+      req.workspace._id,
+      req.params.invitationId
+    );
+
+    res.status(200).json(ApiResponse.success("Invitation revoked"));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Accept an invitation as the current user
+ * @route POST /api/workspaces/invitations/accept
+ * @access Private
+ */
+export const acceptInvitation = async (req, res, next) => {
+  try {
+    const { workspace, role } = await workspaceService.acceptInvitation(
+      req.body.token,
+      req.user
+    );
+
+    res
+      .status(200)
+      .json(
+        ApiResponse.success(`You joined ${workspace.name}`, { workspace, role })
+      );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Change a member's role
+ * @route PUT /api/workspaces/:id/members/:userId
+ * @access Private (owner)
+ */
+export const updateMemberRole = async (req, res, next) => {
+  try {
+    const workspace = await workspaceService.updateMemberRole(
+      req.workspace._id,
+      req.params.userId,
+      req.body.role
+    );
+
+    res
+      .status(200)
+      .json(ApiResponse.success("Member role updated", { workspace }));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Remove a member, or leave the workspace when removing yourself
+ * @route DELETE /api/workspaces/:id/members/:userId
+ * @access Private (owner, or the member themselves)
+ */
+export const removeMember = async (req, res, next) => {
+  try {
+    const { userId: memberId } = req.params;
+    const isSelf = String(memberId) === String(req.user._id);
+
+    if (
+      !isSelf &&
+      !roleHasPermission(req.workspaceRole, PERMISSIONS.WORKSPACE_MANAGE)
+    ) {
+      return res
+        .status(403)
+        .json(
+          ApiResponse.error(
+            "Access denied. Only owners can remove other members.",
+            null,
+            403
+          )
+        );
+    }
+
+    await workspaceService.removeMember(req.workspace._id, memberId);
+
+    res
+      .status(200)
+      .json(
+        ApiResponse.success(
+          isSelf ? "You left the workspace" : "Member removed successfully"
+        )
+      );
+  } catch (error) {
+    next(error);
+  }
+};
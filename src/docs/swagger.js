@@ -92,10 +92,11 @@ Get your token by logging in or registering.
         description: "JWT token obtained from login or registration",
       },
       apiKeyAuth: {
-        type: "http",
-        scheme: "bearer",
-        bearerFormat: "API_KEY",
-        description: "Long-lived API key for integrations",
+        type: "apiKey",
+        in: "header",
+        name: "X-API-Key",
+        description:
+          "Scoped API key from POST /api/auth/api-keys (urls:read, urls:write, analytics:read)",
       },
     },
 
@@ -425,8 +426,14 @@ Get your token by logging in or registering.
           },
           ipAddress: {
             type: "string",
+            nullable: true,
             example: "192.168.1.100",
           },
+          visitorKey: {
+            type: "string",
+            nullable: true,
+            example: "v_3f2a9c0d1e4b5a6c7d8e9f00",
+          },
           userAgent: {
             type: "string",
             example:
@@ -670,6 +677,26 @@ Get your token by logging in or registering.
         url: "https://docs.snapurl.dev/redirects",
       },
     },
+    {
+      name: "Domains",
+      description: "Custom domains for short links and DNS verification",
+    },
+    {
+      name: "Workspaces",
+      description: "Shared workspaces, member roles and invitations",
+    },
+    {
+      name: "Webhooks",
+      description: "Signed event notifications and delivery logs",
+    },
+    {
+      name: "Jobs",
+      description: "Background job queue monitoring (admin)",
+    },
+    {
+      name: "Plans",
+      description: "Plans and the limits they set",
+    },
     {
       name: "QR Codes",
       description: "QR code generation and customization",
@@ -680,7 +707,7 @@ Get your token by logging in or registering.
     },
     {
       name: "API Keys",
-      description: "API key generation for integrations",
+      description: "Scoped, revocable API keys for integrations",
     },
     {
       name: "Account Management",
@@ -2,9 +2,103 @@ import jwt from "jsonwebtoken";
 import { config } from "../config/config.js";
 import { ApiResponse } from "../utils/responses.js";
 import User from "../models/User.js";
+import Session from "../models/Session.js";
+import authService from "../services/authService.js";
+import { planQuotaLimiter } from "./rateLimiter.js";
+
+/**
+ * Opts a route in to API key access (place before protect)
+ * Routes without it only accept session tokens
+ * @param {...string} scopes - Scopes the key must grant
+ * @returns {Function} Express middleware
+ */
+export const allowApiKey = (...scopes) => {
+  return (req, res, next) => {
+    req.apiKeyScopes = scopes;
+    next();
+  };
+};
+
+/**
+ * Authenticates a request made with an X-API-Key header
+ * Sends the error response itself and resolves false when the key is rejected
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Promise<boolean>} True if req.user was set from the key
+ */
+const authenticateApiKey = async (req, res) => {
+  if (!req.apiKeyScopes) {
+    res
+      .status(403)
+      .json(
+        ApiResponse.error(
+          "API keys cannot be used for this endpoint",
+          null,
+          403
+        )
+      );
+    return false;
+  }
+
+  const result = await authService.authenticateApiKey(
+    req.headers["x-api-key"],
+    req.ip
+  );
+
+  if (!result) {
+    res
+      .status(401)
+      .json(ApiResponse.error("API key is invalid or expired", null, 401));
+    return false;
+  }
+
+  const missing = req.apiKeyScopes.filter(
+    (scope) => !result.apiKey.hasScope(scope)
+  );
+
+  if (missing.length > 0) {
+    res
+      .status(403)
+      .json(
+        ApiResponse.error(
+          `API key is missing required scope: ${missing.join(", ")}`,
+          null,
+          403
+        )
+      );
+    return false;
+  }
+
+  req.user = result.user;
+  req.apiKey = result.apiKey;
+  return true;
+};
+
+/**
+ * Gets the user of a verified access token
+ * @param {Object} decoded - Verified JWT payload
+ * @returns {Promise<Object|null>} User, or null for password reset and
+ * verification tokens, revoked sessions and deleted users
+ */
+const findTokenUser = async (decoded) => {
+  const sessionActive =
+    !decoded.type &&
+    (!decoded.sid || (await Session.isSessionActive(decoded.sid)));
+
+  return sessionActive
+    ? await User.findById(decoded.id).select("-password")
+    : null;
+};
 
 export const protect = async (req, res, next) => {
   try {
+    if (req.headers["x-api-key"]) {
+      if (await authenticateApiKey(req, res)) {
+        planQuotaLimiter(req, res, next);
+      }
+      return;
+    }
+
     let token;
 
     // Get token from header
@@ -25,6 +119,26 @@ export const protect = async (req, res, next) => {
       // Verify token
       const decoded = jwt.verify(token, config.jwtSecret);
 
+      // Password reset and verification tokens are not access tokens
+      if (decoded.type) {
+        return res
+          .status(401)
+          .json(ApiResponse.error("Token is not valid", null, 401));
+      }
+
+      // Tokens issued for a session stop working once it is revoked
+      if (decoded.sid && !(await Session.isSessionActive(decoded.sid))) {
+        return res
+          .status(401)
+          .json(
+            ApiResponse.error(
+              "Session has been revoked. Please login again",
+              null,
+              401
+            )
+          );
+      }
+
       // Get user from token
       const user = await User.findById(decoded.id).select("-password");
 
@@ -41,19 +155,49 @@ export const protect = async (req, res, next) => {
       }
 
       req.user = user;
-      next();
+      req.sessionId = decoded.sid || null;
     } catch (error) {
       return res
         .status(401)
         .json(ApiResponse.error("Token is not valid", null, 401));
     }
+
+    // Authenticated requests count against the plan's daily API budget
+    planQuotaLimiter(req, res, next);
   } catch (error) {
     next(error);
   }
 };
 
+/**
+ * Restricts a route to users who confirmed their email address
+ * (place after protect)
+ */
+export const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user?.emailVerified) {
+    return res
+      .status(403)
+      .json(
+        ApiResponse.error(
+          "Please verify your email address to use this feature",
+          null,
+          403
+        )
+      );
+  }
+
+  next();
+};
+
 export const optionalAuth = async (req, res, next) => {
   try {
+    if (req.headers["x-api-key"]) {
+      if (await authenticateApiKey(req, res)) {
+        planQuotaLimiter(req, res, next);
+      }
+      return;
+    }
+
     let token;
 
     if (
@@ -66,9 +210,10 @@ export const optionalAuth = async (req, res, next) => {
     if (token) {
       try {
         const decoded = jwt.verify(token, config.jwtSecret);
-        const user = await User.findById(decoded.id).select("-password");
+        const user = await findTokenUser(decoded);
         if (user) {
           req.user = user;
+          req.sessionId = decoded.sid || null;
         }
       } catch (error) {
         // Token invalid, but that's ok for optional auth
@@ -76,8 +221,39 @@ export const optionalAuth = async (req, res, next) => {
       }
     }
 
-    next();
+    // Anonymous requests are skipped by the quota
+    planQuotaLimiter(req, res, next);
   } catch (error) {
     next(error);
   }
 };
+
+/**
+ * Resolves the caller ahead of apiLimiter so the general limit is budgeted
+ * per user or API key rather than per IP
+ * Never rejects: routes still authenticate with protect or optionalAuth
+ */
+export const identifyClient = async (req, res, next) => {
+  try {
+    if (req.headers["x-api-key"]) {
+      const result = await authService.authenticateApiKey(
+        req.headers["x-api-key"],
+        req.ip
+      );
+      if (result) {
+        req.user = result.user;
+        req.apiKey = result.apiKey;
+      }
+    } else if (req.headers.authorization?.startsWith("Bearer")) {
+      const token = req.headers.authorization.split(" ")[1];
+      const user = await findTokenUser(jwt.verify(token, config.jwtSecret));
+      if (user) {
+        req.user = user;
+      }
+    }
+  } catch (error) {
+    // Unknown callers fall back to the per-IP budget
+  }
+
+  next();
+};
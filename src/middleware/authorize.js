@@ -0,0 +1,158 @@
+import mongoose from "mongoose";
+import { ApiResponse } from "../utils/responses.js";
+import { isAdmin, roleHasPermission } from "../utils/permissions.js";
+import workspaceService from "../services/workspaceService.js";
+import urlService from "../services/urlService.js";
+
+/**
+ * Authorization middleware for SnapURL
+ * Runs after protect() and decides whether req.user may perform the action:
+ * platform roles (user/admin) gate platform-wide endpoints, workspace roles
+ * (owner/editor/viewer) gate shared links and analytics
+ */
+
+const forbidden = (res, message = "Access denied") =>
+  res.status(403).json(ApiResponse.error(message, null, 403));
+
+/**
+ * Private helper to load a workspace membership onto the request
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} permission - Required permission
+ */
+const loadWorkspace = async (req, res, next, workspaceId, permission) => {
+  if (!mongoose.isValidObjectId(workspaceId)) {
+    return res
+      .status(404)
+      .json(ApiResponse.error("Workspace not found", null, 404));
+  }
+
+  const membership = await workspaceService.getMembership(
+    workspaceId,
+    req.user._id
+  );
+
+  if (!membership) {
+    return res
+      .status(404)
+      .json(ApiResponse.error("Workspace not found", null, 404));
+  }
+
+  if (!roleHasPermission(membership.role, permission)) {
+    return forbidden(
+      res,
+      `Access denied. Your ${membership.role} role does not allow this action.`
+    );
+  }
+
+  req.workspace = membership.workspace;
+  req.workspaceRole = membership.role;
+  next();
+};
+
+/**
+ * Restrict a route to users with one of the given platform roles
+ * @param {...string} roles - Allowed platform roles (e.g. "admin")
+ * @returns {Function} Express middleware
+ */
+export const authorize =
+  (...roles) =>
+  (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+      return forbidden(
+        res,
+        `Access denied. ${roles.join(" or ")} role required.`
+      );
+    }
+    next();
+  };
+
+/**
+ * Apply authorize() only when the predicate matches the request
+ * (e.g. platform-wide reports on an otherwise per-user endpoint)
+ * @param {Function} predicate - (req) => boolean
+ * @param {...string} roles - Allowed platform roles
+ * @returns {Function} Express middleware
+ */
+export const authorizeWhen = (predicate, ...roles) => {
+  const check = authorize(...roles);
+  return (req, res, next) => (predicate(req) ? check(req, res, next) : next());
+};
+
+/**
+ * Require a workspace permission for the workspace in req.params.id
+ * Sets req.workspace and req.workspaceRole
+ * @param {string} permission - Required permission (see utils/permissions.js)
+ * @returns {Function} Express middleware
+ */
+export const requireWorkspaceRole = (permission) => async (req, res, next) => {
+  try {
+    await loadWorkspace(req, res, next, req.params.id, permission);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Scope a listing endpoint to ?workspaceId= when present
+ * Without the parameter the request keeps its personal scope
+ * @param {string} permission - Required permission (see utils/permissions.js)
+ * @returns {Function} Express middleware
+ */
+export const resolveWorkspaceScope = (permission) => async (req, res, next) => {
+  try {
+    const { workspaceId } = req.query;
+
+    if (!workspaceId) {
+      return next();
+    }
+
+    await loadWorkspace(req, res, next, workspaceId, permission);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Require access to a URL, either as its personal owner or through a
+ * workspace role with the permission. Admins bypass the check.
+ * @param {string} permission - Required permission (see utils/permissions.js)
+ * @param {Function} [getUrlId] - (req) => URL ID; routes without one are skipped
+ * @returns {Function} Express middleware
+ */
+export const authorizeUrl =
+  (permission, getUrlId = (req) => req.params.id) =>
+  async (req, res, next) => {
+    try {
+      const urlId = getUrlId(req);
+
+      if (!urlId || isAdmin(req.user)) {
+        return next();
+      }
+
+      if (!mongoose.isValidObjectId(urlId)) {
+        return res
+          .status(404)
+          .json(ApiResponse.error("Resource not found", null, 404));
+      }
+
+      const allowed = await urlService.canAccessUrl(
+        urlId,
+        req.user._id,
+        permission
+      );
+
+      if (!allowed) {
+        return forbidden(
+          res,
+          "Access denied. You don't have access to this URL."
+        );
+      }
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
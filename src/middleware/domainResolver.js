@@ -0,0 +1,40 @@
+import { isIP } from "net";
+import Domain from "../models/Domain.js";
+import { config } from "../config/config.js";
+
+// Hostname of config.baseUrl - requests to it resolve default-domain links
+const defaultHostname = (() => {
+  try {
+    return new URL(config.baseUrl).hostname.toLowerCase();
+  } catch (error) {
+    return null;
+  }
+})();
+
+/**
+ * Resolves the custom domain a request was made to from its Host header
+ * Sets req.customDomain to the verified Domain document, or null when the
+ * request should resolve links on the default domain
+ */
+export const resolveDomain = async (req, res, next) => {
+  try {
+    req.customDomain = null;
+
+    const hostname = req.hostname?.toLowerCase();
+
+    // Unknown hosts (IPs, localhost, load balancer names) use the default domain
+    if (
+      !hostname ||
+      hostname === defaultHostname ||
+      !hostname.includes(".") ||
+      isIP(hostname)
+    ) {
+      return next();
+    }
+
+    req.customDomain = await Domain.findServingDomain(hostname);
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
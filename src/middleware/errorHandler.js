@@ -49,6 +49,21 @@ export const errorHandler = (err, req, res, next) => {
     error = { message, statusCode: 401 };
   }
 
+  // Plan limits (services/planService.js), possibly wrapped by the calling service
+  if (err.message?.includes("Plan limit reached")) {
+    error = { message: err.message, statusCode: 403 };
+  }
+
+  // Workspace role checks in services, possibly wrapped by the calling service
+  if (err.message?.includes("Workspace permission denied")) {
+    error = { message: err.message, statusCode: 403 };
+  }
+
+  // Duplicate short codes or aliases caught by services
+  if (err.message?.includes("URL conflict")) {
+    error = { message: err.message, statusCode: 409 };
+  }
+
   // Rate limit error
   if (err.type === "entity.too.large") {
     const message = "Request body too large";
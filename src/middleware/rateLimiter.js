@@ -1,12 +1,74 @@
-import rateLimit from "express-rate-limit";
+import rateLimit, { ipKeyGenerator } from "express-rate-limit";
 import { ApiResponse } from "../utils/responses.js";
+import { createRateLimitStore } from "../utils/rateLimitStores.js";
+import RateLimit from "../models/RateLimit.js";
+import planService from "../services/planService.js";
+import authService from "../services/authService.js";
+import { config } from "../config/config.js";
+
+// Every limiter needs its own store; the prefix keeps their counters apart
+// in the shared Mongo collection
+const createStore = (prefix) =>
+  createRateLimitStore(config.rateLimitStore, { model: RateLimit, prefix });
+
+/**
+ * Gets the rate limit key of a client: its API key or user once
+ * authenticated, so users behind one NAT don't share a budget
+ * @param {Object} req - Express request
+ * @returns {string} Client key
+ */
+export const getClientKey = (req) => {
+  if (req.apiKey) {
+    return `apikey:${req.apiKey._id}`;
+  }
+  if (req.user) {
+    return `user:${req.user._id}`;
+  }
+  return `ip:${ipKeyGenerator(req.ip || "127.0.0.1")}`;
+};
+
+// Budget for authenticated clients scaled by their plan; anonymous clients get the base
+const planBudget = (base) => async (req) =>
+  req.user
+    ? Math.round(
+        base * (await planService.getUserPlan(req.user)).rateLimitMultiplier
+      )
+    : base;
+
+// Sends the limiter's message and counts the window towards the user's
+// apiUsage.rateLimitResets the first time they run out of it
+const limitReachedHandler = (req, res, next, options) => {
+  if (req.user && req.rateLimit.used === req.rateLimit.limit + 1) {
+    authService.recordRateLimitReset(req.user._id).catch((error) => {
+      console.error("Rate limit recording failed:", error.message);
+    });
+  }
+
+  res.status(options.statusCode).send(options.message);
+};
+
+// General limit on everything under /api, per user or API key once
+// identifyClient has resolved the caller and per IP for anonymous traffic
+export const apiLimiter = rateLimit({
+  windowMs: config.rateLimitWindowMs,
+  max: planBudget(config.rateLimitMaxRequests),
+  message: {
+    success: false,
+    message: "Too many requests, please try again later",
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  store: createStore("api:"),
+  keyGenerator: getClientKey,
+  handler: limitReachedHandler,
+});
 
 // Specific rate limiters for different endpoints
 
 // Strict rate limiting for URL creation
 export const createUrlLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 20, // limit each IP to 20 URL creations per windowMs
+  max: planBudget(20), // 20 URL creations per windowMs, times the plan multiplier
   message: ApiResponse.error(
     "Too many URLs created, please try again after 15 minutes",
     null,
@@ -14,7 +76,9 @@ export const createUrlLimiter = rateLimit({
   ),
   standardHeaders: true,
   legacyHeaders: false,
-  // Remove custom keyGenerator to fix IPv6 issue
+  store: createStore("create:"),
+  keyGenerator: getClientKey,
+  handler: limitReachedHandler,
 });
 
 // Auth rate limiting
@@ -29,6 +93,7 @@ export const authLimiter = rateLimit({
   standardHeaders: true,
   legacyHeaders: false,
   skipSuccessfulRequests: true, // Don't count successful requests
+  store: createStore("auth:"),
 });
 
 // Redirect rate limiting (very permissive)
@@ -42,13 +107,13 @@ export const redirectLimiter = rateLimit({
   ),
   standardHeaders: true,
   legacyHeaders: false,
-  // Remove skip function to fix the issue
+  store: createStore("redirect:"),
 });
 
 // Analytics rate limiting
 export const analyticsLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 500, // 50 analytics requests per windowMs
+  max: planBudget(500), // 500 analytics requests per windowMs, times the plan multiplier
   message: ApiResponse.error(
     "Too many analytics requests, please try again after 15 minutes",
     null,
@@ -56,5 +121,70 @@ export const analyticsLimiter = rateLimit({
   ),
   standardHeaders: true,
   legacyHeaders: false,
-  // Remove custom keyGenerator to fix IPv6 issue
+  store: createStore("analytics:"),
+  keyGenerator: getClientKey,
+  handler: limitReachedHandler,
 });
+
+// Password unlock limiting - only failed attempts count, per link and IP
+export const unlockLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 5, // 5 wrong passwords per link per IP per windowMs
+  message: ApiResponse.error(
+    "Too many failed unlock attempts for this link, please try again after 15 minutes",
+    null,
+    429
+  ),
+  standardHeaders: true,
+  legacyHeaders: false,
+  skipSuccessfulRequests: true,
+  store: createStore("unlock:"),
+  keyGenerator: (req) =>
+    `${req.params.shortCode}:${ipKeyGenerator(req.ip || "127.0.0.1")}`,
+});
+
+// Daily API budget of the user's plan, counted per user once they are
+// authenticated (run by protect and optionalAuth rather than mounted on routes)
+const planQuotaStore = createStore("quota:");
+
+const getPlanRequestLimit = async (req) =>
+  (await planService.getUserPlan(req.user)).limits.apiRequestsPerDay;
+
+const dailyQuotaLimiter = rateLimit({
+  windowMs: 24 * 60 * 60 * 1000, // 24 hours
+  limit: getPlanRequestLimit,
+  message: ApiResponse.error(
+    "Daily API request limit of your plan reached, please try again tomorrow or upgrade your plan",
+    null,
+    429
+  ),
+  standardHeaders: false, // Leave the route limiters' RateLimit headers alone
+  legacyHeaders: false,
+  store: planQuotaStore,
+  skip: async (req) => !req.user || (await getPlanRequestLimit(req)) === null,
+  keyGenerator: (req) => `user:${req.user._id}`,
+  handler: limitReachedHandler,
+});
+
+// Also counts accepted requests towards the user's apiUsage.requestCount
+export const planQuotaLimiter = (req, res, next) =>
+  dailyQuotaLimiter(req, res, (error) => {
+    if (!error && req.user) {
+      authService.recordApiRequest(req.user._id).catch((recordError) => {
+        console.error("API request recording failed:", recordError.message);
+      });
+    }
+
+    next(error);
+  });
+
+/**
+ * Gets how many API requests a user made in the current quota window
+ * @param {string} userId - User ID
+ * @returns {Promise<number>} Requests counted by planQuotaLimiter
+ */
+export const getPlanQuotaUsage = async (userId) => {
+  const client = await planQuotaStore.get(`user:${userId}`);
+
+  return client && client.resetTime > new Date() ? client.totalHits : 0;
+};
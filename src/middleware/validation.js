@@ -1,6 +1,18 @@
 import Joi from "joi";
 import { ApiResponse } from "../utils/responses.js";
 import { config } from "../config/config.js";
+import { API_KEY_SCOPES, WORKSPACE_ROLES } from "../utils/permissions.js";
+import { WEBHOOK_EVENTS } from "../models/Webhook.js";
+import {
+  MAX_INTERSTITIAL_COUNTDOWN,
+  REDIRECT_MODES,
+} from "../utils/interstitialPage.js";
+import {
+  FORWARD_QUERY_MODES,
+  REDIRECT_TYPES,
+} from "../utils/redirectOptions.js";
+import { getTemplateError } from "../utils/destinationTemplate.js";
+import { PLAN_LIMITS } from "../utils/plans.js";
 
 // Validation middleware factory
 export const validate = (schema) => {
@@ -22,7 +34,134 @@ export const validate = (schema) => {
   };
 };
 
+// ISO 3166-1 alpha-2 country code (case-insensitive, stored uppercase)
+const countryCode = Joi.string()
+  .pattern(/^[A-Za-z]{2}$/)
+  .messages({
+    "string.pattern.base": "Country codes must be ISO 2-letter codes",
+  });
+
+const geoRestrictionsSchema = Joi.object({
+  allowedCountries: Joi.array().items(countryCode).max(250).optional(),
+  blockedCountries: Joi.array().items(countryCode).max(250).optional(),
+  fallbackUrl: Joi.string()
+    .uri({ scheme: ["http", "https"] })
+    .max(config.maxUrlLength)
+    .allow(null)
+    .optional()
+    .messages({
+      "string.uri": "Fallback URL must be a valid URL (http:// or https://)",
+    }),
+  countryRedirects: Joi.array()
+    .items(
+      Joi.object({
+        country: countryCode.required(),
+        url: Joi.string()
+          .uri({ scheme: ["http", "https"] })
+          .max(config.maxUrlLength)
+          .required()
+          .messages({
+            "string.uri":
+              "Country redirect URL must be a valid URL (http:// or https://)",
+          }),
+      })
+    )
+    .max(50)
+    .optional(),
+});
+
+// Device-aware routing rules, evaluated in order
+const routingRulesSchema = Joi.array()
+  .items(
+    Joi.object({
+      name: Joi.string().trim().max(50).allow(null).optional().messages({
+        "string.max": "Rule name cannot exceed 50 characters",
+      }),
+      match: Joi.object({
+        os: Joi.string().trim().max(50),
+        deviceType: Joi.string().valid("desktop", "mobile", "tablet"),
+        browser: Joi.string().trim().max(50),
+      })
+        .min(1)
+        .required()
+        .messages({
+          "object.min": "Each routing rule needs at least one match condition",
+        }),
+      destination: Joi.string()
+        .uri({ scheme: ["http", "https"] })
+        .max(config.maxUrlLength)
+        .required()
+        .messages({
+          "string.uri":
+            "Rule destination must be a valid URL (http:// or https://)",
+          "any.required": "Rule destination is required",
+        }),
+    })
+  )
+  .max(20)
+  .messages({
+    "array.max": "A URL can have at most 20 routing rules",
+  });
+
+const redirectModeSchema = Joi.string()
+  .valid(...REDIRECT_MODES)
+  .messages({
+    "any.only": "Redirect mode must be direct, interstitial or preview",
+  });
+
+// Seconds before the interstitial page continues on its own (0 waits)
+const interstitialCountdownSchema = Joi.number()
+  .integer()
+  .min(0)
+  .max(MAX_INTERSTITIAL_COUNTDOWN)
+  .messages({
+    "number.max": `Interstitial countdown cannot exceed ${MAX_INTERSTITIAL_COUNTDOWN} seconds`,
+  });
+
+// Status codes may be sent as numbers or strings
+const redirectTypeSchema = Joi.any()
+  .valid(301, 302, 307, 308, ...REDIRECT_TYPES)
+  .messages({
+    "any.only": "Redirect type must be 301, 302, 307, 308 or meta-refresh",
+  });
+
+const forwardQuerySchema = Joi.object({
+  mode: Joi.string()
+    .valid(...FORWARD_QUERY_MODES)
+    .required()
+    .messages({
+      "any.only": "Query forwarding must be none, all or allowlist",
+      "any.required": "Query forwarding mode is required",
+    }),
+  keys: Joi.array()
+    .items(Joi.string().trim().max(100))
+    .max(50)
+    .when("mode", {
+      is: "allowlist",
+      then: Joi.array().min(1).required(),
+    })
+    .messages({
+      "array.min": "List at least one query parameter to forward",
+      "any.required": "List at least one query parameter to forward",
+      "array.max": "At most 50 query parameters can be forwarded",
+    }),
+});
+
+const destinationTemplateSchema = Joi.string()
+  .max(config.maxUrlLength)
+  .custom((template, helpers) => {
+    const error = getTemplateError(template);
+    return error ? helpers.message(error) : template;
+  });
+
 // Validation schemas
+// Plan limit: a non-negative integer, or null for unlimited
+const planLimitSchema = Joi.number().integer().min(0).allow(null).messages({
+  "number.base": "Plan limits must be numbers or null for unlimited",
+  "number.integer": "Plan limits must be whole numbers",
+  "number.min": "Plan limits cannot be negative",
+});
+
 export const schemas = {
   // Auth schemas
   register: Joi.object({
@@ -52,6 +191,18 @@ export const schemas = {
   }),
 
   // URL schemas
+  refreshToken: Joi.object({
+    refreshToken: Joi.string().max(200).required().messages({
+      "any.required": "Refresh token is required",
+    }),
+  }),
+
+  verifyEmail: Joi.object({
+    token: Joi.string().max(1000).required().messages({
+      "any.required": "Verification token is required",
+    }),
+  }),
+
   createUrl: Joi.object({
     originalUrl: Joi.string()
       .uri({ scheme: ["http", "https"] })
@@ -84,6 +235,33 @@ export const schemas = {
       "number.positive": "Expiration must be a positive number of days",
       "number.max": "Expiration cannot exceed 365 days",
     }),
+    geoRestrictions: geoRestrictionsSchema.optional(),
+    password: Joi.string().min(4).max(128).optional().messages({
+      "string.min": "Link password must be at least 4 characters long",
+      "string.max": "Link password cannot exceed 128 characters",
+    }),
+    routingRules: routingRulesSchema.optional(),
+    fallbackUrl: Joi.string()
+      .uri({ scheme: ["http", "https"] })
+      .max(config.maxUrlLength)
+      .optional()
+      .messages({
+        "string.uri": "Fallback URL must be a valid URL (http:// or https://)",
+      }),
+    redirectMode: redirectModeSchema.optional(),
+    interstitialCountdown: interstitialCountdownSchema.optional(),
+    redirectType: redirectTypeSchema.optional(),
+    forwardQuery: forwardQuerySchema.optional(),
+    wildcard: Joi.boolean().optional(),
+    destinationTemplate: destinationTemplateSchema.optional(),
+    domainId: Joi.string().hex().length(24).optional().messages({
+      "string.hex": "Invalid domain ID",
+      "string.length": "Invalid domain ID",
+    }),
+    workspaceId: Joi.string().hex().length(24).optional().messages({
+      "string.hex": "Invalid workspace ID",
+      "string.length": "Invalid workspace ID",
+    }),
   }),
 
   updateUrl: Joi.object({
@@ -100,7 +278,305 @@ export const schemas = {
     }),
     generateQR: Joi.boolean().optional(),
     fetchMetadata: Joi.boolean().optional(),
+    geoRestrictions: geoRestrictionsSchema.optional(),
+    // null or an empty string removes the password
+    password: Joi.string().min(4).max(128).allow(null, "").optional().messages({
+      "string.min": "Link password must be at least 4 characters long",
+      "string.max": "Link password cannot exceed 128 characters",
+    }),
+    routingRules: routingRulesSchema.optional(),
+    // null or an empty string removes the fallback
+    fallbackUrl: Joi.string()
+      .uri({ scheme: ["http", "https"] })
+      .max(config.maxUrlLength)
+      .allow(null, "")
+      .optional()
+      .messages({
+        "string.uri": "Fallback URL must be a valid URL (http:// or https://)",
+      }),
+    redirectMode: redirectModeSchema.optional(),
+    interstitialCountdown: interstitialCountdownSchema.optional(),
+    redirectType: redirectTypeSchema.optional(),
+    forwardQuery: forwardQuerySchema.optional(),
+    wildcard: Joi.boolean().optional(),
+    // null or an empty string goes back to originalUrl
+    destinationTemplate: destinationTemplateSchema.allow(null, "").optional(),
+    // null moves the link back to the default domain
+    domainId: Joi.string().hex().length(24).allow(null).optional().messages({
+      "string.hex": "Invalid domain ID",
+      "string.length": "Invalid domain ID",
+    }),
+    // null takes the link out of its workspace (workspace owners only)
+    workspaceId: Joi.string().hex().length(24).allow(null).optional().messages({
+      "string.hex": "Invalid workspace ID",
+      "string.length": "Invalid workspace ID",
+    }),
+  }),
+
+  // Custom domain schemas
+  createDomain: Joi.object({
+    hostname: Joi.string()
+      .trim()
+      .lowercase()
+      .hostname()
+      .pattern(/\./)
+      .max(253)
+      .required()
+      .messages({
+        "string.hostname":
+          "Please provide a valid hostname (e.g. go.example.com)",
+        "string.pattern.base":
+          "Please provide a fully qualified hostname (e.g. go.example.com)",
+        "any.required": "Hostname is required",
+      }),
+  }),
+
+  // Workspace schemas
+  createWorkspace: Joi.object({
+    name: Joi.string().trim().min(1).max(100).required().messages({
+      "string.max": "Workspace name cannot exceed 100 characters",
+      "any.required": "Workspace name is required",
+    }),
+    description: Joi.string().max(500).allow("").optional().messages({
+      "string.max": "Description cannot exceed 500 characters",
+    }),
+  }),
+
+  updateWorkspace: Joi.object({
+    name: Joi.string().trim().min(1).max(100).optional().messages({
+      "string.max": "Workspace name cannot exceed 100 characters",
+    }),
+    description: Joi.string().max(500).allow("", null).optional().messages({
+      "string.max": "Description cannot exceed 500 characters",
+    }),
+  })
+    .min(1)
+    .messages({
+      "object.min": "At least one of name or description is required",
+    }),
+
+  createInvitation: Joi.object({
+    email: Joi.string().email().required().messages({
+      "string.email": "Please provide a valid email address",
+      "any.required": "Email is required",
+    }),
+    // Ownership is granted by promoting an existing member
+    role: Joi.string().valid("editor", "viewer").optional().messages({
+      "any.only": "Invitation role must be editor or viewer",
+    }),
+  }),
+
+  acceptInvitation: Joi.object({
+    token: Joi.string().hex().length(64).required().messages({
+      "string.hex": "Invalid invitation token",
+      "string.length": "Invalid invitation token",
+      "any.required": "Invitation token is required",
+    }),
+  }),
+
+  updateMemberRole: Joi.object({
+    role: Joi.string()
+      .valid(...WORKSPACE_ROLES)
+      .required()
+      .messages({
+        "any.only": "Role must be owner, editor or viewer",
+        "any.required": "Role is required",
+      }),
+  }),
+
+  // API key schemas
+  createApiKey: Joi.object({
+    name: Joi.string().trim().min(1).max(50).optional().messages({
+      "string.max": "API key name cannot exceed 50 characters",
+    }),
+    // Accepted for the deprecated POST /api/auth/api-key
+    keyName: Joi.string().trim().min(1).max(50).optional().messages({
+      "string.max": "API key name cannot exceed 50 characters",
+    }),
+    scopes: Joi.array()
+      .items(Joi.string().valid(...Object.values(API_KEY_SCOPES)))
+      .min(1)
+      .unique()
+      .optional()
+      .messages({
+        "any.only": `Scopes must be one of: ${Object.values(API_KEY_SCOPES).join(", ")}`,
+        "array.min": "At least one scope is required",
+        "array.unique": "Scopes cannot contain duplicates",
+      }),
+    expiresIn: Joi.number()
+      .integer()
+      .min(1)
+      .max(365)
+      .allow(null)
+      .optional()
+      .messages({
+        "number.min": "Expiration must be at least 1 day",
+        "number.max": "Expiration cannot exceed 365 days",
+      }),
+  }),
+
+  // One row of a CSV/NDJSON link import (validated by the import job)
+  importRow: Joi.object({
+    originalUrl: Joi.string()
+      .uri({ scheme: ["http", "https"] })
+      .max(config.maxUrlLength)
+      .required()
+      .messages({
+        "string.uri": "Please provide a valid URL (http:// or https://)",
+        "string.max": `URL cannot exceed ${config.maxUrlLength} characters`,
+        "any.required": "Original URL is required",
+      }),
+    customAlias: Joi.string()
+      .pattern(/^[A-Za-z0-9_-]{3,30}$/)
+      .optional()
+      .messages({
+        "string.pattern.base":
+          "Alias must be 3-30 letters, numbers, hyphens or underscores",
+      }),
+    title: Joi.string().max(100).optional().messages({
+      "string.max": "Title cannot exceed 100 characters",
+    }),
+    tags: Joi.array().items(Joi.string().max(30)).max(20).optional().messages({
+      "string.max": "Tag cannot exceed 30 characters",
+      "array.max": "A link can have at most 20 tags",
+    }),
+    expiresAt: Joi.date().greater("now").optional().messages({
+      "date.base": "Expiry must be an ISO 8601 date",
+      "date.greater": "Expiry must be in the future",
+    }),
+    password: Joi.string().min(4).max(128).optional().messages({
+      "string.min": "Link password must be at least 4 characters long",
+      "string.max": "Link password cannot exceed 128 characters",
+    }),
+  }),
+
+  // Webhook schemas
+  createWebhook: Joi.object({
+    url: Joi.string()
+      .uri({ scheme: ["http", "https"] })
+      .max(2048)
+      .required()
+      .messages({
+        "string.uri": "Please provide a valid http or https URL",
+        "any.required": "Webhook URL is required",
+      }),
+    events: Joi.array()
+      .items(Joi.string().valid(...WEBHOOK_EVENTS))
+      .min(1)
+      .unique()
+      .required()
+      .messages({
+        "any.only": `Events must be one of: ${WEBHOOK_EVENTS.join(", ")}`,
+        "array.min": "Subscribe to at least one event",
+        "any.required": "Events are required",
+      }),
+    milestoneEvery: Joi.number().integer().min(1).optional().messages({
+      "number.min": "Milestone interval must be at least 1",
+    }),
+    description: Joi.string().max(200).allow("").optional().messages({
+      "string.max": "Description cannot exceed 200 characters",
+    }),
+  }),
+
+  updateWebhook: Joi.object({
+    url: Joi.string()
+      .uri({ scheme: ["http", "https"] })
+      .max(2048)
+      .optional()
+      .messages({
+        "string.uri": "Please provide a valid http or https URL",
+      }),
+    events: Joi.array()
+      .items(Joi.string().valid(...WEBHOOK_EVENTS))
+      .min(1)
+      .unique()
+      .optional()
+      .messages({
+        "any.only": `Events must be one of: ${WEBHOOK_EVENTS.join(", ")}`,
+        "array.min": "Subscribe to at least one event",
+      }),
+    milestoneEvery: Joi.number().integer().min(1).optional().messages({
+      "number.min": "Milestone interval must be at least 1",
+    }),
+    description: Joi.string().max(200).allow("").optional().messages({
+      "string.max": "Description cannot exceed 200 characters",
+    }),
+    isActive: Joi.boolean().optional(),
+  })
+    .min(1)
+    .messages({
+      "object.min": "Provide at least one field to update",
+    }),
+
+  // A/B variant schemas
+  savePlan: Joi.object({
+    displayName: Joi.string().trim().max(50).optional().messages({
+      "string.max": "Display name cannot exceed 50 characters",
+    }),
+    description: Joi.string().trim().max(200).allow("").optional().messages({
+      "string.max": "Description cannot exceed 200 characters",
+    }),
+    limits: Joi.object(
+      Object.fromEntries(PLAN_LIMITS.map((key) => [key, planLimitSchema]))
+    )
+      .optional()
+      .messages({
+        "object.unknown": `Limits must be among: ${PLAN_LIMITS.join(", ")}`,
+      }),
+    rateLimitMultiplier: Joi.number().min(1).max(1000).optional().messages({
+      "number.min": "Rate limit multiplier must be at least 1",
+      "number.max": "Rate limit multiplier cannot exceed 1000",
+    }),
+    isActive: Joi.boolean().optional(),
+  }),
+
+  assignPlan: Joi.object({
+    plan: Joi.string().trim().lowercase().required().messages({
+      "any.required": "Plan is required",
+    }),
+  }),
+
+  createVariant: Joi.object({
+    name: Joi.string().trim().min(1).max(50).required().messages({
+      "string.max": "Variant name cannot exceed 50 characters",
+      "any.required": "Variant name is required",
+    }),
+    url: Joi.string()
+      .uri({ scheme: ["http", "https"] })
+      .max(config.maxUrlLength)
+      .required()
+      .messages({
+        "string.uri": "Please provide a valid URL (http:// or https://)",
+        "string.max": `URL cannot exceed ${config.maxUrlLength} characters`,
+        "any.required": "Variant URL is required",
+      }),
+    weight: Joi.number().min(0).max(100).optional().messages({
+      "number.min": "Weight cannot be negative",
+      "number.max": "Weight cannot exceed 100",
+    }),
   }),
+
+  updateVariant: Joi.object({
+    name: Joi.string().trim().min(1).max(50).optional().messages({
+      "string.max": "Variant name cannot exceed 50 characters",
+    }),
+    url: Joi.string()
+      .uri({ scheme: ["http", "https"] })
+      .max(config.maxUrlLength)
+      .optional()
+      .messages({
+        "string.uri": "Please provide a valid URL (http:// or https://)",
+        "string.max": `URL cannot exceed ${config.maxUrlLength} characters`,
+      }),
+    weight: Joi.number().min(0).max(100).optional().messages({
+      "number.min": "Weight cannot be negative",
+      "number.max": "Weight cannot exceed 100",
+    }),
+  })
+    .min(1)
+    .messages({
+      "object.min": "At least one of name, url or weight is required",
+    }),
 };
 
 // URL validation helper
@@ -0,0 +1,218 @@
+import mongoose from "mongoose";
+import { PRIVACY_MODES } from "../utils/privacy.js";
+
+/**
+ * AccessEvent Schema for SnapURL service
+ * Records redirect attempts that were denied or diverted by link access rules
+ * (kept separate from clicks so denied traffic doesn't inflate click statistics)
+ *
+ * @swagger
+ * components:
+ *   schemas:
+ *     AccessEvent:
+ *       type: object
+ *       required:
+ *         - urlId
+ *         - type
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Unique event identifier
+ *         urlId:
+ *           type: string
+ *           description: Reference to the shortened URL
+ *         type:
+ *           type: string
+ *           enum: [geo_blocked, unsafe_destination]
+ *           description: Access rule that triggered the event
+ *         outcome:
+ *           type: string
+ *           enum: [blocked, fallback, warned]
+ *           description: Whether the visitor was refused, sent to a fallback URL or shown a safety warning
+ *         country:
+ *           type: string
+ *           description: Visitor country code (ISO 2-letter)
+ *         source:
+ *           type: string
+ *           enum: [redirect, tracked, qr, unlock, preview]
+ *           description: Redirect endpoint that was hit
+ *         privacy:
+ *           type: object
+ *           description: Privacy mode the visitor's IP was stored under (same as clicks)
+ *           properties:
+ *             mode:
+ *               type: string
+ *               enum: ["off", truncate, hash]
+ *             anonymous:
+ *               type: boolean
+ *             anonymisedAt:
+ *               type: string
+ *               format: date-time
+ *         occurredAt:
+ *           type: string
+ *           format: date-time
+ *       example:
+ *         urlId: "64a1b2c3d4e5f6789abcdef1"
+ *         type: "geo_blocked"
+ *         outcome: "fallback"
+ *         country: "RU"
+ *         source: "redirect"
+ */
+
+const accessEventSchema = new mongoose.Schema(
+  {
+    urlId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "URL",
+      required: [true, "URL ID is required"],
+      index: true,
+    },
+
+    type: {
+      type: String,
+      required: [true, "Event type is required"],
+      enum: {
+        values: ["geo_blocked", "unsafe_destination"],
+        message: "Invalid access event type",
+      },
+    },
+
+    outcome: {
+      type: String,
+      enum: ["blocked", "fallback", "warned"],
+      default: "blocked",
+    },
+
+    source: {
+      type: String,
+      enum: ["redirect", "tracked", "qr", "unlock", "preview"],
+      default: "redirect",
+    },
+
+    // Visitor information
+    country: {
+      type: String,
+      maxLength: 2,
+      uppercase: true,
+      default: null,
+    },
+
+    // Truncated in truncate privacy mode, null in hash mode and for DNT/GPC visitors
+    ipAddress: {
+      type: String,
+      maxLength: 45,
+    },
+
+    privacy: {
+      mode: {
+        type: String,
+        enum: PRIVACY_MODES,
+        default: "off",
+      },
+
+      anonymous: {
+        type: Boolean,
+        default: false,
+      },
+
+      anonymisedAt: {
+        type: Date,
+        default: null,
+      },
+    },
+
+    userAgent: {
+      type: String,
+      maxLength: [1000, "User agent string too long"],
+    },
+
+    referrer: {
+      type: String,
+      maxLength: [500, "Referrer URL too long"],
+      default: null,
+    },
+
+    // Where the visitor was sent instead (fallback) or was headed (unsafe_destination)
+    destination: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: {
+      createdAt: "occurredAt",
+      updatedAt: false, // Events are immutable
+    },
+    toJSON: {
+      transform: function (doc, ret) {
+        delete ret.__v;
+        return ret;
+      },
+    },
+  }
+);
+
+/**
+ * Static method to summarize access events for a URL
+ * @param {string} urlId - URL ObjectId
+ * @param {Object} options - Query options
+ * @returns {Promise<Object>} Totals by type, outcome and country
+ */
+accessEventSchema.statics.getUrlSummary = async function (urlId, options = {}) {
+  try {
+    const {
+      startDate = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000),
+      endDate = new Date(),
+    } = options;
+
+    const [summary] = await this.aggregate([
+      {
+        $match: {
+          urlId: new mongoose.Types.ObjectId(urlId),
+          occurredAt: { $gte: startDate, $lte: endDate },
+        },
+      },
+      {
+        $facet: {
+          total: [{ $count: "count" }],
+          byType: [
+            { $group: { _id: "$type", count: { $sum: 1 } } },
+            { $sort: { count: -1 } },
+          ],
+          byOutcome: [
+            { $group: { _id: "$outcome", count: { $sum: 1 } } },
+            { $sort: { count: -1 } },
+          ],
+          byCountry: [
+            { $group: { _id: "$country", count: { $sum: 1 } } },
+            { $sort: { count: -1 } },
+            { $limit: 10 },
+          ],
+        },
+      },
+    ]);
+
+    return {
+      total: summary?.total[0]?.count || 0,
+      byType: summary?.byType || [],
+      byOutcome: summary?.byOutcome || [],
+      byCountry: summary?.byCountry || [],
+    };
+  } catch (error) {
+    throw new Error(`Access event summary failed: ${error.message}`);
+  }
+};
+
+// Indexes for performance optimization
+accessEventSchema.index({ urlId: 1, occurredAt: -1 });
+accessEventSchema.index({ type: 1 });
+
+// TTL index - denied attempts are only kept for 90 days
+accessEventSchema.index(
+  { occurredAt: 1 },
+  { expireAfterSeconds: 90 * 24 * 60 * 60 }
+);
+
+const AccessEvent = mongoose.model("AccessEvent", accessEventSchema);
+
+export default AccessEvent;
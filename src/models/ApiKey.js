@@ -0,0 +1,205 @@
+import mongoose from "mongoose";
+import crypto from "crypto";
+import { API_KEY_SCOPES } from "../utils/permissions.js";
+
+/**
+ * ApiKey Schema for SnapURL service
+ * Long-lived keys for integrations. Only a hash of the key is stored;
+ * the visible prefix lets users tell their keys apart.
+ *
+ * @swagger
+ * components:
+ *   schemas:
+ *     ApiKey:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Unique key identifier
+ *         name:
+ *           type: string
+ *           description: Label for the key
+ *         prefix:
+ *           type: string
+ *           description: First characters of the key, safe to display
+ *         scopes:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [urls:read, urls:write, analytics:read]
+ *         lastUsedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         lastUsedIp:
+ *           type: string
+ *           nullable: true
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         revokedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         isActive:
+ *           type: boolean
+ *           description: False once revoked or expired
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *       example:
+ *         _id: "64a1b2c3d4e5f6789abcdef4"
+ *         name: "Zapier"
+ *         prefix: "snap_3fK9xQ2a"
+ *         scopes: ["urls:read", "urls:write"]
+ *         isActive: true
+ */
+
+// Keys look like snap_<43 url-safe characters>
+export const API_KEY_PREFIX = "snap_";
+const VISIBLE_PREFIX_LENGTH = API_KEY_PREFIX.length + 8;
+
+/**
+ * Generates a new raw API key
+ * @returns {string} Raw API key (shown to the user once)
+ */
+export const generateRawApiKey = () =>
+  `${API_KEY_PREFIX}${crypto.randomBytes(32).toString("base64url")}`;
+
+/**
+ * Hashes a raw API key for storage and lookup
+ * Keys are random and high-entropy, so a fast hash is sufficient
+ * @param {string} rawKey - Raw API key
+ * @returns {string} SHA-256 hex digest
+ */
+export const hashApiKey = (rawKey) =>
+  crypto.createHash("sha256").update(String(rawKey)).digest("hex");
+
+/**
+ * Returns the part of a raw API key that is safe to store and display
+ * @param {string} rawKey - Raw API key
+ * @returns {string} Visible prefix (e.g. snap_3fK9xQ2a)
+ */
+export const getVisiblePrefix = (rawKey) =>
+  String(rawKey).slice(0, VISIBLE_PREFIX_LENGTH);
+
+const apiKeySchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "API key owner is required"],
+    },
+
+    name: {
+      type: String,
+      required: [true, "API key name is required"],
+      trim: true,
+      maxLength: [50, "API key name cannot exceed 50 characters"],
+    },
+
+    prefix: {
+      type: String,
+      required: true,
+    },
+
+    keyHash: {
+      type: String,
+      required: true,
+      select: false,
+    },
+
+    scopes: {
+      type: [
+        {
+          type: String,
+          enum: {
+            values: Object.values(API_KEY_SCOPES),
+            message: "Invalid API key scope",
+          },
+        },
+      ],
+      validate: {
+        validator: (scopes) => scopes.length > 0,
+        message: "API keys need at least one scope",
+      },
+    },
+
+    lastUsedAt: {
+      type: Date,
+      default: null,
+    },
+
+    lastUsedIp: {
+      type: String,
+      maxLength: 45,
+      default: null,
+    },
+
+    expiresAt: {
+      type: Date,
+      default: null, // null = never expires
+    },
+
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      virtuals: true,
+      transform: function (doc, ret) {
+        delete ret.__v;
+        delete ret.keyHash;
+        return ret;
+      },
+    },
+    toObject: { virtuals: true },
+  }
+);
+
+/**
+ * Virtual to check if the key can still be used
+ */
+apiKeySchema.virtual("isActive").get(function () {
+  if (this.revokedAt) return false;
+  return !this.expiresAt || this.expiresAt > new Date();
+});
+
+/**
+ * Instance method to check whether the key grants a scope
+ * @param {string} scope - Scope to check
+ * @returns {boolean} True if granted
+ */
+apiKeySchema.methods.hasScope = function (scope) {
+  return this.scopes.includes(scope);
+};
+
+/**
+ * Static method to find a usable key by its raw value
+ * @param {string} rawKey - Raw API key from the request
+ * @returns {Promise<ApiKey|null>} Active key document or null
+ */
+apiKeySchema.statics.findActiveByKey = async function (rawKey) {
+  if (!rawKey || !String(rawKey).startsWith(API_KEY_PREFIX)) {
+    return null;
+  }
+
+  const apiKey = await this.findOne({
+    keyHash: hashApiKey(rawKey),
+    revokedAt: null,
+  });
+
+  return apiKey?.isActive ? apiKey : null;
+};
+
+// Indexes for performance optimization
+apiKeySchema.index({ keyHash: 1 }, { unique: true });
+apiKeySchema.index({ userId: 1, createdAt: -1 });
+
+const ApiKey = mongoose.model("ApiKey", apiKeySchema);
+
+export default ApiKey;
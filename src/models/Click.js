@@ -1,6 +1,9 @@
 import mongoose from "mongoose";
-import geoip from "geoip-lite";
+import { isIP } from "net";
 import { config } from "../config/config.js";
+import { PRIVACY_MODES } from "../utils/privacy.js";
+import { lookupLocation } from "../utils/geoLocation.js";
+import { parseUserAgent } from "../utils/deviceDetector.js";
 
 /**
  * Click Schema for SnapURL service
@@ -13,7 +16,6 @@ import { config } from "../config/config.js";
  *       type: object
  *       required:
  *         - urlId
- *         - ipAddress
  *       properties:
  *         _id:
  *           type: string
@@ -26,7 +28,25 @@ import { config } from "../config/config.js";
  *           description: User who clicked (if authenticated)
  *         ipAddress:
  *           type: string
- *           description: IP address of the visitor
+ *           nullable: true
+ *           description: IP address of the visitor (truncated in truncate privacy mode, null in hash mode and for anonymous clicks)
+ *         visitorKey:
+ *           type: string
+ *           nullable: true
+ *           description: Daily-rotated hash of the visitor's IP, used for unique visitors when a privacy mode is on
+ *         privacy:
+ *           type: object
+ *           properties:
+ *             mode:
+ *               type: string
+ *               enum: ["off", truncate, hash]
+ *             anonymous:
+ *               type: boolean
+ *               description: The visitor sent DNT or Sec-GPC, so only aggregate data was kept
+ *             anonymisedAt:
+ *               type: string
+ *               format: date-time
+ *               description: When the click was anonymised by the migration
  *         userAgent:
  *           type: string
  *           description: Browser user agent string
@@ -79,6 +99,25 @@ import { config } from "../config/config.js";
  *         isUnique:
  *           type: boolean
  *           description: First time this IP clicked this URL
+ *         variant:
+ *           type: object
+ *           description: A/B variant the visitor was routed to
+ *           properties:
+ *             variantId:
+ *               type: string
+ *             name:
+ *               type: string
+ *         routingRule:
+ *           type: object
+ *           description: Device routing rule that chose the destination
+ *           properties:
+ *             ruleId:
+ *               type: string
+ *             name:
+ *               type: string
+ *         viaInterstitial:
+ *           type: boolean
+ *           description: The visitor continued from the link's interstitial or preview page
  *         clickedAt:
  *           type: string
  *           format: date-time
@@ -98,6 +137,10 @@ import { config } from "../config/config.js";
  *         isUnique: true
  */
 
+// Identifies a visitor in unique visitor aggregations: the visitor key when
+// a privacy mode stored one, otherwise the IP
+export const VISITOR_ID = { $ifNull: ["$visitorKey", "$ipAddress"] };
+
 const clickSchema = new mongoose.Schema(
   {
     // Core references
@@ -116,17 +159,29 @@ const clickSchema = new mongoose.Schema(
     },
 
     // Request information
+    // Raw, truncated or (hash mode and anonymous clicks) absent
     ipAddress: {
       type: String,
-      required: [true, "IP address is required"],
+      required: [
+        function () {
+          return !this.privacy?.mode || this.privacy.mode === "off";
+        },
+        "IP address is required",
+      ],
+      default: null,
       validate: {
         validator: function (ip) {
+          if (ip === null) {
+            return true;
+          }
+
           // Basic IP validation (IPv4 and IPv6)
           const ipv4Regex = /^(\d{1,3}\.){3}\d{1,3}$/;
           const ipv6Regex = /^([0-9a-fA-F]{1,4}:){7}[0-9a-fA-F]{1,4}$/;
           return (
             ipv4Regex.test(ip) ||
             ipv6Regex.test(ip) ||
+            isIP(ip) !== 0 || // Compressed IPv6, e.g. truncated "2001:db8:85a3::"
             ip === "::1" ||
             ip === "localhost"
           );
@@ -135,6 +190,32 @@ const clickSchema = new mongoose.Schema(
       },
     },
 
+    // Daily-rotated hash of the IP (see utils/privacy.js); unique visitor
+    // detection uses it instead of the IP when a privacy mode is on
+    visitorKey: {
+      type: String,
+      default: null,
+    },
+
+    privacy: {
+      mode: {
+        type: String,
+        enum: PRIVACY_MODES,
+        default: "off",
+      },
+
+      // DNT / Sec-GPC: no IP, visitor key, user agent or session kept
+      anonymous: {
+        type: Boolean,
+        default: false,
+      },
+
+      anonymisedAt: {
+        type: Date,
+        default: null,
+      },
+    },
+
     userAgent: {
       type: String,
       maxLength: [1000, "User agent string too long"],
@@ -265,6 +346,36 @@ const clickSchema = new mongoose.Schema(
       content: String, // utm_content
     },
 
+    // A/B testing
+    variant: {
+      variantId: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null,
+      },
+      name: {
+        type: String,
+        maxLength: 50,
+      },
+    },
+
+    // Device-aware routing
+    routingRule: {
+      ruleId: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null,
+      },
+      name: {
+        type: String,
+        maxLength: 50,
+      },
+    },
+
+    // Continued from the interstitial or preview page
+    viaInterstitial: {
+      type: Boolean,
+      default: false,
+    },
+
     // Session information
     sessionId: {
       type: String,
@@ -328,37 +439,18 @@ clickSchema.virtual("locationString").get(function () {
  * Pre-save middleware to populate location data from IP
  */
 clickSchema.pre("save", function (next) {
-  if (this.isNew && config.enableGeolocation && this.ipAddress) {
+  // With a privacy mode on, recordClick resolves the location before the IP is dropped
+  if (
+    this.isNew &&
+    config.enableGeolocation &&
+    this.ipAddress &&
+    this.privacy.mode === "off"
+  ) {
     try {
-      // Skip localhost and private IPs
-      if (
-        this.ipAddress === "127.0.0.1" ||
-        this.ipAddress === "::1" ||
-        this.ipAddress.startsWith("192.168.") ||
-        this.ipAddress.startsWith("10.") ||
-        this.ipAddress.startsWith("172.")
-      ) {
-        this.location = {
-          country: "XX",
-          countryName: "Local/Private",
-          city: "Local",
-          region: "Local",
-        };
-      } else {
-        const geo = geoip.lookup(this.ipAddress);
-        if (geo) {
-          this.location = {
-            country: geo.country,
-            countryName: geo.country, // geoip-lite doesn't provide full name
-            region: geo.region,
-            city: geo.city,
-            timezone: geo.timezone,
-            coordinates: {
-              latitude: geo.ll[0],
-              longitude: geo.ll[1],
-            },
-          };
-        }
+      // Localhost and private IPs resolve to the "XX" placeholder country
+      const location = lookupLocation(this.ipAddress);
+      if (location) {
+        this.location = location;
       }
     } catch (error) {
       console.error("Geolocation lookup failed:", error.message);
@@ -375,12 +467,7 @@ clickSchema.pre("save", function (next) {
 clickSchema.pre("save", async function (next) {
   if (this.isNew && this.userAgent) {
     try {
-      // Dynamic import to avoid loading issues
-      const { default: parser } = await import("ua-parser-js");
-      const UAParser = parser;
-
-      const ua = new UAParser(this.userAgent);
-      const result = ua.getResult();
+      const result = parseUserAgent(this.userAgent);
 
       this.device = {
         type: this.determineDeviceType(result),
@@ -402,6 +489,11 @@ clickSchema.pre("save", async function (next) {
         os: "Unknown",
       };
     }
+
+    // Anonymous clicks keep the device summary but not the user agent itself
+    if (this.privacy.anonymous) {
+      this.userAgent = undefined;
+    }
   }
 
   next();
@@ -479,6 +571,9 @@ clickSchema.statics.getUrlAnalytics = async function (urlId, options = {}) {
                 totalClicks: { $sum: 1 },
                 uniqueClicks: { $sum: { $cond: ["$isUnique", 1, 0] } },
                 botClicks: { $sum: { $cond: ["$isBot", 1, 0] } },
+                interstitialClicks: {
+                  $sum: { $cond: ["$viaInterstitial", 1, 0] },
+                },
                 averageLoadTime: { $avg: "$loadTime" },
               },
             },
@@ -551,13 +646,30 @@ clickSchema.statics.getUrlAnalytics = async function (urlId, options = {}) {
             },
           ],
 
+          byVariant: [
+            {
+              $match: { "variant.variantId": { $exists: true, $ne: null } },
+            },
+            {
+              $group: {
+                _id: "$variant.variantId",
+                name: { $last: "$variant.name" },
+                count: { $sum: 1 },
+                uniqueClicks: { $sum: { $cond: ["$isUnique", 1, 0] } },
+              },
+            },
+            {
+              $sort: { count: -1 },
+            },
+          ],
+
           clicksByHour: [
             {
               $group: {
                 _id: { $hour: "$clickedAt" },
                 count: { $sum: 1 },
                 uniqueUsers: { $addToSet: "$userId" },
-                uniqueIPs: { $addToSet: "$ipAddress" },
+                uniqueIPs: { $addToSet: VISITOR_ID },
               },
             },
             {
@@ -584,11 +696,7 @@ clickSchema.statics.getUrlAnalytics = async function (urlId, options = {}) {
                 count: { $sum: 1 },
                 uniqueVisitors: {
                   $addToSet: {
-                    $cond: [
-                      { $ne: ["$userId", null] },
-                      "$userId",
-                      "$ipAddress",
-                    ],
+                    $cond: [{ $ne: ["$userId", null] }, "$userId", VISITOR_ID],
                   },
                 },
                 uniqueRegisteredUsers: {
@@ -630,12 +738,14 @@ clickSchema.statics.getUrlAnalytics = async function (urlId, options = {}) {
         totalClicks: 0,
         uniqueClicks: 0,
         botClicks: 0,
+        interstitialClicks: 0,
         averageLoadTime: 0,
       },
       byCountry: analytics.byCountry,
       byDevice: analytics.byDevice,
       byBrowser: analytics.byBrowser,
       byReferrer: analytics.byReferrer,
+      byVariant: analytics.byVariant,
       clicksByHour: analytics.clicksByHour,
       clicksByDay: analytics.clicksByDay,
       dateRange: { startDate, endDate },
@@ -681,7 +791,7 @@ clickSchema.statics.getGlobalAnalytics = async function (options = {}) {
                 _id: null,
                 totalClicks: { $sum: 1 },
                 uniqueUrls: { $addToSet: "$urlId" },
-                uniqueVisitors: { $addToSet: "$ipAddress" },
+                uniqueVisitors: { $addToSet: VISITOR_ID },
                 topCountries: { $push: "$location.country" },
               },
             },
@@ -706,7 +816,7 @@ clickSchema.statics.getGlobalAnalytics = async function (options = {}) {
                   },
                 },
                 clicks: { $sum: 1 },
-                uniqueVisitors: { $addToSet: "$ipAddress" },
+                uniqueVisitors: { $addToSet: VISITOR_ID },
               },
             },
             {
@@ -742,13 +852,18 @@ clickSchema.statics.getGlobalAnalytics = async function (options = {}) {
  * Static method to detect and mark unique clicks
  * @param {string} urlId - URL ObjectId
  * @param {string} ipAddress - Visitor IP address
+ * @param {string} [visitorKey] - Visitor key, used instead of the IP when set
  * @returns {Promise<boolean>} True if this is a unique click
  */
-clickSchema.statics.isUniqueClick = async function (urlId, ipAddress) {
+clickSchema.statics.isUniqueClick = async function (
+  urlId,
+  ipAddress,
+  visitorKey = null
+) {
   try {
     const existingClick = await this.findOne({
       urlId: new mongoose.Types.ObjectId(urlId),
-      ipAddress,
+      ...(visitorKey ? { visitorKey } : { ipAddress }),
     });
 
     return !existingClick;
@@ -838,51 +953,79 @@ clickSchema.statics.cleanupOldClicks = async function (retentionDays = 365) {
 
 /**
  * Static method to export click data for a URL
+ * Returns a cursor so large exports are streamed instead of loaded at once
  * @param {string} urlId - URL ObjectId
  * @param {Object} options - Export options
- * @returns {Promise<Array>} Click data for export
+ * @param {Array<string>} [options.fields] - Paths to select
+ * @param {Date} [options.startDate] - Earliest click date
+ * @param {Date} [options.endDate] - Latest click date
+ * @param {string} [options.country] - ISO country code
+ * @param {string} [options.deviceType] - desktop, mobile, tablet, bot or unknown
+ * @param {string} [options.campaign] - utm_campaign value
+ * @param {boolean} [options.includeBots=false] - Include bot clicks
+ * @returns {Object} Mongoose query cursor of lean click documents
  */
-clickSchema.statics.exportClickData = async function (urlId, options = {}) {
-  try {
-    const {
-      format = "json", // 'json' or 'csv'
-      excludeBots = true,
-      fields = [
-        "clickedAt",
-        "location.country",
-        "location.city",
-        "device.type",
-        "device.browser",
-        "referrer",
-      ],
-    } = options;
+clickSchema.statics.exportClickData = function (urlId, options = {}) {
+  const {
+    fields = [
+      "clickedAt",
+      "location.country",
+      "location.city",
+      "device.type",
+      "device.browser",
+      "referrer",
+    ],
+    startDate,
+    endDate,
+    country,
+    deviceType,
+    campaign,
+    includeBots = false,
+  } = options;
+
+  const query = { urlId: new mongoose.Types.ObjectId(urlId) };
+  if (!includeBots) {
+    query.isBot = { $ne: true };
+  }
 
-    const query = { urlId: new mongoose.Types.ObjectId(urlId) };
-    if (excludeBots) {
-      query.isBot = { $ne: true };
-    }
+  if (startDate || endDate) {
+    query.clickedAt = {};
+    if (startDate) query.clickedAt.$gte = startDate;
+    if (endDate) query.clickedAt.$lte = endDate;
+  }
 
-    const clicks = await this.find(query)
-      .select(fields.join(" "))
-      .sort({ clickedAt: -1 })
-      .lean();
+  if (country) {
+    query["location.country"] = country.toUpperCase();
+  }
 
-    return clicks;
-  } catch (error) {
-    throw new Error(`Click data export failed: ${error.message}`);
+  if (deviceType) {
+    query["device.type"] = deviceType;
+  }
+
+  if (campaign) {
+    query["campaign.campaign"] = campaign;
   }
+
+  return this.find(query)
+    .select(fields.join(" "))
+    .sort({ clickedAt: -1 })
+    .lean()
+    .cursor();
 };
 
 // Indexes for performance optimization
 clickSchema.index({ urlId: 1, clickedAt: -1 });
 clickSchema.index({ userId: 1, clickedAt: -1 });
 clickSchema.index({ ipAddress: 1, urlId: 1 });
+clickSchema.index({ visitorKey: 1, urlId: 1 });
 clickSchema.index({ clickedAt: -1 });
 clickSchema.index({ isBot: 1 });
 clickSchema.index({ isUnique: 1 });
 clickSchema.index({ "location.country": 1 });
 clickSchema.index({ "device.type": 1 });
 clickSchema.index({ "device.browser": 1 });
+clickSchema.index({ urlId: 1, "variant.variantId": 1 });
+clickSchema.index({ urlId: 1, "routingRule.ruleId": 1 });
 
 // TTL index for automatic cleanup (optional)
 clickSchema.index(
@@ -0,0 +1,425 @@
+import mongoose from "mongoose";
+import { decodeRollupKey } from "../utils/rollups.js";
+
+/**
+ * ClickRollup Schema for SnapURL service
+ * Hourly click totals and breakdowns per link, kept up to date on every
+ * click (services/rollupService.js). Analytics read them for past days
+ * instead of scanning raw clicks, and they outlive raw clicks deleted by
+ * retention enforcement
+ *
+ * @swagger
+ * components:
+ *   schemas:
+ *     ClickRollup:
+ *       type: object
+ *       properties:
+ *         urlId:
+ *           type: string
+ *           description: Reference to the shortened URL
+ *         userId:
+ *           type: string
+ *           nullable: true
+ *           description: Owner of the link
+ *         date:
+ *           type: string
+ *           format: date-time
+ *           description: Start of the UTC day
+ *         hour:
+ *           type: integer
+ *           minimum: 0
+ *           maximum: 23
+ *           description: UTC hour of the day
+ *         clicks:
+ *           type: integer
+ *           description: All clicks, bots included
+ *         uniqueClicks:
+ *           type: integer
+ *         botClicks:
+ *           type: integer
+ *         interstitialClicks:
+ *           type: integer
+ *         countries:
+ *           type: object
+ *           additionalProperties:
+ *             type: integer
+ *           description: Human clicks by country code
+ *         devices:
+ *           type: object
+ *           additionalProperties:
+ *             type: integer
+ *         browsers:
+ *           type: object
+ *           additionalProperties:
+ *             type: integer
+ *         os:
+ *           type: object
+ *           additionalProperties:
+ *             type: integer
+ *         referrers:
+ *           type: object
+ *           additionalProperties:
+ *             type: integer
+ *           description: Human clicks by referrer category (direct, search, social, email, referral)
+ *         referrerDomains:
+ *           type: object
+ *           additionalProperties:
+ *             type: integer
+ *         campaigns:
+ *           type: object
+ *           additionalProperties:
+ *             type: integer
+ *           description: Human clicks by utm_campaign
+ *         variants:
+ *           type: object
+ *           additionalProperties:
+ *             type: object
+ *             properties:
+ *               clicks:
+ *                 type: integer
+ *               uniqueClicks:
+ *                 type: integer
+ *       description: |
+ *         Map keys are stored with "." and a leading "$" percent-encoded
+ *         (e.g. "google%2Ecom")
+ *       example:
+ *         urlId: "64a1b2c3d4e5f6789abcdef1"
+ *         userId: "64a1b2c3d4e5f6789abcdef0"
+ *         date: "2025-06-01T00:00:00.000Z"
+ *         hour: 14
+ *         clicks: 128
+ *         uniqueClicks: 97
+ *         botClicks: 4
+ *         interstitialClicks: 0
+ *         countries: { US: 80, DE: 44 }
+ *         devices: { desktop: 70, mobile: 54 }
+ *         referrers: { direct: 60, search: 64 }
+ *         referrerDomains: { "google%2Ecom": 64 }
+ */
+
+// Breakdown map of click counts
+const countMap = {
+  type: Map,
+  of: Number,
+  default: {},
+};
+
+const clickRollupSchema = new mongoose.Schema(
+  {
+    urlId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "URL",
+      required: [true, "URL ID is required"],
+    },
+
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+      index: true,
+    },
+
+    date: {
+      type: Date,
+      required: [true, "Rollup date is required"],
+    },
+
+    hour: {
+      type: Number,
+      required: [true, "Rollup hour is required"],
+      min: 0,
+      max: 23,
+    },
+
+    clicks: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+
+    uniqueClicks: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+
+    botClicks: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+
+    interstitialClicks: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+
+    // Breakdowns of human clicks
+    countries: countMap,
+    devices: countMap,
+    browsers: countMap,
+    os: countMap,
+    referrers: countMap,
+    referrerDomains: countMap,
+    campaigns: countMap,
+
+    variants: {
+      type: Map,
+      of: new mongoose.Schema(
+        {
+          clicks: { type: Number, default: 0 },
+          uniqueClicks: { type: Number, default: 0 },
+        },
+        { _id: false }
+      ),
+      default: {},
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: function (doc, ret) {
+        delete ret.__v;
+        return ret;
+      },
+    },
+  }
+);
+
+clickRollupSchema.index({ urlId: 1, date: 1, hour: 1 }, { unique: true });
+clickRollupSchema.index({ userId: 1, date: -1 });
+clickRollupSchema.index({ date: 1, hour: 1 });
+
+// Human clicks of a rollup
+const HUMAN_CLICKS = { $subtract: ["$clicks", "$botClicks"] };
+
+// Pipeline summing one breakdown map over the matched rollups
+const breakdownStages = (field, limit = null, exclude = []) => [
+  { $project: { entries: { $objectToArray: { $ifNull: [`$${field}`, {}] } } } },
+  { $unwind: "$entries" },
+  { $match: { "entries.k": { $nin: exclude } } },
+  { $group: { _id: "$entries.k", count: { $sum: "$entries.v" } } },
+  { $sort: { count: -1, _id: 1 } },
+  ...(limit ? [{ $limit: limit }] : []),
+];
+
+// Distinct keys of a breakdown map within a group
+const breakdownKeys = (field) => ({
+  $push: {
+    $map: {
+      input: { $objectToArray: { $ifNull: [`$${field}`, {}] } },
+      in: "$$this.k",
+    },
+  },
+});
+
+const countDistinct = (field) => ({
+  $size: {
+    $reduce: {
+      input: `$${field}`,
+      initialValue: [],
+      in: { $setUnion: ["$$value", "$$this"] },
+    },
+  },
+});
+
+const decodeEntries = (entries) =>
+  entries.map((entry) => ({ ...entry, _id: decodeRollupKey(entry._id) }));
+
+/**
+ * Static method to get URL analytics from rollups, shaped like
+ * Click.getUrlAnalytics with bots excluded. Rollups are hourly, so the range
+ * is widened to whole hours, and per-visitor counts are based on uniqueClicks
+ * @param {string} urlId - URL ObjectId
+ * @param {Object} filter - Rollup slot filter (utils/rollups.js getRollupRangeFilter)
+ * @returns {Promise<Object>} Click analytics
+ */
+clickRollupSchema.statics.getUrlAnalytics = async function (urlId, filter) {
+  try {
+    const [analytics] = await this.aggregate([
+      { $match: { urlId: new mongoose.Types.ObjectId(urlId), ...filter } },
+      {
+        $facet: {
+          overview: [
+            {
+              $group: {
+                _id: null,
+                totalClicks: { $sum: HUMAN_CLICKS },
+                uniqueClicks: { $sum: "$uniqueClicks" },
+                interstitialClicks: { $sum: "$interstitialClicks" },
+              },
+            },
+          ],
+          byCountry: breakdownStages("countries", 10),
+          byDevice: breakdownStages("devices"),
+          byBrowser: breakdownStages("browsers", 10, ["Unknown"]),
+          byReferrerDomain: breakdownStages("referrerDomains", 10),
+          byVariant: [
+            {
+              $project: {
+                entries: { $objectToArray: { $ifNull: ["$variants", {}] } },
+              },
+            },
+            { $unwind: "$entries" },
+            {
+              $group: {
+                _id: { $toObjectId: "$entries.k" },
+                count: { $sum: "$entries.v.clicks" },
+                uniqueClicks: { $sum: "$entries.v.uniqueClicks" },
+              },
+            },
+            { $sort: { count: -1 } },
+          ],
+          clicksByHour: [
+            {
+              $group: {
+                _id: "$hour",
+                count: { $sum: HUMAN_CLICKS },
+                uniqueIPsCount: { $sum: "$uniqueClicks" },
+              },
+            },
+            { $match: { count: { $gt: 0 } } },
+            { $sort: { _id: 1 } },
+          ],
+          clicksByDay: [
+            {
+              $group: {
+                _id: {
+                  year: { $year: "$date" },
+                  month: { $month: "$date" },
+                  day: { $dayOfMonth: "$date" },
+                },
+                count: { $sum: HUMAN_CLICKS },
+                uniqueVisitorsCount: { $sum: "$uniqueClicks" },
+                countries: breakdownKeys("countries"),
+                deviceTypes: breakdownKeys("devices"),
+              },
+            },
+            { $match: { count: { $gt: 0 } } },
+            {
+              $project: {
+                _id: 1,
+                count: 1,
+                uniqueVisitorsCount: 1,
+                uniqueRegisteredUsersCount: { $literal: 0 },
+                uniqueCountriesCount: countDistinct("countries"),
+                uniqueDeviceTypesCount: countDistinct("deviceTypes"),
+                botClicks: { $literal: 0 },
+                humanClicks: "$count",
+              },
+            },
+            { $sort: { _id: 1 } },
+          ],
+        },
+      },
+    ]);
+
+    return {
+      overview: {
+        totalClicks: 0,
+        uniqueClicks: 0,
+        interstitialClicks: 0,
+        ...analytics.overview[0],
+        botClicks: 0,
+      },
+      // geoip-lite has no country names, so stored names are the codes too
+      byCountry: decodeEntries(analytics.byCountry).map((entry) => ({
+        ...entry,
+        countryName: entry._id,
+      })),
+      byDevice: decodeEntries(analytics.byDevice),
+      byBrowser: decodeEntries(analytics.byBrowser),
+      byReferrerDomain: decodeEntries(analytics.byReferrerDomain),
+      byVariant: analytics.byVariant,
+      clicksByHour: analytics.clicksByHour,
+      clicksByDay: analytics.clicksByDay,
+    };
+  } catch (error) {
+    throw new Error(`Rollup analytics generation failed: ${error.message}`);
+  }
+};
+
+/**
+ * Static method to get click totals across links from rollups, shaped like
+ * the overview and trends of Click.getGlobalAnalytics (bots excluded)
+ * @param {Object} filter - Rollup slot filter (utils/rollups.js getRollupRangeFilter)
+ * @param {Array} [urlIds] - Only these links (all links when omitted)
+ * @returns {Promise<Object>} { overview, trends, topCountries }
+ */
+clickRollupSchema.statics.getSummary = async function (filter, urlIds = null) {
+  try {
+    const matchStage = { ...filter };
+    if (urlIds) {
+      matchStage.urlId = { $in: urlIds };
+    }
+
+    const [summary] = await this.aggregate([
+      { $match: matchStage },
+      {
+        $facet: {
+          overview: [
+            {
+              $group: {
+                _id: null,
+                totalClicks: { $sum: HUMAN_CLICKS },
+                uniqueClicks: { $sum: "$uniqueClicks" },
+                urls: {
+                  $addToSet: {
+                    $cond: [{ $gt: [HUMAN_CLICKS, 0] }, "$urlId", "$$REMOVE"],
+                  },
+                },
+              },
+            },
+            {
+              $project: {
+                _id: 0,
+                totalClicks: 1,
+                uniqueClicks: 1,
+                uniqueVisitors: "$uniqueClicks",
+                urls: 1,
+              },
+            },
+          ],
+          trends: [
+            {
+              $group: {
+                _id: {
+                  date: {
+                    $dateToString: { format: "%Y-%m-%d", date: "$date" },
+                  },
+                },
+                clicks: { $sum: HUMAN_CLICKS },
+                uniqueVisitors: { $sum: "$uniqueClicks" },
+              },
+            },
+            { $match: { clicks: { $gt: 0 } } },
+            { $project: { date: "$_id.date", clicks: 1, uniqueVisitors: 1 } },
+            { $sort: { date: 1 } },
+          ],
+          topCountries: breakdownStages("countries", 5),
+        },
+      },
+    ]);
+
+    return {
+      overview: summary.overview[0] || {
+        totalClicks: 0,
+        uniqueClicks: 0,
+        uniqueVisitors: 0,
+        urls: [],
+      },
+      trends: summary.trends,
+      topCountries: decodeEntries(summary.topCountries).map((entry) => ({
+        ...entry,
+        countryName: entry._id,
+      })),
+    };
+  } catch (error) {
+    throw new Error(`Rollup summary generation failed: ${error.message}`);
+  }
+};
+
+const ClickRollup = mongoose.model("ClickRollup", clickRollupSchema);
+
+export default ClickRollup;
@@ -0,0 +1,179 @@
+import mongoose from "mongoose";
+import crypto from "crypto";
+
+/**
+ * Domain Schema for SnapURL service
+ * Custom hostnames that users can serve their short links from
+ *
+ * @swagger
+ * components:
+ *   schemas:
+ *     Domain:
+ *       type: object
+ *       required:
+ *         - hostname
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Unique domain identifier
+ *         hostname:
+ *           type: string
+ *           description: Fully qualified hostname (lowercase, no scheme or port)
+ *         userId:
+ *           type: string
+ *           description: Owner user ID
+ *         isVerified:
+ *           type: boolean
+ *           description: Whether DNS ownership has been confirmed
+ *         verifiedAt:
+ *           type: string
+ *           format: date-time
+ *         lastCheckedAt:
+ *           type: string
+ *           format: date-time
+ *           description: Last DNS verification attempt
+ *         verificationRecord:
+ *           type: object
+ *           description: TXT record to publish to prove ownership
+ *           properties:
+ *             type:
+ *               type: string
+ *               example: "TXT"
+ *             name:
+ *               type: string
+ *               example: "_snapurl.go.example.com"
+ *             value:
+ *               type: string
+ *               example: "snapurl-verification=4f9c2a..."
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *       example:
+ *         _id: "64a1b2c3d4e5f6789abcdef2"
+ *         hostname: "go.example.com"
+ *         isVerified: false
+ */
+
+// Hostname labels: letters, digits and hyphens, at least one dot
+const HOSTNAME_PATTERN =
+  /^(?=.{4,253}$)([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/;
+
+// Prefix of the TXT record and value users publish for verification
+export const VERIFICATION_RECORD_PREFIX = "_snapurl";
+export const VERIFICATION_VALUE_PREFIX = "snapurl-verification=";
+
+const domainSchema = new mongoose.Schema(
+  {
+    hostname: {
+      type: String,
+      required: [true, "Hostname is required"],
+      unique: true,
+      lowercase: true,
+      trim: true,
+      match: [HOSTNAME_PATTERN, "Please provide a valid hostname"],
+    },
+
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Domain owner is required"],
+      index: true,
+    },
+
+    verificationToken: {
+      type: String,
+      default: () => crypto.randomBytes(16).toString("hex"),
+      select: false,
+    },
+
+    isVerified: {
+      type: Boolean,
+      default: false,
+    },
+
+    verifiedAt: {
+      type: Date,
+      default: null,
+    },
+
+    lastCheckedAt: {
+      type: Date,
+      default: null,
+    },
+
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      virtuals: true,
+      transform: function (doc, ret) {
+        delete ret.__v;
+        delete ret.verificationToken;
+        return ret;
+      },
+    },
+    toObject: { virtuals: true },
+  }
+);
+
+/**
+ * Virtual for the DNS record the owner must publish
+ * Only available when the verification token has been selected
+ */
+domainSchema.virtual("verificationRecord").get(function () {
+  if (!this.verificationToken) return undefined;
+
+  return {
+    type: "TXT",
+    name: `${VERIFICATION_RECORD_PREFIX}.${this.hostname}`,
+    value: `${VERIFICATION_VALUE_PREFIX}${this.verificationToken}`,
+  };
+});
+
+/**
+ * Instance method to check resolved TXT records for the verification value
+ * @param {Array<Array<string>>} records - TXT records as returned by dns.resolveTxt
+ * @returns {boolean} True if the expected value is present
+ */
+domainSchema.methods.matchesVerificationRecord = function (records = []) {
+  const expected = `${VERIFICATION_VALUE_PREFIX}${this.verificationToken}`;
+
+  // Long TXT values are split into chunks that must be joined
+  return records.some((chunks) => chunks.join("").trim() === expected);
+};
+
+/**
+ * Static method to find an active, verified domain by hostname
+ * @param {string} hostname - Request hostname
+ * @returns {Promise<Domain|null>} Domain document or null
+ */
+domainSchema.statics.findServingDomain = function (hostname) {
+  return this.findOne({
+    hostname: String(hostname || "").toLowerCase(),
+    isVerified: true,
+    isActive: true,
+  });
+};
+
+/**
+ * Static method to find a verified domain owned by a user
+ * @param {string} domainId - Domain ObjectId
+ * @param {string} userId - Owner user ID
+ * @returns {Promise<Domain|null>} Domain document or null
+ */
+domainSchema.statics.findVerifiedForUser = function (domainId, userId) {
+  return this.findOne({
+    _id: domainId,
+    userId,
+    isVerified: true,
+    isActive: true,
+  });
+};
+
+const Domain = mongoose.model("Domain", domainSchema);
+
+export default Domain;
@@ -0,0 +1,207 @@
+import mongoose from "mongoose";
+
+/**
+ * ImportJob Schema for SnapURL service
+ * A CSV/NDJSON link import processed in the background, with a per-row report
+ *
+ * @swagger
+ * components:
+ *   schemas:
+ *     ImportJob:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Import job ID (poll it for progress)
+ *         status:
+ *           type: string
+ *           enum: [queued, running, completed, failed]
+ *         dryRun:
+ *           type: boolean
+ *           description: Rows were only validated, nothing was created
+ *         format:
+ *           type: string
+ *           enum: [csv, ndjson]
+ *         totalRows:
+ *           type: integer
+ *         processedRows:
+ *           type: integer
+ *         counts:
+ *           type: object
+ *           properties:
+ *             created:
+ *               type: integer
+ *             valid:
+ *               type: integer
+ *               description: Rows that would be created (dry runs)
+ *             skippedDuplicate:
+ *               type: integer
+ *             aliasConflict:
+ *               type: integer
+ *             invalid:
+ *               type: integer
+ *             failed:
+ *               type: integer
+ *         progress:
+ *           type: integer
+ *           description: Percentage of rows processed
+ *         error:
+ *           type: string
+ *           nullable: true
+ *         startedAt:
+ *           type: string
+ *           format: date-time
+ *         completedAt:
+ *           type: string
+ *           format: date-time
+ *       example:
+ *         _id: "64a1b2c3d4e5f6789abcdef7"
+ *         status: "running"
+ *         dryRun: false
+ *         format: "csv"
+ *         totalRows: 2500
+ *         processedRows: 1200
+ *         counts:
+ *           created: 1150
+ *           skippedDuplicate: 30
+ *           aliasConflict: 12
+ *           invalid: 8
+ */
+
+export const IMPORT_STATUSES = ["queued", "running", "completed", "failed"];
+
+// Outcome of each imported row
+export const IMPORT_ROW_STATUSES = [
+  "created",
+  "valid",
+  "skipped-duplicate",
+  "alias-conflict",
+  "invalid",
+  "failed",
+];
+
+// Import jobs and their reports are kept for 7 days
+const IMPORT_JOB_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+const importResultSchema = new mongoose.Schema(
+  {
+    row: Number,
+    status: {
+      type: String,
+      enum: IMPORT_ROW_STATUSES,
+    },
+    originalUrl: String,
+    alias: String,
+    shortUrl: String,
+    messages: [String],
+  },
+  { _id: false }
+);
+
+const importJobSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+
+    status: {
+      type: String,
+      enum: IMPORT_STATUSES,
+      default: "queued",
+    },
+
+    dryRun: {
+      type: Boolean,
+      default: false,
+    },
+
+    format: {
+      type: String,
+      enum: ["csv", "ndjson"],
+      required: true,
+    },
+
+    // Parsed input rows, dropped once the job finishes
+    rows: {
+      type: [mongoose.Schema.Types.Mixed],
+      select: false,
+    },
+
+    totalRows: {
+      type: Number,
+      default: 0,
+    },
+
+    processedRows: {
+      type: Number,
+      default: 0,
+    },
+
+    counts: {
+      created: { type: Number, default: 0 },
+      valid: { type: Number, default: 0 },
+      skippedDuplicate: { type: Number, default: 0 },
+      aliasConflict: { type: Number, default: 0 },
+      invalid: { type: Number, default: 0 },
+      failed: { type: Number, default: 0 },
+    },
+
+    // Per-row report, downloadable once the job completes
+    results: {
+      type: [importResultSchema],
+      select: false,
+    },
+
+    error: {
+      type: String,
+      default: null,
+    },
+
+    startedAt: {
+      type: Date,
+      default: null,
+    },
+
+    completedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      virtuals: true,
+      transform: function (doc, ret) {
+        delete ret.__v;
+        delete ret.id;
+        delete ret.rows;
+        delete ret.results;
+        return ret;
+      },
+    },
+  }
+);
+
+/**
+ * Virtual for the completion percentage
+ */
+importJobSchema.virtual("progress").get(function () {
+  if (!this.totalRows) {
+    return this.status === "completed" ? 100 : 0;
+  }
+
+  return Math.floor((this.processedRows / this.totalRows) * 100);
+});
+
+// TTL index - finished imports are removed automatically
+importJobSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: IMPORT_JOB_TTL_SECONDS }
+);
+
+const ImportJob = mongoose.model("ImportJob", importJobSchema);
+
+export default ImportJob;
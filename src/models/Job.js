@@ -0,0 +1,176 @@
+import mongoose from "mongoose";
+
+/**
+ * Job Schema for SnapURL service
+ * A unit of background work picked up by the worker (src/worker.js)
+ *
+ * @swagger
+ * components:
+ *   schemas:
+ *     Job:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         type:
+ *           type: string
+ *           enum: [qr.generate, metadata.fetch, urls.import, urls.cleanup-expired, clicks.retention, urls.expiry-warnings, webhooks.deliver, urls.health-check]
+ *         payload:
+ *           type: object
+ *         status:
+ *           type: string
+ *           enum: [queued, running, completed, dead]
+ *           description: Dead jobs ran out of attempts and wait for a manual retry
+ *         attempts:
+ *           type: integer
+ *         maxAttempts:
+ *           type: integer
+ *         runAt:
+ *           type: string
+ *           format: date-time
+ *           description: Earliest time the job may run
+ *         repeatEveryMs:
+ *           type: integer
+ *           nullable: true
+ *           description: Recurring jobs are re-queued this long after each run
+ *         lastError:
+ *           type: string
+ *           nullable: true
+ *         result:
+ *           type: object
+ *           nullable: true
+ *         completedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *       example:
+ *         _id: "64a1b2c3d4e5f6789abcdef8"
+ *         type: "metadata.fetch"
+ *         payload:
+ *           urlId: "64a1b2c3d4e5f6789abcdef0"
+ *         status: "dead"
+ *         attempts: 5
+ *         maxAttempts: 5
+ *         lastError: "Request timed out"
+ */
+
+export const JOB_TYPES = [
+  "qr.generate",
+  "metadata.fetch",
+  "urls.import",
+  "urls.cleanup-expired",
+  "clicks.retention",
+  "urls.expiry-warnings",
+  "webhooks.deliver",
+  "urls.health-check",
+];
+
+export const JOB_STATUSES = ["queued", "running", "completed", "dead"];
+
+// Completed jobs are kept for 7 days
+const COMPLETED_JOB_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+const jobSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: JOB_TYPES,
+      required: true,
+    },
+
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+
+    status: {
+      type: String,
+      enum: JOB_STATUSES,
+      default: "queued",
+    },
+
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+
+    maxAttempts: {
+      type: Number,
+      default: 5,
+      min: 1,
+    },
+
+    runAt: {
+      type: Date,
+      default: Date.now,
+    },
+
+    // Recurring jobs keep one document per schedule, identified by this key
+    uniqueKey: {
+      type: String,
+      default: undefined,
+    },
+
+    repeatEveryMs: {
+      type: Number,
+      default: null,
+    },
+
+    lockedAt: {
+      type: Date,
+      default: null,
+    },
+
+    lockedBy: {
+      type: String,
+      default: null,
+    },
+
+    lastError: {
+      type: String,
+      maxLength: 1000,
+      default: null,
+    },
+
+    result: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+
+    completedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    minimize: false,
+    toJSON: {
+      transform: function (doc, ret) {
+        delete ret.__v;
+        return ret;
+      },
+    },
+  }
+);
+
+// Indexes for performance optimization
+jobSchema.index({ status: 1, runAt: 1 });
+jobSchema.index({ type: 1, status: 1 });
+jobSchema.index(
+  { uniqueKey: 1 },
+  { unique: true, partialFilterExpression: { uniqueKey: { $type: "string" } } }
+);
+
+// TTL index - finished one-off jobs are removed automatically
+jobSchema.index(
+  { completedAt: 1 },
+  {
+    expireAfterSeconds: COMPLETED_JOB_TTL_SECONDS,
+    partialFilterExpression: { status: "completed" },
+  }
+);
+
+const Job = mongoose.model("Job", jobSchema);
+
+export default Job;
@@ -0,0 +1,143 @@
+import mongoose from "mongoose";
+
+/**
+ * Plan Schema for SnapURL service
+ * Admin-defined plans and overrides of the built-in ones (see utils/plans.js)
+ *
+ * @swagger
+ * components:
+ *   schemas:
+ *     PlanLimits:
+ *       type: object
+ *       description: Plan limits; null means unlimited
+ *       properties:
+ *         activeLinks:
+ *           type: integer
+ *           nullable: true
+ *           description: Active links a user can own
+ *         customAliases:
+ *           type: integer
+ *           nullable: true
+ *           description: Active links with a custom alias
+ *         qrGenerationsPerMonth:
+ *           type: integer
+ *           nullable: true
+ *           description: On-demand QR codes per calendar month (UTC)
+ *         analyticsRetentionDays:
+ *           type: integer
+ *           nullable: true
+ *           description: How many days back analytics can be queried
+ *         bulkBatchSize:
+ *           type: integer
+ *           nullable: true
+ *           description: URLs per bulk creation request
+ *         apiRequestsPerDay:
+ *           type: integer
+ *           nullable: true
+ *           description: Authenticated API requests per rolling 24 hours
+ *     Plan:
+ *       type: object
+ *       required:
+ *         - name
+ *       properties:
+ *         name:
+ *           type: string
+ *           description: Plan key users are assigned to
+ *           example: "pro"
+ *         displayName:
+ *           type: string
+ *           example: "Pro"
+ *         description:
+ *           type: string
+ *         limits:
+ *           $ref: '#/components/schemas/PlanLimits'
+ *         rateLimitMultiplier:
+ *           type: number
+ *           minimum: 1
+ *           description: Scales the per-user budgets of the short-window rate limiters
+ *         isActive:
+ *           type: boolean
+ *           description: Inactive plans can't be assigned; their users fall back to the default plan
+ *       example:
+ *         name: "pro"
+ *         displayName: "Pro"
+ *         limits:
+ *           activeLinks: 1000
+ *           customAliases: 500
+ *           qrGenerationsPerMonth: 1000
+ *           analyticsRetentionDays: 365
+ *           bulkBatchSize: 100
+ *           apiRequestsPerDay: 10000
+ *         rateLimitMultiplier: 5
+ */
+
+const PLAN_NAME_PATTERN = /^[a-z0-9][a-z0-9-]{0,29}$/;
+
+// Unset limits fall back to the built-in plan of the same name (or unlimited)
+const limitField = {
+  type: Number,
+  default: undefined,
+  min: [0, "Plan limits cannot be negative"],
+};
+
+const planSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Plan name is required"],
+      unique: true,
+      lowercase: true,
+      trim: true,
+      match: [
+        PLAN_NAME_PATTERN,
+        "Plan name can only contain lowercase letters, numbers and hyphens",
+      ],
+    },
+
+    displayName: {
+      type: String,
+      trim: true,
+      maxLength: [50, "Display name cannot exceed 50 characters"],
+    },
+
+    description: {
+      type: String,
+      trim: true,
+      maxLength: [200, "Description cannot exceed 200 characters"],
+    },
+
+    limits: {
+      activeLinks: limitField,
+      customAliases: limitField,
+      qrGenerationsPerMonth: limitField,
+      analyticsRetentionDays: limitField,
+      bulkBatchSize: limitField,
+      apiRequestsPerDay: limitField,
+    },
+
+    rateLimitMultiplier: {
+      type: Number,
+      min: [1, "Rate limit multiplier must be at least 1"],
+    },
+
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      virtuals: true,
+      transform: function (doc, ret) {
+        delete ret.__v;
+        return ret;
+      },
+    },
+    toObject: { virtuals: true },
+  }
+);
+
+const Plan = mongoose.model("Plan", planSchema);
+
+export default Plan;
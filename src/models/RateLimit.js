@@ -0,0 +1,95 @@
+import mongoose from "mongoose";
+
+/**
+ * RateLimit Schema for SnapURL service
+ * Hit counters of the rate limiters when RATE_LIMIT_STORE=mongo, so limits
+ * survive restarts and are shared by every API instance. Each document is
+ * one client's current fixed window and expires with it.
+ */
+
+const rateLimitSchema = new mongoose.Schema(
+  {
+    // Limiter prefix plus client key, e.g. "create:user:64a1..."
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+
+    hits: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+
+    resetAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    versionKey: false,
+  }
+);
+
+/**
+ * Static method to count a hit, starting a new window if the last one ended
+ * @param {string} key - Counter key
+ * @param {number} windowMs - Window length
+ * @returns {Promise<Object>} { hits, resetAt } after the hit
+ */
+rateLimitSchema.statics.hit = async function (key, windowMs) {
+  const now = new Date();
+  const windowOpen = { $gt: ["$resetAt", now] };
+  const update = [
+    {
+      $set: {
+        hits: { $cond: [windowOpen, { $add: ["$hits", 1] }, 1] },
+        resetAt: {
+          $cond: [windowOpen, "$resetAt", new Date(now.getTime() + windowMs)],
+        },
+      },
+    },
+  ];
+
+  try {
+    return await this.findOneAndUpdate({ key }, update, {
+      new: true,
+      upsert: true,
+    }).lean();
+  } catch (error) {
+    // Two first hits raced to insert the counter; the other one won
+    if (error.code === 11000) {
+      return this.findOneAndUpdate({ key }, update, { new: true }).lean();
+    }
+    throw error;
+  }
+};
+
+/**
+ * Static method to read a counter without counting a hit
+ * @param {string} key - Counter key
+ * @returns {Promise<Object|null>} { hits, resetAt } or null outside a window
+ */
+rateLimitSchema.statics.peek = function (key) {
+  return this.findOne({ key, resetAt: { $gt: new Date() } }).lean();
+};
+
+/**
+ * Static method to take back a hit (e.g. skipSuccessfulRequests)
+ * @param {string} key - Counter key
+ * @returns {Promise<void>}
+ */
+rateLimitSchema.statics.unhit = async function (key) {
+  await this.updateOne(
+    { key, resetAt: { $gt: new Date() }, hits: { $gt: 0 } },
+    { $inc: { hits: -1 } }
+  );
+};
+
+// Counters disappear once their window is over
+rateLimitSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+const RateLimit = mongoose.model("RateLimit", rateLimitSchema);
+
+export default RateLimit;
@@ -0,0 +1,200 @@
+import mongoose from "mongoose";
+import crypto from "crypto";
+
+/**
+ * Session Schema for SnapURL service
+ * One record per login. Holds the hash of the current refresh token;
+ * access tokens carry the session id so revoking a session ends them too.
+ *
+ * @swagger
+ * components:
+ *   schemas:
+ *     Session:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Session identifier
+ *         userAgent:
+ *           type: string
+ *           nullable: true
+ *         ipAddress:
+ *           type: string
+ *           nullable: true
+ *         device:
+ *           type: object
+ *           properties:
+ *             deviceType:
+ *               type: string
+ *             os:
+ *               type: string
+ *               nullable: true
+ *             browser:
+ *               type: string
+ *               nullable: true
+ *         lastUsedAt:
+ *           type: string
+ *           format: date-time
+ *           description: Last time the refresh token was used
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *         current:
+ *           type: boolean
+ *           description: True for the session making the request
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *       example:
+ *         _id: "64a1b2c3d4e5f6789abcdef5"
+ *         ipAddress: "203.0.113.7"
+ *         device:
+ *           deviceType: "desktop"
+ *           os: "macOS"
+ *           browser: "Chrome"
+ *         current: true
+ */
+
+export const REVOKE_REASONS = [
+  "logout",
+  "revoked",
+  "reuse_detected",
+  "password_changed",
+];
+
+/**
+ * Generates a new raw refresh token
+ * @returns {string} Raw refresh token (only ever sent to the client)
+ */
+export const generateRefreshToken = () =>
+  crypto.randomBytes(48).toString("base64url");
+
+/**
+ * Hashes a raw refresh token for storage and lookup
+ * @param {string} rawToken - Raw refresh token
+ * @returns {string} SHA-256 hex digest
+ */
+export const hashRefreshToken = (rawToken) =>
+  crypto.createHash("sha256").update(String(rawToken)).digest("hex");
+
+const sessionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Session owner is required"],
+    },
+
+    refreshTokenHash: {
+      type: String,
+      required: true,
+      select: false,
+    },
+
+    // Hashes of refresh tokens that were already rotated out
+    previousTokenHashes: {
+      type: [String],
+      default: [],
+      select: false,
+    },
+
+    userAgent: {
+      type: String,
+      maxLength: 500,
+      default: null,
+    },
+
+    ipAddress: {
+      type: String,
+      maxLength: 45,
+      default: null,
+    },
+
+    device: {
+      deviceType: { type: String, default: "desktop" },
+      os: { type: String, default: null },
+      browser: { type: String, default: null },
+    },
+
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+
+    revokedReason: {
+      type: String,
+      enum: REVOKE_REASONS,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: function (doc, ret) {
+        delete ret.__v;
+        delete ret.refreshTokenHash;
+        delete ret.previousTokenHashes;
+        return ret;
+      },
+    },
+  }
+);
+
+/**
+ * Virtual to check if the session can still be used
+ */
+sessionSchema.virtual("isActive").get(function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+/**
+ * Instance method to revoke the session
+ * @param {string} reason - One of REVOKE_REASONS
+ */
+sessionSchema.methods.revoke = function (reason = "revoked") {
+  if (!this.revokedAt) {
+    this.revokedAt = new Date();
+    this.revokedReason = reason;
+  }
+};
+
+/**
+ * Static method to check that an access token's session is still usable
+ * @param {string} sessionId - Session ID from the access token
+ * @returns {Promise<boolean>} True if the session is active
+ */
+sessionSchema.statics.isSessionActive = async function (sessionId) {
+  if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+    return false;
+  }
+
+  const exists = await this.exists({
+    _id: sessionId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  });
+
+  return Boolean(exists);
+};
+
+// Indexes for performance optimization
+sessionSchema.index({ refreshTokenHash: 1 }, { unique: true });
+sessionSchema.index({ previousTokenHashes: 1 });
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+
+// TTL index - sessions are removed once their refresh token has expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Session = mongoose.model("Session", sessionSchema);
+
+export default Session;
@@ -1,7 +1,20 @@
 import mongoose from "mongoose";
+import bcrypt from "bcryptjs";
 import { config } from "../config/config.js";
 import { validateUrl } from "../middleware/validation.js";
 import { generateShortCode } from "../utils/shortCodeGenerator.js";
+import { selectVariant } from "../utils/variantSelector.js";
+import { DEVICE_TYPES, matchesDevice } from "../utils/deviceDetector.js";
+import { SAFETY_VERDICTS } from "../utils/urlSafety.js";
+import {
+  MAX_INTERSTITIAL_COUNTDOWN,
+  REDIRECT_MODES,
+} from "../utils/interstitialPage.js";
+import {
+  FORWARD_QUERY_MODES,
+  REDIRECT_TYPES,
+} from "../utils/redirectOptions.js";
+import { getTemplateError } from "../utils/destinationTemplate.js";
 
 /**
  * URL Schema for SnapURL service
@@ -35,6 +48,14 @@ import { generateShortCode } from "../utils/shortCodeGenerator.js";
  *         userId:
  *           type: string
  *           description: ID of the user who created this URL
+ *         workspaceId:
+ *           type: string
+ *           nullable: true
+ *           description: Workspace that shares the link (null for a personal link)
+ *         domain:
+ *           type: string
+ *           nullable: true
+ *           description: Custom domain the link is served from (null for the default domain)
  *         isActive:
  *           type: boolean
  *           default: true
@@ -51,6 +72,16 @@ import { generateShortCode } from "../utils/shortCodeGenerator.js";
  *           type: string
  *           format: date-time
  *           description: Timestamp of last click
+ *         interstitial:
+ *           type: object
+ *           description: Interstitial and preview page traffic
+ *           properties:
+ *             views:
+ *               type: number
+ *               description: Times the page was shown
+ *             clickThroughs:
+ *               type: number
+ *               description: Clicks that continued from the page
  *         expiresAt:
  *           type: string
  *           format: date-time
@@ -70,15 +101,92 @@ import { generateShortCode } from "../utils/shortCodeGenerator.js";
  *             domain:
  *               type: string
  *               description: Domain of original URL
- *             title:
+ *             pageTitle:
  *               type: string
- *               description: Page title (if fetched)
- *             description:
+ *               description: Page title (fetched in the background)
+ *             pageDescription:
  *               type: string
  *               description: Page description
+ *             siteName:
+ *               type: string
+ *               description: OpenGraph site name
+ *             image:
+ *               type: string
+ *               description: OpenGraph/Twitter card preview image URL
  *             favicon:
  *               type: string
  *               description: Favicon URL
+ *             httpStatus:
+ *               type: integer
+ *               description: Status of the last fetch (after redirects)
+ *             lastChecked:
+ *               type: string
+ *               format: date-time
+ *         isPasswordProtected:
+ *           type: boolean
+ *           description: Whether visitors must enter a password before redirecting
+ *         geoRestrictions:
+ *           $ref: '#/components/schemas/GeoRestrictions'
+ *         routingRules:
+ *           type: array
+ *           description: Device-aware destinations, evaluated in order before originalUrl
+ *           items:
+ *             $ref: '#/components/schemas/RoutingRule'
+ *         variants:
+ *           type: array
+ *           description: A/B split-test destinations (replace originalUrl when present)
+ *           items:
+ *             $ref: '#/components/schemas/UrlVariant'
+ *         fallbackUrl:
+ *           type: string
+ *           format: uri
+ *           nullable: true
+ *           description: Where visitors are sent while the destination is flagged broken
+ *         redirectMode:
+ *           type: string
+ *           enum: [direct, interstitial, preview]
+ *           default: direct
+ *           description: Redirect straight away, show an interstitial page first, or show a preview page that waits for the visitor
+ *         interstitialCountdown:
+ *           type: integer
+ *           minimum: 0
+ *           maximum: 30
+ *           default: 0
+ *           description: Seconds before the interstitial page continues automatically (0 waits for the visitor)
+ *         wildcard:
+ *           type: boolean
+ *           default: false
+ *           description: Also match /{shortCode}/any/path and forward the rest of the path to the destination
+ *         destinationTemplate:
+ *           type: string
+ *           nullable: true
+ *           description: |
+ *             Per-request destination used instead of originalUrl, e.g.
+ *             https://shop.example.com/{country}/p?ref={utm_source|direct}.
+ *             Placeholders: {path}, {country}, {device}, {os}, {browser} or any query
+ *             parameter name, with an optional |default. The scheme and host must be literal
+ *         redirectType:
+ *           type: string
+ *           enum: ["301", "302", "307", "308", meta-refresh]
+ *           default: "302"
+ *           description: HTTP status used for the redirect, or an HTML meta-refresh page. Browsers cache 301/308, so repeat visits may skip click tracking
+ *         forwardQuery:
+ *           type: object
+ *           description: Which of the visitor's query parameters are merged into the destination
+ *           properties:
+ *             mode:
+ *               type: string
+ *               enum: [none, all, allowlist]
+ *               default: none
+ *             keys:
+ *               type: array
+ *               items:
+ *                 type: string
+ *               description: Parameters forwarded in allowlist mode
+ *         health:
+ *           $ref: '#/components/schemas/UrlHealth'
+ *         safety:
+ *           $ref: '#/components/schemas/UrlSafety'
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -94,8 +202,197 @@ import { generateShortCode } from "../utils/shortCodeGenerator.js";
  *         isActive: true
  *         clickCount: 42
  *         uniqueClicks: 28
+ *
+ *     GeoRestrictions:
+ *       type: object
+ *       properties:
+ *         allowedCountries:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Only these countries may follow the link (ISO 2-letter codes)
+ *         blockedCountries:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Countries that may not follow the link
+ *         fallbackUrl:
+ *           type: string
+ *           format: uri
+ *           nullable: true
+ *           description: Where denied visitors are redirected (451 response when empty)
+ *         countryRedirects:
+ *           type: array
+ *           description: Per-country destination overrides
+ *           items:
+ *             type: object
+ *             properties:
+ *               country:
+ *                 type: string
+ *               url:
+ *                 type: string
+ *                 format: uri
+ *       example:
+ *         blockedCountries: ["RU"]
+ *         fallbackUrl: "https://example.com/unavailable"
+ *         countryRedirects:
+ *           - country: "DE"
+ *             url: "https://example.de/shop"
+ *
+ *     UrlVariant:
+ *       type: object
+ *       required:
+ *         - name
+ *         - url
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Unique variant identifier
+ *         name:
+ *           type: string
+ *           description: Variant name shown in analytics
+ *         url:
+ *           type: string
+ *           format: uri
+ *           description: Destination URL for this variant
+ *         weight:
+ *           type: number
+ *           minimum: 0
+ *           maximum: 100
+ *           default: 100
+ *           description: Relative traffic share (0 pauses the variant)
+ *         clicks:
+ *           type: number
+ *           description: Total clicks routed to this variant
+ *       example:
+ *         name: "landing-b"
+ *         url: "https://example.com/landing-b"
+ *         weight: 50
+ *         clicks: 12
+ *
+ *     RoutingRule:
+ *       type: object
+ *       required:
+ *         - match
+ *         - destination
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Unique rule identifier
+ *         name:
+ *           type: string
+ *           description: Optional label shown in analytics
+ *         match:
+ *           type: object
+ *           description: Conditions that must all match (case-insensitive); at least one is required
+ *           properties:
+ *             os:
+ *               type: string
+ *               example: "iOS"
+ *             deviceType:
+ *               type: string
+ *               enum: [desktop, mobile, tablet]
+ *             browser:
+ *               type: string
+ *               example: "Chrome"
+ *         destination:
+ *           type: string
+ *           format: uri
+ *           description: Where matching visitors are sent
+ *       example:
+ *         name: "ios-app-store"
+ *         match:
+ *           os: "iOS"
+ *         destination: "https://apps.apple.com/app/id123456789"
+ *
+ *     UrlHealth:
+ *       type: object
+ *       description: Result of the scheduled destination health checks
+ *       properties:
+ *         status:
+ *           type: string
+ *           enum: [unknown, healthy, broken]
+ *         consecutiveFailures:
+ *           type: integer
+ *         lastCheckedAt:
+ *           type: string
+ *           format: date-time
+ *         brokenSince:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         lastError:
+ *           type: string
+ *           nullable: true
+ *         redirects:
+ *           type: array
+ *           description: Redirect chain seen on the last check
+ *           items:
+ *             type: object
+ *             properties:
+ *               url:
+ *                 type: string
+ *               status:
+ *                 type: integer
+ *         history:
+ *           type: array
+ *           description: Most recent checks, newest last
+ *           items:
+ *             type: object
+ *             properties:
+ *               checkedAt:
+ *                 type: string
+ *                 format: date-time
+ *               ok:
+ *                 type: boolean
+ *               httpStatus:
+ *                 type: integer
+ *                 nullable: true
+ *               responseTimeMs:
+ *                 type: integer
+ *               finalUrl:
+ *                 type: string
+ *                 nullable: true
+ *               error:
+ *                 type: string
+ *                 nullable: true
+ *
+ *     UrlSafety:
+ *       type: object
+ *       description: Destination screening result from link creation
+ *       properties:
+ *         verdict:
+ *           type: string
+ *           enum: [unknown, safe, suspicious, malicious]
+ *           description: Suspicious links show a warning page, malicious ones are blocked
+ *         reasons:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               source:
+ *                 type: string
+ *                 enum: [blocklist, pattern, provider]
+ *               rule:
+ *                 type: string
+ *                 example: "punycode-host"
+ *               verdict:
+ *                 type: string
+ *               message:
+ *                 type: string
+ *         provider:
+ *           type: string
+ *           description: Reputation provider that was consulted
+ *         checkedAt:
+ *           type: string
+ *           format: date-time
  */
 
+export const HEALTH_STATUSES = ["unknown", "healthy", "broken"];
+
+// Checks kept in health.history
+export const HEALTH_HISTORY_LIMIT = 20;
+
 const urlSchema = new mongoose.Schema(
   {
     // Core URL data
@@ -115,10 +412,10 @@ const urlSchema = new mongoose.Schema(
       },
     },
 
+    // Unique per domain, see the compound index below
     shortCode: {
       type: String,
       required: [true, "Short code is required"],
-      unique: true,
       trim: true,
       minLength: [3, "Short code must be at least 3 characters long"],
       maxLength: [30, "Short code cannot exceed 30 characters"],
@@ -130,7 +427,6 @@ const urlSchema = new mongoose.Schema(
 
     customAlias: {
       type: String,
-      sparse: true, // Allows null values but ensures uniqueness when present
       trim: true,
       minLength: [3, "Custom alias must be at least 3 characters long"],
       maxLength: [30, "Custom alias cannot exceed 30 characters"],
@@ -161,6 +457,20 @@ const urlSchema = new mongoose.Schema(
       index: true,
     },
 
+    // Shared workspace (null = personal link owned by userId)
+    workspaceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Workspace",
+      default: null,
+    },
+
+    // Custom domain the link is served from (null = config.baseUrl)
+    domain: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Domain",
+      default: null,
+    },
+
     // Status and lifecycle
     isActive: {
       type: Boolean,
@@ -174,6 +484,172 @@ const urlSchema = new mongoose.Schema(
       index: { expireAfterSeconds: 0 }, // MongoDB TTL index
     },
 
+    // Set once the owner was emailed about the upcoming expiry
+    expiryWarningSentAt: {
+      type: Date,
+      default: null,
+    },
+
+    // Set once url.expired webhooks were queued (the TTL index removes the link)
+    expiredEventQueuedAt: {
+      type: Date,
+      default: null,
+    },
+
+    // Where visitors are sent while health checks flag the destination as broken
+    fallbackUrl: {
+      type: String,
+      default: null,
+      trim: true,
+      validate: {
+        validator: function (url) {
+          return url === null || validateUrl(url);
+        },
+        message: "Fallback URL must be a valid URL with http:// or https://",
+      },
+    },
+
+    // Whether visitors see an interstitial or preview page before the destination
+    redirectMode: {
+      type: String,
+      enum: {
+        values: REDIRECT_MODES,
+        message: "Redirect mode must be direct, interstitial or preview",
+      },
+      default: "direct",
+    },
+
+    interstitialCountdown: {
+      type: Number,
+      default: 0,
+      min: [0, "Interstitial countdown cannot be negative"],
+      max: [
+        MAX_INTERSTITIAL_COUNTDOWN,
+        `Interstitial countdown cannot exceed ${MAX_INTERSTITIAL_COUNTDOWN} seconds`,
+      ],
+    },
+
+    // Also match /<shortCode>/<rest>, forwarding the rest of the path
+    wildcard: {
+      type: Boolean,
+      default: false,
+    },
+
+    // Destination filled per request (see utils/destinationTemplate.js)
+    destinationTemplate: {
+      type: String,
+      default: null,
+      trim: true,
+      maxLength: [
+        config.maxUrlLength,
+        `Destination template cannot exceed ${config.maxUrlLength} characters`,
+      ],
+      validate: {
+        validator: function (template) {
+          return template === null || getTemplateError(template) === null;
+        },
+        message: (props) => getTemplateError(props.value),
+      },
+    },
+
+    // Status code for redirects (meta-refresh serves an HTML page instead)
+    redirectType: {
+      type: String,
+      enum: {
+        values: REDIRECT_TYPES,
+        message: "Redirect type must be 301, 302, 307, 308 or meta-refresh",
+      },
+      default: "302",
+    },
+
+    // Which of the visitor's query parameters reach the destination
+    forwardQuery: {
+      mode: {
+        type: String,
+        enum: {
+          values: FORWARD_QUERY_MODES,
+          message: "Query forwarding must be none, all or allowlist",
+        },
+        default: "none",
+      },
+      keys: [
+        {
+          type: String,
+          trim: true,
+          maxLength: [100, "Query parameter name cannot exceed 100 characters"],
+        },
+      ],
+    },
+
+    // Destination screening result (see urlSafetyService)
+    safety: {
+      verdict: {
+        type: String,
+        enum: ["unknown", ...SAFETY_VERDICTS],
+        default: "unknown",
+      },
+      reasons: [
+        {
+          _id: false,
+          source: String,
+          rule: String,
+          verdict: String,
+          message: String,
+        },
+      ],
+      provider: {
+        type: String,
+        default: null,
+      },
+      checkedAt: {
+        type: Date,
+        default: null,
+      },
+    },
+
+    // Scheduled destination checks (see linkHealthService)
+    health: {
+      status: {
+        type: String,
+        enum: HEALTH_STATUSES,
+        default: "unknown",
+      },
+      consecutiveFailures: {
+        type: Number,
+        default: 0,
+      },
+      lastCheckedAt: {
+        type: Date,
+        default: null,
+      },
+      brokenSince: {
+        type: Date,
+        default: null,
+      },
+      lastError: {
+        type: String,
+        default: null,
+      },
+      redirects: [
+        {
+          _id: false,
+          url: String,
+          status: Number,
+        },
+      ],
+      history: [
+        {
+          _id: false,
+          checkedAt: Date,
+          ok: Boolean,
+          httpStatus: Number,
+          responseTimeMs: Number,
+          finalUrl: String,
+          error: String,
+        },
+      ],
+    },
+
     // Analytics data
     clickCount: {
       type: Number,
@@ -193,6 +669,20 @@ const urlSchema = new mongoose.Schema(
       default: null,
     },
 
+    // Interstitial/preview page traffic (clickThroughs are also in clickCount)
+    interstitial: {
+      views: {
+        type: Number,
+        default: 0,
+        min: 0,
+      },
+      clickThroughs: {
+        type: Number,
+        default: 0,
+        min: 0,
+      },
+    },
+
     // QR Code data
     qrCode: {
       dataUrl: {
@@ -224,6 +714,13 @@ const urlSchema = new mongoose.Schema(
         type: String,
         maxLength: [500, "Page description cannot exceed 500 characters"],
       },
+      siteName: {
+        type: String,
+        maxLength: [100, "Site name cannot exceed 100 characters"],
+      },
+      image: {
+        type: String,
+      },
       favicon: {
         type: String,
       },
@@ -253,17 +750,98 @@ const urlSchema = new mongoose.Schema(
       select: false, // Don't include in queries by default
     },
 
-    // Geographic restrictions (future feature)
+    // Kept alongside the hidden hash so redirects can gate without selecting it
+    isPasswordProtected: {
+      type: Boolean,
+      default: false,
+    },
+
+    // Unlock tokens issued before this date are no longer accepted
+    passwordUpdatedAt: {
+      type: Date,
+      default: null,
+    },
+
+    // Geographic restrictions and per-country destinations
     geoRestrictions: {
-      allowedCountries: [String],
-      blockedCountries: [String],
+      allowedCountries: [
+        {
+          type: String,
+          uppercase: true,
+          trim: true,
+          match: [/^[A-Z]{2}$/, "Country codes must be ISO 2-letter codes"],
+        },
+      ],
+      blockedCountries: [
+        {
+          type: String,
+          uppercase: true,
+          trim: true,
+          match: [/^[A-Z]{2}$/, "Country codes must be ISO 2-letter codes"],
+        },
+      ],
+      // Where denied visitors are sent instead of receiving a 451
+      fallbackUrl: {
+        type: String,
+        default: null,
+        trim: true,
+        validate: {
+          validator: function (url) {
+            return url === null || validateUrl(url);
+          },
+          message: "Fallback URL must be a valid URL with http:// or https://",
+        },
+      },
+      // Destination overrides for allowed visitors, e.g. DE -> German storefront
+      countryRedirects: [
+        {
+          _id: false,
+          country: {
+            type: String,
+            required: [true, "Country code is required"],
+            uppercase: true,
+            trim: true,
+            match: [/^[A-Z]{2}$/, "Country codes must be ISO 2-letter codes"],
+          },
+          url: {
+            type: String,
+            required: [true, "Country redirect URL is required"],
+            trim: true,
+            validate: {
+              validator: function (url) {
+                return validateUrl(url);
+              },
+              message: "Please provide a valid URL with http:// or https://",
+            },
+          },
+        },
+      ],
     },
 
     // A/B testing support
     variants: [
       {
-        name: String,
-        url: String,
+        name: {
+          type: String,
+          required: [true, "Variant name is required"],
+          trim: true,
+          maxLength: [50, "Variant name cannot exceed 50 characters"],
+        },
+        url: {
+          type: String,
+          required: [true, "Variant URL is required"],
+          trim: true,
+          maxLength: [
+            config.maxUrlLength,
+            `URL cannot exceed ${config.maxUrlLength} characters`,
+          ],
+          validate: {
+            validator: function (url) {
+              return validateUrl(url);
+            },
+            message: "Please provide a valid URL with http:// or https://",
+          },
+        },
         weight: {
           type: Number,
           min: 0,
@@ -276,6 +854,54 @@ const urlSchema = new mongoose.Schema(
         },
       },
     ],
+
+    // Device-aware routing, evaluated in order (first match wins)
+    routingRules: {
+      type: [
+        {
+          name: {
+            type: String,
+            trim: true,
+            maxLength: [50, "Rule name cannot exceed 50 characters"],
+            default: null,
+          },
+          match: {
+            os: { type: String, trim: true, maxLength: 50 },
+            deviceType: { type: String, enum: DEVICE_TYPES },
+            browser: { type: String, trim: true, maxLength: 50 },
+          },
+          destination: {
+            type: String,
+            required: [true, "Rule destination is required"],
+            trim: true,
+            maxLength: [
+              config.maxUrlLength,
+              `URL cannot exceed ${config.maxUrlLength} characters`,
+            ],
+            validate: {
+              validator: function (url) {
+                return validateUrl(url);
+              },
+              message: "Please provide a valid URL with http:// or https://",
+            },
+          },
+        },
+      ],
+      validate: [
+        {
+          validator: (rules) => rules.length <= 20,
+          message: "A URL can have at most 20 routing rules",
+        },
+        {
+          validator: (rules) =>
+            rules.every(
+              (rule) =>
+                rule.match?.os || rule.match?.deviceType || rule.match?.browser
+            ),
+          message: "Each routing rule needs at least one match condition",
+        },
+      ],
+    },
   },
   {
     timestamps: true,
@@ -297,6 +923,12 @@ const urlSchema = new mongoose.Schema(
  */
 urlSchema.virtual("shortUrl").get(function () {
   const code = this.customAlias || this.shortCode;
+
+  // Custom domains are only known when the domain reference is populated
+  if (this.domain?.hostname) {
+    return `https://${this.domain.hostname}/${code}`;
+  }
+
   return `${config.baseUrl}/${code}`;
 });
 
@@ -383,6 +1015,49 @@ urlSchema.pre("save", function (next) {
   next();
 });
 
+/**
+ * Pre-save middleware to hash the link password
+ * An empty password removes protection from the link; imports set
+ * $locals.passwordHashed for passwords they already hashed
+ */
+urlSchema.pre("save", async function (next) {
+  if (!this.isModified("password")) return next();
+
+  try {
+    if (this.password && !this.$locals.passwordHashed) {
+      const salt = await bcrypt.genSalt(10);
+      this.password = await bcrypt.hash(this.password, salt);
+    } else if (!this.password) {
+      this.password = null;
+    }
+    delete this.$locals.passwordHashed;
+
+    this.isPasswordProtected = Boolean(this.password);
+    this.passwordUpdatedAt = new Date();
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Instance method to check a visitor-supplied link password
+ * Requires the document to be loaded with +password
+ * @param {string} enteredPassword - Plain text password to check
+ * @returns {Promise<boolean>} True if password matches, false otherwise
+ */
+urlSchema.methods.matchPassword = async function (enteredPassword) {
+  if (!this.password || !enteredPassword) {
+    return false;
+  }
+
+  try {
+    return await bcrypt.compare(enteredPassword, this.password);
+  } catch (error) {
+    throw new Error("Password comparison failed");
+  }
+};
+
 /**
  * Instance method to increment click count with analytics tracking
  * @param {Object} clickData - Additional click data (IP, user agent, etc.)
@@ -413,6 +1088,84 @@ urlSchema.methods.isAccessible = function () {
   return this.isActive && !this.isExpired;
 };
 
+/**
+ * Instance method to check if the URL has any geographic rules
+ * @returns {boolean} True if country lookups are needed for redirects
+ */
+urlSchema.methods.hasGeoRules = function () {
+  const geo = this.geoRestrictions || {};
+  return (
+    geo.allowedCountries?.length > 0 ||
+    geo.blockedCountries?.length > 0 ||
+    geo.countryRedirects?.length > 0
+  );
+};
+
+/**
+ * Instance method to evaluate geographic rules for a visitor country
+ * Unknown countries are denied when an allow-list is configured
+ * @param {string|null} country - Visitor ISO country code
+ * @returns {Object} { allowed, reason?, fallbackUrl?, destination? }
+ */
+urlSchema.methods.checkGeoAccess = function (country) {
+  const geo = this.geoRestrictions || {};
+  const code = country ? country.toUpperCase() : null;
+  const allowed = geo.allowedCountries || [];
+  const blocked = geo.blockedCountries || [];
+
+  let reason = null;
+  if (code && blocked.includes(code)) {
+    reason = "country_blocked";
+  } else if (allowed.length > 0 && (!code || !allowed.includes(code))) {
+    reason = "country_not_allowed";
+  }
+
+  if (reason) {
+    return {
+      allowed: false,
+      reason,
+      fallbackUrl: geo.fallbackUrl || null,
+    };
+  }
+
+  const override = (geo.countryRedirects || []).find(
+    (redirect) => redirect.country === code
+  );
+
+  return {
+    allowed: true,
+    destination: override ? override.url : null,
+  };
+};
+
+/**
+ * Instance method to find the first routing rule matching a device
+ * @param {Object} device - Device profile ({ deviceType, os, browser })
+ * @returns {Object|null} Matching rule or null to fall through
+ */
+urlSchema.methods.matchRoutingRule = function (device) {
+  return (
+    (this.routingRules || []).find((rule) =>
+      matchesDevice(rule.match, device)
+    ) || null
+  );
+};
+
+/**
+ * Instance method to pick the A/B variant for a visitor
+ * The choice is derived from the URL ID and visitor key, so it stays sticky
+ * for the same visitor as long as the variant set does not change
+ * @param {string} visitorKey - Stable visitor identifier (see getVisitorKey)
+ * @returns {Object|null} Selected variant subdocument or null if no split test
+ */
+urlSchema.methods.selectVariant = function (visitorKey) {
+  if (!this.variants || this.variants.length === 0) {
+    return null;
+  }
+
+  return selectVariant(this.variants, `${this._id}:${visitorKey}`);
+};
+
 /**
  * Instance method to generate QR code for this URL
  * @param {Object} options - QR code generation options
@@ -427,10 +1180,10 @@ urlSchema.methods.generateQRCode = async function (options = {}) {
       ...options,
     };
 
-    const dataUrl = await generateQRCode(this.shortUrl, qrOptions);
+    const { dataURL } = await generateQRCode(this.shortUrl, qrOptions);
 
     this.qrCode = {
-      dataUrl,
+      dataUrl: dataURL,
       size: qrOptions.width,
       generatedAt: new Date(),
     };
@@ -546,15 +1299,28 @@ urlSchema.statics.cleanupExpiredUrls = async function () {
 };
 
 // Indexes for performance optimization
-urlSchema.index({ shortCode: 1 }, { unique: true });
-urlSchema.index({ customAlias: 1 }, { unique: true, sparse: true });
+// Short codes and aliases are unique per domain (null = default domain).
+// Existing deployments drop the old single-field unique indexes with
+// `npm run migrate:url-indexes`.
+urlSchema.index({ domain: 1, shortCode: 1 }, { unique: true });
+urlSchema.index({ shortCode: 1 }); // Cross-domain lookups (code generation)
+urlSchema.index(
+  { domain: 1, customAlias: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { customAlias: { $type: "string" } },
+  }
+);
 urlSchema.index({ userId: 1, createdAt: -1 });
+urlSchema.index({ workspaceId: 1, createdAt: -1 });
 urlSchema.index({ isActive: 1 });
 urlSchema.index({ clickCount: -1 });
 urlSchema.index({ lastClickedAt: -1 });
 urlSchema.index({ "metadata.domain": 1 });
 urlSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
 urlSchema.index({ tags: 1 });
+urlSchema.index({ userId: 1, "health.status": 1 });
+urlSchema.index({ "health.lastCheckedAt": 1 });
 
 // Text index for search functionality
 urlSchema.index({
@@ -2,6 +2,7 @@ import mongoose from "mongoose";
 import bcrypt from "bcryptjs";
 import jwt from "jsonwebtoken";
 import { config } from "../config/config.js";
+import { DEFAULT_PLAN } from "../utils/plans.js";
 
 /**
  * User Schema for SnapURL service
@@ -38,6 +39,14 @@ import { config } from "../config/config.js";
  *           type: boolean
  *           default: true
  *           description: Account status
+ *         emailVerified:
+ *           type: boolean
+ *           default: false
+ *           description: Whether the email address was confirmed (required for custom domains, API keys and invitations)
+ *         plan:
+ *           type: string
+ *           default: free
+ *           description: Plan that sets the user's limits (see GET /api/plans)
  *         lastLogin:
  *           type: string
  *           format: date-time
@@ -62,6 +71,8 @@ import { config } from "../config/config.js";
  *         email: "john@example.com"
  *         role: "user"
  *         isActive: true
+ *         emailVerified: true
+ *         plan: "free"
  *         urlCount: 15
  *         totalClicks: 342
  */
@@ -112,6 +123,31 @@ const userSchema = new mongoose.Schema(
       default: true,
     },
 
+    emailVerified: {
+      type: Boolean,
+      default: false,
+    },
+
+    // Plan limits (see utils/plans.js and services/planService.js)
+    plan: {
+      type: String,
+      default: DEFAULT_PLAN,
+      lowercase: true,
+      trim: true,
+    },
+
+    // Usage counted against monthly plan limits
+    planUsage: {
+      month: {
+        type: String, // UTC "YYYY-MM" the counts belong to
+        default: null,
+      },
+      qrGenerations: {
+        type: Number,
+        default: 0,
+      },
+    },
+
     // Activity tracking
     lastLogin: {
       type: Date,
@@ -259,15 +295,20 @@ userSchema.methods.matchPassword = async function (enteredPassword) {
 /**
  * Instance method to generate JWT token
  * @param {string} expiresIn - Token expiration time (default from config)
+ * @param {string} [sessionId] - Session the token belongs to (checked by protect)
  * @returns {string} Signed JWT token
  */
-userSchema.methods.generateToken = function (expiresIn = config.jwtExpire) {
+userSchema.methods.generateToken = function (
+  expiresIn = config.jwtExpire,
+  sessionId = null
+) {
   try {
     return jwt.sign(
       {
         id: this._id,
         email: this.email,
         role: this.role,
+        ...(sessionId && { sid: sessionId.toString() }),
       },
       config.jwtSecret,
       {
@@ -292,6 +333,7 @@ userSchema.methods.getPublicProfile = function () {
   // Remove sensitive fields
   delete userObject.password;
   delete userObject.apiUsage;
+  delete userObject.planUsage;
   delete userObject.__v;
 
   return userObject;
@@ -397,6 +439,7 @@ userSchema.statics.getAnalyticsSummary = async function () {
 userSchema.index({ email: 1 }, { unique: true });
 userSchema.index({ isActive: 1 });
 userSchema.index({ role: 1 });
+userSchema.index({ plan: 1 });
 userSchema.index({ createdAt: -1 });
 userSchema.index({ urlCount: -1 });
 userSchema.index({ totalClicks: -1 });
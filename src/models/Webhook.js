@@ -0,0 +1,160 @@
+import mongoose from "mongoose";
+
+/**
+ * Webhook Schema for SnapURL service
+ * Endpoints that receive signed POSTs when link or click events happen
+ *
+ * @swagger
+ * components:
+ *   schemas:
+ *     Webhook:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         url:
+ *           type: string
+ *           format: uri
+ *           description: Endpoint that receives the events
+ *         events:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [url.created, url.deleted, url.expired, url.broken, url.recovered, click.recorded, click.milestone]
+ *         milestoneEvery:
+ *           type: integer
+ *           description: click.milestone fires every N clicks
+ *         description:
+ *           type: string
+ *         isActive:
+ *           type: boolean
+ *         consecutiveFailures:
+ *           type: integer
+ *           description: Deliveries that failed for good since the last success
+ *         disabledReason:
+ *           type: string
+ *           nullable: true
+ *         lastDeliveryAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *       example:
+ *         _id: "64a1b2c3d4e5f6789abcdef6"
+ *         url: "https://hooks.example.com/snapurl"
+ *         events: ["url.created", "click.milestone"]
+ *         milestoneEvery: 1000
+ *         isActive: true
+ */
+
+export const WEBHOOK_EVENTS = [
+  "url.created",
+  "url.deleted",
+  "url.expired",
+  "url.broken",
+  "url.recovered",
+  "click.recorded",
+  "click.milestone",
+];
+
+// Endpoints are switched off after this many deliveries fail for good in a row
+export const MAX_CONSECUTIVE_FAILURES = 10;
+
+const webhookSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Webhook owner is required"],
+    },
+
+    url: {
+      type: String,
+      required: [true, "Webhook URL is required"],
+      trim: true,
+      maxLength: [2048, "Webhook URL cannot exceed 2048 characters"],
+      match: [/^https?:\/\/.+/i, "Webhook URL must use http or https"],
+    },
+
+    events: {
+      type: [
+        {
+          type: String,
+          enum: {
+            values: WEBHOOK_EVENTS,
+            message: "Unsupported webhook event",
+          },
+        },
+      ],
+      validate: {
+        validator: (events) => events.length > 0,
+        message: "Subscribe to at least one event",
+      },
+    },
+
+    milestoneEvery: {
+      type: Number,
+      default: 100,
+      min: [1, "Milestone interval must be at least 1"],
+    },
+
+    description: {
+      type: String,
+      trim: true,
+      maxLength: [200, "Description cannot exceed 200 characters"],
+      default: "",
+    },
+
+    // Needed in clear text to sign payloads; only shown to the owner on create/rotate
+    secret: {
+      type: String,
+      required: true,
+      select: false,
+    },
+
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+
+    consecutiveFailures: {
+      type: Number,
+      default: 0,
+    },
+
+    disabledReason: {
+      type: String,
+      default: null,
+    },
+
+    lastDeliveryAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: function (doc, ret) {
+        delete ret.__v;
+        delete ret.secret;
+        return ret;
+      },
+    },
+  }
+);
+
+/**
+ * Instance method to check whether the webhook wants an event
+ * @param {string} event - Event name
+ * @returns {boolean} True if subscribed and active
+ */
+webhookSchema.methods.isSubscribedTo = function (event) {
+  return this.isActive && this.events.includes(event);
+};
+
+// Indexes for performance optimization
+webhookSchema.index({ userId: 1, isActive: 1, events: 1 });
+
+const Webhook = mongoose.model("Webhook", webhookSchema);
+
+export default Webhook;
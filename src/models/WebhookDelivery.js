@@ -0,0 +1,149 @@
+import mongoose from "mongoose";
+
+/**
+ * WebhookDelivery Schema for SnapURL service
+ * One record per event sent to a webhook, with every attempt's outcome
+ *
+ * @swagger
+ * components:
+ *   schemas:
+ *     WebhookDelivery:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Delivery ID (also sent as X-SnapURL-Delivery)
+ *         webhookId:
+ *           type: string
+ *         event:
+ *           type: string
+ *         payload:
+ *           type: object
+ *           description: JSON body that was POSTed
+ *         status:
+ *           type: string
+ *           enum: [pending, succeeded, failed]
+ *         attempts:
+ *           type: integer
+ *         nextAttemptAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         responseStatus:
+ *           type: integer
+ *           nullable: true
+ *         error:
+ *           type: string
+ *           nullable: true
+ *         durationMs:
+ *           type: integer
+ *           nullable: true
+ *         deliveredAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+export const DELIVERY_STATUSES = ["pending", "succeeded", "failed"];
+
+// Delivery logs are kept for 30 days
+const DELIVERY_LOG_TTL_SECONDS = 30 * 24 * 60 * 60;
+
+const webhookDeliverySchema = new mongoose.Schema(
+  {
+    webhookId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Webhook",
+      required: true,
+    },
+
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    event: {
+      type: String,
+      required: true,
+    },
+
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+
+    status: {
+      type: String,
+      enum: DELIVERY_STATUSES,
+      default: "pending",
+    },
+
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+
+    nextAttemptAt: {
+      type: Date,
+      default: Date.now,
+    },
+
+    responseStatus: {
+      type: Number,
+      default: null,
+    },
+
+    responseBody: {
+      type: String,
+      maxLength: 1000,
+      default: null,
+    },
+
+    error: {
+      type: String,
+      maxLength: 500,
+      default: null,
+    },
+
+    durationMs: {
+      type: Number,
+      default: null,
+    },
+
+    deliveredAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    minimize: false,
+    toJSON: {
+      transform: function (doc, ret) {
+        delete ret.__v;
+        return ret;
+      },
+    },
+  }
+);
+
+// Indexes for performance optimization
+webhookDeliverySchema.index({ webhookId: 1, createdAt: -1 });
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+
+// TTL index - old delivery logs are removed automatically
+webhookDeliverySchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: DELIVERY_LOG_TTL_SECONDS }
+);
+
+const WebhookDelivery = mongoose.model(
+  "WebhookDelivery",
+  webhookDeliverySchema
+);
+
+export default WebhookDelivery;
@@ -0,0 +1,180 @@
+import mongoose from "mongoose";
+import { WORKSPACE_ROLES, rolesWithPermission } from "../utils/permissions.js";
+
+/**
+ * Workspace Schema for SnapURL service
+ * A team space whose members share links and analytics
+ *
+ * @swagger
+ * components:
+ *   schemas:
+ *     WorkspaceMember:
+ *       type: object
+ *       properties:
+ *         userId:
+ *           type: string
+ *           description: Member user ID
+ *         role:
+ *           type: string
+ *           enum: [owner, editor, viewer]
+ *           description: |
+ *             owner manages members and settings, editor creates and edits
+ *             links, viewer can only read links and analytics
+ *         addedAt:
+ *           type: string
+ *           format: date-time
+ *     Workspace:
+ *       type: object
+ *       required:
+ *         - name
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Unique workspace identifier
+ *         name:
+ *           type: string
+ *           maxLength: 100
+ *         description:
+ *           type: string
+ *           maxLength: 500
+ *         createdBy:
+ *           type: string
+ *           description: User who created the workspace
+ *         members:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/WorkspaceMember'
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *       example:
+ *         _id: "64a1b2c3d4e5f6789abcdef3"
+ *         name: "Marketing"
+ *         members:
+ *           - userId: "64a1b2c3d4e5f6789abcdef0"
+ *             role: "owner"
+ */
+
+const memberSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Member user ID is required"],
+    },
+    role: {
+      type: String,
+      enum: {
+        values: WORKSPACE_ROLES,
+        message: "Role must be owner, editor or viewer",
+      },
+      default: "viewer",
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+const workspaceSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Workspace name is required"],
+      trim: true,
+      maxLength: [100, "Workspace name cannot exceed 100 characters"],
+    },
+
+    description: {
+      type: String,
+      trim: true,
+      maxLength: [500, "Description cannot exceed 500 characters"],
+      default: null,
+    },
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Workspace creator is required"],
+    },
+
+    members: {
+      type: [memberSchema],
+      validate: {
+        validator: (members) =>
+          members.some((member) => member.role === "owner"),
+        message: "A workspace must have at least one owner",
+      },
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: function (doc, ret) {
+        delete ret.__v;
+        return ret;
+      },
+    },
+  }
+);
+
+/**
+ * Instance method to get a user's role in the workspace
+ * @param {string} userId - User ID
+ * @returns {string|null} Role or null if not a member
+ */
+workspaceSchema.methods.memberRole = function (userId) {
+  const member = this.members.find((entry) =>
+    (entry.userId?._id || entry.userId)?.equals(userId)
+  );
+  return member ? member.role : null;
+};
+
+/**
+ * Builds the members filter for users holding a permission
+ * @param {string} userId - User ID
+ * @param {string} permission - Required permission (see utils/permissions.js)
+ * @returns {Object} MongoDB filter
+ */
+const memberWithPermission = (userId, permission) => ({
+  members: {
+    $elemMatch: { userId, role: { $in: rolesWithPermission(permission) } },
+  },
+});
+
+/**
+ * Static method to list workspace IDs where a user holds a permission
+ * @param {string} userId - User ID
+ * @param {string} permission - Required permission (see utils/permissions.js)
+ * @returns {Promise<Array>} Workspace ObjectIds
+ */
+workspaceSchema.statics.findIdsWithPermission = function (userId, permission) {
+  return this.distinct("_id", memberWithPermission(userId, permission));
+};
+
+/**
+ * Static method to find a workspace if the user holds a permission in it
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} userId - User ID
+ * @param {string} permission - Required permission (see utils/permissions.js)
+ * @returns {Promise<Workspace|null>} Workspace document or null
+ */
+workspaceSchema.statics.findWithPermission = function (
+  workspaceId,
+  userId,
+  permission
+) {
+  return this.findOne({
+    _id: workspaceId,
+    ...memberWithPermission(userId, permission),
+  });
+};
+
+// Indexes for performance optimization
+workspaceSchema.index({ "members.userId": 1 });
+
+const Workspace = mongoose.model("Workspace", workspaceSchema);
+
+export default Workspace;
@@ -0,0 +1,143 @@
+import mongoose from "mongoose";
+import crypto from "crypto";
+
+/**
+ * WorkspaceInvitation Schema for SnapURL service
+ * Pending invitations for users to join a workspace
+ * (only a hash of the invitation token is stored)
+ *
+ * @swagger
+ * components:
+ *   schemas:
+ *     WorkspaceInvitation:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         workspaceId:
+ *           type: string
+ *         email:
+ *           type: string
+ *           format: email
+ *           description: Address the invitation is for; must match the accepting account
+ *         role:
+ *           type: string
+ *           enum: [editor, viewer]
+ *         status:
+ *           type: string
+ *           enum: [pending, accepted, revoked]
+ *         invitedBy:
+ *           type: string
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *       example:
+ *         workspaceId: "64a1b2c3d4e5f6789abcdef3"
+ *         email: "teammate@example.com"
+ *         role: "editor"
+ *         status: "pending"
+ */
+
+// How long an invitation can be accepted
+export const INVITATION_TTL_DAYS = 7;
+
+/**
+ * Hashes an invitation token for storage and lookup
+ * @param {string} token - Raw invitation token
+ * @returns {string} SHA-256 hex digest
+ */
+export const hashInvitationToken = (token) =>
+  crypto.createHash("sha256").update(String(token)).digest("hex");
+
+const workspaceInvitationSchema = new mongoose.Schema(
+  {
+    workspaceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Workspace",
+      required: [true, "Workspace ID is required"],
+      index: true,
+    },
+
+    email: {
+      type: String,
+      required: [true, "Email is required"],
+      lowercase: true,
+      trim: true,
+    },
+
+    role: {
+      type: String,
+      enum: {
+        values: ["editor", "viewer"],
+        message: "Invitation role must be editor or viewer",
+      },
+      default: "viewer",
+    },
+
+    tokenHash: {
+      type: String,
+      required: true,
+      select: false,
+    },
+
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    status: {
+      type: String,
+      enum: ["pending", "accepted", "revoked"],
+      default: "pending",
+    },
+
+    acceptedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+
+    acceptedAt: {
+      type: Date,
+      default: null,
+    },
+
+    expiresAt: {
+      type: Date,
+      default: () =>
+        new Date(Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000),
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: function (doc, ret) {
+        delete ret.__v;
+        delete ret.tokenHash;
+        return ret;
+      },
+    },
+  }
+);
+
+/**
+ * Virtual to check if the invitation has expired
+ */
+workspaceInvitationSchema.virtual("isExpired").get(function () {
+  return this.expiresAt < new Date();
+});
+
+// Indexes for performance optimization
+workspaceInvitationSchema.index({ tokenHash: 1 }, { unique: true });
+workspaceInvitationSchema.index({ workspaceId: 1, email: 1, status: 1 });
+
+// TTL index - expired invitations are removed automatically
+workspaceInvitationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const WorkspaceInvitation = mongoose.model(
+  "WorkspaceInvitation",
+  workspaceInvitationSchema
+);
+
+export default WorkspaceInvitation;
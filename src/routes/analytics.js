@@ -11,12 +11,37 @@ import {
   getTopContent,
   getGeographicAnalytics,
   cleanupAnalyticsData,
+  exportClicks,
 } from "../controllers/analyticsController.js";
-import { protect } from "../middleware/auth.js";
+import { protect, allowApiKey } from "../middleware/auth.js";
+import {
+  authorize,
+  authorizeWhen,
+  authorizeUrl,
+  resolveWorkspaceScope,
+} from "../middleware/authorize.js";
+import { API_KEY_SCOPES, PERMISSIONS } from "../utils/permissions.js";
 import { analyticsLimiter } from "../middleware/rateLimiter.js";
 
 const router = express.Router();
 
+// Platform-wide routes stay session-only; the rest accept scoped API keys
+const analyticsRead = allowApiKey(API_KEY_SCOPES.ANALYTICS_READ);
+
+/**
+ * Platform reports and reports about another user are admin only
+ * @param {Object} req - Express request object
+ * @returns {boolean} True if the admin role is required
+ */
+const requiresAdminReport = (req) => {
+  const { type = "user", targetId } = req.body;
+
+  return (
+    type === "platform" ||
+    (type === "user" && !!targetId && String(targetId) !== String(req.user._id))
+  );
+};
+
 /**
  * @swagger
  * components:
@@ -131,6 +156,43 @@ const router = express.Router();
  *               type: array
  *             clicksByDay:
  *               type: array
+ *         variants:
+ *           type: array
+ *           description: Per-variant breakdown for A/B split tests
+ *           items:
+ *             type: object
+ *             properties:
+ *               variantId:
+ *                 type: string
+ *               name:
+ *                 type: string
+ *               url:
+ *                 type: string
+ *               weight:
+ *                 type: number
+ *               totalClicks:
+ *                 type: number
+ *                 description: Lifetime clicks routed to the variant
+ *               clicks:
+ *                 type: number
+ *                 description: Clicks within the date range
+ *               uniqueClicks:
+ *                 type: number
+ *               share:
+ *                 type: number
+ *                 description: Percentage of split-test clicks within the date range
+ *         accessDenied:
+ *           type: object
+ *           description: Visits denied or diverted by geo restrictions (not counted as clicks)
+ *           properties:
+ *             total:
+ *               type: number
+ *             byType:
+ *               type: array
+ *             byOutcome:
+ *               type: array
+ *             byCountry:
+ *               type: array
  *         performance:
  *           type: object
  *           properties:
@@ -176,6 +238,7 @@ const router = express.Router();
  *     tags: [Analytics]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -228,7 +291,123 @@ const router = express.Router();
  *       404:
  *         description: URL not found
  */
-router.get("/url/:id", protect, analyticsLimiter, getUrlAnalytics);
+router.get(
+  "/url/:id",
+  analyticsRead,
+  protect,
+  analyticsLimiter,
+  authorizeUrl(PERMISSIONS.ANALYTICS_READ),
+  getUrlAnalytics
+);
+
+/**
+ * @swagger
+ * /api/analytics/url/{id}/clicks/export:
+ *   get:
+ *     summary: Stream the raw clicks of a URL
+ *     description: |
+ *       Streams one row per click as CSV, NDJSON or a JSON array, newest
+ *       first. IP addresses are replaced with stable per-link pseudonyms
+ *       unless the link owner passes includeIp=true.
+ *     tags: [Analytics]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: URL ID
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, ndjson, json]
+ *           default: csv
+ *       - in: query
+ *         name: columns
+ *         description: |
+ *           Comma-separated click fields, in output order. Available: id,
+ *           clickedAt, ipAddress, userAgent, referrer, location.country,
+ *           location.countryName, location.region, location.city,
+ *           location.timezone, device.type, device.browser,
+ *           device.browserVersion, device.os, device.osVersion,
+ *           device.language, isBot, isUnique, campaign.source,
+ *           campaign.medium, campaign.campaign, campaign.term,
+ *           campaign.content, variant.name, routingRule.name, sessionId,
+ *           loadTime
+ *         schema:
+ *           type: string
+ *           example: "clickedAt,location.country,device.type"
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: country
+ *         description: ISO 3166-1 alpha-2 country code
+ *         schema:
+ *           type: string
+ *           example: "US"
+ *       - in: query
+ *         name: device
+ *         schema:
+ *           type: string
+ *           enum: [desktop, mobile, tablet, bot, unknown]
+ *       - in: query
+ *         name: campaign
+ *         description: utm_campaign value
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: includeBots
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *       - in: query
+ *         name: includeIp
+ *         description: Export raw IP addresses (link owner only)
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *     responses:
+ *       200:
+ *         description: Click export stream
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/x-ndjson:
+ *             schema:
+ *               type: string
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *       400:
+ *         description: Unknown format, column or invalid date
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         description: Access denied, or includeIp requested by someone other than the owner
+ */
+router.get(
+  "/url/:id/clicks/export",
+  analyticsRead,
+  protect,
+  analyticsLimiter,
+  authorizeUrl(PERMISSIONS.ANALYTICS_READ),
+  exportClicks
+);
 
 /**
  * @swagger
@@ -238,6 +417,7 @@ router.get("/url/:id", protect, analyticsLimiter, getUrlAnalytics);
  *     tags: [Analytics]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: query
  *         name: startDate
@@ -256,6 +436,11 @@ router.get("/url/:id", protect, analyticsLimiter, getUrlAnalytics);
  *           default: 10
  *           maximum: 50
  *         description: Number of top URLs to include
+ *       - in: query
+ *         name: workspaceId
+ *         schema:
+ *           type: string
+ *         description: Report on a workspace's links instead of your personal links (any member role)
  *     responses:
  *       200:
  *         description: Dashboard analytics retrieved successfully
@@ -329,8 +514,17 @@ router.get("/url/:id", protect, analyticsLimiter, getUrlAnalytics);
  *                             type: string
  *       401:
  *         description: Authentication required
+ *       403:
+ *         description: Not a member of the workspace
  */
-router.get("/dashboard", protect, analyticsLimiter, getUserDashboard);
+router.get(
+  "/dashboard",
+  analyticsRead,
+  protect,
+  analyticsLimiter,
+  resolveWorkspaceScope(PERMISSIONS.ANALYTICS_READ),
+  getUserDashboard
+);
 
 /**
  * @swagger
@@ -393,7 +587,13 @@ router.get("/dashboard", protect, analyticsLimiter, getUserDashboard);
  *       403:
  *         description: Admin role required
  */
-router.get("/platform", protect, analyticsLimiter, getPlatformAnalytics);
+router.get(
+  "/platform",
+  protect,
+  authorize("admin"),
+  analyticsLimiter,
+  getPlatformAnalytics
+);
 
 /**
  * @swagger
@@ -403,6 +603,7 @@ router.get("/platform", protect, analyticsLimiter, getPlatformAnalytics);
  *     tags: [Analytics]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: query
  *         name: minutes
@@ -463,7 +664,7 @@ router.get("/platform", protect, analyticsLimiter, getPlatformAnalytics);
  *       401:
  *         description: Authentication required
  */
-router.get("/realtime", protect, getRealTimeAnalytics);
+router.get("/realtime", analyticsRead, protect, getRealTimeAnalytics);
 
 /**
  * @swagger
@@ -473,6 +674,7 @@ router.get("/realtime", protect, getRealTimeAnalytics);
  *     tags: [Analytics]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: query
  *         name: period
@@ -503,6 +705,11 @@ router.get("/realtime", protect, getRealTimeAnalytics);
  *           type: string
  *           format: date
  *         description: Required if period is 'custom'
+ *       - in: query
+ *         name: workspaceId
+ *         schema:
+ *           type: string
+ *         description: Report on a workspace's links instead of your personal links (any member role)
  *     responses:
  *       200:
  *         description: Click analytics retrieved successfully
@@ -510,8 +717,18 @@ router.get("/realtime", protect, getRealTimeAnalytics);
  *         description: Invalid parameters (missing dates for custom period)
  *       401:
  *         description: Authentication required
+ *       403:
+ *         description: No access to the URL or workspace
  */
-router.get("/clicks", protect, analyticsLimiter, getClickAnalytics);
+router.get(
+  "/clicks",
+  analyticsRead,
+  protect,
+  analyticsLimiter,
+  authorizeUrl(PERMISSIONS.ANALYTICS_READ, (req) => req.query.urlId),
+  resolveWorkspaceScope(PERMISSIONS.ANALYTICS_READ),
+  getClickAnalytics
+);
 
 /**
  * @swagger
@@ -521,6 +738,7 @@ router.get("/clicks", protect, analyticsLimiter, getClickAnalytics);
  *     tags: [Analytics]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: query
  *         name: metric
@@ -548,7 +766,7 @@ router.get("/clicks", protect, analyticsLimiter, getClickAnalytics);
  *       401:
  *         description: Authentication required
  */
-router.get("/top", protect, analyticsLimiter, getTopContent);
+router.get("/top", analyticsRead, protect, analyticsLimiter, getTopContent);
 
 /**
  * @swagger
@@ -558,6 +776,7 @@ router.get("/top", protect, analyticsLimiter, getTopContent);
  *     tags: [Analytics]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: query
  *         name: urlId
@@ -580,13 +799,28 @@ router.get("/top", protect, analyticsLimiter, getTopContent);
  *           type: string
  *           enum: [country, city]
  *           default: country
+ *       - in: query
+ *         name: workspaceId
+ *         schema:
+ *           type: string
+ *         description: Report on a workspace's links instead of your personal links (any member role)
  *     responses:
  *       200:
  *         description: Geographic analytics retrieved successfully
  *       401:
  *         description: Authentication required
+ *       403:
+ *         description: No access to the URL or workspace
  */
-router.get("/geographic", protect, analyticsLimiter, getGeographicAnalytics);
+router.get(
+  "/geographic",
+  analyticsRead,
+  protect,
+  analyticsLimiter,
+  authorizeUrl(PERMISSIONS.ANALYTICS_READ, (req) => req.query.urlId),
+  resolveWorkspaceScope(PERMISSIONS.ANALYTICS_READ),
+  getGeographicAnalytics
+);
 
 /**
  * @swagger
@@ -596,6 +830,7 @@ router.get("/geographic", protect, analyticsLimiter, getGeographicAnalytics);
  *     tags: [Analytics]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -666,9 +901,21 @@ router.get("/geographic", protect, analyticsLimiter, getGeographicAnalytics);
  *       401:
  *         description: Authentication required
  *       403:
- *         description: Access denied (for platform reports)
+ *         description: |
+ *           Access denied (platform reports and other users' reports need the
+ *           admin role, URL reports need access to the URL)
  */
-router.post("/report", protect, analyticsLimiter, generateReport);
+router.post(
+  "/report",
+  analyticsRead,
+  protect,
+  analyticsLimiter,
+  authorizeWhen(requiresAdminReport, "admin"),
+  authorizeUrl(PERMISSIONS.ANALYTICS_READ, (req) =>
+    req.body.type === "url" ? req.body.targetId : null
+  ),
+  generateReport
+);
 
 /**
  * @swagger
@@ -678,6 +925,7 @@ router.post("/report", protect, analyticsLimiter, generateReport);
  *     tags: [Analytics]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -757,7 +1005,13 @@ router.post("/report", protect, analyticsLimiter, generateReport);
  *       401:
  *         description: Authentication required
  */
-router.post("/summary", protect, analyticsLimiter, getAnalyticsSummary);
+router.post(
+  "/summary",
+  analyticsRead,
+  protect,
+  analyticsLimiter,
+  getAnalyticsSummary
+);
 
 /**
  * @swagger
@@ -767,6 +1021,7 @@ router.post("/summary", protect, analyticsLimiter, getAnalyticsSummary);
  *     tags: [Analytics]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: query
  *         name: type
@@ -810,13 +1065,25 @@ router.post("/summary", protect, analyticsLimiter, getAnalyticsSummary);
  *       403:
  *         description: Admin role required (for platform exports)
  */
-router.get("/export", protect, analyticsLimiter, exportAnalytics);
+router.get(
+  "/export",
+  analyticsRead,
+  protect,
+  analyticsLimiter,
+  authorizeWhen((req) => req.query.type === "platform", "admin"),
+  exportAnalytics
+);
 
 /**
  * @swagger
  * /api/analytics/cleanup:
  *   post:
  *     summary: Clean up old analytics data (Admin only)
+ *     description: >
+ *       Deletes each user's clicks older than their analyticsRetention preference,
+ *       capped by their plan's analytics retention. Expiring clicks missing from the
+ *       hourly rollups are folded into them first. Also runs daily as the
+ *       clicks.retention job.
  *     tags: [Analytics]
  *     security:
  *       - bearerAuth: []
@@ -831,7 +1098,7 @@ router.get("/export", protect, analyticsLimiter, exportAnalytics);
  *                 default: 365
  *                 minimum: 30
  *                 maximum: 3650
- *                 description: Number of days to retain analytics data
+ *                 description: Days to retain clicks on links without an owner
  *               dryRun:
  *                 type: boolean
  *                 default: true
@@ -859,11 +1126,47 @@ router.get("/export", protect, analyticsLimiter, exportAnalytics);
  *                     deletedCount:
  *                       type: number
  *                       description: Number of records actually deleted
- *                     cutoffDate:
- *                       type: string
- *                       format: date-time
  *                     retentionDays:
  *                       type: integer
+ *                     foldedDays:
+ *                       type: number
+ *                       description: Link-days folded into hourly rollups
+ *                     users:
+ *                       type: array
+ *                       description: What was (or would be) purged per user; userId is null for links without an owner
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           userId:
+ *                             type: string
+ *                             nullable: true
+ *                           email:
+ *                             type: string
+ *                           plan:
+ *                             type: string
+ *                           retentionDays:
+ *                             type: integer
+ *                           cutoffDate:
+ *                             type: string
+ *                             format: date-time
+ *                           clicks:
+ *                             type: number
+ *                           foldedDays:
+ *                             type: number
+ *                     orphaned:
+ *                       type: object
+ *                       nullable: true
+ *                       description: Expired clicks of deleted links and of links whose owner was deleted
+ *                       properties:
+ *                         retentionDays:
+ *                           type: integer
+ *                         cutoffDate:
+ *                           type: string
+ *                           format: date-time
+ *                         links:
+ *                           type: number
+ *                         clicks:
+ *                           type: number
  *                     cleanupDate:
  *                       type: string
  *                       format: date-time
@@ -877,6 +1180,6 @@ router.get("/export", protect, analyticsLimiter, exportAnalytics);
  *       403:
  *         description: Admin role required
  */
-router.post("/cleanup", protect, cleanupAnalyticsData);
+router.post("/cleanup", protect, authorize("admin"), cleanupAnalyticsData);
 
 export default router;
@@ -8,13 +8,20 @@ import {
   changePassword,
   forgotPassword,
   resetPassword,
+  verifyEmail,
+  resendVerificationEmail,
   validateToken,
   getApiUsage,
   generateApiKey,
+  getApiKeys,
+  revokeApiKey,
   deactivateAccount,
   logout,
+  getSessions,
+  revokeSession,
+  revokeAllSessions,
 } from "../controllers/authController.js";
-import { protect } from "../middleware/auth.js";
+import { protect, requireVerifiedEmail } from "../middleware/auth.js";
 import { validate, schemas } from "../middleware/validation.js";
 import { authLimiter } from "../middleware/rateLimiter.js";
 
@@ -38,13 +45,20 @@ const router = express.Router();
  *               $ref: '#/components/schemas/User'
  *             token:
  *               type: string
- *               description: JWT authentication token
+ *               description: Short-lived JWT access token
+ *             refreshToken:
+ *               type: string
+ *               description: Single-use token for POST /api/auth/refresh
  *         meta:
  *           type: object
  *           properties:
  *             expiresIn:
  *               type: string
- *               description: Token expiration time
+ *               description: Access token expiration time
+ *             refreshExpiresAt:
+ *               type: string
+ *               format: date-time
+ *               description: When the session ends unless refreshed
  *             tokenType:
  *               type: string
  *               example: Bearer
@@ -148,10 +162,21 @@ router.post("/login", authLimiter, validate(schemas.login), login);
  * @swagger
  * /api/auth/refresh:
  *   post:
- *     summary: Refresh authentication token
+ *     summary: Exchange a refresh token for a new token pair
+ *     description: >
+ *       Refresh tokens are single-use. Each call returns a new refresh token;
+ *       presenting an already-used one revokes its session.
  *     tags: [Authentication]
- *     security:
- *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [refreshToken]
+ *             properties:
+ *               refreshToken:
+ *                 type: string
  *     responses:
  *       200:
  *         description: Token refreshed successfully
@@ -159,16 +184,18 @@ router.post("/login", authLimiter, validate(schemas.login), login);
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/AuthResponse'
+ *       400:
+ *         description: Validation error
  *       401:
- *         description: Invalid or expired token
+ *         description: Invalid, expired or reused refresh token
  */
-router.post("/refresh", refreshToken);
+router.post("/refresh", validate(schemas.refreshToken), refreshToken);
 
 /**
  * @swagger
  * /api/auth/logout:
  *   post:
- *     summary: Logout user (client-side token invalidation)
+ *     summary: Logout user by revoking the current session
  *     tags: [Authentication]
  *     security:
  *       - bearerAuth: []
@@ -189,6 +216,76 @@ router.post("/refresh", refreshToken);
  */
 router.post("/logout", protect, logout);
 
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   get:
+ *     summary: List active sessions (signed-in devices)
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Sessions retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     sessions:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Session'
+ *       401:
+ *         description: Authentication required
+ *   delete:
+ *     summary: Revoke all sessions
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: keepCurrent
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Keep the session making this request signed in
+ *     responses:
+ *       200:
+ *         description: Sessions revoked successfully
+ *       401:
+ *         description: Authentication required
+ */
+router.get("/sessions", protect, getSessions);
+router.delete("/sessions", protect, revokeAllSessions);
+
+/**
+ * @swagger
+ * /api/auth/sessions/{id}:
+ *   delete:
+ *     summary: Revoke a session
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Session revoked successfully
+ *       401:
+ *         description: Authentication required
+ */
+router.delete("/sessions/:id", protect, revokeSession);
+
 /**
  * @swagger
  * /api/auth/profile:
@@ -315,7 +412,7 @@ router.put("/change-password", protect, changePassword);
  *                 example: user@example.com
  *     responses:
  *       200:
- *         description: Password reset instructions sent (if account exists)
+ *         description: Password reset instructions emailed (if account exists)
  *         content:
  *           application/json:
  *             schema:
@@ -325,12 +422,6 @@ router.put("/change-password", protect, changePassword);
  *                   type: boolean
  *                 message:
  *                   type: string
- *                 data:
- *                   type: object
- *                   properties:
- *                     resetToken:
- *                       type: string
- *                       description: Reset token (only in development)
  *       400:
  *         description: Validation error
  */
@@ -367,6 +458,46 @@ router.post("/forgot-password", forgotPassword);
  */
 router.post("/reset-password", resetPassword);
 
+/**
+ * @swagger
+ * /api/auth/verify-email:
+ *   post:
+ *     summary: Confirm an email address with the token from the verification email
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [token]
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Email address verified
+ *       400:
+ *         description: Validation error
+ */
+router.post("/verify-email", validate(schemas.verifyEmail), verifyEmail);
+
+/**
+ * @swagger
+ * /api/auth/verify-email/resend:
+ *   post:
+ *     summary: Send a new verification email
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Verification email sent
+ *       401:
+ *         description: Authentication required
+ */
+router.post("/verify-email/resend", protect, resendVerificationEmail);
+
 /**
  * @swagger
  * /api/auth/validate:
@@ -415,6 +546,10 @@ router.get("/validate", validateToken);
  * /api/auth/usage:
  *   get:
  *     summary: Get user's API usage statistics
+ *     description: |
+ *       Includes the user's plan and how much of each plan limit is used.
+ *       QR code generations count per calendar month (UTC) and API requests
+ *       per rolling 24 hours.
  *     tags: [User Profile]
  *     security:
  *       - bearerAuth: []
@@ -440,11 +575,13 @@ router.get("/validate", validateToken);
  *                           type: string
  *                         requestCount:
  *                           type: number
+ *                           description: Authenticated API requests accepted so far
  *                         lastRequestAt:
  *                           type: string
  *                           format: date-time
  *                         rateLimitResets:
  *                           type: number
+ *                           description: Rate limit windows in which the user ran out of requests
  *                         accountAge:
  *                           type: number
  *                         totalUrls:
@@ -453,6 +590,40 @@ router.get("/validate", validateToken);
  *                           type: number
  *                         activityScore:
  *                           type: number
+ *                         plan:
+ *                           type: object
+ *                           properties:
+ *                             name:
+ *                               type: string
+ *                             displayName:
+ *                               type: string
+ *                             limits:
+ *                               $ref: '#/components/schemas/PlanLimits'
+ *                         period:
+ *                           type: object
+ *                           properties:
+ *                             month:
+ *                               type: string
+ *                               example: "2026-10"
+ *                         limits:
+ *                           type: object
+ *                           description: Usage per limit; limit and remaining are null when unlimited
+ *                           additionalProperties:
+ *                             type: object
+ *                             properties:
+ *                               used:
+ *                                 type: integer
+ *                               limit:
+ *                                 type: integer
+ *                                 nullable: true
+ *                               remaining:
+ *                                 type: integer
+ *                                 nullable: true
+ *                           example:
+ *                             activeLinks: { used: 12, limit: 20, remaining: 8 }
+ *                             customAliases: { used: 3, limit: 10, remaining: 7 }
+ *                             qrGenerationsPerMonth: { used: 4, limit: 50, remaining: 46 }
+ *                             apiRequestsPerDay: { used: 130, limit: 1000, remaining: 870 }
  *       401:
  *         description: Authentication required
  */
@@ -460,9 +631,12 @@ router.get("/usage", protect, getApiUsage);
 
 /**
  * @swagger
- * /api/auth/api-key:
+ * /api/auth/api-keys:
  *   post:
  *     summary: Generate API key for external integrations
+ *     description: >
+ *       The key is returned once and only its hash is stored. Send it in the
+ *       X-API-Key header; each endpoint that accepts keys lists the scope it needs.
  *     tags: [API Keys]
  *     security:
  *       - bearerAuth: []
@@ -472,10 +646,23 @@ router.get("/usage", protect, getApiUsage);
  *           schema:
  *             type: object
  *             properties:
- *               keyName:
+ *               name:
  *                 type: string
  *                 example: "My App Integration"
  *                 default: "Default"
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [urls:read, urls:write, analytics:read]
+ *                 default: [urls:read, analytics:read]
+ *               expiresIn:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 365
+ *                 default: 365
+ *                 nullable: true
+ *                 description: Lifetime in days (null for a key that never expires)
  *     responses:
  *       201:
  *         description: API key generated successfully
@@ -494,21 +681,115 @@ router.get("/usage", protect, getApiUsage);
  *                     apiKey:
  *                       type: string
  *                       description: The generated API key
+ *                     key:
+ *                       $ref: '#/components/schemas/ApiKey'
  *                     keyName:
  *                       type: string
  *                     expiresAt:
  *                       type: string
  *                       format: date-time
+ *                       nullable: true
  *                 meta:
  *                   type: object
  *                   properties:
  *                     warning:
  *                       type: string
  *                       example: "Store this API key securely. It will not be shown again."
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         description: Email address not verified
+ *   get:
+ *     summary: List your API keys, including revoked and expired ones
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: API keys retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     keys:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/ApiKey'
+ *       401:
+ *         description: Authentication required
+ */
+router.post(
+  "/api-keys",
+  protect,
+  requireVerifiedEmail,
+  validate(schemas.createApiKey),
+  generateApiKey
+);
+router.get("/api-keys", protect, getApiKeys);
+
+/**
+ * @swagger
+ * /api/auth/api-keys/{id}:
+ *   delete:
+ *     summary: Revoke an API key
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: API key revoked successfully
+ *       401:
+ *         description: Authentication required
+ *       404:
+ *         description: API key not found
+ */
+router.delete("/api-keys/:id", protect, revokeApiKey);
+
+/**
+ * @swagger
+ * /api/auth/api-key:
+ *   post:
+ *     summary: Generate API key (deprecated, use POST /api/auth/api-keys)
+ *     deprecated: true
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               keyName:
+ *                 type: string
+ *                 example: "My App Integration"
+ *     responses:
+ *       201:
+ *         description: API key generated successfully
  *       401:
  *         description: Authentication required
  */
-router.post("/api-key", protect, generateApiKey);
+router.post(
+  "/api-key",
+  protect,
+  requireVerifiedEmail,
+  validate(schemas.createApiKey),
+  generateApiKey
+);
 
 /**
  * @swagger
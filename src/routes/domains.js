@@ -0,0 +1,145 @@
+import express from "express";
+import {
+  createDomain,
+  getDomains,
+  getDomainById,
+  verifyDomain,
+  deleteDomain,
+} from "../controllers/domainController.js";
+import { protect, requireVerifiedEmail } from "../middleware/auth.js";
+import { validate, schemas } from "../middleware/validation.js";
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/domains:
+ *   get:
+ *     summary: List your custom domains
+ *     tags: [Domains]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Domains retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     domains:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Domain'
+ *       401:
+ *         description: Authentication required
+ *   post:
+ *     summary: Register a custom domain
+ *     description: |
+ *       Registers a hostname for your short links. Publish the returned TXT
+ *       record, then call the verify endpoint. Point the hostname at this
+ *       service (CNAME or A record) so its requests reach the redirect routes.
+ *     tags: [Domains]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - hostname
+ *             properties:
+ *               hostname:
+ *                 type: string
+ *                 example: "go.example.com"
+ *     responses:
+ *       201:
+ *         description: Domain registered (unverified)
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         description: Email address not verified
+ */
+router.get("/", protect, getDomains);
+router.post(
+  "/",
+  protect,
+  requireVerifiedEmail,
+  validate(schemas.createDomain),
+  createDomain
+);
+
+/**
+ * @swagger
+ * /api/domains/{id}:
+ *   get:
+ *     summary: Get a custom domain
+ *     tags: [Domains]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Domain retrieved successfully
+ *       401:
+ *         description: Authentication required
+ *   delete:
+ *     summary: Remove a custom domain
+ *     description: Fails while links are still served from the domain
+ *     tags: [Domains]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Domain deleted successfully
+ *       401:
+ *         description: Authentication required
+ */
+router.get("/:id", protect, getDomainById);
+router.delete("/:id", protect, deleteDomain);
+
+/**
+ * @swagger
+ * /api/domains/{id}/verify:
+ *   post:
+ *     summary: Verify domain ownership via its DNS TXT record
+ *     tags: [Domains]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Domain verified successfully
+ *       400:
+ *         description: Verification record not found yet
+ *       401:
+ *         description: Authentication required
+ */
+router.post("/:id/verify", protect, verifyDomain);
+
+export default router;
@@ -0,0 +1,151 @@
+import express from "express";
+import {
+  getJobStats,
+  getJobs,
+  retryJob,
+} from "../controllers/jobController.js";
+import { protect } from "../middleware/auth.js";
+import { authorize } from "../middleware/authorize.js";
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/jobs/stats:
+ *   get:
+ *     summary: Background job queue status
+ *     description: |
+ *       Job counts by type and status, the oldest due job (a growing age
+ *       means the worker is behind or not running) and this process's worker.
+ *     tags: [Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Queue status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     byType:
+ *                       type: object
+ *                       additionalProperties:
+ *                         type: object
+ *                         properties:
+ *                           queued:
+ *                             type: integer
+ *                           running:
+ *                             type: integer
+ *                           completed:
+ *                             type: integer
+ *                           dead:
+ *                             type: integer
+ *                     totals:
+ *                       type: object
+ *                     oldestDueAt:
+ *                       type: string
+ *                       format: date-time
+ *                       nullable: true
+ *                     worker:
+ *                       type: object
+ *                       properties:
+ *                         id:
+ *                           type: string
+ *                         running:
+ *                           type: boolean
+ *                         activeRuns:
+ *                           type: integer
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         description: Admin role required
+ */
+router.get("/stats", protect, authorize("admin"), getJobStats);
+
+/**
+ * @swagger
+ * /api/jobs:
+ *   get:
+ *     summary: List background jobs
+ *     description: Use status=dead to browse the dead-letter queue.
+ *     tags: [Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [queued, running, completed, dead]
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Jobs retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     jobs:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Job'
+ *                     pagination:
+ *                       type: object
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         description: Admin role required
+ */
+router.get("/", protect, authorize("admin"), getJobs);
+
+/**
+ * @swagger
+ * /api/jobs/{id}/retry:
+ *   post:
+ *     summary: Retry a dead-lettered job
+ *     tags: [Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Job queued for retry
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         description: Admin role required
+ */
+router.post("/:id/retry", protect, authorize("admin"), retryJob);
+
+export default router;
@@ -0,0 +1,143 @@
+import express from "express";
+import {
+  getPlans,
+  savePlan,
+  assignPlan,
+} from "../controllers/planController.js";
+import { protect } from "../middleware/auth.js";
+import { authorize } from "../middleware/authorize.js";
+import { validate, schemas } from "../middleware/validation.js";
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/plans:
+ *   get:
+ *     summary: List available plans and their limits
+ *     description: |
+ *       Built-in plans (free, pro, business) plus plans added by admins.
+ *       A null limit means unlimited. New users start on the free plan.
+ *     tags: [Plans]
+ *     responses:
+ *       200:
+ *         description: Plans retrieved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     plans:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Plan'
+ */
+router.get("/", getPlans);
+
+/**
+ * @swagger
+ * /api/plans/users/{userId}:
+ *   put:
+ *     summary: Move a user to another plan
+ *     description: Limits apply immediately; existing links above a lower limit are kept.
+ *     tags: [Plans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - plan
+ *             properties:
+ *               plan:
+ *                 type: string
+ *                 example: "pro"
+ *     responses:
+ *       200:
+ *         description: Plan assigned
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         description: Admin role required
+ */
+router.put(
+  "/users/:userId",
+  protect,
+  authorize("admin"),
+  validate(schemas.assignPlan),
+  assignPlan
+);
+
+/**
+ * @swagger
+ * /api/plans/{name}:
+ *   put:
+ *     summary: Create a plan or change its limits
+ *     description: |
+ *       Only the fields sent are changed. For a built-in plan, limits that were
+ *       never set keep their built-in values. Deactivated plans can't be
+ *       assigned and their users fall back to the free plan, which can't be
+ *       deactivated.
+ *     tags: [Plans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[a-z0-9][a-z0-9-]{0,29}$'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               displayName:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               limits:
+ *                 $ref: '#/components/schemas/PlanLimits'
+ *               rateLimitMultiplier:
+ *                 type: number
+ *                 minimum: 1
+ *               isActive:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Plan saved (only the stored overrides; GET /api/plans shows the effective limits)
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         description: Admin role required
+ */
+router.put(
+  "/:name",
+  protect,
+  authorize("admin"),
+  validate(schemas.savePlan),
+  savePlan
+);
+
+export default router;
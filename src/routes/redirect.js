@@ -8,10 +8,14 @@ import {
   validateBatchRedirects,
   handlePasswordProtectedRedirect
 } from '../controllers/redirectController.js';
-import { redirectLimiter } from '../middleware/rateLimiter.js';
+import { redirectLimiter, unlockLimiter } from '../middleware/rateLimiter.js';
+import { resolveDomain } from '../middleware/domainResolver.js';
 
 const router = express.Router();
 
+// Short codes are scoped by the requested host (custom domains)
+router.use(resolveDomain);
+
 // Routes for redirect functionality
 
 /**
@@ -29,12 +33,42 @@ const router = express.Router();
  *         description: Short code or custom alias
  *     responses:
  *       200:
- *         description: Redirect preview retrieved successfully
+ *         description: Redirect preview retrieved successfully (HTML preview page with a continue link for browsers)
+ *       302:
+ *         description: Visitor's country is blocked; redirected to the link's fallback URL
  *       404:
  *         description: Short URL not found or expired
+ *       451:
+ *         description: Visitor's country is blocked and the link has no fallback URL
  */
 router.get('/preview/:shortCode', getRedirectPreview);
 
+/**
+ * @swagger
+ * /{shortCode}+:
+ *   get:
+ *     summary: Preview any short URL by adding "+" to it
+ *     description: Same as /preview/{shortCode}; browsers get the preview page, whose continue link is counted as an interstitial click-through
+ *     tags: [Redirects]
+ *     parameters:
+ *       - in: path
+ *         name: shortCode
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Short code or custom alias (without the "+")
+ *     responses:
+ *       200:
+ *         description: Redirect preview retrieved successfully
+ *       302:
+ *         description: Visitor's country is blocked; redirected to the link's fallback URL
+ *       404:
+ *         description: Short URL not found or expired
+ *       451:
+ *         description: Visitor's country is blocked and the link has no fallback URL
+ */
+router.get('/:shortCode\\+', getRedirectPreview);
+
 /**
  * @swagger
  * /qr/{shortCode}:
@@ -49,7 +83,17 @@ router.get('/preview/:shortCode', getRedirectPreview);
  *           type: string
  *     responses:
  *       302:
- *         description: Redirect to original URL (QR code source tracked)
+ *         description: Redirect to original URL (QR code source tracked) or geo fallback URL; query parameters are merged in per the link's forwardQuery policy
+ *       301:
+ *         description: Same as 302 for links whose redirectType is 301 (also 307 and 308)
+ *       200:
+ *         description: Safety warning for a suspicious destination, or the interstitial/preview page (follow the continue link), or the meta-refresh page
+ *       401:
+ *         description: Password required (HTML unlock form for browsers); send the unlock cookie or X-Unlock-Token header
+ *       403:
+ *         description: Destination blocked by safety screening
+ *       451:
+ *         description: Not available in the visitor's country
  *       404:
  *         description: QR code target not found or expired
  */
@@ -97,7 +141,17 @@ router.post('/validate-batch', validateBatchRedirects);
  *           type: string
  *     responses:
  *       302:
- *         description: Redirect to original URL with tracking
+ *         description: Redirect to original URL with tracking (or geo fallback URL); query parameters are merged in per the link's forwardQuery policy
+ *       301:
+ *         description: Same as 302 for links whose redirectType is 301 (also 307 and 308)
+ *       200:
+ *         description: Safety warning for a suspicious destination, or the interstitial/preview page (follow the continue link), or the meta-refresh page
+ *       401:
+ *         description: Password required (HTML unlock form for browsers); send the unlock cookie or X-Unlock-Token header
+ *       403:
+ *         description: Destination blocked by safety screening
+ *       451:
+ *         description: Not available in the visitor's country
  *       404:
  *         description: Short URL not found or expired
  */
@@ -147,15 +201,30 @@ router.get('/:shortCode/stats', getPublicStats);
  *               password:
  *                 type: string
  *                 format: password
+ *         application/x-www-form-urlencoded:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *                 format: password
  *     responses:
  *       200:
- *         description: URL unlocked successfully
+ *         description: URL unlocked; returns redirectUrl (with query parameters forwarded per the link's forwardQuery policy) and an unlockToken (also set as a cookie)
+ *       302:
+ *         description: Form submission unlocked the URL and redirects to the destination with the link's redirectType (also 301, 307, 308 or a meta-refresh page); query parameters are forwarded per its forwardQuery policy
  *       401:
  *         description: Invalid password
+ *       403:
+ *         description: Destination blocked by safety screening
+ *       429:
+ *         description: Too many failed unlock attempts for this link
  *       404:
  *         description: Short URL not found or expired
  */
-router.post('/:shortCode/unlock', handlePasswordProtectedRedirect);
+router.post('/:shortCode/unlock', unlockLimiter, handlePasswordProtectedRedirect);
 
 /**
  * @swagger
@@ -170,12 +239,63 @@ router.post('/:shortCode/unlock', handlePasswordProtectedRedirect);
  *         schema:
  *           type: string
  *         description: Short code or custom alias
+ *       - in: query
+ *         name: safetyConfirmed
+ *         schema:
+ *           type: string
+ *         description: >
+ *           Signed token from the warning page's continueUrl (suspicious destinations);
+ *           bound to the link and destination and valid for CONTINUE_TOKEN_EXPIRE
+ *       - in: query
+ *         name: viaInterstitial
+ *         schema:
+ *           type: string
+ *         description: >
+ *           Signed token from the interstitial page's continueUrl; skips the page and counts
+ *           the click-through. Bound to the link and destination and valid for CONTINUE_TOKEN_EXPIRE
  *     responses:
  *       302:
- *         description: Redirect to original URL
+ *         description: Redirect to original URL (or geo fallback URL); query parameters are merged in per the link's forwardQuery policy
+ *       301:
+ *         description: Same as 302 for links whose redirectType is 301 (also 307 and 308)
+ *       200:
+ *         description: Safety warning for a suspicious destination, or the interstitial/preview page for links with that redirectMode (HTML page for browsers) with a continue link, or the meta-refresh page for links with that redirectType
+ *       401:
+ *         description: Password required (HTML unlock form for browsers); send the unlock cookie or X-Unlock-Token header
+ *       403:
+ *         description: Destination blocked by safety screening
+ *       451:
+ *         description: Not available in the visitor's country
  *       404:
  *         description: Short URL not found or expired
  */
+/**
+ * @swagger
+ * /{shortCode}/{path}:
+ *   get:
+ *     summary: Redirect a wildcard link, forwarding the rest of the path
+ *     description: Only links with wildcard enabled match; /docs/getting-started on a wildcard link "docs" to https://example.com/docs redirects to https://example.com/docs/getting-started. "track" and "stats" can't be the first forwarded segment
+ *     tags: [Redirects]
+ *     parameters:
+ *       - in: path
+ *         name: shortCode
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Rest of the path (may contain slashes); fills {path} in destination templates
+ *     responses:
+ *       302:
+ *         description: Redirect to the destination with the path appended
+ *       404:
+ *         description: Short URL not found, expired or not a wildcard link
+ */
+router.get('/:shortCode/*path', redirectLimiter, handleRedirect);
+
 // This should be LAST to avoid conflicts with other routes
 router.get('/:shortCode', redirectLimiter, handleRedirect);
 
@@ -6,19 +6,35 @@ import {
   updateUrl,
   deleteUrl,
   generateQRCode,
+  refreshMetadata,
   searchUrls,
   getPopularUrls,
+  getBrokenUrls,
   bulkCreateUrls,
   exportUrls,
+  importUrls,
+  getImportJob,
+  downloadImportReport,
   getUrlPreview,
   getUrlStats,
+  getVariants,
+  addVariant,
+  updateVariant,
+  deleteVariant,
 } from "../controllers/urlController.js";
-import { protect, optionalAuth } from "../middleware/auth.js";
+import { protect, optionalAuth, allowApiKey } from "../middleware/auth.js";
 import { validate, schemas } from "../middleware/validation.js";
 import { createUrlLimiter } from "../middleware/rateLimiter.js";
+import { resolveWorkspaceScope } from "../middleware/authorize.js";
+import { API_KEY_SCOPES, PERMISSIONS } from "../utils/permissions.js";
+import { IMPORT_CONTENT_TYPES } from "../utils/importFormats.js";
 
 const router = express.Router();
 
+// Routes that API keys may call, by required scope
+const urlsRead = allowApiKey(API_KEY_SCOPES.URLS_READ);
+const urlsWrite = allowApiKey(API_KEY_SCOPES.URLS_WRITE);
+
 /**
  * @swagger
  * components:
@@ -60,6 +76,71 @@ const router = express.Router();
  *           type: number
  *           example: 30
  *           description: Expiration time in days (optional)
+ *         geoRestrictions:
+ *           $ref: '#/components/schemas/GeoRestrictions'
+ *         password:
+ *           type: string
+ *           format: password
+ *           minLength: 4
+ *           description: Password visitors must enter before being redirected (optional)
+ *         routingRules:
+ *           type: array
+ *           description: Device routing rules evaluated in order before originalUrl
+ *           items:
+ *             $ref: '#/components/schemas/RoutingRule'
+ *         fallbackUrl:
+ *           type: string
+ *           format: uri
+ *           description: Where visitors are sent while health checks flag the destination as broken (optional)
+ *         domainId:
+ *           type: string
+ *           description: Verified custom domain to serve the link from (defaults to the main domain)
+ *         workspaceId:
+ *           type: string
+ *           description: Workspace to share the link in (requires the owner or editor role)
+ *
+ *     UpdateUrlRequest:
+ *       type: object
+ *       properties:
+ *         title:
+ *           type: string
+ *           maxLength: 100
+ *         description:
+ *           type: string
+ *           maxLength: 500
+ *         isActive:
+ *           type: boolean
+ *         expiresIn:
+ *           type: number
+ *           description: Expiration time in days
+ *         geoRestrictions:
+ *           $ref: '#/components/schemas/GeoRestrictions'
+ *         password:
+ *           type: string
+ *           format: password
+ *           nullable: true
+ *           description: New link password; null or an empty string removes it
+ *         routingRules:
+ *           type: array
+ *           description: Replaces the device routing rules (send [] to clear)
+ *           items:
+ *             $ref: '#/components/schemas/RoutingRule'
+ *         fallbackUrl:
+ *           type: string
+ *           format: uri
+ *           nullable: true
+ *           description: Destination while the link is flagged broken; null or an empty string removes it
+ *         domainId:
+ *           type: string
+ *           nullable: true
+ *           description: Move the link to a verified custom domain (null for the main domain)
+ *         workspaceId:
+ *           type: string
+ *           nullable: true
+ *           description: >
+ *             Move the link into a workspace (null makes it its creator's personal link).
+ *             Moving a link out of a workspace or into another one takes the owner role
+ *             in its current workspace
  *
  *     UrlResponse:
  *       type: object
@@ -95,6 +176,7 @@ const router = express.Router();
  *     tags: [URLs]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -116,11 +198,14 @@ const router = express.Router();
  *               $ref: '#/components/schemas/UrlResponse'
  *       400:
  *         description: Validation error
+ *       403:
+ *         description: Plan limit reached (active links or custom aliases)
  *       429:
  *         description: Rate limit exceeded
  */
 router.post(
   "/",
+  urlsWrite,
   optionalAuth, // Allow anonymous URL creation
   createUrlLimiter,
   validate(schemas.createUrl),
@@ -135,6 +220,7 @@ router.post(
  *     tags: [URLs]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: query
  *         name: page
@@ -175,6 +261,11 @@ router.post(
  *         schema:
  *           type: boolean
  *         description: Filter by active status
+ *       - in: query
+ *         name: workspaceId
+ *         schema:
+ *           type: string
+ *         description: List a workspace's links instead of your personal links (any member role)
  *     responses:
  *       200:
  *         description: URLs retrieved successfully
@@ -206,8 +297,16 @@ router.post(
  *                       type: boolean
  *       401:
  *         description: Authentication required
+ *       404:
+ *         description: Workspace not found
  */
-router.get("/", protect, getUserUrls);
+router.get(
+  "/",
+  urlsRead,
+  protect,
+  resolveWorkspaceScope(PERMISSIONS.URL_READ),
+  getUserUrls
+);
 
 /**
  * @swagger
@@ -217,6 +316,7 @@ router.get("/", protect, getUserUrls);
  *     tags: [URLs]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: query
  *         name: q
@@ -240,6 +340,11 @@ router.get("/", protect, getUserUrls);
  *           type: string
  *           enum: [relevance, recent, popular]
  *           default: relevance
+ *       - in: query
+ *         name: workspaceId
+ *         schema:
+ *           type: string
+ *         description: Search a workspace's links instead of your personal links (any member role)
  *     responses:
  *       200:
  *         description: Search results retrieved successfully
@@ -248,7 +353,13 @@ router.get("/", protect, getUserUrls);
  *       401:
  *         description: Authentication required
  */
-router.get("/search", protect, searchUrls);
+router.get(
+  "/search",
+  urlsRead,
+  protect,
+  resolveWorkspaceScope(PERMISSIONS.URL_READ),
+  searchUrls
+);
 
 /**
  * @swagger
@@ -258,6 +369,7 @@ router.get("/search", protect, searchUrls);
  *     tags: [URLs]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: query
  *         name: limit
@@ -284,25 +396,94 @@ router.get("/search", protect, searchUrls);
  *       401:
  *         description: Authentication required
  */
-router.get("/popular", protect, getPopularUrls);
+router.get("/popular", urlsRead, protect, getPopularUrls);
+
+/**
+ * @swagger
+ * /api/urls/broken:
+ *   get:
+ *     summary: Get links whose destination is flagged broken
+ *     description: >
+ *       Links are checked in the background and flagged broken after several
+ *       consecutive failed checks. Broken links with a fallbackUrl redirect there
+ *       until a check succeeds again.
+ *     tags: [URLs]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *       - in: query
+ *         name: workspaceId
+ *         schema:
+ *           type: string
+ *         description: List a workspace's broken links instead of your personal links (any member role)
+ *     responses:
+ *       200:
+ *         description: Broken URLs retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/URL'
+ *       401:
+ *         description: Authentication required
+ */
+router.get(
+  "/broken",
+  urlsRead,
+  protect,
+  resolveWorkspaceScope(PERMISSIONS.URL_READ),
+  getBrokenUrls
+);
 
 /**
  * @swagger
  * /api/urls/export:
  *   get:
  *     summary: Export user URLs to various formats
+ *     description: |
+ *       Streams every matching link as a JSON array, RFC 4180 CSV (with a
+ *       header row) or NDJSON (one object per line).
  *     tags: [URLs]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: query
  *         name: format
  *         schema:
  *           type: string
- *           enum: [json, csv]
+ *           enum: [json, csv, ndjson]
  *           default: json
  *       - in: query
+ *         name: columns
+ *         description: |
+ *           Comma-separated columns, in output order. Available: id, shortCode,
+ *           shortUrl, originalUrl, title, description, tags, domain,
+ *           workspaceId, isActive, isExpired, clickCount, uniqueClicks,
+ *           createdAt, lastClickedAt, expiresAt, daysSinceCreation
+ *         schema:
+ *           type: string
+ *           example: "shortUrl,originalUrl,clickCount"
+ *       - in: query
  *         name: includeAnalytics
+ *         description: Include click columns in the default column set
  *         schema:
  *           type: boolean
  *           default: true
@@ -312,6 +493,11 @@ router.get("/popular", protect, getPopularUrls);
  *           type: boolean
  *           default: false
  *       - in: query
+ *         name: includeExpired
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *       - in: query
  *         name: startDate
  *         schema:
  *           type: string
@@ -327,14 +513,21 @@ router.get("/popular", protect, getPopularUrls);
  *         content:
  *           application/json:
  *             schema:
- *               type: object
+ *               type: array
+ *               items:
+ *                 type: object
  *           text/csv:
  *             schema:
  *               type: string
+ *           application/x-ndjson:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Unknown format or column
  *       401:
  *         description: Authentication required
  */
-router.get("/export", protect, exportUrls);
+router.get("/export", urlsRead, protect, exportUrls);
 
 /**
  * @swagger
@@ -392,6 +585,7 @@ router.get("/preview/:shortCode", getUrlPreview);
  *     tags: [URLs]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -403,7 +597,7 @@ router.get("/preview/:shortCode", getUrlPreview);
  *             properties:
  *               urls:
  *                 type: array
- *                 maxItems: 100
+ *                 description: Up to the plan's bulkBatchSize (25 on Free, 100 on Pro)
  *                 items:
  *                   type: object
  *                   required:
@@ -461,11 +655,173 @@ router.get("/preview/:shortCode", getUrlPreview);
  *                         errors:
  *                           type: integer
  *       400:
- *         description: Validation error or too many URLs
+ *         description: Validation error or more URLs than the plan allows per request
+ *       401:
+ *         description: Authentication required
+ */
+router.post("/bulk", urlsWrite, protect, createUrlLimiter, bulkCreateUrls);
+
+// Import uploads are sent as the raw request body
+const importBody = express.text({
+  type: [...IMPORT_CONTENT_TYPES.csv, ...IMPORT_CONTENT_TYPES.ndjson],
+  limit: "5mb",
+});
+
+/**
+ * @swagger
+ * /api/urls/import:
+ *   post:
+ *     summary: Import links from a CSV or NDJSON file
+ *     description: |
+ *       Send the file as the request body. Columns (CSV header or NDJSON keys):
+ *       originalUrl (or url, required), alias, title, tags (separated by ";"),
+ *       expiry (ISO date) and password. Rows are processed in the background;
+ *       poll the returned job for progress and download the per-row report
+ *       when it completes. Rows whose URL is already in your account (or
+ *       earlier in the file) are skipped as duplicates.
+ *     tags: [URLs]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: dryRun
+ *         description: Only validate the rows, don't create any links
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *       - in: query
+ *         name: format
+ *         description: Overrides the format detected from Content-Type
+ *         schema:
+ *           type: string
+ *           enum: [csv, ndjson]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         text/csv:
+ *           schema:
+ *             type: string
+ *           example: |
+ *             originalUrl,alias,title,tags,expiry
+ *             https://example.com/launch,launch-2024,Launch,marketing;q3,2030-01-01
+ *         application/x-ndjson:
+ *           schema:
+ *             type: string
+ *           example: |
+ *             {"originalUrl":"https://example.com/launch","alias":"launch-2024"}
+ *     responses:
+ *       202:
+ *         description: Import queued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         job:
+ *                           $ref: '#/components/schemas/ImportJob'
+ *       400:
+ *         description: Missing, unparseable or oversized file (max 10000 rows)
+ *       401:
+ *         description: Authentication required
+ */
+router.post(
+  "/import",
+  urlsWrite,
+  protect,
+  createUrlLimiter,
+  importBody,
+  importUrls
+);
+
+/**
+ * @swagger
+ * /api/urls/import/{jobId}:
+ *   get:
+ *     summary: Get import progress
+ *     tags: [URLs]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Import job
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         job:
+ *                           $ref: '#/components/schemas/ImportJob'
+ *       401:
+ *         description: Authentication required
+ */
+router.get("/import/:jobId", urlsRead, protect, getImportJob);
+
+/**
+ * @swagger
+ * /api/urls/import/{jobId}/report:
+ *   get:
+ *     summary: Download the per-row import report
+ *     description: |
+ *       One row per input row with columns row, status (created, valid,
+ *       skipped-duplicate, alias-conflict, invalid or failed), originalUrl,
+ *       alias, shortUrl and errors.
+ *     tags: [URLs]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, json, ndjson]
+ *           default: csv
+ *     responses:
+ *       200:
+ *         description: Report file
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *           application/x-ndjson:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Unknown format
  *       401:
  *         description: Authentication required
+ *       409:
+ *         description: The import hasn't completed yet
  */
-router.post("/bulk", protect, createUrlLimiter, bulkCreateUrls);
+router.get("/import/:jobId/report", urlsRead, protect, downloadImportReport);
 
 /**
  * @swagger
@@ -475,6 +831,7 @@ router.post("/bulk", protect, createUrlLimiter, bulkCreateUrls);
  *     tags: [URLs]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -492,7 +849,7 @@ router.post("/bulk", protect, createUrlLimiter, bulkCreateUrls);
  *       404:
  *         description: URL not found
  */
-router.get("/:id", protect, getUrlById);
+router.get("/:id", urlsRead, protect, getUrlById);
 
 /**
  * @swagger
@@ -502,6 +859,7 @@ router.get("/:id", protect, getUrlById);
  *     tags: [URLs]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -572,8 +930,15 @@ router.get("/:id", protect, getUrlById);
  *             example:
  *               success: false
  *               message: "URL not found"
+ *       409:
+ *         description: The short code or alias is already used on the new domain
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: false
+ *               message: "URL conflict: the short code or custom alias is already used on that domain"
  */
-router.put("/:id", protect, validate(schemas.updateUrl), updateUrl);
+router.put("/:id", urlsWrite, protect, validate(schemas.updateUrl), updateUrl);
 
 /**
  * @swagger
@@ -583,6 +948,7 @@ router.put("/:id", protect, validate(schemas.updateUrl), updateUrl);
  *     tags: [URLs]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -605,7 +971,7 @@ router.put("/:id", protect, validate(schemas.updateUrl), updateUrl);
  *       404:
  *         description: URL not found
  */
-router.delete("/:id", protect, deleteUrl);
+router.delete("/:id", urlsWrite, protect, deleteUrl);
 
 /**
  * @swagger
@@ -615,6 +981,7 @@ router.delete("/:id", protect, deleteUrl);
  *     tags: [QR Codes]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -672,10 +1039,72 @@ router.delete("/:id", protect, deleteUrl);
  *                           type: string
  *       401:
  *         description: Authentication required
+ *       403:
+ *         description: Monthly QR code limit of the plan reached
  *       404:
  *         description: URL not found
  */
-router.post("/:id/qr", protect, generateQRCode);
+router.post("/:id/qr", urlsWrite, protect, generateQRCode);
+
+/**
+ * @swagger
+ * /api/urls/{id}/refresh-metadata:
+ *   post:
+ *     summary: Refresh the destination page's metadata
+ *     description: |
+ *       Fetches the destination now (following up to 5 redirects, within the
+ *       configured time and size limits) and stores its title, description,
+ *       OpenGraph/Twitter card image, site name and favicon. Metadata is also
+ *       fetched in the background when a link is created.
+ *     tags: [URLs]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Metadata refreshed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     metadata:
+ *                       type: object
+ *                       properties:
+ *                         pageTitle:
+ *                           type: string
+ *                         pageDescription:
+ *                           type: string
+ *                         siteName:
+ *                           type: string
+ *                         image:
+ *                           type: string
+ *                         favicon:
+ *                           type: string
+ *                         httpStatus:
+ *                           type: integer
+ *                         lastChecked:
+ *                           type: string
+ *                           format: date-time
+ *       401:
+ *         description: Authentication required
+ *       404:
+ *         description: URL not found
+ *       500:
+ *         description: The destination could not be fetched (e.g. timed out)
+ */
+router.post("/:id/refresh-metadata", urlsWrite, protect, refreshMetadata);
 
 /**
  * @swagger
@@ -685,6 +1114,7 @@ router.post("/:id/qr", protect, generateQRCode);
  *     tags: [Analytics]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -701,6 +1131,177 @@ router.post("/:id/qr", protect, generateQRCode);
  *       404:
  *         description: URL not found
  */
-router.get("/:id/stats", protect, getUrlStats);
+router.get("/:id/stats", urlsRead, protect, getUrlStats);
+
+/**
+ * @swagger
+ * /api/urls/{id}/variants:
+ *   get:
+ *     summary: List A/B split-test variants for a URL
+ *     tags: [URLs]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Variants retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     variants:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/UrlVariant'
+ *       401:
+ *         description: Authentication required
+ *       404:
+ *         description: URL not found
+ *   post:
+ *     summary: Add an A/B split-test variant
+ *     description: |
+ *       Once a URL has variants, redirects are split between them by weight
+ *       instead of going to originalUrl. Each visitor keeps seeing the same
+ *       variant while the variant set is unchanged.
+ *     tags: [URLs]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - url
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 50
+ *               url:
+ *                 type: string
+ *                 format: uri
+ *               weight:
+ *                 type: number
+ *                 minimum: 0
+ *                 maximum: 100
+ *                 default: 100
+ *           example:
+ *             name: "landing-b"
+ *             url: "https://example.com/landing-b"
+ *             weight: 50
+ *     responses:
+ *       201:
+ *         description: Variant created successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Authentication required
+ */
+router.get("/:id/variants", urlsRead, protect, getVariants);
+router.post(
+  "/:id/variants",
+  urlsWrite,
+  protect,
+  validate(schemas.createVariant),
+  addVariant
+);
+
+/**
+ * @swagger
+ * /api/urls/{id}/variants/{variantId}:
+ *   put:
+ *     summary: Update an A/B split-test variant
+ *     tags: [URLs]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: variantId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               url:
+ *                 type: string
+ *                 format: uri
+ *               weight:
+ *                 type: number
+ *                 minimum: 0
+ *                 maximum: 100
+ *     responses:
+ *       200:
+ *         description: Variant updated successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Authentication required
+ *   delete:
+ *     summary: Remove an A/B split-test variant
+ *     tags: [URLs]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: variantId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Variant deleted successfully
+ *       401:
+ *         description: Authentication required
+ */
+router.put(
+  "/:id/variants/:variantId",
+  urlsWrite,
+  protect,
+  validate(schemas.updateVariant),
+  updateVariant
+);
+router.delete("/:id/variants/:variantId", urlsWrite, protect, deleteVariant);
 
 export default router;
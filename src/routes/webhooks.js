@@ -0,0 +1,275 @@
+import express from "express";
+import {
+  createWebhook,
+  getWebhooks,
+  getWebhookById,
+  updateWebhook,
+  deleteWebhook,
+  rotateWebhookSecret,
+  getWebhookDeliveries,
+  redeliverWebhook,
+} from "../controllers/webhookController.js";
+import { protect } from "../middleware/auth.js";
+import { validate, schemas } from "../middleware/validation.js";
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/webhooks:
+ *   get:
+ *     summary: List your webhooks
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Webhooks retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     webhooks:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Webhook'
+ *       401:
+ *         description: Authentication required
+ *   post:
+ *     summary: Register a webhook endpoint
+ *     description: |
+ *       Events are POSTed as JSON (`{ id, event, createdAt, data }`) with an
+ *       `X-SnapURL-Signature: t=<unix seconds>,v1=<hex>` header, where v1 is
+ *       the HMAC-SHA256 of `<t>.<raw body>` keyed with the webhook secret.
+ *       Non-2xx responses are retried after 1m, 5m, 30m, 2h and 12h.
+ *       The secret is only returned by this call and by rotate-secret.
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - url
+ *               - events
+ *             properties:
+ *               url:
+ *                 type: string
+ *                 format: uri
+ *                 example: "https://hooks.example.com/snapurl"
+ *               events:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [url.created, url.deleted, url.expired, url.broken, url.recovered, click.recorded, click.milestone]
+ *               milestoneEvery:
+ *                 type: integer
+ *                 default: 100
+ *                 description: click.milestone fires every N clicks
+ *               description:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Webhook created (includes the signing secret)
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Authentication required
+ */
+router.get("/", protect, getWebhooks);
+router.post("/", protect, validate(schemas.createWebhook), createWebhook);
+
+/**
+ * @swagger
+ * /api/webhooks/{id}:
+ *   get:
+ *     summary: Get a webhook
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Webhook retrieved successfully
+ *       401:
+ *         description: Authentication required
+ *   put:
+ *     summary: Update a webhook
+ *     description: Setting isActive to true re-enables an auto-disabled webhook
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               url:
+ *                 type: string
+ *               events:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               milestoneEvery:
+ *                 type: integer
+ *               description:
+ *                 type: string
+ *               isActive:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Webhook updated successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Authentication required
+ *   delete:
+ *     summary: Delete a webhook and its delivery log
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Webhook deleted successfully
+ *       401:
+ *         description: Authentication required
+ */
+router.get("/:id", protect, getWebhookById);
+router.put("/:id", protect, validate(schemas.updateWebhook), updateWebhook);
+router.delete("/:id", protect, deleteWebhook);
+
+/**
+ * @swagger
+ * /api/webhooks/{id}/rotate-secret:
+ *   post:
+ *     summary: Replace the webhook's signing secret
+ *     description: The old secret stops working immediately
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Secret rotated (includes the new secret)
+ *       401:
+ *         description: Authentication required
+ */
+router.post("/:id/rotate-secret", protect, rotateWebhookSecret);
+
+/**
+ * @swagger
+ * /api/webhooks/{id}/deliveries:
+ *   get:
+ *     summary: Get the webhook's delivery log
+ *     description: Deliveries are kept for 30 days
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, succeeded, failed]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Deliveries retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     deliveries:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/WebhookDelivery'
+ *       401:
+ *         description: Authentication required
+ */
+router.get("/:id/deliveries", protect, getWebhookDeliveries);
+
+/**
+ * @swagger
+ * /api/webhooks/{id}/deliveries/{deliveryId}/redeliver:
+ *   post:
+ *     summary: Send a past delivery again
+ *     description: |
+ *       Creates a new delivery with the same event data and sends it right
+ *       away, even if the webhook was disabled
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: deliveryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Redelivery attempted (see the delivery status)
+ *       401:
+ *         description: Authentication required
+ */
+router.post("/:id/deliveries/:deliveryId/redeliver", protect, redeliverWebhook);
+
+export default router;
@@ -0,0 +1,373 @@
+import express from "express";
+import {
+  createWorkspace,
+  getWorkspaces,
+  getWorkspaceById,
+  updateWorkspace,
+  deleteWorkspace,
+  getInvitations,
+  createInvitation,
+  revokeInvitation,
+  acceptInvitation,
+  updateMemberRole,
+  removeMember,
+} from "../controllers/workspaceController.js";
+import { protect, requireVerifiedEmail } from "../middleware/auth.js";
+import { requireWorkspaceRole } from "../middleware/authorize.js";
+import { validate, schemas } from "../middleware/validation.js";
+import { PERMISSIONS } from "../utils/permissions.js";
+
+const router = express.Router();
+
+const canRead = requireWorkspaceRole(PERMISSIONS.WORKSPACE_READ);
+const canManage = requireWorkspaceRole(PERMISSIONS.WORKSPACE_MANAGE);
+
+/**
+ * @swagger
+ * /api/workspaces:
+ *   get:
+ *     summary: List workspaces you belong to
+ *     tags: [Workspaces]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Workspaces retrieved successfully (each includes your role)
+ *       401:
+ *         description: Authentication required
+ *   post:
+ *     summary: Create a workspace
+ *     description: You become its first owner
+ *     tags: [Workspaces]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: "Marketing"
+ *               description:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Workspace created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     workspace:
+ *                       $ref: '#/components/schemas/Workspace'
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Authentication required
+ */
+router.get("/", protect, getWorkspaces);
+router.post("/", protect, validate(schemas.createWorkspace), createWorkspace);
+
+/**
+ * @swagger
+ * /api/workspaces/invitations/accept:
+ *   post:
+ *     summary: Accept a workspace invitation
+ *     description: The invitation must have been sent to your account's email
+ *     tags: [Workspaces]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Joined the workspace
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Authentication required
+ */
+router.post(
+  "/invitations/accept",
+  protect,
+  validate(schemas.acceptInvitation),
+  acceptInvitation
+);
+
+/**
+ * @swagger
+ * /api/workspaces/{id}:
+ *   get:
+ *     summary: Get a workspace and its members
+ *     tags: [Workspaces]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Workspace retrieved successfully
+ *       401:
+ *         description: Authentication required
+ *       404:
+ *         description: Workspace not found or you are not a member
+ *   put:
+ *     summary: Rename or describe a workspace (owner only)
+ *     tags: [Workspaces]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Workspace updated successfully
+ *       403:
+ *         description: Owner role required
+ *   delete:
+ *     summary: Delete a workspace (owner only)
+ *     description: Shared links move back to the personal accounts of their creators
+ *     tags: [Workspaces]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Workspace deleted successfully
+ *       403:
+ *         description: Owner role required
+ */
+router.get("/:id", protect, canRead, getWorkspaceById);
+router.put(
+  "/:id",
+  protect,
+  canManage,
+  validate(schemas.updateWorkspace),
+  updateWorkspace
+);
+router.delete("/:id", protect, canManage, deleteWorkspace);
+
+/**
+ * @swagger
+ * /api/workspaces/{id}/invitations:
+ *   get:
+ *     summary: List pending invitations (owner only)
+ *     tags: [Workspaces]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Invitations retrieved successfully
+ *       403:
+ *         description: Owner role required
+ *   post:
+ *     summary: Invite a user by email (owner only)
+ *     description: |
+ *       Returns the invitation token once. The invitee accepts it with
+ *       POST /api/workspaces/invitations/accept while signed in with the
+ *       invited email address.
+ *     tags: [Workspaces]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               role:
+ *                 type: string
+ *                 enum: [editor, viewer]
+ *                 default: viewer
+ *     responses:
+ *       201:
+ *         description: Invitation created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     invitation:
+ *                       $ref: '#/components/schemas/WorkspaceInvitation'
+ *                     token:
+ *                       type: string
+ *       403:
+ *         description: Owner role and a verified email address required
+ */
+router.get("/:id/invitations", protect, canManage, getInvitations);
+router.post(
+  "/:id/invitations",
+  protect,
+  canManage,
+  requireVerifiedEmail,
+  validate(schemas.createInvitation),
+  createInvitation
+);
+
+/**
+ * @swagger
+ * /api/workspaces/{id}/invitations/{invitationId}:
+ *   delete:
+ *     summary: Revoke a pending invitation (owner only)
+ *     tags: [Workspaces]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: invitationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Invitation revoked
+ *       403:
+ *         description: Owner role required
+ */
+router.delete(
+  "/:id/invitations/:invitationId",
+  protect,
+  canManage,
+  revokeInvitation
+);
+
+/**
+ * @swagger
+ * /api/workspaces/{id}/members/{userId}:
+ *   put:
+ *     summary: Change a member's role (owner only)
+ *     description: The last owner cannot be demoted
+ *     tags: [Workspaces]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [owner, editor, viewer]
+ *     responses:
+ *       200:
+ *         description: Member role updated
+ *       403:
+ *         description: Owner role required
+ *   delete:
+ *     summary: Remove a member, or leave the workspace
+ *     description: Owners can remove anyone; other members can only remove themselves
+ *     tags: [Workspaces]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Member removed
+ *       403:
+ *         description: Owner role required to remove other members
+ */
+router.put(
+  "/:id/members/:userId",
+  protect,
+  canManage,
+  validate(schemas.updateMemberRole),
+  updateMemberRole
+);
+router.delete("/:id/members/:userId", protect, canRead, removeMember);
+
+export default router;
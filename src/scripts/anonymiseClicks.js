@@ -0,0 +1,32 @@
+import mongoose from "mongoose";
+
+// Import configurations
+import connectDB from "../config/db.js";
+import { config } from "../config/config.js";
+
+// Import services
+import analyticsService from "../services/analyticsService.js";
+
+/**
+ * Migration: anonymise clicks and access events stored before a privacy
+ * mode was enabled
+ * Usage: `node src/scripts/anonymiseClicks.js [truncate|hash]`
+ * (defaults to CLICK_PRIVACY_MODE)
+ */
+
+const mode = process.argv[2] || config.clickPrivacyMode;
+
+await connectDB();
+
+try {
+  const { anonymisedCount, anonymisedAccessEvents } =
+    await analyticsService.anonymiseClicks({ mode });
+  console.log(
+    `🔒 Anonymised ${anonymisedCount} clicks and ${anonymisedAccessEvents} access events (${mode} mode)`
+  );
+} catch (error) {
+  console.error(error.message);
+  process.exitCode = 1;
+} finally {
+  await mongoose.disconnect();
+}
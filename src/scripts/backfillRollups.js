@@ -0,0 +1,43 @@
+import mongoose from "mongoose";
+import { parseArgs } from "node:util";
+
+// Import configurations
+import connectDB from "../config/db.js";
+
+// Import services
+import rollupService from "../services/rollupService.js";
+
+/**
+ * Backfill hourly click rollups from stored clicks
+ * Usage: `node src/scripts/backfillRollups.js [--from YYYY-MM-DD]
+ * [--to YYYY-MM-DD] [--url <urlId>] [--missing-only]`
+ * (defaults to every stored click, replacing existing rollups)
+ */
+
+const { values } = parseArgs({
+  options: {
+    from: { type: "string" },
+    to: { type: "string" },
+    url: { type: "string" },
+    "missing-only": { type: "boolean", default: false },
+  },
+});
+
+await connectDB();
+
+try {
+  const { clicks, slots, days } = await rollupService.backfill({
+    from: values.from ? new Date(values.from) : null,
+    to: values.to ? new Date(values.to) : null,
+    urlId: values.url || null,
+    onlyMissing: values["missing-only"],
+  });
+  console.log(
+    `📊 Rolled up ${clicks} clicks into ${slots} hourly rollups (${days} link-days)`
+  );
+} catch (error) {
+  console.error(error.message);
+  process.exitCode = 1;
+} finally {
+  await mongoose.disconnect();
+}
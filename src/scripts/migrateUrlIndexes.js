@@ -0,0 +1,44 @@
+import mongoose from "mongoose";
+
+// Import configurations
+import connectDB from "../config/db.js";
+
+// Import models
+import URL_MODEL from "../models/URL.js";
+
+/**
+ * Migration: make short codes and custom aliases unique per domain
+ * Drops the single-field unique indexes of deployments from before custom
+ * domains, then builds the indexes the URL model declares (including the
+ * compound { domain, shortCode } and { domain, customAlias } ones)
+ * Usage: `node src/scripts/migrateUrlIndexes.js`
+ */
+
+const LEGACY_INDEXES = ["shortCode_1", "customAlias_1"];
+
+await connectDB();
+
+try {
+  const indexes = await URL_MODEL.collection.indexes();
+
+  // shortCode_1 is declared again, without unique, for cross-domain lookups
+  const dropped = indexes.filter(
+    (index) => LEGACY_INDEXES.includes(index.name) && index.unique
+  );
+  for (const index of dropped) {
+    await URL_MODEL.collection.dropIndex(index.name);
+  }
+
+  await URL_MODEL.createIndexes();
+
+  console.log(
+    `🗂️ Dropped ${dropped.length} legacy URL indexes (${
+      dropped.map((index) => index.name).join(", ") || "none"
+    }) and built the per-domain indexes`
+  );
+} catch (error) {
+  console.error(error.message);
+  process.exitCode = 1;
+} finally {
+  await mongoose.disconnect();
+}
@@ -2,7 +2,6 @@ import express from "express";
 import cors from "cors";
 import helmet from "helmet";
 import morgan from "morgan";
-import rateLimit from "express-rate-limit";
 import swaggerJsdoc from "swagger-jsdoc";
 import swaggerUi from "swagger-ui-express";
 
@@ -12,11 +11,21 @@ import { config } from "./config/config.js";
 
 // Import middleware
 import { errorHandler } from "./middleware/errorHandler.js";
+import { apiLimiter } from "./middleware/rateLimiter.js";
+import { identifyClient } from "./middleware/auth.js";
+
+// Import background worker
+import { startWorker } from "./worker.js";
 
 // Import routes
 import authRoutes from "./routes/auth.js";
 import urlRoutes from "./routes/urls.js";
 import analyticsRoutes from "./routes/analytics.js";
+import domainRoutes from "./routes/domains.js";
+import workspaceRoutes from "./routes/workspaces.js";
+import webhookRoutes from "./routes/webhooks.js";
+import jobRoutes from "./routes/jobs.js";
+import planRoutes from "./routes/plans.js";
 import redirectRoutes from "./routes/redirect.js";
 
 const app = express();
@@ -42,18 +51,7 @@ app.set('trust proxy', 1);
 
 // Rate limiting
 if (process.env.NODE_ENV !== "test") {
-  const limiter = rateLimit({
-    windowMs: config.rateLimitWindowMs,
-    max: config.rateLimitMaxRequests,
-    message: {
-      success: false,
-      message: "Too many requests, please try again later",
-    },
-    standardHeaders: true,
-    legacyHeaders: false,
-  });
-
-  app.use("/api", limiter);
+  app.use("/api", identifyClient, apiLimiter);
 }
 
 // Import swagger configuration
@@ -83,6 +81,11 @@ app.get("/health", (req, res) => {
 app.use("/api/auth", authRoutes);
 app.use("/api/urls", urlRoutes);
 app.use("/api/analytics", analyticsRoutes);
+app.use("/api/domains", domainRoutes);
+app.use("/api/workspaces", workspaceRoutes);
+app.use("/api/webhooks", webhookRoutes);
+app.use("/api/jobs", jobRoutes);
+app.use("/api/plans", planRoutes);
 
 // Redirect routes (no /api prefix for clean short URLs)
 app.use("/", redirectRoutes);
@@ -109,6 +112,13 @@ if (process.env.NODE_ENV !== "test") {
     console.log(`📍 Health Check: http://localhost:${PORT}/health`);
     console.log("✨ Ready to shorten URLs!");
   });
+
+  // Background jobs: QR codes, metadata, expiry warnings, webhook retries, cleanup
+  if (config.runWorkerInProcess) {
+    startWorker().catch((error) =>
+      console.error("Worker failed to start:", error.message)
+    );
+  }
 }
 
 export default app;
\ No newline at end of file
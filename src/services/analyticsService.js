@@ -1,6 +1,20 @@
-import Click from "../models/Click.js";
+import Click, { VISITOR_ID } from "../models/Click.js";
+import AccessEvent from "../models/AccessEvent.js";
 import URL_MODEL from "../models/URL.js";
 import User from "../models/User.js";
+import ClickRollup from "../models/ClickRollup.js";
+import webhookService from "./webhookService.js";
+import linkHealthService from "./linkHealthService.js";
+import planService from "./planService.js";
+import rollupService from "./rollupService.js";
+import { pseudonymizeIp, protectIp } from "../utils/privacy.js";
+import { lookupLocation } from "../utils/geoLocation.js";
+import {
+  classifyReferrerDomain,
+  getRollupRangeFilter,
+  mergeCounts,
+} from "../utils/rollups.js";
+import { config } from "../config/config.js";
 
 /**
  * Analytics Service for SnapURL
@@ -116,6 +130,10 @@ class AnalyticsService {
    * @param {string} [clickData.referrer] - Referring URL
    * @param {string} [clickData.userId] - User ID if authenticated
    * @param {Object} [clickData.customData] - Additional tracking data
+   * @param {Object} [clickData.variant] - A/B variant the visitor was routed to
+   * @param {Object} [clickData.routingRule] - Device routing rule that chose the destination
+   * @param {boolean} [clickData.doNotTrack] - Visitor sent DNT or Sec-GPC (honoured in privacy modes)
+   * @param {boolean} [clickData.viaInterstitial] - Visitor continued from the interstitial or preview page
    * @returns {Promise<Object>} Recorded click and redirect URL
    * @throws {Error} If click recording fails
    */
@@ -130,11 +148,23 @@ class AnalyticsService {
         userId = null,
         customData = {},
         sessionId = null,
+        variant = null,
+        routingRule = null,
+        viaInterstitial = false,
+        doNotTrack = false,
       } = clickData;
 
       // Use enhanced IP normalization
       const ipAddress = this._normalizeIpAddress(rawIpAddress, headers);
 
+      // Privacy mode: store a truncated IP or only a visitor hash, and
+      // nothing that identifies visitors who opted out of tracking
+      const privacyMode = config.clickPrivacyMode;
+      const anonymous = privacyMode !== "off" && doNotTrack;
+      const visitor = anonymous
+        ? { ipAddress: null, visitorKey: null }
+        : protectIp(ipAddress, privacyMode, { scope: String(urlId) });
+
       // Find the URL document
       const url = await URL_MODEL.findById(urlId);
       if (!url || !url.isActive) {
@@ -146,22 +176,27 @@ class AnalyticsService {
         throw new Error("URL has expired");
       }
 
-      // Determine if this is a unique click
-      const isUnique = await Click.isUniqueClick(urlId, ipAddress);
+      // Determine if this is a unique click (anonymous clicks can't be told apart)
+      const isUnique =
+        !anonymous &&
+        (await Click.isUniqueClick(urlId, ipAddress, visitor.visitorKey));
 
       // Create click record
       const click = new Click({
         urlId,
-        userId,
-        ipAddress,
+        userId: anonymous ? null : userId,
+        ipAddress: visitor.ipAddress,
+        visitorKey: visitor.visitorKey,
+        privacy: { mode: privacyMode, anonymous },
         userAgent,
-        referrer,
+        referrer: anonymous ? this._getReferrerOrigin(referrer) : referrer,
         isUnique,
-        sessionId,
-        customData,
+        sessionId: anonymous ? null : sessionId,
+        customData: anonymous ? {} : customData,
+        viaInterstitial,
         // Add IP metadata for debugging
         ipMetadata:
-          process.env.NODE_ENV === "development"
+          process.env.NODE_ENV === "development" && privacyMode === "off"
             ? {
                 raw: rawIpAddress,
                 isPublic: this._isPublicIP(ipAddress),
@@ -170,6 +205,29 @@ class AnalyticsService {
             : undefined,
       });
 
+      // The IP won't be stored whole, so resolve the location before it's dropped
+      if (privacyMode !== "off" && config.enableGeolocation) {
+        const location = lookupLocation(ipAddress);
+        if (location) {
+          click.location = anonymous
+            ? { country: location.country, countryName: location.countryName }
+            : location;
+        }
+      }
+
+      // Attach A/B variant if the visitor was routed to one
+      if (variant?._id) {
+        click.variant = { variantId: variant._id, name: variant.name };
+      }
+
+      // Attach the device routing rule that matched, if any
+      if (routingRule?._id) {
+        click.routingRule = {
+          ruleId: routingRule._id,
+          name: routingRule.name,
+        };
+      }
+
       // Extract campaign data from referrer if present
       if (referrer) {
         const campaignData = this._extractCampaignData(referrer);
@@ -181,8 +239,20 @@ class AnalyticsService {
       // Save click record (geo and device data populated by middleware)
       await click.save();
 
+      // Past days of analytics are read from the hourly rollups
+      await rollupService.recordClick(click, url.userId).catch((error) => {
+        console.error("Rollup update failed:", error.message);
+      });
+
       // Update URL statistics
-      await this._updateUrlStats(url, isUnique);
+      const clickCount = await this._updateUrlStats(
+        url,
+        isUnique,
+        variant?._id,
+        viaInterstitial
+      );
+
+      webhookService.emitClick(url, click, clickCount);
 
       // Update user statistics if applicable
       if (url.userId) {
@@ -191,7 +261,8 @@ class AnalyticsService {
 
       return {
         click,
-        redirectUrl: url.originalUrl,
+        redirectUrl:
+          routingRule?.destination || variant?.url || url.originalUrl,
         analytics: {
           totalClicks: url.clickCount + 1,
           uniqueClicks: url.uniqueClicks + (isUnique ? 1 : 0),
@@ -203,6 +274,98 @@ class AnalyticsService {
     }
   }
 
+  /**
+   * Record a denied or diverted redirect attempt
+   * @param {Object} eventData - Access event data
+   * @param {string} eventData.urlId - URL document ID
+   * @param {string} eventData.type - Access rule that triggered the event
+   * @param {string} [eventData.outcome] - 'blocked' or 'fallback'
+   * @param {string} [eventData.source] - Redirect endpoint ('redirect', 'tracked', 'qr', 'unlock', 'preview')
+   * @param {string} [eventData.country] - Visitor country code
+   * @param {string} [eventData.ipAddress] - Visitor IP address
+   * @param {string} [eventData.userAgent] - Browser user agent
+   * @param {string} [eventData.referrer] - Referring URL
+   * @param {string} [eventData.destination] - Fallback URL the visitor was sent to
+   * @param {boolean} [eventData.doNotTrack] - Visitor sent DNT or Sec-GPC (honoured in privacy modes)
+   * @returns {Promise<Object>} Recorded access event
+   * @throws {Error} If recording fails
+   */
+  async recordAccessEvent(eventData) {
+    try {
+      const {
+        urlId,
+        type,
+        outcome = "blocked",
+        source = "redirect",
+        country = null,
+        ipAddress: rawIpAddress,
+        headers = {},
+        userAgent = null,
+        referrer = null,
+        destination = null,
+        doNotTrack = false,
+      } = eventData;
+
+      const ipAddress = this._normalizeIpAddress(rawIpAddress, headers);
+
+      // Same privacy mode as clicks; visitors who opted out leave no IP
+      const privacyMode = config.clickPrivacyMode;
+      const anonymous = privacyMode !== "off" && doNotTrack;
+
+      return await AccessEvent.create({
+        urlId,
+        type,
+        outcome,
+        source,
+        country,
+        ipAddress: anonymous
+          ? null
+          : protectIp(ipAddress, privacyMode).ipAddress,
+        privacy: { mode: privacyMode, anonymous },
+        userAgent: anonymous ? null : userAgent,
+        referrer: anonymous ? this._getReferrerOrigin(referrer) : referrer,
+        destination,
+      });
+    } catch (error) {
+      throw new Error(`Access event recording failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Count a view of a link's interstitial or preview page
+   * Click-throughs are counted by recordClick (viaInterstitial)
+   * @param {string} urlId - URL document ID
+   * @returns {Promise<void>}
+   * @throws {Error} If the update fails
+   */
+  async recordInterstitialView(urlId) {
+    try {
+      await URL_MODEL.updateOne(
+        { _id: urlId },
+        { $inc: { "interstitial.views": 1 } }
+      );
+    } catch (error) {
+      throw new Error(`Interstitial view recording failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Reduces a referrer to its origin (anonymous clicks)
+   * @param {string} referrer - Referring URL
+   * @returns {string|null} Origin, e.g. "https://google.com", or null
+   */
+  _getReferrerOrigin(referrer) {
+    if (!referrer) {
+      return null;
+    }
+
+    try {
+      return new URL(referrer).origin;
+    } catch {
+      return null;
+    }
+  }
+
   /**
    * Helper method to identify IP source for debugging
    * @param {string} rawIp - Original IP
@@ -266,6 +429,7 @@ class AnalyticsService {
 
   /**
    * Get detailed analytics for a specific URL
+   * The range starts no earlier than the link owner's plan retention allows
    * @param {string} urlId - URL document ID
    * @param {Object} options - Analytics options
    * @returns {Promise<Object>} Comprehensive URL analytics
@@ -274,7 +438,9 @@ class AnalyticsService {
   async getUrlAnalytics(urlId, options = {}) {
     try {
       const {
-        startDate = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000), // 30 days ago
+        startDate: requestedStart = new Date(
+          Date.now() - 30 * 24 * 60 * 60 * 1000
+        ), // 30 days ago
         endDate = new Date(),
         excludeBots = true,
         includeRealTime = true,
@@ -286,8 +452,13 @@ class AnalyticsService {
         throw new Error("URL not found");
       }
 
-      // Get click analytics
-      const analytics = await Click.getUrlAnalytics(urlId, {
+      const startDate = await this._applyPlanRetention(
+        url.userId,
+        requestedStart
+      );
+
+      // Get click analytics and top referrers
+      const analytics = await this._getClickAnalytics(urlId, {
         startDate,
         endDate,
         excludeBots,
@@ -299,19 +470,18 @@ class AnalyticsService {
         realTimeStats = await this._getRealTimeUrlStats(urlId);
       }
 
-      // Get top referrers with additional processing
-      const topReferrers = await this._getTopReferrers(
-        urlId,
-        startDate,
-        endDate
-      );
-
       // Calculate performance metrics
       const performanceMetrics = await this._calculatePerformanceMetrics(
         url,
         analytics
       );
 
+      // Denied/diverted attempts (geo restrictions etc.)
+      const accessDenied = await AccessEvent.getUrlSummary(urlId, {
+        startDate,
+        endDate,
+      });
+
       return {
         url: {
           id: url._id,
@@ -332,10 +502,13 @@ class AnalyticsService {
           topBrowsers: analytics.byBrowser.slice(0, 5),
         },
         traffic: {
-          byReferrer: topReferrers,
+          byReferrer: analytics.topReferrers,
           clicksByHour: analytics.clicksByHour,
           clicksByDay: analytics.clicksByDay,
         },
+        variants: this._buildVariantBreakdown(url, analytics.byVariant),
+        interstitial: this._buildInterstitialStats(url),
+        accessDenied,
         performance: performanceMetrics,
         realTime: realTimeStats,
         dateRange: { startDate, endDate },
@@ -347,6 +520,8 @@ class AnalyticsService {
 
   /**
    * Get user dashboard analytics
+   * Covers personal links, or every link in options.workspaceId
+   * (membership is checked by the caller), limited to the user's plan retention
    * @param {string} userId - User ID
    * @param {Object} options - Analytics options
    * @returns {Promise<Object>} User dashboard analytics
@@ -355,101 +530,40 @@ class AnalyticsService {
   async getUserDashboard(userId, options = {}) {
     try {
       const {
-        startDate = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000),
+        startDate: requestedStart = new Date(
+          Date.now() - 30 * 24 * 60 * 60 * 1000
+        ),
         endDate = new Date(),
         limit = 10,
+        workspaceId = null,
       } = options;
 
+      const startDate = await this._applyPlanRetention(userId, requestedStart);
+
+      const ownerFilter = this._getOwnerFilter(userId, workspaceId);
+
       // Get user's URLs
       const userUrls = await URL_MODEL.find({
         // Исправлено: было URL
-        userId,
+        ...ownerFilter,
         isActive: true,
       }).select("_id");
 
       const urlIds = userUrls.map((url) => url._id);
 
       if (urlIds.length === 0) {
-        return this._getEmptyDashboard(userId);
+        return this._getEmptyDashboard(userId, workspaceId);
       }
 
       // Get aggregate click data for user's URLs
-      const [dashboardData] = await Click.aggregate([
-        {
-          $match: {
-            urlId: { $in: urlIds },
-            clickedAt: { $gte: startDate, $lte: endDate },
-            isBot: { $ne: true },
-          },
-        },
-        {
-          $facet: {
-            overview: [
-              {
-                $group: {
-                  _id: null,
-                  totalClicks: { $sum: 1 },
-                  uniqueClicks: { $sum: { $cond: ["$isUnique", 1, 0] } },
-                  uniqueVisitors: { $addToSet: "$ipAddress" },
-                },
-              },
-              {
-                $project: {
-                  totalClicks: 1,
-                  uniqueClicks: 1,
-                  uniqueVisitors: { $size: "$uniqueVisitors" },
-                },
-              },
-            ],
-
-            trends: [
-              {
-                $group: {
-                  _id: {
-                    date: {
-                      $dateToString: { format: "%Y-%m-%d", date: "$clickedAt" },
-                    },
-                  },
-                  clicks: { $sum: 1 },
-                  uniqueVisitors: { $addToSet: "$ipAddress" },
-                },
-              },
-              {
-                $project: {
-                  date: "$_id.date",
-                  clicks: 1,
-                  uniqueVisitors: { $size: "$uniqueVisitors" },
-                },
-              },
-              {
-                $sort: { date: 1 },
-              },
-            ],
-
-            topCountries: [
-              {
-                $match: { "location.country": { $exists: true, $ne: null } },
-              },
-              {
-                $group: {
-                  _id: "$location.country",
-                  count: { $sum: 1 },
-                  countryName: { $first: "$location.countryName" },
-                },
-              },
-              {
-                $sort: { count: -1 },
-              },
-              {
-                $limit: 5,
-              },
-            ],
-          },
-        },
-      ]);
+      const dashboardData = await this._getClickSummary(
+        urlIds,
+        startDate,
+        endDate
+      );
 
       // Get top performing URLs
-      const topUrls = await URL_MODEL.find({ userId })
+      const topUrls = await URL_MODEL.find(ownerFilter)
         .sort({ clickCount: -1, uniqueClicks: -1 })
         .limit(limit)
         .select(
@@ -458,21 +572,26 @@ class AnalyticsService {
         .lean();
 
       // Get recent activity
-      const recentActivity = await this._getRecentActivity(userId, 10);
+      const recentActivity = await this._getRecentActivity(
+        userId,
+        10,
+        workspaceId
+      );
+
+      // Destination health of the active links
+      const linkHealth = await linkHealthService.getHealthSummary(ownerFilter);
 
       return {
         userId,
-        overview: dashboardData?.overview[0] || {
-          totalClicks: 0,
-          uniqueClicks: 0,
-          uniqueVisitors: 0,
-        },
-        trends: dashboardData?.trends || [],
+        workspaceId,
+        overview: dashboardData.overview,
+        trends: dashboardData.trends,
         geographic: {
-          topCountries: dashboardData?.topCountries || [],
+          topCountries: dashboardData.topCountries,
         },
         topUrls,
         recentActivity,
+        linkHealth,
         dateRange: { startDate, endDate },
       };
     } catch (error) {
@@ -494,11 +613,7 @@ class AnalyticsService {
       } = options;
 
       // Get global statistics
-      const globalStats = await Click.getGlobalAnalytics({
-        startDate,
-        endDate,
-        excludeBots: true,
-      });
+      const globalStats = await this._getGlobalClickStats(startDate, endDate);
 
       // Get user analytics
       const userStats = await User.getAnalyticsSummary();
@@ -632,25 +747,114 @@ class AnalyticsService {
     }
   }
 
+  /**
+   * Stream raw clicks of a URL for export
+   * IP addresses are pseudonymised unless includeIp is set (owner only,
+   * checked by the caller); clicks older than the owner's plan retention are left out
+   * @param {string} urlId - URL document ID
+   * @param {Object} options - Filters (see Click.exportClickData) plus:
+   * @param {Array<string>} options.columns - Columns (see CLICK_EXPORT_COLUMNS)
+   * @param {boolean} [options.includeIp=false] - Export raw IP addresses
+   * @returns {AsyncGenerator<Object>} Flat records keyed by column name
+   * @throws {Error} If export fails
+   */
+  async *exportClicks(urlId, options = {}) {
+    try {
+      const { columns, includeIp = false, ...filters } = options;
+      const fields = columns.filter((column) => column !== "id");
+
+      const url = await URL_MODEL.findById(urlId).select("userId").lean();
+      const startDate = await this._applyPlanRetention(
+        url?.userId || null,
+        filters.startDate
+      );
+
+      const cursor = Click.exportClickData(urlId, {
+        ...filters,
+        startDate,
+        fields: fields.length > 0 ? fields : ["_id"],
+      });
+
+      for await (const click of cursor) {
+        const record = {};
+
+        for (const column of columns) {
+          record[column] =
+            column === "id"
+              ? String(click._id)
+              : column.split(".").reduce((value, key) => value?.[key], click);
+        }
+
+        if (columns.includes("ipAddress") && !includeIp) {
+          record.ipAddress = pseudonymizeIp(click.ipAddress, String(urlId));
+        }
+
+        yield record;
+      }
+    } catch (error) {
+      throw new Error(`Click export failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Private method to move a range start up to the plan's retention cutoff
+   * @param {string|null} userId - User whose plan applies (null for anonymous links)
+   * @param {Date} [startDate] - Requested start (none means from the beginning)
+   * @returns {Promise<Date|undefined>} Start date the plan allows
+   */
+  async _applyPlanRetention(userId, startDate) {
+    const cutoff = await planService.getAnalyticsCutoff(userId);
+    if (!cutoff) {
+      return startDate;
+    }
+
+    return !startDate || new Date(startDate) < cutoff ? cutoff : startDate;
+  }
+
   /**
    * Private method to update URL statistics
    * @param {Object} url - URL document
    * @param {boolean} isUnique - Whether this is a unique click
+   * @param {string} [variantId] - A/B variant to credit with the click
+   * @param {boolean} [viaInterstitial] - Whether the click came through the interstitial page
+   * @returns {Promise<number>} Click count after the update
    */
-  async _updateUrlStats(url, isUnique) {
+  async _updateUrlStats(
+    url,
+    isUnique,
+    variantId = null,
+    viaInterstitial = false
+  ) {
     try {
       const updateData = {
         $inc: { clickCount: 1 },
         lastClickedAt: new Date(),
       };
+      const updateOptions = { new: true };
 
       if (isUnique) {
         updateData.$inc.uniqueClicks = 1;
       }
 
-      await URL_MODEL.findByIdAndUpdate(url._id, updateData);
+      if (viaInterstitial) {
+        updateData.$inc["interstitial.clickThroughs"] = 1;
+      }
+
+      if (variantId) {
+        updateData.$inc["variants.$[variant].clicks"] = 1;
+        updateOptions.arrayFilters = [{ "variant._id": variantId }];
+      }
+
+      const updated = await URL_MODEL.findByIdAndUpdate(
+        url._id,
+        updateData,
+        updateOptions
+      );
+
+      return updated?.clickCount ?? url.clickCount + 1;
     } catch (error) {
       console.error("URL stats update failed:", error);
+      return url.clickCount + 1;
     }
   }
 
@@ -745,6 +949,76 @@ class AnalyticsService {
     }
   }
 
+  /**
+   * Private method to merge configured A/B variants with their click counts
+   * @param {Object} url - URL document
+   * @param {Array} byVariant - Click counts grouped by variant ID
+   * @returns {Array} Per-variant breakdown (includes variants that were deleted)
+   */
+  _buildVariantBreakdown(url, byVariant = []) {
+    const counts = new Map(
+      (byVariant || []).map((entry) => [entry._id.toString(), entry])
+    );
+    const periodClicks = (byVariant || []).reduce(
+      (sum, entry) => sum + entry.count,
+      0
+    );
+    const share = (count) =>
+      periodClicks > 0 ? Math.round((count / periodClicks) * 10000) / 100 : 0;
+
+    const breakdown = (url.variants || []).map((variant) => {
+      const entry = counts.get(variant._id.toString());
+      counts.delete(variant._id.toString());
+
+      return {
+        variantId: variant._id,
+        name: variant.name,
+        url: variant.url,
+        weight: variant.weight,
+        totalClicks: variant.clicks || 0,
+        clicks: entry?.count || 0,
+        uniqueClicks: entry?.uniqueClicks || 0,
+        share: share(entry?.count || 0),
+      };
+    });
+
+    // Variants removed from the URL still show up in historical clicks
+    counts.forEach((entry) => {
+      breakdown.push({
+        variantId: entry._id,
+        name: entry.name,
+        url: null,
+        weight: 0,
+        totalClicks: null,
+        clicks: entry.count,
+        uniqueClicks: entry.uniqueClicks,
+        share: share(entry.count),
+        deleted: true,
+      });
+    });
+
+    return breakdown;
+  }
+
+  /**
+   * Private method to summarize interstitial/preview page traffic
+   * (lifetime counters; period click-throughs are in overview.interstitialClicks)
+   * @param {Object} url - URL document
+   * @returns {Object} { redirectMode, views, clickThroughs, clickThroughRate }
+   */
+  _buildInterstitialStats(url) {
+    const views = url.interstitial?.views || 0;
+    const clickThroughs = url.interstitial?.clickThroughs || 0;
+
+    return {
+      redirectMode: url.redirectMode || "direct",
+      views,
+      clickThroughs,
+      clickThroughRate:
+        views > 0 ? Math.round((clickThroughs / views) * 10000) / 100 : 0,
+    };
+  }
+
   /**
    * Private method to extract domain from URL
    * @param {string} url - URL to extract domain from
@@ -764,22 +1038,7 @@ class AnalyticsService {
    * @returns {string} Referrer type
    */
   _classifyReferrer(domain) {
-    const searchEngines = [
-      "google.com",
-      "bing.com",
-      "yahoo.com",
-      "duckduckgo.com",
-    ];
-    const socialMedia = [
-      "facebook.com",
-      "twitter.com",
-      "linkedin.com",
-      "instagram.com",
-    ];
-
-    if (searchEngines.some((se) => domain.includes(se))) return "search";
-    if (socialMedia.some((sm) => domain.includes(sm))) return "social";
-    return "referral";
+    return classifyReferrerDomain(domain);
   }
 
   /**
@@ -953,29 +1212,45 @@ class AnalyticsService {
   /**
    * Private method to get empty dashboard for users with no data
    * @param {string} userId - User ID
+   * @param {string} [workspaceId=null] - Workspace ID (null for personal links)
    * @returns {Object} Empty dashboard structure
    */
-  _getEmptyDashboard(userId) {
+  _getEmptyDashboard(userId, workspaceId = null) {
     return {
       userId,
+      workspaceId,
       overview: { totalClicks: 0, uniqueClicks: 0, uniqueVisitors: 0 },
       trends: [],
       geographic: { topCountries: [] },
       topUrls: [],
       recentActivity: [],
+      linkHealth: { healthy: 0, broken: 0, unknown: 0 },
       dateRange: { startDate: new Date(), endDate: new Date() },
     };
   }
 
+  /**
+   * Private method to build the URL filter for a dashboard scope
+   * @param {string} userId - User ID
+   * @param {string} [workspaceId=null] - Workspace ID (null for personal links)
+   * @returns {Object} MongoDB filter
+   */
+  _getOwnerFilter(userId, workspaceId = null) {
+    return workspaceId ? { workspaceId } : { userId, workspaceId: null };
+  }
+
   /**
    * Private method to get recent user activity
    * @param {string} userId - User ID
    * @param {number} limit - Maximum number of activities
+   * @param {string} [workspaceId=null] - Workspace ID (null for personal links)
    * @returns {Promise<Array>} Recent activities
    */
-  async _getRecentActivity(userId, limit = 10) {
+  async _getRecentActivity(userId, limit = 10, workspaceId = null) {
     try {
-      const userUrls = await URL_MODEL.find({ userId }).select("_id");
+      const userUrls = await URL_MODEL.find(
+        this._getOwnerFilter(userId, workspaceId)
+      ).select("_id");
       const urlIds = userUrls.map((url) => url._id);
 
       if (urlIds.length === 0) return [];
@@ -1124,7 +1399,7 @@ class AnalyticsService {
             _id: null,
             totalClicks: { $sum: 1 },
             averageLoadTime: { $avg: "$loadTime" },
-            uniqueVisitors: { $addToSet: "$ipAddress" },
+            uniqueVisitors: { $addToSet: VISITOR_ID },
             topHour: { $push: { hour: { $hour: "$clickedAt" } } },
           },
         },
@@ -1238,7 +1513,7 @@ class AnalyticsService {
           $group: {
             _id: "$urlId",
             clickCount: { $sum: 1 },
-            uniqueVisitors: { $addToSet: "$ipAddress" },
+            uniqueVisitors: { $addToSet: VISITOR_ID },
             lastClick: { $max: "$clickedAt" },
           },
         },
@@ -1302,7 +1577,7 @@ class AnalyticsService {
         {
           $group: {
             _id: null,
-            uniqueVisitors: { $addToSet: "$ipAddress" },
+            uniqueVisitors: { $addToSet: VISITOR_ID },
           },
         },
         {
@@ -1320,62 +1595,677 @@ class AnalyticsService {
   }
 
   /**
-   * Clean up old analytics data based on retention policy
-   * @param {Object} options - Cleanup options
-   * @returns {Promise<Object>} Cleanup results
+   * Enforce click retention: every owner's clicks are kept for their
+   * analyticsRetention preference, capped by their plan; clicks on links
+   * without an owner, and on links or owners that were deleted, for
+   * retentionDays. Expiring clicks of live links are folded into the
+   * hourly rollups before they are deleted
+   * @param {Object} [options] - Cleanup options
+   * @param {number} [options.retentionDays] - Retention for links without an owner (defaults to CLICK_RETENTION_DAYS)
+   * @param {number} [options.batchSize=1000] - Clicks deleted per batch
+   * @param {boolean} [options.dryRun=false] - Only report what would be purged
+   * @returns {Promise<Object>} Totals plus a per-user report of purged clicks
    * @throws {Error} If cleanup fails
    */
   async cleanupAnalyticsData(options = {}) {
     try {
-      const { retentionDays = 365, batchSize = 1000, dryRun = false } = options;
+      const {
+        retentionDays = config.clickRetentionDays,
+        batchSize = 1000,
+        dryRun = false,
+      } = options;
+
+      const users = [];
 
-      const cutoffDate = new Date(
-        Date.now() - retentionDays * 24 * 60 * 60 * 1000
+      const cursor = User.find()
+        .select("email plan preferences.analyticsRetention")
+        .lean()
+        .cursor();
+
+      for await (const user of cursor) {
+        const userRetentionDays = await planService.getClickRetentionDays(user);
+        const purged = await this._purgeExpiredClicks(
+          user._id,
+          userRetentionDays,
+          batchSize,
+          dryRun
+        );
+
+        if (purged) {
+          users.push({
+            userId: user._id,
+            email: user.email,
+            plan: user.plan,
+            ...purged,
+          });
+        }
+      }
+
+      // Links created without an account
+      const anonymous = await this._purgeExpiredClicks(
+        null,
+        retentionDays,
+        batchSize,
+        dryRun
       );
+      if (anonymous) {
+        users.push({ userId: null, ...anonymous });
+      }
+
+      // Clicks the owner passes can't reach: deleted links and links of
+      // deleted users
+      const orphaned = await this._purgeOrphanedClicks(
+        retentionDays,
+        batchSize,
+        dryRun
+      );
+
+      const totalClicks = users.reduce(
+        (sum, entry) => sum + entry.clicks,
+        orphaned?.clicks || 0
+      );
+
+      return {
+        success: true,
+        dryRun,
+        ...(dryRun
+          ? { recordsToDelete: totalClicks }
+          : {
+              deletedCount: totalClicks,
+              foldedDays: users.reduce(
+                (sum, entry) => sum + entry.foldedDays,
+                0
+              ),
+            }),
+        retentionDays,
+        users,
+        orphaned,
+        cleanupDate: new Date(),
+      };
+    } catch (error) {
+      throw new Error(`Analytics data cleanup failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Private method to fold and delete one owner's expired clicks
+   * @param {string|null} userId - Link owner (null for links without one)
+   * @param {number} retentionDays - Days of clicks to keep
+   * @param {number} batchSize - Clicks deleted per batch
+   * @param {boolean} dryRun - Only count the expired clicks
+   * @returns {Promise<Object|null>} Report entry, or null if nothing expired
+   */
+  async _purgeExpiredClicks(userId, retentionDays, batchSize, dryRun) {
+    const urlIds = await URL_MODEL.distinct("_id", { userId });
+    if (urlIds.length === 0) {
+      return null;
+    }
+
+    const cutoffDate = this._retentionCutoff(retentionDays);
+    const match = { urlId: { $in: urlIds }, clickedAt: { $lt: cutoffDate } };
+
+    const clicks = await Click.countDocuments(match);
+    if (clicks === 0) {
+      return null;
+    }
+
+    // Rollups recorded as the clicks came in are kept; this fills in days
+    // from before rollups existed
+    let foldedDays = 0;
+    if (!dryRun) {
+      ({ days: foldedDays } = await rollupService.rebuildRollups(match, {
+        onlyMissing: true,
+      }));
+      await this._deleteClicks(match, batchSize);
+    }
+
+    return { retentionDays, cutoffDate, clicks, foldedDays };
+  }
+
+  /**
+   * Private method to delete expired clicks whose link or link owner no
+   * longer exists. They have no one to roll up for, so they are only deleted
+   * @param {number} retentionDays - Days of clicks to keep
+   * @param {number} batchSize - Clicks deleted per batch
+   * @param {boolean} dryRun - Only count the expired clicks
+   * @returns {Promise<Object|null>} Report entry, or null if nothing expired
+   */
+  async _purgeOrphanedClicks(retentionDays, batchSize, dryRun) {
+    const cutoffDate = this._retentionCutoff(retentionDays);
+
+    const urlIds = await Click.distinct("urlId", {
+      clickedAt: { $lt: cutoffDate },
+    });
+    const urls = await URL_MODEL.find({ _id: { $in: urlIds } })
+      .select("userId")
+      .lean();
+    const owners = new Set(
+      (
+        await User.distinct("_id", {
+          _id: { $in: urls.map((url) => url.userId).filter(Boolean) },
+        })
+      ).map(String)
+    );
+
+    const liveUrlIds = new Set(
+      urls
+        .filter((url) => !url.userId || owners.has(String(url.userId)))
+        .map((url) => String(url._id))
+    );
+    const orphanedUrlIds = urlIds.filter((id) => !liveUrlIds.has(String(id)));
+    if (orphanedUrlIds.length === 0) {
+      return null;
+    }
+
+    const match = {
+      urlId: { $in: orphanedUrlIds },
+      clickedAt: { $lt: cutoffDate },
+    };
+
+    const clicks = await Click.countDocuments(match);
+    if (!dryRun) {
+      await this._deleteClicks(match, batchSize);
+    }
+
+    return { retentionDays, cutoffDate, links: orphanedUrlIds.length, clicks };
+  }
+
+  /**
+   * Private method to delete matching clicks in batches
+   * @param {Object} match - Click query
+   * @param {number} batchSize - Clicks deleted per batch
+   * @returns {Promise<number>} Number of clicks deleted
+   */
+  async _deleteClicks(match, batchSize) {
+    let deletedCount = 0;
+    let hasMore = true;
+
+    // Deleted clicks leave the query, so each batch picks up new ones
+    while (hasMore) {
+      const clicks = await Click.find(match)
+        .select("_id")
+        .limit(batchSize)
+        .lean();
 
-      if (dryRun) {
-        // Count records that would be deleted
-        const count = await Click.countDocuments({
-          clickedAt: { $lt: cutoffDate },
+      if (clicks.length > 0) {
+        const result = await Click.deleteMany({
+          _id: { $in: clicks.map((click) => click._id) },
         });
+        deletedCount += result.deletedCount;
+      }
 
-        return {
-          dryRun: true,
-          recordsToDelete: count,
-          cutoffDate,
-          retentionDays,
-        };
+      hasMore = clicks.length === batchSize;
+
+      // Small delay between batches to avoid overwhelming the database
+      if (hasMore) {
+        await new Promise((resolve) => setTimeout(resolve, 100));
       }
+    }
+
+    return deletedCount;
+  }
+
+  /**
+   * Private method to get the retention cutoff, in whole UTC days so each
+   * folded day is complete
+   * @param {number} retentionDays - Days of clicks to keep
+   * @returns {Date} Clicks before this time are expired
+   */
+  _retentionCutoff(retentionDays) {
+    return new Date(
+      this._startOfUtcDay(new Date()).getTime() -
+        retentionDays * 24 * 60 * 60 * 1000
+    );
+  }
+
+  /**
+   * Private method to get the start of a UTC day
+   * @param {Date} date - Any time in the day
+   * @returns {Date} Midnight UTC
+   */
+  _startOfUtcDay(date) {
+    return new Date(
+      Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate())
+    );
+  }
+
+  /**
+   * Private method to split an analytics range at the start of today (UTC)
+   * Earlier days are read from the hourly rollups, today from raw clicks
+   * @param {Date} startDate - Range start
+   * @param {Date} endDate - Range end
+   * @returns {Object|null} { rollupFilter, liveRange } (liveRange is null
+   * when the range ends before today), or null if the range is all today
+   */
+  _splitRange(startDate, endDate) {
+    const todayStart = this._startOfUtcDay(new Date());
+    if (startDate >= todayStart) {
+      return null;
+    }
+
+    const endsBeforeToday = endDate < todayStart;
+
+    return {
+      rollupFilter: getRollupRangeFilter(
+        startDate,
+        endsBeforeToday ? endDate : new Date(todayStart.getTime() - 1)
+      ),
+      liveRange: endsBeforeToday ? null : { startDate: todayStart, endDate },
+    };
+  }
+
+  /**
+   * Private method to get click analytics and top referrers of a URL
+   * Past days come from rollups (hourly, so the range start is rounded down
+   * to the hour) unless bots are included, which only raw clicks can show
+   * @param {string} urlId - URL document ID
+   * @param {Object} options - { startDate, endDate, excludeBots }
+   * @returns {Promise<Object>} Click.getUrlAnalytics result plus topReferrers
+   */
+  async _getClickAnalytics(urlId, options) {
+    const { startDate, endDate, excludeBots } = options;
+    const split = excludeBots ? this._splitRange(startDate, endDate) : null;
+
+    if (!split) {
+      return {
+        ...(await Click.getUrlAnalytics(urlId, options)),
+        topReferrers: await this._getTopReferrers(urlId, startDate, endDate),
+      };
+    }
+
+    const history = await ClickRollup.getUrlAnalytics(
+      urlId,
+      split.rollupFilter
+    );
+    const live = split.liveRange
+      ? await Click.getUrlAnalytics(urlId, {
+          ...split.liveRange,
+          excludeBots,
+        })
+      : null;
+    const liveReferrers = split.liveRange
+      ? await this._getTopReferrers(
+          urlId,
+          split.liveRange.startDate,
+          split.liveRange.endDate
+        )
+      : [];
+
+    // Rollups count referrers by domain, so today's are grouped the same way
+    const topReferrers = mergeCounts(
+      [
+        liveReferrers.map(({ domain, count }) => ({ _id: domain, count })),
+        history.byReferrerDomain,
+      ],
+      { limit: 10 }
+    ).map(({ _id, count }) => ({
+      referrer: _id,
+      domain: _id,
+      count,
+      type: this._classifyReferrer(_id),
+    }));
+
+    if (!live) {
+      return {
+        ...history,
+        overview: { ...history.overview, averageLoadTime: null },
+        topReferrers,
+        dateRange: { startDate, endDate },
+      };
+    }
+
+    return {
+      overview: {
+        totalClicks: history.overview.totalClicks + live.overview.totalClicks,
+        uniqueClicks:
+          history.overview.uniqueClicks + live.overview.uniqueClicks,
+        botClicks: live.overview.botClicks,
+        interstitialClicks:
+          history.overview.interstitialClicks +
+          live.overview.interstitialClicks,
+        averageLoadTime: live.overview.averageLoadTime ?? null,
+      },
+      byCountry: mergeCounts([live.byCountry, history.byCountry], {
+        limit: 10,
+      }),
+      byDevice: mergeCounts([live.byDevice, history.byDevice]),
+      byBrowser: mergeCounts([live.byBrowser, history.byBrowser], {
+        limit: 10,
+      }),
+      byVariant: mergeCounts([live.byVariant, history.byVariant]),
+      clicksByHour: mergeCounts([history.clicksByHour, live.clicksByHour], {
+        sortById: true,
+      }),
+      clicksByDay: [...history.clicksByDay, ...live.clicksByDay],
+      topReferrers,
+      dateRange: { startDate, endDate },
+    };
+  }
 
-      // Delete old records in batches
-      let totalDeleted = 0;
+  /**
+   * Private method to get click totals of a set of URLs (bots excluded)
+   * @param {Array} urlIds - URL document IDs
+   * @param {Date} startDate - Range start
+   * @param {Date} endDate - Range end
+   * @returns {Promise<Object>} { overview, trends, topCountries }
+   */
+  async _getClickSummary(urlIds, startDate, endDate) {
+    const split = this._splitRange(startDate, endDate);
+    if (!split) {
+      return this._getRawClickSummary(urlIds, startDate, endDate);
+    }
+
+    const {
+      overview: { urls, ...overview },
+      trends,
+      topCountries,
+    } = await ClickRollup.getSummary(split.rollupFilter, urlIds);
+    if (!split.liveRange) {
+      return { overview, trends, topCountries };
+    }
+
+    const live = await this._getRawClickSummary(
+      urlIds,
+      split.liveRange.startDate,
+      split.liveRange.endDate
+    );
+
+    // Visitors can't be told apart across rollups, so unique clicks stand in
+    return {
+      overview: {
+        totalClicks: overview.totalClicks + live.overview.totalClicks,
+        uniqueClicks: overview.uniqueClicks + live.overview.uniqueClicks,
+        uniqueVisitors: overview.uniqueVisitors + live.overview.uniqueVisitors,
+      },
+      trends: [...trends, ...live.trends],
+      topCountries: mergeCounts([live.topCountries, topCountries], {
+        limit: 5,
+      }),
+    };
+  }
+
+  /**
+   * Private method to get click totals of a set of URLs from raw clicks
+   * @param {Array} urlIds - URL document IDs
+   * @param {Date} startDate - Range start
+   * @param {Date} endDate - Range end
+   * @returns {Promise<Object>} { overview, trends, topCountries }
+   */
+  async _getRawClickSummary(urlIds, startDate, endDate) {
+    const [summary] = await Click.aggregate([
+      {
+        $match: {
+          urlId: { $in: urlIds },
+          clickedAt: { $gte: startDate, $lte: endDate },
+          isBot: { $ne: true },
+        },
+      },
+      {
+        $facet: {
+          overview: [
+            {
+              $group: {
+                _id: null,
+                totalClicks: { $sum: 1 },
+                uniqueClicks: { $sum: { $cond: ["$isUnique", 1, 0] } },
+                uniqueVisitors: { $addToSet: VISITOR_ID },
+              },
+            },
+            {
+              $project: {
+                totalClicks: 1,
+                uniqueClicks: 1,
+                uniqueVisitors: { $size: "$uniqueVisitors" },
+              },
+            },
+          ],
+
+          trends: [
+            {
+              $group: {
+                _id: {
+                  date: {
+                    $dateToString: { format: "%Y-%m-%d", date: "$clickedAt" },
+                  },
+                },
+                clicks: { $sum: 1 },
+                uniqueVisitors: { $addToSet: VISITOR_ID },
+              },
+            },
+            {
+              $project: {
+                date: "$_id.date",
+                clicks: 1,
+                uniqueVisitors: { $size: "$uniqueVisitors" },
+              },
+            },
+            {
+              $sort: { date: 1 },
+            },
+          ],
+
+          topCountries: [
+            {
+              $match: { "location.country": { $exists: true, $ne: null } },
+            },
+            {
+              $group: {
+                _id: "$location.country",
+                count: { $sum: 1 },
+                countryName: { $first: "$location.countryName" },
+              },
+            },
+            {
+              $sort: { count: -1 },
+            },
+            {
+              $limit: 5,
+            },
+          ],
+        },
+      },
+    ]);
+
+    return {
+      overview: summary.overview[0] || {
+        totalClicks: 0,
+        uniqueClicks: 0,
+        uniqueVisitors: 0,
+      },
+      trends: summary.trends,
+      topCountries: summary.topCountries,
+    };
+  }
+
+  /**
+   * Private method to get platform-wide click statistics (bots excluded)
+   * @param {Date} startDate - Range start
+   * @param {Date} endDate - Range end
+   * @returns {Promise<Object>} Click.getGlobalAnalytics result
+   */
+  async _getGlobalClickStats(startDate, endDate) {
+    const split = this._splitRange(startDate, endDate);
+    if (!split) {
+      return Click.getGlobalAnalytics({
+        startDate,
+        endDate,
+        excludeBots: true,
+      });
+    }
+
+    const history = await ClickRollup.getSummary(split.rollupFilter);
+    const overview = {
+      totalClicks: history.overview.totalClicks,
+      uniqueUrls: history.overview.urls.length,
+      uniqueVisitors: history.overview.uniqueVisitors,
+    };
+    if (!split.liveRange) {
+      return {
+        overview,
+        trends: history.trends,
+        dateRange: { startDate, endDate },
+      };
+    }
+
+    const liveRange = {
+      $gte: split.liveRange.startDate,
+      $lte: split.liveRange.endDate,
+    };
+    const live = await Click.getGlobalAnalytics({
+      ...split.liveRange,
+      excludeBots: true,
+    });
+    const liveUrls = await Click.distinct("urlId", {
+      clickedAt: liveRange,
+      isBot: { $ne: true },
+    });
+
+    return {
+      overview: {
+        totalClicks: overview.totalClicks + live.overview.totalClicks,
+        uniqueUrls: new Set([...history.overview.urls, ...liveUrls].map(String))
+          .size,
+        uniqueVisitors: overview.uniqueVisitors + live.overview.uniqueVisitors,
+      },
+      trends: [...history.trends, ...live.trends],
+      dateRange: { startDate, endDate },
+    };
+  }
+
+  /**
+   * Anonymise stored clicks for a privacy mode (migration for clicks
+   * recorded with raw IPs). Missing locations are resolved from the IP
+   * first; visitor keys are hashed for the day of each click. Access
+   * events get the same treatment
+   * @param {Object} [options] - Migration options
+   * @param {string} [options.mode] - 'truncate' or 'hash' (defaults to CLICK_PRIVACY_MODE)
+   * @param {number} [options.batchSize=500] - Clicks updated per batch
+   * @returns {Promise<Object>} { mode, anonymisedCount, anonymisedAccessEvents }
+   * @throws {Error} If the mode isn't a privacy mode or the migration fails
+   */
+  async anonymiseClicks(options = {}) {
+    try {
+      const { mode = config.clickPrivacyMode, batchSize = 500 } = options;
+
+      if (!["truncate", "hash"].includes(mode)) {
+        throw new Error(`Privacy mode must be truncate or hash, got "${mode}"`);
+      }
+
+      // Raw IPs, plus truncated ones when moving on to hash mode
+      const query = {
+        ipAddress: { $ne: null },
+        "privacy.mode": {
+          $in: mode === "hash" ? [null, "off", "truncate"] : [null, "off"],
+        },
+      };
+
+      let anonymisedCount = 0;
       let hasMore = true;
 
+      // Updated clicks leave the query, so each batch picks up new ones
       while (hasMore) {
-        const result = await Click.deleteMany(
-          { clickedAt: { $lt: cutoffDate } },
-          { limit: batchSize }
-        );
+        const clicks = await Click.find(query)
+          .select("urlId ipAddress visitorKey location clickedAt privacy")
+          .limit(batchSize)
+          .lean();
+
+        const anonymisedAt = new Date();
+        const operations = clicks.map((click) => {
+          const isRawIp = click.privacy?.mode !== "truncate";
+          const visitor = protectIp(click.ipAddress, mode, {
+            scope: String(click.urlId),
+            date: click.clickedAt,
+          });
+
+          const update = {
+            ipAddress: visitor.ipAddress,
+            // A truncated IP would hash to a different visitor
+            visitorKey: isRawIp ? visitor.visitorKey : click.visitorKey,
+            "privacy.mode": mode,
+            "privacy.anonymisedAt": anonymisedAt,
+          };
 
-        totalDeleted += result.deletedCount;
-        hasMore = result.deletedCount === batchSize;
+          if (isRawIp && config.enableGeolocation && !click.location?.country) {
+            const location = lookupLocation(click.ipAddress);
+            if (location) {
+              update.location = location;
+            }
+          }
+
+          return {
+            updateOne: {
+              filter: { _id: click._id },
+              update: { $set: update, $unset: { ipMetadata: "" } },
+            },
+          };
+        });
 
-        // Small delay between batches to avoid overwhelming the database
-        if (hasMore) {
-          await new Promise((resolve) => setTimeout(resolve, 100));
+        if (operations.length > 0) {
+          await Click.bulkWrite(operations);
         }
+
+        anonymisedCount += operations.length;
+        hasMore = clicks.length === batchSize;
       }
 
-      return {
-        success: true,
-        deletedCount: totalDeleted,
-        cutoffDate,
-        retentionDays,
-        cleanupDate: new Date(),
-      };
+      const anonymisedAccessEvents = await this._anonymiseAccessEvents(
+        mode,
+        batchSize
+      );
+
+      return { mode, anonymisedCount, anonymisedAccessEvents };
     } catch (error) {
-      throw new Error(`Analytics data cleanup failed: ${error.message}`);
+      throw new Error(`Click anonymisation failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Anonymise the IPs of stored access events for a privacy mode
+   * @param {string} mode - 'truncate' or 'hash'
+   * @param {number} batchSize - Events updated per batch
+   * @returns {Promise<number>} Number of events anonymised
+   * @private
+   */
+  async _anonymiseAccessEvents(mode, batchSize) {
+    const query = {
+      ipAddress: { $ne: null },
+      "privacy.mode": {
+        $in: mode === "hash" ? [null, "off", "truncate"] : [null, "off"],
+      },
+    };
+
+    let anonymisedCount = 0;
+    let hasMore = true;
+
+    while (hasMore) {
+      const events = await AccessEvent.find(query)
+        .select("ipAddress")
+        .limit(batchSize)
+        .lean();
+
+      const anonymisedAt = new Date();
+      const operations = events.map((event) => ({
+        updateOne: {
+          filter: { _id: event._id },
+          update: {
+            $set: {
+              ipAddress: protectIp(event.ipAddress, mode).ipAddress,
+              "privacy.mode": mode,
+              "privacy.anonymisedAt": anonymisedAt,
+            },
+          },
+        },
+      }));
+
+      if (operations.length > 0) {
+        await AccessEvent.bulkWrite(operations);
+      }
+
+      anonymisedCount += operations.length;
+      hasMore = events.length === batchSize;
     }
+
+    return anonymisedCount;
   }
 }
 
@@ -1,8 +1,21 @@
 import bcrypt from "bcryptjs";
 import jwt from "jsonwebtoken";
 import User from "../models/User.js";
+import ApiKey, {
+  generateRawApiKey,
+  getVisiblePrefix,
+  hashApiKey,
+} from "../models/ApiKey.js";
+import Session from "../models/Session.js";
+import sessionService from "./sessionService.js";
+import mailService from "./mailService.js";
+import planService from "./planService.js";
+import { DEFAULT_API_KEY_SCOPES } from "../utils/permissions.js";
 import { config } from "../config/config.js";
 
+// Active (unrevoked, unexpired) API keys allowed per user
+const MAX_API_KEYS = 10;
+
 /**
  * Authentication Service for SnapURL
  * Handles user registration, login, token management, and password operations
@@ -15,10 +28,11 @@ class AuthService {
    * @param {string} userData.name - User's full name
    * @param {string} userData.email - User's email address
    * @param {string} userData.password - User's password
-   * @returns {Promise<Object>} Created user and authentication token
+   * @param {Object} [context] - Request context ({ userAgent, ipAddress }) for the session
+   * @returns {Promise<Object>} Created user with access and refresh tokens
    * @throws {Error} If registration fails or email already exists
    */
-  async register(userData) {
+  async register(userData, context = {}) {
     try {
       const { name, email, password } = userData;
 
@@ -35,17 +49,22 @@ class AuthService {
         password,
       });
 
-      // Generate JWT token
-      const token = user.generateToken();
+      // Start a session (access + refresh token)
+      const { token, refreshToken, expiresIn, refreshExpiresAt } =
+        await sessionService.createSession(user, context);
 
       // Update last login
       user.lastLogin = new Date();
       await user.save();
 
+      await this._sendVerificationEmail(user);
+
       return {
         user: user.getPublicProfile(),
         token,
-        expiresIn: config.jwtExpire,
+        refreshToken,
+        expiresIn,
+        refreshExpiresAt,
       };
     } catch (error) {
       if (error.code === 11000) {
@@ -60,10 +79,11 @@ class AuthService {
    * @param {Object} credentials - Login credentials
    * @param {string} credentials.email - User's email
    * @param {string} credentials.password - User's password
-   * @returns {Promise<Object>} User data and authentication token
+   * @param {Object} [context] - Request context ({ userAgent, ipAddress }) for the session
+   * @returns {Promise<Object>} User data with access and refresh tokens
    * @throws {Error} If authentication fails
    */
-  async login(credentials) {
+  async login(credentials, context = {}) {
     try {
       const { email, password } = credentials;
 
@@ -94,13 +114,16 @@ class AuthService {
       user.apiUsage.lastRequestAt = new Date();
       await user.save();
 
-      // Generate new token
-      const token = user.generateToken();
+      // Start a new session (access + refresh token)
+      const { token, refreshToken, expiresIn, refreshExpiresAt } =
+        await sessionService.createSession(user, context);
 
       return {
         user: user.getPublicProfile(),
         token,
-        expiresIn: config.jwtExpire,
+        refreshToken,
+        expiresIn,
+        refreshExpiresAt,
       };
     } catch (error) {
       throw new Error(`Login failed: ${error.message}`);
@@ -108,24 +131,20 @@ class AuthService {
   }
 
   /**
-   * Refresh authentication token
-   * @param {string} oldToken - Current JWT token
-   * @returns {Promise<Object>} New token and user data
+   * Exchange a refresh token for a new access and refresh token
+   * @param {string} refreshToken - Refresh token issued at login or last refresh
+   * @param {Object} [context] - Request context ({ ipAddress })
+   * @returns {Promise<Object>} { valid, reuseDetected } plus new tokens when valid
    * @throws {Error} If token refresh fails
    */
-  async refreshToken(oldToken) {
+  async refreshToken(refreshToken, context = {}) {
     try {
-      // Verify the old token
-      const decoded = jwt.verify(oldToken, config.jwtSecret);
-
-      // Find the user
-      const user = await User.findById(decoded.id);
-      if (!user || !user.isActive) {
-        throw new Error("User not found or inactive");
+      const result = await sessionService.refreshSession(refreshToken, context);
+      if (!result.valid) {
+        return result;
       }
 
-      // Generate new token
-      const newToken = user.generateToken();
+      const { user } = result;
 
       // Update API usage tracking
       user.apiUsage.lastRequestAt = new Date();
@@ -133,17 +152,10 @@ class AuthService {
       await user.save();
 
       return {
+        ...result,
         user: user.getPublicProfile(),
-        token: newToken,
-        expiresIn: config.jwtExpire,
       };
     } catch (error) {
-      if (error.name === "TokenExpiredError") {
-        throw new Error("Token has expired. Please login again.");
-      }
-      if (error.name === "JsonWebTokenError") {
-        throw new Error("Invalid token. Please login again.");
-      }
       throw new Error(`Token refresh failed: ${error.message}`);
     }
   }
@@ -154,10 +166,11 @@ class AuthService {
    * @param {Object} passwordData - Password change data
    * @param {string} passwordData.currentPassword - Current password
    * @param {string} passwordData.newPassword - New password
+   * @param {string} [currentSessionId] - Session to keep signed in; all others are revoked
    * @returns {Promise<Object>} Success confirmation
    * @throws {Error} If password change fails
    */
-  async changePassword(userId, passwordData) {
+  async changePassword(userId, passwordData, currentSessionId = null) {
     try {
       const { currentPassword, newPassword } = passwordData;
 
@@ -187,6 +200,12 @@ class AuthService {
       user.password = newPassword;
       await user.save();
 
+      // Sign out every other device
+      await sessionService.revokeAllSessions(userId, {
+        exceptSessionId: currentSessionId,
+        reason: "password_changed",
+      });
+
       return {
         success: true,
         message: "Password changed successfully",
@@ -228,12 +247,17 @@ class AuthService {
         { expiresIn: "1h" }
       );
 
-      // In a real application, you would send this token via email
-      // For demo purposes, we'll return it
+      try {
+        await mailService.sendPasswordReset(user, resetToken);
+      } catch (error) {
+        // Same response either way so the endpoint doesn't reveal accounts
+        console.error("Password reset email failed:", error.message);
+      }
+
       return {
         success: true,
-        message: "Password reset instructions sent to your email",
-        resetToken, // In production, this would be sent via email
+        message:
+          "If an account with this email exists, password reset instructions have been sent.",
       };
     } catch (error) {
       throw new Error(`Password reset request failed: ${error.message}`);
@@ -271,6 +295,11 @@ class AuthService {
       user.password = newPassword;
       await user.save();
 
+      // Whoever had the old password may still be signed in
+      await sessionService.revokeAllSessions(user._id, {
+        reason: "password_changed",
+      });
+
       return {
         success: true,
         message: "Password has been reset successfully",
@@ -290,6 +319,80 @@ class AuthService {
     }
   }
 
+  /**
+   * Confirm a user's email address
+   * @param {string} verificationToken - Token from the verification email
+   * @returns {Promise<Object>} Verified user profile
+   * @throws {Error} If the token is invalid or expired
+   */
+  async verifyEmail(verificationToken) {
+    try {
+      const decoded = jwt.verify(verificationToken, config.jwtSecret);
+
+      if (decoded.type !== "email-verification") {
+        throw new Error("Invalid verification token");
+      }
+
+      const user = await User.findById(decoded.id);
+
+      // The token is only valid for the address it was sent to
+      if (!user || !user.isActive || user.email !== decoded.email) {
+        throw new Error("Invalid verification token");
+      }
+
+      if (!user.emailVerified) {
+        user.emailVerified = true;
+        await user.save();
+      }
+
+      return {
+        user: user.getPublicProfile(),
+        message: "Email address verified successfully",
+      };
+    } catch (error) {
+      if (error.name === "TokenExpiredError") {
+        throw new Error(
+          "Verification link has expired. Please request a new one."
+        );
+      }
+      if (error.name === "JsonWebTokenError") {
+        throw new Error("Invalid verification token");
+      }
+      throw new Error(`Email verification failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Send a new verification email
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Success confirmation
+   * @throws {Error} If the email is already verified
+   */
+  async resendVerificationEmail(userId) {
+    try {
+      const user = await User.findById(userId);
+      if (!user) {
+        throw new Error("User not found");
+      }
+
+      if (user.emailVerified) {
+        throw new Error("Email address is already verified");
+      }
+
+      await mailService.sendEmailVerification(
+        user,
+        this._generateVerificationToken(user)
+      );
+
+      return {
+        success: true,
+        message: "Verification email sent",
+      };
+    } catch (error) {
+      throw new Error(`Verification email failed: ${error.message}`);
+    }
+  }
+
   /**
    * Validate JWT token and return user data
    * @param {string} token - JWT token to validate
@@ -301,6 +404,16 @@ class AuthService {
       // Verify token
       const decoded = jwt.verify(token, config.jwtSecret);
 
+      // Password reset and verification tokens are not access tokens
+      if (decoded.type) {
+        throw new Error("Invalid token");
+      }
+
+      // Tokens issued for a session stop working once it is revoked
+      if (decoded.sid && !(await Session.isSessionActive(decoded.sid))) {
+        throw new Error("Session has been revoked");
+      }
+
       // Find user
       const user = await User.findById(decoded.id);
       if (!user || !user.isActive) {
@@ -313,6 +426,7 @@ class AuthService {
           id: decoded.id,
           email: decoded.email,
           role: decoded.role,
+          sessionId: decoded.sid || null,
           iat: decoded.iat,
           exp: decoded.exp,
         },
@@ -382,6 +496,8 @@ class AuthService {
       user.isActive = false;
       await user.save();
 
+      await sessionService.revokeAllSessions(userId);
+
       // In a real application, you might want to:
       // - Deactivate all user's URLs
       // - Send confirmation email
@@ -399,18 +515,25 @@ class AuthService {
   }
 
   /**
-   * Get user's API usage statistics
+   * Get user's API usage statistics and usage against their plan's limits
    * @param {string} userId - User ID
-   * @returns {Promise<Object>} API usage statistics
+   * @param {Object} [options] - Usage options
+   * @param {number} [options.apiRequestsToday=0] - Requests counted by the plan quota limiter
+   * @returns {Promise<Object>} API usage statistics with plan and limits
    * @throws {Error} If user not found
    */
-  async getApiUsage(userId) {
+  async getApiUsage(userId, options = {}) {
     try {
       const user = await User.findById(userId);
       if (!user) {
         throw new Error("User not found");
       }
 
+      const { plan, period, limits } = await planService.getUsageSummary(
+        userId,
+        options
+      );
+
       return {
         userId: user._id,
         requestCount: user.apiUsage.requestCount,
@@ -420,6 +543,9 @@ class AuthService {
         totalUrls: user.urlCount,
         totalClicks: user.totalClicks,
         activityScore: user.activityScore,
+        plan,
+        period,
+        limits,
       };
     } catch (error) {
       throw new Error(`API usage retrieval failed: ${error.message}`);
@@ -427,45 +553,204 @@ class AuthService {
   }
 
   /**
-   * Generate API key for external integrations (future feature)
+   * Count an authenticated API request towards the user's usage statistics
+   * @param {string} userId - User ID
+   * @returns {Promise<void>}
+   */
+  async recordApiRequest(userId) {
+    try {
+      await User.updateOne(
+        { _id: userId },
+        {
+          $inc: { "apiUsage.requestCount": 1 },
+          $set: { "apiUsage.lastRequestAt": new Date() },
+        }
+      );
+    } catch (error) {
+      throw new Error(`API request recording failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Count a rate limit window the user ran out of
+   * @param {string} userId - User ID
+   * @returns {Promise<void>}
+   */
+  async recordRateLimitReset(userId) {
+    try {
+      await User.updateOne(
+        { _id: userId },
+        { $inc: { "apiUsage.rateLimitResets": 1 } }
+      );
+    } catch (error) {
+      throw new Error(`Rate limit recording failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Generate a stored, scoped API key for external integrations
+   * The raw key is only returned here; the database keeps its hash
    * @param {string} userId - User ID
-   * @param {string} keyName - Name for the API key
-   * @returns {Promise<Object>} Generated API key
+   * @param {Object} [keyData] - Key options
+   * @param {string} [keyData.name] - Label for the key
+   * @param {Array<string>} [keyData.scopes] - Granted scopes (read-only by default)
+   * @param {number|null} [keyData.expiresIn] - Lifetime in days (null for no expiry)
+   * @returns {Promise<Object>} { apiKey, key } raw key and stored key document
    * @throws {Error} If generation fails
    */
-  async generateApiKey(userId, keyName = "Default") {
+  async generateApiKey(userId, keyData = {}) {
     try {
+      const {
+        name = "Default",
+        scopes = DEFAULT_API_KEY_SCOPES,
+        expiresIn = 365,
+      } = keyData;
+
       const user = await User.findById(userId);
       if (!user) {
         throw new Error("User not found");
       }
 
-      // Generate API key using JWT with longer expiration
-      const apiKey = jwt.sign(
-        {
-          id: user._id,
-          type: "api-key",
-          name: keyName,
-        },
-        config.jwtSecret,
-        {
-          expiresIn: "1y", // API keys expire after 1 year
-          issuer: "snapurl-api",
-          audience: "snapurl-external",
-        }
-      );
+      const activeKeys = await ApiKey.countDocuments({
+        userId,
+        revokedAt: null,
+        $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }],
+      });
 
-      return {
-        apiKey,
-        keyName,
-        userId: user._id,
-        expiresAt: new Date(Date.now() + 365 * 24 * 60 * 60 * 1000), // 1 year
-        createdAt: new Date(),
-      };
+      if (activeKeys >= MAX_API_KEYS) {
+        throw new Error(
+          `You can have up to ${MAX_API_KEYS} active API keys. Revoke an unused key first`
+        );
+      }
+
+      const apiKey = generateRawApiKey();
+      const key = new ApiKey({
+        userId,
+        name,
+        scopes: [...new Set(scopes)],
+        prefix: getVisiblePrefix(apiKey),
+        keyHash: hashApiKey(apiKey),
+        expiresAt: expiresIn
+          ? new Date(Date.now() + expiresIn * 24 * 60 * 60 * 1000)
+          : null,
+      });
+      await key.save();
+
+      return { apiKey, key };
     } catch (error) {
       throw new Error(`API key generation failed: ${error.message}`);
     }
   }
+
+  /**
+   * Get all API keys for a user, including revoked and expired ones
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} API keys (without hashes)
+   * @throws {Error} If retrieval fails
+   */
+  async getApiKeys(userId) {
+    try {
+      return await ApiKey.find({ userId }).sort({ createdAt: -1 });
+    } catch (error) {
+      throw new Error(`API key retrieval failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Revoke an API key
+   * @param {string} userId - User ID
+   * @param {string} keyId - API key ID
+   * @returns {Promise<Object>} Revoked key
+   * @throws {Error} If the key is not found
+   */
+  async revokeApiKey(userId, keyId) {
+    try {
+      const key = await ApiKey.findOne({ _id: keyId, userId });
+
+      if (!key) {
+        throw new Error("API key not found");
+      }
+
+      if (!key.revokedAt) {
+        key.revokedAt = new Date();
+        await key.save();
+      }
+
+      return key;
+    } catch (error) {
+      throw new Error(`API key revocation failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Resolve the user behind a raw API key and record its use
+   * @param {string} rawKey - Raw API key from the X-API-Key header
+   * @param {string} [ipAddress] - Caller IP address
+   * @returns {Promise<Object|null>} { user, apiKey } or null if the key is unusable
+   * @throws {Error} If the lookup fails
+   */
+  async authenticateApiKey(rawKey, ipAddress = null) {
+    try {
+      const apiKey = await ApiKey.findActiveByKey(rawKey);
+      if (!apiKey) {
+        return null;
+      }
+
+      const user = await User.findById(apiKey.userId).select("-password");
+      if (!user || !user.isActive) {
+        return null;
+      }
+
+      // Only write usage once a minute so busy keys don't write on every call
+      const now = new Date();
+      if (!apiKey.lastUsedAt || now - apiKey.lastUsedAt > 60 * 1000) {
+        ApiKey.updateOne(
+          { _id: apiKey._id },
+          { lastUsedAt: now, lastUsedIp: ipAddress }
+        ).catch((error) =>
+          console.error("API key usage update failed:", error.message)
+        );
+      }
+
+      return { user, apiKey };
+    } catch (error) {
+      throw new Error(`API key authentication failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Sign an email verification token (valid for 24 hours)
+   * @param {Object} user - User document
+   * @returns {string} Verification token
+   * @private
+   */
+  _generateVerificationToken(user) {
+    return jwt.sign(
+      {
+        id: user._id,
+        email: user.email,
+        type: "email-verification",
+      },
+      config.jwtSecret,
+      { expiresIn: "24h" }
+    );
+  }
+
+  /**
+   * Send the verification email without failing the caller
+   * @param {Object} user - User document
+   * @private
+   */
+  async _sendVerificationEmail(user) {
+    try {
+      await mailService.sendEmailVerification(
+        user,
+        this._generateVerificationToken(user)
+      );
+    } catch (error) {
+      console.error("Verification email failed:", error.message);
+    }
+  }
 }
 
 export default new AuthService();
@@ -0,0 +1,186 @@
+import { promises as dns } from "dns";
+import Domain, { VERIFICATION_RECORD_PREFIX } from "../models/Domain.js";
+import URL_MODEL from "../models/URL.js";
+import { config } from "../config/config.js";
+// Import Node.js URL explicitly
+import { URL as NodeURL } from "url";
+
+// Maximum number of custom domains per user
+const MAX_DOMAINS = 5;
+
+/**
+ * Domain Service for SnapURL
+ * Handles custom domain registration, DNS ownership verification and removal
+ */
+
+class DomainService {
+  /**
+   * Register a custom domain for a user
+   * The domain stays unverified until its TXT record is found
+   * @param {string} userId - Owner user ID
+   * @param {string} hostname - Hostname to register (e.g. go.example.com)
+   * @returns {Promise<Object>} Created domain with its verification record
+   * @throws {Error} If registration fails
+   */
+  async createDomain(userId, hostname) {
+    try {
+      const normalized = String(hostname || "")
+        .trim()
+        .toLowerCase();
+
+      if (normalized === new NodeURL(config.baseUrl).hostname) {
+        throw new Error("The default short link domain cannot be registered");
+      }
+
+      const domainCount = await Domain.countDocuments({ userId });
+      if (domainCount >= MAX_DOMAINS) {
+        throw new Error(`You can register up to ${MAX_DOMAINS} domains`);
+      }
+
+      const existing = await Domain.findOne({ hostname: normalized });
+      if (existing) {
+        throw new Error("Domain is already registered");
+      }
+
+      const domain = new Domain({ hostname: normalized, userId });
+      await domain.save();
+
+      return domain;
+    } catch (error) {
+      throw new Error(`Domain registration failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get all domains registered by a user
+   * @param {string} userId - Owner user ID
+   * @returns {Promise<Array>} Domains with their verification records
+   * @throws {Error} If retrieval fails
+   */
+  async getUserDomains(userId) {
+    try {
+      return await Domain.find({ userId })
+        .select("+verificationToken")
+        .sort({ createdAt: -1 });
+    } catch (error) {
+      throw new Error(`Domain retrieval failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a single domain owned by a user
+   * @param {string} domainId - Domain ID
+   * @param {string} userId - Owner user ID
+   * @returns {Promise<Object>} Domain with its verification record
+   * @throws {Error} If the domain is not found
+   */
+  async getDomainById(domainId, userId) {
+    try {
+      const domain = await Domain.findOne({ _id: domainId, userId }).select(
+        "+verificationToken"
+      );
+
+      if (!domain) {
+        throw new Error(
+          "Domain not found or you don't have permission to access it"
+        );
+      }
+
+      return domain;
+    } catch (error) {
+      throw new Error(`Domain retrieval failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Check DNS for the domain's verification TXT record
+   * @param {string} domainId - Domain ID
+   * @param {string} userId - Owner user ID
+   * @returns {Promise<Object>} { domain, verified }
+   * @throws {Error} If the domain is not found or the lookup fails
+   */
+  async verifyDomain(domainId, userId) {
+    try {
+      const domain = await Domain.findOne({ _id: domainId, userId }).select(
+        "+verificationToken"
+      );
+
+      if (!domain) {
+        throw new Error(
+          "Domain not found or you don't have permission to access it"
+        );
+      }
+
+      if (domain.isVerified) {
+        return { domain, verified: true };
+      }
+
+      const records = await this._resolveTxtRecords(
+        `${VERIFICATION_RECORD_PREFIX}.${domain.hostname}`
+      );
+      const verified = domain.matchesVerificationRecord(records);
+
+      domain.lastCheckedAt = new Date();
+      if (verified) {
+        domain.isVerified = true;
+        domain.verifiedAt = new Date();
+      }
+      await domain.save();
+
+      return { domain, verified };
+    } catch (error) {
+      throw new Error(`Domain verification failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Remove a custom domain
+   * Domains that still serve links cannot be removed
+   * @param {string} domainId - Domain ID
+   * @param {string} userId - Owner user ID
+   * @returns {Promise<boolean>} Success status
+   * @throws {Error} If deletion fails
+   */
+  async deleteDomain(domainId, userId) {
+    try {
+      const domain = await Domain.findOne({ _id: domainId, userId });
+
+      if (!domain) {
+        throw new Error(
+          "Domain not found or you don't have permission to delete it"
+        );
+      }
+
+      const linkCount = await URL_MODEL.countDocuments({ domain: domain._id });
+      if (linkCount > 0) {
+        throw new Error(
+          `Domain still serves ${linkCount} link(s). Move or delete them first`
+        );
+      }
+
+      await domain.deleteOne();
+
+      return true;
+    } catch (error) {
+      throw new Error(`Domain deletion failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Private method to resolve TXT records (stubbed in tests)
+   * @param {string} name - Record name
+   * @returns {Promise<Array<Array<string>>>} TXT records, empty if none exist
+   */
+  async _resolveTxtRecords(name) {
+    try {
+      return await dns.resolveTxt(name);
+    } catch (error) {
+      if (["ENOTFOUND", "ENODATA"].includes(error.code)) {
+        return [];
+      }
+      throw error;
+    }
+  }
+}
+
+export default new DomainService();
@@ -0,0 +1,312 @@
+import bcrypt from "bcryptjs";
+import ImportJob from "../models/ImportJob.js";
+import URL_MODEL from "../models/URL.js";
+import urlService from "./urlService.js";
+import jobService from "./jobService.js";
+import { schemas } from "../middleware/validation.js";
+
+/**
+ * Import Service for SnapURL
+ * Runs CSV/NDJSON link imports as urls.import background jobs with a
+ * per-row report
+ */
+
+// Progress is written back to the job every this many rows
+const PROGRESS_INTERVAL = 50;
+
+// Job counter for each row status
+const COUNT_KEYS = {
+  created: "created",
+  valid: "valid",
+  "skipped-duplicate": "skippedDuplicate",
+  "alias-conflict": "aliasConflict",
+  invalid: "invalid",
+  failed: "failed",
+};
+
+class ImportService {
+  /**
+   * Queue parsed upload rows as an import job
+   * Row passwords are hashed before the rows are stored
+   * @param {string} userId - Importing user
+   * @param {Object} data - Upload data
+   * @param {Array<Object>} data.rows - Rows from parseImportFile()
+   * @param {string} data.format - csv or ndjson
+   * @param {boolean} [data.dryRun=false] - Only validate, don't create links
+   * @returns {Promise<Object>} Queued ImportJob
+   * @throws {Error} If the job can't be created
+   */
+  async createImport(userId, { rows, format, dryRun = false }) {
+    try {
+      const job = await ImportJob.create({
+        userId,
+        format,
+        dryRun,
+        rows: await this._hashRowPasswords(rows),
+        totalRows: rows.length,
+      });
+
+      // Processed by the worker; clients poll the job for progress.
+      // A failed import is final, so the job isn't retried
+      await jobService.enqueue(
+        "urls.import",
+        { importId: job._id },
+        { maxAttempts: 1 }
+      );
+
+      return job;
+    } catch (error) {
+      throw new Error(`Import failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get one of a user's import jobs
+   * @param {string} jobId - Import job ID
+   * @param {string} userId - Owner ID
+   * @returns {Promise<Object>} ImportJob
+   * @throws {Error} If not found
+   */
+  async getImport(jobId, userId) {
+    try {
+      const job = await ImportJob.findOne({ _id: jobId, userId });
+      if (!job) {
+        throw new Error("Import not found");
+      }
+
+      return job;
+    } catch (error) {
+      throw new Error(`Failed to get import: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the per-row report of a finished import
+   * @param {string} jobId - Import job ID
+   * @param {string} userId - Owner ID
+   * @returns {Promise<Array>} Report rows { row, status, originalUrl, alias, shortUrl, errors }
+   * @throws {Error} If not found or still running
+   */
+  async getImportReport(jobId, userId) {
+    try {
+      const job = await ImportJob.findOne({ _id: jobId, userId }).select(
+        "+results"
+      );
+      if (!job) {
+        throw new Error("Import not found");
+      }
+
+      if (job.status !== "completed") {
+        throw new Error("The report is available once the import completes");
+      }
+
+      return job.results.map((result) => ({
+        row: result.row,
+        status: result.status,
+        originalUrl: result.originalUrl || null,
+        alias: result.alias || null,
+        shortUrl: result.shortUrl || null,
+        errors: result.messages.join("; ") || null,
+      }));
+    } catch (error) {
+      throw new Error(`Failed to get import report: ${error.message}`);
+    }
+  }
+
+  /**
+   * Process a queued import job row by row (the urls.import job handler)
+   * @param {string} jobId - Import job ID
+   * @returns {Promise<Object|null>} Finished job, or null if it already finished
+   */
+  async runImport(jobId) {
+    // A running import is only picked up again after the worker running it
+    // died (the queue reclaims its job); rows created by then are duplicates
+    const job = await ImportJob.findOneAndUpdate(
+      { _id: jobId, status: { $in: ["queued", "running"] } },
+      { status: "running", startedAt: new Date() },
+      { new: true }
+    ).select("+rows");
+
+    if (!job) {
+      return null;
+    }
+
+    try {
+      const seenUrls = new Set();
+      const seenAliases = new Set();
+      const results = [];
+      const counts = { ...job.counts.toObject() };
+
+      for (const [index, row] of job.rows.entries()) {
+        const result = await this._importRow(row, job, {
+          seenUrls,
+          seenAliases,
+        });
+        result.row = index + 1;
+        results.push(result);
+        counts[COUNT_KEYS[result.status]]++;
+
+        if ((index + 1) % PROGRESS_INTERVAL === 0) {
+          await ImportJob.updateOne(
+            { _id: job._id },
+            { processedRows: index + 1, counts }
+          );
+        }
+      }
+
+      return await ImportJob.findByIdAndUpdate(
+        job._id,
+        {
+          status: "completed",
+          processedRows: results.length,
+          counts,
+          results,
+          $unset: { rows: 1 },
+          completedAt: new Date(),
+        },
+        { new: true }
+      );
+    } catch (error) {
+      await ImportJob.updateOne(
+        { _id: job._id },
+        {
+          status: "failed",
+          error: error.message,
+          $unset: { rows: 1 },
+          completedAt: new Date(),
+        }
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * Validate and (unless dry-running) create one row
+   * @param {Object} row - Normalized row
+   * @param {Object} job - ImportJob
+   * @param {Object} seen - { seenUrls, seenAliases } from earlier rows in the file
+   * @returns {Promise<Object>} Report row without its number
+   * @private
+   */
+  async _importRow(storedRow, job, { seenUrls, seenAliases }) {
+    const { passwordHash, passwordError, ...row } = storedRow;
+    const result = {
+      originalUrl: row.originalUrl,
+      alias: row.customAlias,
+      messages: [],
+    };
+
+    const { error } = schemas.importRow.validate(row, { abortEarly: false });
+    if (error || passwordError) {
+      return {
+        ...result,
+        status: "invalid",
+        messages: [
+          ...(error?.details.map((detail) => detail.message) || []),
+          ...(passwordError ? [passwordError] : []),
+        ],
+      };
+    }
+
+    const duplicate =
+      seenUrls.has(row.originalUrl) ||
+      (await URL_MODEL.exists({
+        originalUrl: row.originalUrl,
+        userId: job.userId,
+        workspaceId: null,
+        isActive: true,
+      }));
+    seenUrls.add(row.originalUrl);
+
+    if (duplicate) {
+      return {
+        ...result,
+        status: "skipped-duplicate",
+        messages: [
+          "This URL is already in your account or earlier in the file",
+        ],
+      };
+    }
+
+    if (row.customAlias) {
+      const aliasTaken =
+        seenAliases.has(row.customAlias) ||
+        !(await urlService.isAliasAvailable(row.customAlias));
+      seenAliases.add(row.customAlias);
+
+      if (aliasTaken) {
+        return {
+          ...result,
+          status: "alias-conflict",
+          messages: ["Alias is already taken"],
+        };
+      }
+    }
+
+    if (job.dryRun) {
+      return { ...result, status: "valid" };
+    }
+
+    try {
+      const created = await urlService.createUrl(
+        { ...row, userId: job.userId },
+        { generateQR: false, fetchMetadata: false, passwordHash }
+      );
+
+      if (!created.isNew) {
+        return {
+          ...result,
+          status: "skipped-duplicate",
+          shortUrl: created.url.shortUrl,
+          messages: [created.message],
+        };
+      }
+
+      return {
+        ...result,
+        status: "created",
+        shortUrl: created.url.shortUrl,
+      };
+    } catch (createError) {
+      // Another request may have claimed the alias in the meantime
+      const status = /alias is already taken/i.test(createError.message)
+        ? "alias-conflict"
+        : "failed";
+
+      return { ...result, status, messages: [createError.message] };
+    }
+  }
+
+  /**
+   * Replace row passwords with bcrypt hashes so none are stored in plain text
+   * Passwords are validated here, since the hash can't be checked later
+   * @param {Array<Object>} rows - Parsed rows
+   * @returns {Promise<Array<Object>>} Rows with passwordHash or passwordError instead of password
+   * @private
+   */
+  async _hashRowPasswords(rows) {
+    const passwordSchema = schemas.importRow.extract("password");
+    // Imports often share one password across rows
+    const hashes = new Map();
+
+    return Promise.all(
+      rows.map(async ({ password, ...row }) => {
+        if (password === undefined) {
+          return row;
+        }
+
+        const { error } = passwordSchema.validate(password);
+        if (error) {
+          return { ...row, passwordError: error.details[0].message };
+        }
+
+        if (!hashes.has(password)) {
+          hashes.set(password, bcrypt.hash(password, 10));
+        }
+        return { ...row, passwordHash: await hashes.get(password) };
+      })
+    );
+  }
+}
+
+export default new ImportService();
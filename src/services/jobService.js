@@ -0,0 +1,391 @@
+import crypto from "crypto";
+import os from "os";
+import Job, { JOB_TYPES, JOB_STATUSES } from "../models/Job.js";
+
+/**
+ * Job Service for SnapURL
+ * Mongo-backed job queue: enqueueing, recurring schedules, claiming,
+ * retries with backoff and dead-lettering. Handlers are registered by the
+ * worker (src/worker.js)
+ */
+
+// Retry backoff: 30s, 1m, 2m, 4m... capped at 1 hour
+const RETRY_BASE_DELAY_MS = 30 * 1000;
+const RETRY_MAX_DELAY_MS = 60 * 60 * 1000;
+
+// A running job whose lock is older than this is assumed to be abandoned;
+// workers refresh the lock of the jobs they run well before then
+const LOCK_TIMEOUT_MS = 10 * 60 * 1000;
+const LOCK_REFRESH_MS = LOCK_TIMEOUT_MS / 4;
+
+class JobService {
+  constructor() {
+    this.handlers = new Map();
+    this.workerId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString("hex")}`;
+    this.timer = null;
+    this.active = new Set();
+  }
+
+  /**
+   * Register the function that runs jobs of a type
+   * @param {string} type - One of JOB_TYPES
+   * @param {Function} handler - async (payload, job) => result
+   */
+  registerHandler(type, handler) {
+    if (!JOB_TYPES.includes(type)) {
+      throw new Error(`Unknown job type: ${type}`);
+    }
+
+    this.handlers.set(type, handler);
+  }
+
+  /**
+   * Queue a one-off job
+   * @param {string} type - One of JOB_TYPES
+   * @param {Object} [payload={}] - Handler input
+   * @param {Object} [options] - { runAt, maxAttempts }
+   * @returns {Promise<Object>} Queued Job
+   * @throws {Error} If the job can't be queued
+   */
+  async enqueue(type, payload = {}, options = {}) {
+    try {
+      const { runAt = new Date(), maxAttempts } = options;
+
+      return await Job.create({ type, payload, runAt, maxAttempts });
+    } catch (error) {
+      throw new Error(`Failed to queue ${type} job: ${error.message}`);
+    }
+  }
+
+  /**
+   * Ensure a recurring job exists (safe to call on every worker start)
+   * Changing the interval of an existing schedule takes effect after its next run
+   * @param {string} type - One of JOB_TYPES
+   * @param {number} everyMs - Interval between runs
+   * @param {Object} [payload={}] - Handler input
+   * @returns {Promise<Object>} The schedule's Job
+   * @throws {Error} If the schedule can't be saved
+   */
+  async schedule(type, everyMs, payload = {}) {
+    try {
+      return await Job.findOneAndUpdate(
+        { uniqueKey: `schedule:${type}` },
+        {
+          $set: { repeatEveryMs: everyMs, payload },
+          $setOnInsert: { type, status: "queued", runAt: new Date() },
+        },
+        { upsert: true, new: true }
+      );
+    } catch (error) {
+      // Another worker created the schedule at the same moment
+      if (error.code === 11000) {
+        return Job.findOne({ uniqueKey: `schedule:${type}` });
+      }
+      throw new Error(`Failed to schedule ${type} job: ${error.message}`);
+    }
+  }
+
+  /**
+   * Claim and run the next due job
+   * @returns {Promise<Object|null>} The finished job, or null if none was due
+   */
+  async runNext() {
+    const now = new Date();
+
+    const job = await Job.findOneAndUpdate(
+      {
+        type: { $in: [...this.handlers.keys()] },
+        $or: [
+          { status: "queued", runAt: { $lte: now } },
+          // Jobs left running by a worker that died
+          {
+            status: "running",
+            lockedAt: { $lt: new Date(now.getTime() - LOCK_TIMEOUT_MS) },
+          },
+        ],
+      },
+      {
+        $set: { status: "running", lockedAt: now, lockedBy: this.workerId },
+        $inc: { attempts: 1 },
+      },
+      { sort: { runAt: 1 }, new: true }
+    );
+
+    if (!job) {
+      return null;
+    }
+
+    // Long jobs (large imports, health check batches) keep their lock
+    const heartbeat = setInterval(() => {
+      this._refreshLock(job).catch((error) =>
+        console.error(`Job ${job._id} lock refresh failed:`, error.message)
+      );
+    }, LOCK_REFRESH_MS);
+    heartbeat.unref();
+
+    try {
+      const result = await this.handlers.get(job.type)(job.payload, job);
+      return await this._complete(job, result);
+    } catch (error) {
+      return this._fail(job, error);
+    } finally {
+      clearInterval(heartbeat);
+    }
+  }
+
+  /**
+   * Run due jobs until none are left
+   * @param {Object} [options] - { limit }
+   * @returns {Promise<number>} Number of jobs run
+   */
+  async drain(options = {}) {
+    const { limit = 1000 } = options;
+
+    let processed = 0;
+    while (processed < limit && (await this.runNext())) {
+      processed++;
+    }
+
+    return processed;
+  }
+
+  /**
+   * Start polling for jobs in this process
+   * @param {Object} [options] - { concurrency, pollIntervalMs }
+   */
+  start(options = {}) {
+    const { concurrency = 2, pollIntervalMs = 1000 } = options;
+    if (this.timer) {
+      return;
+    }
+
+    const poll = () => {
+      while (this.active.size < concurrency) {
+        const run = this.drain()
+          .catch((error) => console.error("Job worker error:", error.message))
+          .finally(() => this.active.delete(run));
+        this.active.add(run);
+      }
+    };
+
+    this.timer = setInterval(poll, pollIntervalMs);
+    poll();
+  }
+
+  /**
+   * Stop polling and wait for running jobs to finish
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    await Promise.allSettled([...this.active]);
+  }
+
+  /**
+   * Queue size and health by job type and status
+   * @returns {Promise<Object>} { byType, totals, oldestQueuedAt, worker }
+   * @throws {Error} If the stats can't be read
+   */
+  async getStats() {
+    try {
+      const [groups, oldestDue] = await Promise.all([
+        Job.aggregate([
+          {
+            $group: {
+              _id: { type: "$type", status: "$status" },
+              count: { $sum: 1 },
+            },
+          },
+        ]),
+        Job.findOne({ status: "queued", runAt: { $lte: new Date() } })
+          .sort({ runAt: 1 })
+          .select("runAt"),
+      ]);
+
+      const emptyCounts = () =>
+        Object.fromEntries(JOB_STATUSES.map((status) => [status, 0]));
+      const byType = Object.fromEntries(
+        JOB_TYPES.map((type) => [type, emptyCounts()])
+      );
+      const totals = emptyCounts();
+
+      for (const { _id, count } of groups) {
+        if (byType[_id.type]) {
+          byType[_id.type][_id.status] = count;
+        }
+        totals[_id.status] += count;
+      }
+
+      return {
+        byType,
+        totals,
+        oldestDueAt: oldestDue?.runAt || null,
+        worker: {
+          id: this.workerId,
+          running: Boolean(this.timer),
+          activeRuns: this.active.size,
+        },
+      };
+    } catch (error) {
+      throw new Error(`Failed to get job stats: ${error.message}`);
+    }
+  }
+
+  /**
+   * List jobs, newest first
+   * @param {Object} [options] - { status, type, page, limit }
+   * @returns {Promise<Object>} { jobs, pagination }
+   * @throws {Error} If the jobs can't be read
+   */
+  async getJobs(options = {}) {
+    try {
+      const { status, type, page = 1, limit = 20 } = options;
+
+      const query = {};
+      if (JOB_STATUSES.includes(status)) {
+        query.status = status;
+      }
+      if (JOB_TYPES.includes(type)) {
+        query.type = type;
+      }
+
+      const [jobs, total] = await Promise.all([
+        Job.find(query)
+          .sort({ updatedAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit),
+        Job.countDocuments(query),
+      ]);
+
+      return {
+        jobs,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalJobs: total,
+          hasNextPage: page < Math.ceil(total / limit),
+          hasPrevPage: page > 1,
+        },
+      };
+    } catch (error) {
+      throw new Error(`Failed to get jobs: ${error.message}`);
+    }
+  }
+
+  /**
+   * Re-queue a dead job with a fresh set of attempts
+   * @param {string} jobId - Job ID
+   * @returns {Promise<Object>} Queued Job
+   * @throws {Error} If the job isn't dead-lettered
+   */
+  async retryJob(jobId) {
+    try {
+      const job = await Job.findOneAndUpdate(
+        { _id: jobId, status: "dead" },
+        {
+          status: "queued",
+          attempts: 0,
+          runAt: new Date(),
+          lockedAt: null,
+          lockedBy: null,
+        },
+        { new: true }
+      );
+
+      if (!job) {
+        throw new Error("Dead job not found");
+      }
+
+      return job;
+    } catch (error) {
+      throw new Error(`Failed to retry job: ${error.message}`);
+    }
+  }
+
+  /**
+   * Extend the lock on a job this worker is running
+   * @param {Object} job - Claimed Job
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _refreshLock(job) {
+    await Job.updateOne(
+      { _id: job._id, status: "running", lockedBy: this.workerId },
+      { lockedAt: new Date() }
+    );
+  }
+
+  /**
+   * Mark a job done, or re-queue it if it recurs
+   * @param {Object} job - Claimed Job
+   * @param {*} result - Handler result
+   * @returns {Promise<Object>} Updated Job
+   * @private
+   */
+  async _complete(job, result) {
+    const now = new Date();
+    const update = {
+      result: result ?? null,
+      lastError: null,
+      lockedAt: null,
+      lockedBy: null,
+      completedAt: now,
+    };
+
+    if (job.repeatEveryMs) {
+      Object.assign(update, {
+        status: "queued",
+        attempts: 0,
+        runAt: new Date(now.getTime() + job.repeatEveryMs),
+      });
+    } else {
+      update.status = "completed";
+    }
+
+    return Job.findByIdAndUpdate(job._id, update, { new: true });
+  }
+
+  /**
+   * Schedule a retry, or dead-letter the job once it is out of attempts
+   * Recurring jobs are never dead-lettered; they wait for their next run
+   * @param {Object} job - Claimed Job
+   * @param {Error} error - Handler error
+   * @returns {Promise<Object>} Updated Job
+   * @private
+   */
+  async _fail(job, error) {
+    const now = new Date();
+    const update = {
+      lastError: String(error?.message || error).slice(0, 1000),
+      lockedAt: null,
+      lockedBy: null,
+    };
+
+    if (job.attempts < job.maxAttempts) {
+      const delay = Math.min(
+        RETRY_BASE_DELAY_MS * 2 ** (job.attempts - 1),
+        RETRY_MAX_DELAY_MS
+      );
+      Object.assign(update, {
+        status: "queued",
+        runAt: new Date(now.getTime() + delay),
+      });
+    } else if (job.repeatEveryMs) {
+      Object.assign(update, {
+        status: "queued",
+        attempts: 0,
+        runAt: new Date(now.getTime() + job.repeatEveryMs),
+      });
+    } else {
+      update.status = "dead";
+      console.error(
+        `Job ${job._id} (${job.type}) dead-lettered after ${job.attempts} attempts: ${update.lastError}`
+      );
+    }
+
+    return Job.findByIdAndUpdate(job._id, update, { new: true });
+  }
+}
+
+export default new JobService();
@@ -0,0 +1,287 @@
+import URL_MODEL, { HEALTH_HISTORY_LIMIT } from "../models/URL.js";
+import User from "../models/User.js";
+import mailService from "./mailService.js";
+import webhookService from "./webhookService.js";
+import { checkDestination } from "../utils/destinationCheck.js";
+import { config } from "../config/config.js";
+
+/**
+ * Link Health Service for SnapURL
+ * Periodically checks link destinations, keeps a short status history and
+ * flags links as broken after repeated failures
+ */
+class LinkHealthService {
+  /**
+   * Check active links whose destination wasn't checked within the interval
+   * Run by the urls.health-check background job
+   * @param {Object} [options] - Check options
+   * @param {number} [options.limit] - Links to check in this run
+   * @param {number} [options.concurrency] - Checks running at the same time
+   * @returns {Promise<Object>} { checked, broken, recovered }
+   * @throws {Error} If the due links can't be loaded
+   */
+  async checkDueUrls(options = {}) {
+    try {
+      const {
+        limit = config.healthCheckBatchSize,
+        concurrency = config.healthCheckConcurrency,
+      } = options;
+      const now = new Date();
+      const dueBefore = new Date(
+        now.getTime() - config.healthCheckIntervalHours * 60 * 60 * 1000
+      );
+
+      // Never-checked links sort first
+      const urls = await URL_MODEL.find({
+        isActive: true,
+        $and: [
+          { $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] },
+          {
+            $or: [
+              { "health.lastCheckedAt": null },
+              { "health.lastCheckedAt": { $lte: dueBefore } },
+            ],
+          },
+        ],
+      })
+        .sort({ "health.lastCheckedAt": 1 })
+        .limit(limit)
+        .populate("domain", "hostname");
+
+      const summary = { checked: 0, broken: 0, recovered: 0 };
+      const pending = [...urls];
+
+      const runChecks = async () => {
+        while (pending.length > 0) {
+          const url = pending.shift();
+
+          try {
+            const { transition } = await this.checkUrl(url);
+            summary.checked++;
+            if (transition) {
+              summary[transition]++;
+            }
+          } catch (error) {
+            console.error(
+              `Health check for URL ${url._id} failed:`,
+              error.message
+            );
+          }
+        }
+      };
+
+      await Promise.all(
+        Array.from({ length: Math.min(concurrency, urls.length) }, runChecks)
+      );
+
+      return summary;
+    } catch (error) {
+      throw new Error(`Link health checks failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Check one link's destination and record the result
+   * Alerts the owner when the link becomes broken and emits url.broken or
+   * url.recovered webhooks on status changes
+   * @param {Object} url - URL document
+   * @returns {Promise<Object>} { url, result, transition } - transition is "broken", "recovered" or null
+   * @throws {Error} If the result can't be saved
+   */
+  async checkUrl(url) {
+    try {
+      const result = await checkDestination(url.originalUrl, {
+        timeoutMs: config.healthCheckTimeoutMs,
+      });
+      const checkedAt = new Date();
+
+      const previousStatus = url.health?.status || "unknown";
+      const consecutiveFailures = result.ok
+        ? 0
+        : (url.health?.consecutiveFailures || 0) + 1;
+
+      let status = previousStatus;
+      if (result.ok) {
+        status = "healthy";
+      } else if (consecutiveFailures >= config.healthCheckFailureThreshold) {
+        status = "broken";
+      }
+
+      const update = {
+        "health.status": status,
+        "health.consecutiveFailures": consecutiveFailures,
+        "health.lastCheckedAt": checkedAt,
+        "health.brokenSince":
+          status === "broken" ? url.health?.brokenSince || checkedAt : null,
+        "health.lastError": result.ok
+          ? null
+          : result.error || `HTTP ${result.httpStatus}`,
+        "health.redirects": result.redirects,
+        "metadata.lastChecked": checkedAt,
+      };
+      if (result.httpStatus) {
+        update["metadata.httpStatus"] = result.httpStatus;
+      }
+
+      const updated = await URL_MODEL.findByIdAndUpdate(
+        url._id,
+        {
+          $set: update,
+          $push: {
+            "health.history": {
+              $each: [
+                {
+                  checkedAt,
+                  ok: result.ok,
+                  httpStatus: result.httpStatus,
+                  responseTimeMs: result.responseTimeMs,
+                  finalUrl: result.finalUrl,
+                  error: result.error,
+                },
+              ],
+              $slice: -HEALTH_HISTORY_LIMIT,
+            },
+          },
+        },
+        { new: true }
+      ).populate("domain", "hostname");
+
+      // Deleted while the check was running
+      if (!updated) {
+        return { url: null, result, transition: null };
+      }
+
+      let transition = null;
+      if (status === "broken" && previousStatus !== "broken") {
+        transition = "broken";
+        await this._alertOwner(updated);
+        await webhookService.emitUrlEvent("url.broken", updated, {
+          data: { health: this._serializeHealth(updated) },
+        });
+      } else if (status === "healthy" && previousStatus === "broken") {
+        transition = "recovered";
+        await webhookService.emitUrlEvent("url.recovered", updated, {
+          data: { health: this._serializeHealth(updated) },
+        });
+      }
+
+      return { url: updated, result, transition };
+    } catch (error) {
+      throw new Error(`Link health check failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the links whose destination is flagged broken
+   * @param {string} userId - User ID
+   * @param {Object} [options] - { page, limit, workspaceId }
+   * @returns {Promise<Object>} { urls, pagination }
+   * @throws {Error} If retrieval fails
+   */
+  async getBrokenUrls(userId, options = {}) {
+    try {
+      const { page = 1, limit = 10, workspaceId = null } = options;
+
+      const query = {
+        ...(workspaceId ? { workspaceId } : { userId, workspaceId: null }),
+        "health.status": "broken",
+      };
+
+      const [urls, totalUrls] = await Promise.all([
+        URL_MODEL.find(query)
+          .sort({ "health.brokenSince": -1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .populate("domain", "hostname")
+          .lean(),
+        URL_MODEL.countDocuments(query),
+      ]);
+
+      return {
+        urls,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(totalUrls / limit),
+          totalUrls,
+          hasNextPage: page < Math.ceil(totalUrls / limit),
+          hasPrevPage: page > 1,
+        },
+      };
+    } catch (error) {
+      throw new Error(`Broken URLs retrieval failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Count active links by health status
+   * Links that were never checked count as unknown
+   * @param {Object} ownerFilter - URL filter for the owner or workspace
+   * @returns {Promise<Object>} { healthy, broken, unknown }
+   * @throws {Error} If counting fails
+   */
+  async getHealthSummary(ownerFilter) {
+    try {
+      const query = { ...ownerFilter, isActive: true };
+
+      const [healthy, broken, unknown] = await Promise.all([
+        URL_MODEL.countDocuments({ ...query, "health.status": "healthy" }),
+        URL_MODEL.countDocuments({ ...query, "health.status": "broken" }),
+        URL_MODEL.countDocuments({
+          ...query,
+          "health.status": { $in: ["unknown", null] },
+        }),
+      ]);
+
+      return { healthy, broken, unknown };
+    } catch (error) {
+      throw new Error(`Link health summary failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Private method to email the owner about a newly broken link
+   * Owners who turned off email notifications are skipped; failures are logged
+   * @param {Object} url - URL document flagged broken
+   * @returns {Promise<void>}
+   */
+  async _alertOwner(url) {
+    if (!url.userId) {
+      return;
+    }
+
+    try {
+      const user = await User.findOne({
+        _id: url.userId,
+        isActive: true,
+        "preferences.emailNotifications": { $ne: false },
+      });
+
+      if (user) {
+        await mailService.sendBrokenLinkAlert(user, url);
+      }
+    } catch (error) {
+      console.error(
+        `Broken link alert for URL ${url._id} failed:`,
+        error.message
+      );
+    }
+  }
+
+  /**
+   * Private method to format link health for webhook payloads
+   * @param {Object} url - URL document
+   * @returns {Object} Health fields
+   */
+  _serializeHealth(url) {
+    return {
+      status: url.health.status,
+      consecutiveFailures: url.health.consecutiveFailures,
+      lastCheckedAt: url.health.lastCheckedAt,
+      brokenSince: url.health.brokenSince,
+      lastError: url.health.lastError,
+      httpStatus: url.health.history.at(-1)?.httpStatus ?? null,
+    };
+  }
+}
+
+export default new LinkHealthService();
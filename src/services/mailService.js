@@ -0,0 +1,129 @@
+import { createTransport } from "../utils/mailTransports.js";
+import { renderEmail } from "../utils/emailTemplates.js";
+import { config } from "../config/config.js";
+
+/**
+ * Mail Service for SnapURL
+ * Renders templated emails and hands them to the configured transport
+ * (MAIL_DRIVER: smtp, console or file)
+ */
+
+class MailService {
+  constructor() {
+    this.transport = null;
+  }
+
+  /**
+   * Get the configured transport, creating it on first use
+   * @returns {Object} Mail transport
+   * @private
+   */
+  _getTransport() {
+    if (!this.transport) {
+      this.transport = createTransport(config.mailDriver, {
+        dir: config.mailOutboxDir,
+        host: config.smtpHost,
+        port: config.smtpPort,
+        secure: config.smtpSecure,
+        user: config.smtpUser,
+        pass: config.smtpPass,
+      });
+    }
+
+    return this.transport;
+  }
+
+  /**
+   * Render and send a templated email
+   * @param {string} to - Recipient address
+   * @param {string} template - Template name
+   * @param {Object} data - Template data
+   * @returns {Promise<Object>} { messageId }
+   * @throws {Error} If rendering or delivery fails
+   */
+  async send(to, template, data = {}) {
+    try {
+      const { subject, text, html } = renderEmail(template, data);
+
+      return await this._getTransport().send({
+        from: config.mailFrom,
+        to,
+        subject,
+        text,
+        html,
+        template,
+      });
+    } catch (error) {
+      throw new Error(`Email delivery failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Send password reset instructions
+   * @param {Object} user - User document
+   * @param {string} resetToken - Password reset token
+   * @returns {Promise<Object>} { messageId }
+   */
+  async sendPasswordReset(user, resetToken) {
+    return this.send(user.email, "passwordReset", {
+      name: user.name,
+      resetUrl: `${config.appUrl}/reset-password?token=${encodeURIComponent(
+        resetToken
+      )}`,
+      expiresIn: "1 hour",
+    });
+  }
+
+  /**
+   * Send an email address verification link
+   * @param {Object} user - User document
+   * @param {string} verificationToken - Email verification token
+   * @returns {Promise<Object>} { messageId }
+   */
+  async sendEmailVerification(user, verificationToken) {
+    return this.send(user.email, "emailVerification", {
+      name: user.name,
+      verifyUrl: `${config.appUrl}/verify-email?token=${encodeURIComponent(
+        verificationToken
+      )}`,
+      expiresIn: "24 hours",
+    });
+  }
+
+  /**
+   * Warn a user that some of their links are about to expire
+   * @param {Object} user - User document
+   * @param {Array} urls - URL documents expiring soon
+   * @returns {Promise<Object>} { messageId }
+   */
+  async sendLinkExpiryWarning(user, urls) {
+    return this.send(user.email, "linkExpiryWarning", {
+      name: user.name,
+      urls: urls.map((url) => ({
+        title: url.title,
+        shortUrl: url.shortUrl,
+        expiresAt: url.expiresAt,
+      })),
+    });
+  }
+
+  /**
+   * Tell a user that one of their links points at a broken destination
+   * @param {Object} user - User document
+   * @param {Object} url - URL document flagged broken
+   * @returns {Promise<Object>} { messageId }
+   */
+  async sendBrokenLinkAlert(user, url) {
+    return this.send(user.email, "brokenLinkAlert", {
+      name: user.name,
+      title: url.title,
+      shortUrl: url.shortUrl,
+      originalUrl: url.originalUrl,
+      failures: url.health?.consecutiveFailures,
+      lastError: url.health?.lastError,
+      fallbackUrl: url.fallbackUrl,
+    });
+  }
+}
+
+export default new MailService();
@@ -0,0 +1,410 @@
+import Plan from "../models/Plan.js";
+import User from "../models/User.js";
+import URL_MODEL from "../models/URL.js";
+import {
+  BUILT_IN_PLANS,
+  DEFAULT_PLAN,
+  PLAN_LIMITS,
+  describeLimit,
+  getUsageMonth,
+} from "../utils/plans.js";
+
+// Resolved plans are reused for a minute (rate limiting looks them up on every request)
+const PLAN_CACHE_TTL_MS = 60 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How each limit reads in "Plan limit reached" errors
+const LIMIT_LABELS = {
+  activeLinks: "active links",
+  customAliases: "active links with a custom alias",
+  qrGenerationsPerMonth: "QR code generations per month",
+  bulkBatchSize: "URLs per bulk request",
+  apiRequestsPerDay: "API requests per day",
+};
+
+/**
+ * Plan Service for SnapURL
+ * Resolves users' plans and checks usage against plan limits
+ */
+
+class PlanService {
+  constructor() {
+    this.cache = new Map();
+  }
+
+  /**
+   * Get a plan by name
+   * Stored plans override the built-in plan of the same name; unknown and
+   * inactive plans resolve to the default plan
+   * @param {string} [name] - Plan name
+   * @returns {Promise<Object>} Plan ({ name, displayName, description, limits, rateLimitMultiplier, builtIn })
+   */
+  async getPlan(name = DEFAULT_PLAN) {
+    const cached = this.cache.get(name);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.plan;
+    }
+
+    const stored = await Plan.findOne({ name }).lean();
+    const builtIn = BUILT_IN_PLANS[name];
+
+    let plan;
+    if ((!stored && !builtIn) || (stored && !stored.isActive)) {
+      plan =
+        name === DEFAULT_PLAN
+          ? this._buildPlan(name, null, builtIn)
+          : await this.getPlan(DEFAULT_PLAN);
+    } else {
+      plan = this._buildPlan(name, stored, builtIn);
+    }
+
+    this.cache.set(name, { plan, expiresAt: Date.now() + PLAN_CACHE_TTL_MS });
+    return plan;
+  }
+
+  /**
+   * Get the plan of a user
+   * @param {Object|string|null} user - User document (with plan) or user ID; null for anonymous use
+   * @returns {Promise<Object>} Plan (see getPlan)
+   */
+  async getUserPlan(user) {
+    if (!user) {
+      return this.getPlan(DEFAULT_PLAN);
+    }
+
+    if (typeof user === "object" && "plan" in user) {
+      return this.getPlan(user.plan || DEFAULT_PLAN);
+    }
+
+    const stored = await User.findById(user).select("plan").lean();
+    return this.getPlan(stored?.plan || DEFAULT_PLAN);
+  }
+
+  /**
+   * List active plans, built-in ones first
+   * @returns {Promise<Array>} Plans (see getPlan)
+   */
+  async listPlans() {
+    try {
+      const stored = await Plan.find({ isActive: true }).sort({ name: 1 });
+      const names = [
+        ...new Set([
+          ...Object.keys(BUILT_IN_PLANS),
+          ...stored.map((plan) => plan.name),
+        ]),
+      ];
+
+      const plans = await Promise.all(names.map((name) => this.getPlan(name)));
+
+      // Deactivated built-in plans resolve to the default plan
+      return plans.filter((plan, index) => plan.name === names[index]);
+    } catch (error) {
+      throw new Error(`Plan listing failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Create a plan or update its settings
+   * @param {string} name - Plan name
+   * @param {Object} planData - Fields to set
+   * @param {string} [planData.displayName] - Name shown to users
+   * @param {string} [planData.description] - Short description
+   * @param {Object} [planData.limits] - Limits to set (null for unlimited)
+   * @param {number} [planData.rateLimitMultiplier] - Scale of the per-user rate limit budgets
+   * @param {boolean} [planData.isActive] - Whether users can be on the plan
+   * @returns {Promise<Object>} Stored plan document
+   * @throws {Error} If saving fails
+   */
+  async savePlan(name, planData) {
+    try {
+      const {
+        displayName,
+        description,
+        limits = {},
+        rateLimitMultiplier,
+        isActive,
+      } = planData;
+
+      const fields = {
+        ...(displayName !== undefined && { displayName }),
+        ...(description !== undefined && { description }),
+        ...(rateLimitMultiplier !== undefined && { rateLimitMultiplier }),
+        ...(isActive !== undefined && { isActive }),
+      };
+      for (const key of PLAN_LIMITS) {
+        if (limits[key] !== undefined) {
+          fields[`limits.${key}`] = limits[key];
+        }
+      }
+
+      if (name === DEFAULT_PLAN && isActive === false) {
+        throw new Error("The default plan cannot be deactivated");
+      }
+
+      const plan = await Plan.findOneAndUpdate(
+        { name },
+        { $set: fields },
+        { new: true, upsert: true, runValidators: true }
+      );
+
+      this.clearCache();
+      return plan;
+    } catch (error) {
+      throw new Error(`Plan update failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Move a user to another plan
+   * @param {string} userId - User ID
+   * @param {string} name - Plan name
+   * @returns {Promise<Object>} { user, plan }
+   * @throws {Error} If the plan or user doesn't exist
+   */
+  async assignPlan(userId, name) {
+    try {
+      const plan = await this.getPlan(name);
+      if (plan.name !== name) {
+        throw new Error("Plan not found or inactive");
+      }
+
+      const user = await User.findByIdAndUpdate(
+        userId,
+        { plan: name },
+        { new: true }
+      );
+      if (!user) {
+        throw new Error("User not found");
+      }
+
+      return { user: user.getPublicProfile(), plan };
+    } catch (error) {
+      throw new Error(`Plan assignment failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Throw if adding to a user's usage would exceed their plan
+   * @param {string} userId - User ID
+   * @param {string} limit - activeLinks, customAliases or qrGenerationsPerMonth
+   * @param {number} [adding=1] - Amount about to be used
+   * @returns {Promise<void>}
+   * @throws {Error} "Plan limit reached: ..." when over the limit
+   */
+  async checkLimit(userId, limit, adding = 1) {
+    const plan = await this.getUserPlan(userId);
+    const max = plan.limits[limit];
+    if (max === null) {
+      return;
+    }
+
+    const used = await this._countUsage(userId, limit);
+    if (used + adding > max) {
+      throw this._limitError(plan, limit);
+    }
+  }
+
+  /**
+   * Throw if a batch is larger than the user's plan allows
+   * @param {Object|string} user - User document or ID
+   * @param {number} size - Items in the batch
+   * @returns {Promise<void>}
+   * @throws {Error} "Plan limit reached: ..." when the batch is too large
+   */
+  async checkBatchSize(user, size) {
+    const plan = await this.getUserPlan(user);
+    const max = plan.limits.bulkBatchSize;
+
+    if (max !== null && size > max) {
+      throw this._limitError(plan, "bulkBatchSize");
+    }
+  }
+
+  /**
+   * Count one on-demand QR code generation against the monthly limit
+   * The count restarts every calendar month (UTC)
+   * @param {string} userId - User ID
+   * @returns {Promise<void>}
+   * @throws {Error} "Plan limit reached: ..." when the month's QR codes are used up
+   */
+  async recordQrGeneration(userId) {
+    const plan = await this.getUserPlan(userId);
+    const max = plan.limits.qrGenerationsPerMonth;
+    const month = getUsageMonth();
+
+    // Same month: count up while under the limit
+    const counted = await User.updateOne(
+      {
+        _id: userId,
+        "planUsage.month": month,
+        ...(max !== null && { "planUsage.qrGenerations": { $lt: max } }),
+      },
+      { $inc: { "planUsage.qrGenerations": 1 } }
+    );
+    if (counted.modifiedCount > 0) {
+      return;
+    }
+
+    // First generation of a new month
+    if (max === null || max > 0) {
+      const started = await User.updateOne(
+        { _id: userId, "planUsage.month": { $ne: month } },
+        { $set: { "planUsage.month": month, "planUsage.qrGenerations": 1 } }
+      );
+      if (started.modifiedCount > 0) {
+        return;
+      }
+    }
+
+    throw this._limitError(plan, "qrGenerationsPerMonth");
+  }
+
+  /**
+   * Get the oldest date a user's analytics can cover
+   * @param {string|null} userId - Link owner (null for anonymous links)
+   * @returns {Promise<Date|null>} Cutoff, or null if the plan keeps everything
+   */
+  async getAnalyticsCutoff(userId) {
+    const plan = await this.getUserPlan(userId);
+    const days = plan.limits.analyticsRetentionDays;
+
+    return days === null ? null : new Date(Date.now() - days * DAY_MS);
+  }
+
+  /**
+   * Get how many days of a user's clicks are kept: their analyticsRetention
+   * preference, capped by their plan's analytics retention
+   * @param {Object} user - User document (with plan and preferences)
+   * @returns {Promise<number>} Retention in days
+   */
+  async getClickRetentionDays(user) {
+    const plan = await this.getUserPlan(user);
+    const preferred = user.preferences?.analyticsRetention ?? 365;
+    const ceiling = plan.limits.analyticsRetentionDays;
+
+    return ceiling === null ? preferred : Math.min(preferred, ceiling);
+  }
+
+  /**
+   * Summarise a user's usage against their plan
+   * @param {string} userId - User ID
+   * @param {Object} [options] - Usage tracked outside the database
+   * @param {number} [options.apiRequestsToday=0] - Requests counted by the API quota limiter
+   * @returns {Promise<Object>} { plan, limits } where each limit is { used, limit, remaining }
+   * @throws {Error} If user not found
+   */
+  async getUsageSummary(userId, options = {}) {
+    try {
+      const { apiRequestsToday = 0 } = options;
+
+      const user = await User.findById(userId).select("plan planUsage");
+      if (!user) {
+        throw new Error("User not found");
+      }
+
+      const plan = await this.getUserPlan(user);
+      const [activeLinks, customAliases, qrGenerations] = await Promise.all([
+        this._countUsage(userId, "activeLinks"),
+        this._countUsage(userId, "customAliases"),
+        this._countUsage(userId, "qrGenerationsPerMonth"),
+      ]);
+
+      return {
+        plan,
+        period: { month: getUsageMonth() },
+        limits: {
+          activeLinks: describeLimit(activeLinks, plan.limits.activeLinks),
+          customAliases: describeLimit(
+            customAliases,
+            plan.limits.customAliases
+          ),
+          qrGenerationsPerMonth: describeLimit(
+            qrGenerations,
+            plan.limits.qrGenerationsPerMonth
+          ),
+          apiRequestsPerDay: describeLimit(
+            apiRequestsToday,
+            plan.limits.apiRequestsPerDay
+          ),
+        },
+      };
+    } catch (error) {
+      throw new Error(`Usage summary failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Forget resolved plans so the next lookup reads the plans collection
+   */
+  clearCache() {
+    this.cache.clear();
+  }
+
+  /**
+   * Private method to merge a stored plan over its built-in defaults
+   * @param {string} name - Plan name
+   * @param {Object|null} stored - Plan document
+   * @param {Object} [builtIn] - Built-in plan
+   * @returns {Object} Plan
+   */
+  _buildPlan(name, stored, builtIn) {
+    const limits = {};
+    for (const key of PLAN_LIMITS) {
+      const value = stored?.limits?.[key];
+      limits[key] =
+        value !== undefined ? value : (builtIn?.limits[key] ?? null);
+    }
+
+    return {
+      name,
+      displayName: stored?.displayName || builtIn?.displayName || name,
+      description: stored?.description || builtIn?.description || null,
+      limits,
+      rateLimitMultiplier:
+        stored?.rateLimitMultiplier || builtIn?.rateLimitMultiplier || 1,
+      builtIn: Boolean(builtIn),
+    };
+  }
+
+  /**
+   * Private method to measure current usage of a limit
+   * @param {string} userId - User ID
+   * @param {string} limit - Limit name
+   * @returns {Promise<number>} Amount used
+   */
+  async _countUsage(userId, limit) {
+    switch (limit) {
+      case "activeLinks":
+        return URL_MODEL.countDocuments({ userId, isActive: true });
+      case "customAliases":
+        return URL_MODEL.countDocuments({
+          userId,
+          isActive: true,
+          customAlias: { $ne: null },
+        });
+      case "qrGenerationsPerMonth": {
+        const user = await User.findById(userId).select("planUsage").lean();
+        return user?.planUsage?.month === getUsageMonth()
+          ? user.planUsage.qrGenerations
+          : 0;
+      }
+      default:
+        throw new Error(`Unknown plan limit: ${limit}`);
+    }
+  }
+
+  /**
+   * Private method to build the error for an exceeded limit
+   * @param {Object} plan - User's plan
+   * @param {string} limit - Limit name
+   * @returns {Error} Error starting with "Plan limit reached"
+   */
+  _limitError(plan, limit) {
+    return new Error(
+      `Plan limit reached: the ${plan.displayName} plan allows ${plan.limits[limit]} ${LIMIT_LABELS[limit]}. Upgrade your plan for higher limits`
+    );
+  }
+}
+
+export default new PlanService();
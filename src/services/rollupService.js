@@ -0,0 +1,210 @@
+import Click from "../models/Click.js";
+import ClickRollup from "../models/ClickRollup.js";
+import URL_MODEL from "../models/URL.js";
+import {
+  ROLLUP_BREAKDOWNS,
+  applyRollupIncrement,
+  buildRollupIncrement,
+  getRollupSlot,
+} from "../utils/rollups.js";
+
+/**
+ * Rollup Service for SnapURL
+ * Keeps the hourly click rollups (models/ClickRollup.js) in step with raw
+ * clicks: incrementally as clicks are recorded, or rebuilt from stored
+ * clicks by backfills and retention enforcement
+ */
+class RollupService {
+  /**
+   * Add a recorded click to its hourly rollup
+   * @param {Object} click - Saved click document
+   * @param {string|null} [userId] - Owner of the link
+   * @returns {Promise<void>}
+   * @throws {Error} If the rollup can't be updated
+   */
+  async recordClick(click, userId = null) {
+    try {
+      const filter = { urlId: click.urlId, ...getRollupSlot(click.clickedAt) };
+      const update = {
+        $inc: buildRollupIncrement(click),
+        $setOnInsert: { userId },
+      };
+
+      try {
+        await ClickRollup.updateOne(filter, update, { upsert: true });
+      } catch (error) {
+        // Two first clicks of an hour raced to insert the slot; the other won
+        if (error.code !== 11000) {
+          throw error;
+        }
+        await ClickRollup.updateOne(filter, update);
+      }
+    } catch (error) {
+      throw new Error(`Rollup update failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Rebuild rollups from stored clicks
+   * Slots are recomputed as a whole, so rebuilding twice is harmless; with
+   * onlyMissing, slots that already have a rollup are left alone
+   * @param {Object} match - Clicks to roll up (whole hours)
+   * @param {Object} [options] - Rebuild options
+   * @param {boolean} [options.onlyMissing=false] - Keep existing rollups
+   * @param {number} [options.batchSize=500] - Rollups written per batch
+   * @returns {Promise<Object>} { clicks, slots, days } processed
+   * @throws {Error} If the rebuild fails
+   */
+  async rebuildRollups(match, options = {}) {
+    try {
+      const { onlyMissing = false, batchSize = 500 } = options;
+
+      const owners = new Map();
+      const days = new Set();
+      let pending = [];
+      let current = null;
+      let clicks = 0;
+      let slots = 0;
+
+      const flush = async () => {
+        if (pending.length === 0) {
+          return;
+        }
+
+        const unknownOwners = [
+          ...new Set(
+            pending
+              .map((rollup) => String(rollup.urlId))
+              .filter((urlId) => !owners.has(urlId))
+          ),
+        ];
+        if (unknownOwners.length > 0) {
+          const urls = await URL_MODEL.find({ _id: { $in: unknownOwners } })
+            .select("userId")
+            .lean();
+          unknownOwners.forEach((urlId) => owners.set(urlId, null));
+          urls.forEach((url) => owners.set(String(url._id), url.userId));
+        }
+
+        await ClickRollup.bulkWrite(
+          pending.map(({ urlId, date, hour, ...counts }) => {
+            const fields = {
+              userId: owners.get(String(urlId)),
+              ...this._emptyRollup(),
+              ...counts,
+            };
+
+            return {
+              updateOne: {
+                filter: { urlId, date, hour },
+                update: onlyMissing
+                  ? { $setOnInsert: fields }
+                  : { $set: fields },
+                upsert: true,
+              },
+            };
+          })
+        );
+
+        slots += pending.length;
+        pending = [];
+      };
+
+      // Clicks of a slot arrive together, so each slot is complete once the
+      // next one starts
+      const cursor = Click.find(match)
+        .select(
+          "urlId clickedAt isBot isUnique viaInterstitial referrer location.country device campaign.campaign variant.variantId"
+        )
+        .sort({ urlId: 1, clickedAt: -1 })
+        .lean()
+        .cursor();
+
+      for await (const click of cursor) {
+        const { date, hour } = getRollupSlot(click.clickedAt);
+
+        if (
+          !current ||
+          String(current.urlId) !== String(click.urlId) ||
+          current.date.getTime() !== date.getTime() ||
+          current.hour !== hour
+        ) {
+          current = { urlId: click.urlId, date, hour };
+          pending.push(current);
+          days.add(`${click.urlId}:${date.toISOString()}`);
+
+          if (pending.length > batchSize) {
+            const last = pending.pop();
+            await flush();
+            pending.push(last);
+          }
+        }
+
+        applyRollupIncrement(current, buildRollupIncrement(click));
+        clicks += 1;
+      }
+
+      await flush();
+
+      return { clicks, slots, days: days.size };
+    } catch (error) {
+      throw new Error(`Rollup rebuild failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Backfill rollups from the clicks in a date range
+   * Run by `npm run rollups:backfill` after enabling rollups on existing
+   * data or to repair them
+   * @param {Object} [options] - Backfill options
+   * @param {Date} [options.from] - First day (whole UTC days; defaults to the oldest click)
+   * @param {Date} [options.to] - Last day, inclusive (defaults to the newest click)
+   * @param {string} [options.urlId] - Only this link
+   * @param {boolean} [options.onlyMissing=false] - Keep existing rollups
+   * @returns {Promise<Object>} { clicks, slots, days } processed
+   * @throws {Error} If the backfill fails
+   */
+  async backfill(options = {}) {
+    try {
+      const { from = null, to = null, urlId = null, onlyMissing } = options;
+
+      const match = {};
+      if (urlId) {
+        match.urlId = urlId;
+      }
+      if (from || to) {
+        match.clickedAt = {};
+        if (from) {
+          match.clickedAt.$gte = getRollupSlot(from).date;
+        }
+        if (to) {
+          match.clickedAt.$lt = new Date(
+            getRollupSlot(to).date.getTime() + 24 * 60 * 60 * 1000
+          );
+        }
+      }
+
+      return await this.rebuildRollups(match, { onlyMissing });
+    } catch (error) {
+      throw new Error(`Rollup backfill failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Private method to get the counters of a rollup without clicks, so
+   * rebuilt slots don't keep stale counts
+   * @returns {Object} Zeroed rollup fields
+   */
+  _emptyRollup() {
+    return {
+      clicks: 0,
+      uniqueClicks: 0,
+      botClicks: 0,
+      interstitialClicks: 0,
+      ...Object.fromEntries(ROLLUP_BREAKDOWNS.map((name) => [name, {}])),
+      variants: {},
+    };
+  }
+}
+
+export default new RollupService();
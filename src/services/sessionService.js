@@ -0,0 +1,220 @@
+import Session, {
+  generateRefreshToken,
+  hashRefreshToken,
+} from "../models/Session.js";
+import User from "../models/User.js";
+import { getDeviceProfile } from "../utils/deviceDetector.js";
+import { config } from "../config/config.js";
+
+// Rotated refresh token hashes kept per session for reuse detection
+const MAX_PREVIOUS_TOKENS = 20;
+
+/**
+ * Session Service for SnapURL
+ * Issues short-lived access tokens with rotating refresh tokens,
+ * and lets users list and revoke their sessions
+ */
+
+class SessionService {
+  /**
+   * Start a session for a user and issue its first token pair
+   * @param {Object} user - Authenticated user document
+   * @param {Object} [context] - Request context
+   * @param {string} [context.userAgent] - Client user agent
+   * @param {string} [context.ipAddress] - Client IP address
+   * @returns {Promise<Object>} { session, token, refreshToken, expiresIn, refreshExpiresAt }
+   * @throws {Error} If the session cannot be created
+   */
+  async createSession(user, context = {}) {
+    try {
+      const { userAgent = null, ipAddress = null } = context;
+      const refreshToken = generateRefreshToken();
+
+      const session = new Session({
+        userId: user._id,
+        refreshTokenHash: hashRefreshToken(refreshToken),
+        userAgent: userAgent ? userAgent.slice(0, 500) : null,
+        ipAddress,
+        device: getDeviceProfile(userAgent),
+        expiresAt: new Date(
+          Date.now() + config.refreshTokenExpireDays * 24 * 60 * 60 * 1000
+        ),
+      });
+      await session.save();
+
+      return {
+        session,
+        ...this._issueTokens(user, session, refreshToken),
+      };
+    } catch (error) {
+      throw new Error(`Session creation failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Exchange a refresh token for a new token pair
+   * The presented token is retired; presenting it again revokes the session
+   * @param {string} rawToken - Refresh token from the client
+   * @param {Object} [context] - Request context
+   * @param {string} [context.ipAddress] - Client IP address
+   * @returns {Promise<Object>} { valid, reuseDetected, user, token, refreshToken, ... }
+   * @throws {Error} If the refresh fails unexpectedly
+   */
+  async refreshSession(rawToken, context = {}) {
+    try {
+      const tokenHash = hashRefreshToken(rawToken);
+      const refreshToken = generateRefreshToken();
+
+      // Rotate atomically so the same token can't be exchanged twice
+      const session = await Session.findOneAndUpdate(
+        {
+          refreshTokenHash: tokenHash,
+          revokedAt: null,
+          expiresAt: { $gt: new Date() },
+        },
+        {
+          $set: {
+            refreshTokenHash: hashRefreshToken(refreshToken),
+            lastUsedAt: new Date(),
+            ...(context.ipAddress && { ipAddress: context.ipAddress }),
+          },
+          $push: {
+            previousTokenHashes: {
+              $each: [tokenHash],
+              $slice: -MAX_PREVIOUS_TOKENS,
+            },
+          },
+        },
+        { new: true }
+      );
+
+      if (!session) {
+        const reused = await Session.findOne({
+          previousTokenHashes: tokenHash,
+        });
+
+        if (reused) {
+          // An old token came back: assume it was stolen and end the session
+          reused.revoke("reuse_detected");
+          await reused.save();
+        }
+
+        return { valid: false, reuseDetected: Boolean(reused) };
+      }
+
+      const user = await User.findById(session.userId);
+      if (!user || !user.isActive) {
+        session.revoke("revoked");
+        await session.save();
+        return { valid: false, reuseDetected: false };
+      }
+
+      return {
+        valid: true,
+        reuseDetected: false,
+        user,
+        session,
+        ...this._issueTokens(user, session, refreshToken),
+      };
+    } catch (error) {
+      throw new Error(`Token refresh failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a user's active sessions, most recently used first
+   * @param {string} userId - User ID
+   * @param {string} [currentSessionId] - Session making the request
+   * @returns {Promise<Array>} Sessions with a current flag
+   * @throws {Error} If retrieval fails
+   */
+  async getUserSessions(userId, currentSessionId = null) {
+    try {
+      const sessions = await Session.find({
+        userId,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() },
+      }).sort({ lastUsedAt: -1 });
+
+      return sessions.map((session) => ({
+        ...session.toJSON(),
+        current: String(session._id) === String(currentSessionId),
+      }));
+    } catch (error) {
+      throw new Error(`Session retrieval failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Revoke one of a user's sessions
+   * @param {string} userId - User ID
+   * @param {string} sessionId - Session ID
+   * @param {string} [reason] - Revocation reason
+   * @returns {Promise<Object>} Revoked session
+   * @throws {Error} If the session is not found
+   */
+  async revokeSession(userId, sessionId, reason = "revoked") {
+    try {
+      const session = await Session.findOne({ _id: sessionId, userId });
+
+      if (!session) {
+        throw new Error("Session not found");
+      }
+
+      session.revoke(reason);
+      await session.save();
+
+      return session;
+    } catch (error) {
+      throw new Error(`Session revocation failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Revoke all of a user's sessions
+   * @param {string} userId - User ID
+   * @param {Object} [options] - Revocation options
+   * @param {string} [options.exceptSessionId] - Session to keep signed in
+   * @param {string} [options.reason] - Revocation reason
+   * @returns {Promise<number>} Number of sessions revoked
+   * @throws {Error} If revocation fails
+   */
+  async revokeAllSessions(userId, options = {}) {
+    try {
+      const { exceptSessionId = null, reason = "revoked" } = options;
+
+      const filter = { userId, revokedAt: null };
+      if (exceptSessionId) {
+        filter._id = { $ne: exceptSessionId };
+      }
+
+      const result = await Session.updateMany(filter, {
+        revokedAt: new Date(),
+        revokedReason: reason,
+      });
+
+      return result.modifiedCount;
+    } catch (error) {
+      throw new Error(`Session revocation failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Sign an access token bound to the session
+   * @param {Object} user - User document
+   * @param {Object} session - Session document
+   * @param {string} refreshToken - Raw refresh token to hand back
+   * @returns {Object} Token pair with expiry details
+   * @private
+   */
+  _issueTokens(user, session, refreshToken) {
+    return {
+      token: user.generateToken(config.accessTokenExpire, session._id),
+      refreshToken,
+      expiresIn: config.accessTokenExpire,
+      refreshExpiresAt: session.expiresAt,
+    };
+  }
+}
+
+export default new SessionService();
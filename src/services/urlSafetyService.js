@@ -0,0 +1,148 @@
+import { createSafetyProvider } from "../utils/safetyProviders.js";
+import {
+  checkUrlPatterns,
+  loadDomainLists,
+  matchesDomainList,
+  worstVerdict,
+} from "../utils/urlSafety.js";
+import { config } from "../config/config.js";
+
+/**
+ * URL Safety Service for SnapURL
+ * Screens link destinations against the local domain lists (URL_SAFETY_LIST_FILE),
+ * the built-in pattern rules and the configured reputation provider
+ * (URL_SAFETY_PROVIDER: none, fake or safe-browsing)
+ */
+
+class UrlSafetyService {
+  constructor() {
+    this.provider = null;
+    this.lists = null;
+  }
+
+  /**
+   * Get the configured provider, creating it on first use
+   * @returns {Object} Safety provider
+   * @private
+   */
+  _getProvider() {
+    if (!this.provider) {
+      this.provider = createSafetyProvider(config.urlSafetyProvider, {
+        apiKey: config.urlSafetyApiKey,
+        timeoutMs: config.urlSafetyTimeoutMs,
+      });
+    }
+
+    return this.provider;
+  }
+
+  /**
+   * Get the domain lists, reading the list file on first use
+   * A missing or broken file is logged and treated as empty lists
+   * @returns {Object} { blocked, allowed }
+   * @private
+   */
+  _getLists() {
+    if (!this.lists) {
+      this.lists = { blocked: [], allowed: [] };
+
+      if (config.urlSafetyListFile) {
+        try {
+          this.lists = loadDomainLists(config.urlSafetyListFile);
+        } catch (error) {
+          console.error("URL safety list could not be loaded:", error.message);
+        }
+      }
+    }
+
+    return this.lists;
+  }
+
+  /**
+   * Forget the cached domain lists so the next check re-reads the file
+   */
+  reloadLists() {
+    this.lists = null;
+  }
+
+  /**
+   * Screen a destination with the local lists and pattern rules only
+   * Cheap enough to run on every redirect
+   * @param {string} url - Destination URL
+   * @returns {Object} { verdict, reasons: [{ source, rule, message }], allowlisted }
+   */
+  screenLocal(url) {
+    let hostname;
+    try {
+      hostname = new URL(url).hostname.toLowerCase();
+    } catch {
+      hostname = "";
+    }
+
+    const { blocked, allowed } = this._getLists();
+
+    // Allowlisted domains skip every other rule
+    if (hostname && matchesDomainList(hostname, allowed)) {
+      return { verdict: "safe", reasons: [], allowlisted: true };
+    }
+
+    const reasons = checkUrlPatterns(url).map((finding) => ({
+      source: "pattern",
+      ...finding,
+    }));
+
+    if (hostname && matchesDomainList(hostname, blocked)) {
+      reasons.unshift({
+        source: "blocklist",
+        rule: "blocked-domain",
+        verdict: "malicious",
+        message: `${hostname} is on the domain blocklist`,
+      });
+    }
+
+    return {
+      verdict: worstVerdict(reasons.map((reason) => reason.verdict)),
+      reasons,
+      allowlisted: false,
+    };
+  }
+
+  /**
+   * Screen a destination with the local rules and the reputation provider
+   * Provider failures are logged and don't flag the link
+   * @param {string} url - Destination URL
+   * @returns {Promise<Object>} { verdict, reasons, provider, checkedAt } as stored on URL.safety
+   */
+  async screenUrl(url) {
+    const local = this.screenLocal(url);
+    const provider = this._getProvider();
+    const reasons = [...local.reasons];
+
+    if (!local.allowlisted && local.verdict !== "malicious") {
+      try {
+        const result = await provider.check(url);
+        reasons.push(
+          ...result.reasons.map((reason) => ({
+            source: "provider",
+            verdict: result.verdict,
+            ...reason,
+          }))
+        );
+      } catch (error) {
+        console.error(
+          `URL safety provider ${provider.name} failed:`,
+          error.message
+        );
+      }
+    }
+
+    return {
+      verdict: worstVerdict(reasons.map((reason) => reason.verdict)),
+      reasons,
+      provider: provider.name,
+      checkedAt: new Date(),
+    };
+  }
+}
+
+export default new UrlSafetyService();
@@ -1,5 +1,12 @@
 import URL_MODEL from "../models/URL.js";
 import User from "../models/User.js";
+import Domain from "../models/Domain.js";
+import Workspace from "../models/Workspace.js";
+import mailService from "./mailService.js";
+import webhookService from "./webhookService.js";
+import jobService from "./jobService.js";
+import urlSafetyService from "./urlSafetyService.js";
+import planService from "./planService.js";
 import {
   generateShortCode,
   validateShortCode,
@@ -8,10 +15,15 @@ import {
   generateQRCode as generateQRCodeUtil,
   validateUrlForQR,
 } from "../utils/qrGenerator.js";
+import { fetchPageMetadata } from "../utils/metadataFetcher.js";
+import { PERMISSIONS } from "../utils/permissions.js";
 import { config } from "../config/config.js";
 // Import Node.js URL explicitly
 import { URL as NodeURL } from "url";
 
+// Maximum number of A/B variants per URL
+const MAX_VARIANTS = 10;
+
 /**
  * URL Service for SnapURL
  * Handles URL creation, management, metadata fetching, and QR code generation
@@ -26,7 +38,22 @@ class UrlService {
    * @param {string} [urlData.title] - User-defined title
    * @param {string} [urlData.description] - URL description
    * @param {string} [urlData.userId] - Owner user ID (optional for anonymous URLs)
+   * @param {Object} [urlData.geoRestrictions] - Country allow/block lists and fallbacks
+   * @param {string} [urlData.password] - Password visitors must enter (hashed on save)
+   * @param {Array} [urlData.routingRules] - Device routing rules, evaluated in order
+   * @param {string} [urlData.fallbackUrl] - Destination while health checks flag the link broken
+   * @param {string} [urlData.redirectMode] - 'direct', 'interstitial' or 'preview'
+   * @param {number} [urlData.interstitialCountdown] - Seconds before the interstitial continues (0 waits)
+   * @param {string} [urlData.redirectType] - 301, 302, 307, 308 or meta-refresh
+   * @param {Object} [urlData.forwardQuery] - Query forwarding policy ({ mode, keys })
+   * @param {boolean} [urlData.wildcard] - Also match /<shortCode>/<rest> and forward the rest
+   * @param {string} [urlData.destinationTemplate] - Per-request destination with placeholders
+   * @param {string} [urlData.domainId] - Verified custom domain to serve the link from
+   * @param {string} [urlData.workspaceId] - Workspace to share the link in (requires editor role)
+   * @param {Date} [urlData.expiresAt] - Exact expiry (expiresIn takes precedence)
    * @param {Object} [options] - Additional options
+   * @param {Object} [options.safety] - Screening result if the caller already screened originalUrl
+   * @param {string} [options.passwordHash] - Already-hashed link password (imports hash row passwords on upload)
    * @returns {Promise<Object>} Created URL with short code and analytics
    * @throws {Error} If URL creation fails
    */
@@ -39,9 +66,23 @@ class UrlService {
         description,
         userId,
         tags,
+        geoRestrictions,
+        password,
+        routingRules,
+        fallbackUrl,
+        redirectMode,
+        interstitialCountdown,
+        redirectType,
+        forwardQuery,
+        wildcard,
+        destinationTemplate,
+        domainId,
+        workspaceId,
         generateQR = true,
         fetchMetadata = true,
         expiresIn = null, // days
+        expiresAt: exactExpiresAt = null, // Date, e.g. from imports
+        safety: screened = null,
       } = { ...urlData, ...options };
 
       // Validate original URL
@@ -58,26 +99,26 @@ class UrlService {
         );
       }
 
-      // Check URL limit for authenticated users
+      // Active link and custom alias limits of the user's plan
       if (userId) {
-        const userUrlCount = await URL_MODEL.countDocuments({
-          userId,
-          isActive: true,
-        });
+        await planService.checkLimit(userId, "activeLinks");
 
-        if (userUrlCount >= 20) {
-          throw new Error(
-            "URL limit reached. You can create up to 20 shortened URLs. Please delete some existing URLs to create new ones, or contact support for a premium account with higher limits."
-          );
+        if (customAlias) {
+          await planService.checkLimit(userId, "customAliases");
         }
       }
 
+      if (workspaceId) {
+        await this._resolveUserWorkspace(workspaceId, userId);
+      }
+
       // Check for existing URL by the same user to prevent duplicates
       if (userId) {
         try {
           const existingUrl = await URL_MODEL.findOne({
             originalUrl,
             userId,
+            workspaceId: workspaceId || null,
             isActive: true,
           });
 
@@ -95,6 +136,12 @@ class UrlService {
         }
       }
 
+      // Resolve the custom domain (aliases are unique per domain)
+      let domain = null;
+      if (domainId) {
+        domain = await this._resolveUserDomain(domainId, userId);
+      }
+
       // Validate custom alias if provided
       let finalShortCode;
       if (customAlias) {
@@ -111,6 +158,7 @@ class UrlService {
 
         // Check if custom alias is available
         const existingAlias = await URL_MODEL.findOne({
+          domain: domain?._id || null,
           $or: [{ shortCode: customAlias }, { customAlias: customAlias }],
         });
 
@@ -124,8 +172,19 @@ class UrlService {
         finalShortCode = await this._generateUniqueShortCode();
       }
 
+      // Phishing and malware destinations are refused; suspicious ones get a warning page
+      const safety =
+        screened || (await urlSafetyService.screenUrl(originalUrl));
+      if (safety.verdict === "malicious") {
+        throw new Error(
+          `Destination blocked by safety screening: ${safety.reasons
+            .map((reason) => reason.message)
+            .join("; ")}`
+        );
+      }
+
       // Calculate expiration date if specified
-      let expiresAt = null;
+      let expiresAt = exactExpiresAt ? new Date(exactExpiresAt) : null;
       if (expiresIn) {
         expiresAt = new Date(Date.now() + expiresIn * 24 * 60 * 60 * 1000);
       }
@@ -138,9 +197,32 @@ class UrlService {
         description: description?.trim() || null,
         tags: tags?.map((tag) => tag.trim()) || [],
         userId: userId || null,
+        workspaceId: workspaceId || null,
         expiresAt,
+        routingRules: routingRules || [],
+        fallbackUrl: fallbackUrl || null,
+        redirectMode,
+        interstitialCountdown,
+        redirectType,
+        forwardQuery,
+        wildcard,
+        destinationTemplate: destinationTemplate || null,
+        safety,
+        domain, // Populated so shortUrl uses the custom hostname
       });
 
+      if (geoRestrictions) {
+        urlDoc.geoRestrictions =
+          this._normalizeGeoRestrictions(geoRestrictions);
+      }
+
+      if (password) {
+        urlDoc.password = password;
+      } else if (options.passwordHash) {
+        urlDoc.password = options.passwordHash;
+        urlDoc.$locals.passwordHashed = true;
+      }
+
       if (customAlias && customAlias.trim()) {
         urlDoc.customAlias = customAlias.trim();
       }
@@ -153,6 +235,16 @@ class UrlService {
         await User.findByIdAndUpdate(userId, {
           $inc: { urlCount: 1 },
         });
+
+        webhookService.emitUrlEvent("url.created", urlDoc);
+      }
+
+      // QR codes and page metadata are produced by the background worker
+      if (generateQR) {
+        this._queueJob("qr.generate", { urlId: urlDoc._id });
+      }
+      if (fetchMetadata) {
+        this._queueJob("metadata.fetch", { urlId: urlDoc._id });
       }
 
       return {
@@ -171,15 +263,19 @@ class UrlService {
    * Get URL by short code or custom alias
    * @param {string} shortCode - Short code or custom alias
    * @param {boolean} [incrementView=false] - Whether to increment view count
+   * @param {string} [domainId=null] - Custom domain to resolve in (null for the default domain)
    * @returns {Promise<Object|null>} URL document or null if not found
    * @throws {Error} If retrieval fails
    */
-  async getUrlByShortCode(shortCode, incrementView = false) {
+  async getUrlByShortCode(shortCode, incrementView = false, domainId = null) {
     try {
       const url = await URL_MODEL.findOne({
+        domain: domainId || null,
         $or: [{ shortCode }, { customAlias: shortCode }],
         isActive: true,
-      }).populate("userId", "name email");
+      })
+        .populate("userId", "name email")
+        .populate("domain", "hostname");
 
       if (!url) {
         return null;
@@ -202,24 +298,52 @@ class UrlService {
     }
   }
 
+  /**
+   * Check a visitor-supplied password for a protected URL
+   * @param {string} shortCode - Short code or custom alias
+   * @param {string} password - Plain text password
+   * @param {string} [domainId=null] - Custom domain to resolve in (null for the default domain)
+   * @returns {Promise<Object|null>} { url, isValid } or null if not found
+   * @throws {Error} If verification fails
+   */
+  async verifyUrlPassword(shortCode, password, domainId = null) {
+    try {
+      const url = await URL_MODEL.findOne({
+        domain: domainId || null,
+        $or: [{ shortCode }, { customAlias: shortCode }],
+        isActive: true,
+      }).select("+password");
+
+      if (!url || url.isExpired) {
+        return null;
+      }
+
+      const isValid = url.isPasswordProtected
+        ? await url.matchPassword(password)
+        : true;
+
+      return { url, isValid };
+    } catch (error) {
+      throw new Error(`Password verification failed: ${error.message}`);
+    }
+  }
+
   /**
    * Get URL by ID
    * @param {string} urlId - URL ID
-   * @param {string} userId - User ID (for ownership verification)
+   * @param {string} userId - User ID (for owner or workspace access verification)
    * @returns {Promise<Object|null>} URL document or null
    * @throws {Error} If retrieval fails
    */
   async getUrlById(urlId, userId = null) {
     try {
-      const query = { _id: urlId };
-      if (userId) {
-        query.userId = userId;
-      }
+      const query = userId
+        ? await this._accessQuery(urlId, userId, PERMISSIONS.URL_READ)
+        : { _id: urlId };
 
-      const url = await URL_MODEL.findOne(query).populate(
-        "userId",
-        "name email"
-      );
+      const url = await URL_MODEL.findOne(query)
+        .populate("userId", "name email")
+        .populate("domain", "hostname");
       return url;
     } catch (error) {
       throw new Error(`URL retrieval failed: ${error.message}`);
@@ -236,9 +360,59 @@ class UrlService {
    */
   async updateUrl(urlId, userId, updateData) {
     try {
+      if (updateData.geoRestrictions) {
+        updateData = {
+          ...updateData,
+          geoRestrictions: this._normalizeGeoRestrictions(
+            updateData.geoRestrictions
+          ),
+        };
+      }
+
+      // Passwords go through save() so the model can hash them
+      const { password, domainId, workspaceId, ...fields } = updateData;
+
+      // An empty string removes the fallback
+      if (fields.fallbackUrl === "") {
+        fields.fallbackUrl = null;
+      }
+
+      if (fields.destinationTemplate === "") {
+        fields.destinationTemplate = null;
+      }
+
+      if (fields.isActive === true) {
+        const current = await URL_MODEL.findOne(
+          await this._accessQuery(urlId, userId, PERMISSIONS.URL_WRITE)
+        ).select("isActive userId customAlias");
+
+        if (current && !current.isActive) {
+          await this._checkReactivationLimits(current);
+        }
+      }
+
+      // A new expiry date earns a new warning email (and url.expired event)
+      if (fields.expiresAt !== undefined) {
+        fields.expiryWarningSentAt = null;
+        fields.expiredEventQueuedAt = null;
+      }
+
+      // null moves the link back to the default domain
+      if (domainId !== undefined) {
+        fields.domain = domainId
+          ? (await this._resolveUserDomain(domainId, userId))._id
+          : null;
+      }
+
+      // null takes the link out of its workspace; it stays its creator's
+      if (workspaceId !== undefined) {
+        await this._checkWorkspaceMove(urlId, userId, workspaceId || null);
+        fields.workspaceId = workspaceId || null;
+      }
+
       const url = await URL_MODEL.findOneAndUpdate(
-        { _id: urlId, userId },
-        updateData,
+        await this._accessQuery(urlId, userId, PERMISSIONS.URL_WRITE),
+        fields,
         { new: true }
       );
 
@@ -248,8 +422,21 @@ class UrlService {
         );
       }
 
+      // null or an empty string removes the password
+      if (password !== undefined) {
+        url.password = password || null;
+        url.markModified("password"); // the hash isn't selected, so force the hook
+        await url.save();
+      }
+
       return url;
     } catch (error) {
+      // Another link on the new domain has the same short code or alias
+      if (error.code === 11000) {
+        throw new Error(
+          "URL conflict: the short code or custom alias is already used on that domain"
+        );
+      }
       throw new Error(`URL update failed: ${error.message}`);
     }
   }
@@ -263,7 +450,9 @@ class UrlService {
    */
   async deleteUrl(urlId, userId) {
     try {
-      const url = await URL_MODEL.findOneAndDelete({ _id: urlId, userId });
+      const url = await URL_MODEL.findOneAndDelete(
+        await this._accessQuery(urlId, userId, PERMISSIONS.URL_WRITE)
+      );
 
       if (!url) {
         throw new Error(
@@ -271,10 +460,14 @@ class UrlService {
         );
       }
 
-      // Update user statistics
-      await User.findByIdAndUpdate(userId, {
-        $inc: { urlCount: -1 },
-      });
+      // Update statistics of the user who created the link
+      if (url.userId) {
+        await User.findByIdAndUpdate(url.userId, {
+          $inc: { urlCount: -1 },
+        });
+
+        webhookService.emitUrlEvent("url.deleted", url);
+      }
 
       return true;
     } catch (error) {
@@ -284,6 +477,8 @@ class UrlService {
 
   /**
    * Get user URLs with search and pagination
+   * Personal links by default, or every link in options.workspaceId
+   * (membership is checked by the caller)
    * @param {string} userId - User ID
    * @param {Object} options - Query options
    * @returns {Promise<Object>} URLs with pagination info
@@ -298,13 +493,16 @@ class UrlService {
         sortOrder = "desc",
         search = "",
         isActive = null,
+        workspaceId = null,
       } = options;
 
       const skip = (page - 1) * limit;
       const sort = { [sortBy]: sortOrder === "desc" ? -1 : 1 };
 
       // Build query
-      const query = { userId };
+      const query = workspaceId
+        ? { workspaceId }
+        : { userId, workspaceId: null };
 
       if (isActive !== null) {
         query.isActive = isActive;
@@ -330,6 +528,7 @@ class UrlService {
         .sort(sort)
         .skip(skip)
         .limit(limit)
+        .populate("domain", "hostname")
         .lean();
 
       return {
@@ -431,8 +630,9 @@ class UrlService {
         throw new Error("URL IDs array is required");
       }
 
+      const urls = await URL_MODEL.find({ _id: { $in: urlIds }, userId });
       const result = await URL_MODEL.deleteMany({
-        _id: { $in: urlIds },
+        _id: { $in: urls.map((url) => url._id) },
         userId,
       });
 
@@ -441,6 +641,10 @@ class UrlService {
         await User.findByIdAndUpdate(userId, {
           $inc: { urlCount: -result.deletedCount },
         });
+
+        for (const url of urls) {
+          webhookService.emitUrlEvent("url.deleted", url);
+        }
       }
 
       return {
@@ -462,12 +666,18 @@ class UrlService {
    */
   async toggleUrlStatus(urlId, userId) {
     try {
-      const url = await URL_MODEL.findOne({ _id: urlId, userId });
+      const url = await URL_MODEL.findOne(
+        await this._accessQuery(urlId, userId, PERMISSIONS.URL_WRITE)
+      );
 
       if (!url) {
         throw new Error("URL not found or you don't have permission");
       }
 
+      if (!url.isActive) {
+        await this._checkReactivationLimits(url);
+      }
+
       url.isActive = !url.isActive;
       await url.save();
 
@@ -486,10 +696,9 @@ class UrlService {
    */
   async getUrlStats(urlId, userId = null) {
     try {
-      const query = { _id: urlId };
-      if (userId) {
-        query.userId = userId;
-      }
+      const query = userId
+        ? await this._accessQuery(urlId, userId, PERMISSIONS.URL_READ)
+        : { _id: urlId };
 
       const url = await URL_MODEL.findOne(query);
 
@@ -517,10 +726,11 @@ class UrlService {
   /**
    * Check if custom alias is available
    * @param {string} alias - Custom alias to check
+   * @param {string} [domainId=null] - Custom domain to check in (null for the default domain)
    * @returns {Promise<boolean>} Availability status
    * @throws {Error} If check fails
    */
-  async isAliasAvailable(alias) {
+  async isAliasAvailable(alias, domainId = null) {
     try {
       const validation = validateShortCode(alias);
       if (!validation.isValid) {
@@ -528,6 +738,7 @@ class UrlService {
       }
 
       const existingUrl = await URL_MODEL.findOne({
+        domain: domainId || null,
         $or: [{ shortCode: alias }, { customAlias: alias }],
       });
 
@@ -537,6 +748,169 @@ class UrlService {
     }
   }
 
+  /**
+   * Get A/B variants for a URL
+   * @param {string} urlId - URL ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} URL variants
+   * @throws {Error} If URL not found
+   */
+  async getVariants(urlId, userId) {
+    try {
+      const url = await URL_MODEL.findOne(
+        await this._accessQuery(urlId, userId, PERMISSIONS.URL_READ)
+      ).select("variants");
+
+      if (!url) {
+        throw new Error("URL not found or you don't have permission");
+      }
+
+      return url.variants;
+    } catch (error) {
+      throw new Error(`Variants retrieval failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Add an A/B variant to a URL
+   * @param {string} urlId - URL ID
+   * @param {string} userId - User ID
+   * @param {Object} variantData - Variant data
+   * @param {string} variantData.name - Variant name (unique per URL)
+   * @param {string} variantData.url - Variant destination URL
+   * @param {number} [variantData.weight] - Relative traffic weight (0-100)
+   * @returns {Promise<Object>} Created variant
+   * @throws {Error} If variant creation fails
+   */
+  async addVariant(urlId, userId, variantData) {
+    try {
+      const { name, url: variantUrl, weight } = variantData;
+
+      if (!this._isValidUrl(variantUrl)) {
+        throw new Error(
+          "Invalid variant URL format. URL must start with http:// or https://"
+        );
+      }
+
+      const url = await URL_MODEL.findOne(
+        await this._accessQuery(urlId, userId, PERMISSIONS.URL_WRITE)
+      );
+
+      if (!url) {
+        throw new Error("URL not found or you don't have permission");
+      }
+
+      if (url.variants.length >= MAX_VARIANTS) {
+        throw new Error(`Maximum ${MAX_VARIANTS} variants allowed per URL`);
+      }
+
+      if (url.variants.some((variant) => variant.name === name.trim())) {
+        throw new Error(`Variant "${name.trim()}" already exists`);
+      }
+
+      url.variants.push({
+        name: name.trim(),
+        url: variantUrl,
+        ...(weight !== undefined && { weight }),
+      });
+      await url.save();
+
+      return url.variants[url.variants.length - 1];
+    } catch (error) {
+      throw new Error(`Variant creation failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Update an A/B variant
+   * @param {string} urlId - URL ID
+   * @param {string} userId - User ID
+   * @param {string} variantId - Variant ID
+   * @param {Object} updateData - Fields to update (name, url, weight)
+   * @returns {Promise<Object>} Updated variant
+   * @throws {Error} If variant update fails
+   */
+  async updateVariant(urlId, userId, variantId, updateData) {
+    try {
+      const url = await URL_MODEL.findOne(
+        await this._accessQuery(urlId, userId, PERMISSIONS.URL_WRITE)
+      );
+
+      if (!url) {
+        throw new Error("URL not found or you don't have permission");
+      }
+
+      const variant = url.variants.id(variantId);
+      if (!variant) {
+        throw new Error("Variant not found");
+      }
+
+      const { name, url: variantUrl, weight } = updateData;
+
+      if (name !== undefined) {
+        const nameTaken = url.variants.some(
+          (other) =>
+            other.name === name.trim() && !other._id.equals(variant._id)
+        );
+        if (nameTaken) {
+          throw new Error(`Variant "${name.trim()}" already exists`);
+        }
+        variant.name = name.trim();
+      }
+
+      if (variantUrl !== undefined) {
+        if (!this._isValidUrl(variantUrl)) {
+          throw new Error(
+            "Invalid variant URL format. URL must start with http:// or https://"
+          );
+        }
+        variant.url = variantUrl;
+      }
+
+      if (weight !== undefined) {
+        variant.weight = weight;
+      }
+
+      await url.save();
+
+      return variant;
+    } catch (error) {
+      throw new Error(`Variant update failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Remove an A/B variant
+   * @param {string} urlId - URL ID
+   * @param {string} userId - User ID
+   * @param {string} variantId - Variant ID
+   * @returns {Promise<boolean>} Success status
+   * @throws {Error} If variant deletion fails
+   */
+  async deleteVariant(urlId, userId, variantId) {
+    try {
+      const url = await URL_MODEL.findOne(
+        await this._accessQuery(urlId, userId, PERMISSIONS.URL_WRITE)
+      );
+
+      if (!url) {
+        throw new Error("URL not found or you don't have permission");
+      }
+
+      const variant = url.variants.id(variantId);
+      if (!variant) {
+        throw new Error("Variant not found");
+      }
+
+      variant.deleteOne();
+      await url.save();
+
+      return true;
+    } catch (error) {
+      throw new Error(`Variant deletion failed: ${error.message}`);
+    }
+  }
+
   /**
    * Private method to generate unique short code
    * @returns {Promise<string>} Unique short code
@@ -591,9 +965,7 @@ class UrlService {
         throw new Error("URLs data array is required");
       }
 
-      if (urlsData.length > 100) {
-        throw new Error("Maximum 100 URLs allowed per bulk request");
-      }
+      await planService.checkBatchSize(userId, urlsData.length);
 
       const {
         generateQR = false,
@@ -767,10 +1139,9 @@ class UrlService {
    */
   async getUrlAnalyticsSummary(urlId, userId = null) {
     try {
-      const query = { _id: urlId };
-      if (userId) {
-        query.userId = userId;
-      }
+      const query = userId
+        ? await this._accessQuery(urlId, userId, PERMISSIONS.URL_READ)
+        : { _id: urlId };
 
       const url = await URL_MODEL.findOne(query);
 
@@ -813,10 +1184,9 @@ class UrlService {
     try {
       const { userId, ...qrOptions } = options;
 
-      const query = { _id: urlId };
-      if (userId) {
-        query.userId = userId;
-      }
+      const query = userId
+        ? await this._accessQuery(urlId, userId, PERMISSIONS.URL_WRITE)
+        : { _id: urlId };
 
       // Get URL document
       const url = await URL_MODEL.findOne(query);
@@ -871,6 +1241,11 @@ class UrlService {
         throw new Error("Error correction level must be L, M, Q, or H");
       }
 
+      // On-demand QR codes count against the requesting user's monthly limit
+      if (userId) {
+        await planService.checkLimit(userId, "qrGenerationsPerMonth");
+      }
+
       // Generate QR code using utility function
       const qrCode = await generateQRCodeUtil(shortUrl, {
         width: size,
@@ -881,6 +1256,11 @@ class UrlService {
         color,
       });
 
+      // Only QR codes that were generated are counted
+      if (userId) {
+        await planService.recordQrGeneration(userId);
+      }
+
       // Update URL document with QR code info
       await URL_MODEL.findByIdAndUpdate(urlId, {
         "qrCode.generated": true,
@@ -928,10 +1308,9 @@ class UrlService {
     try {
       const { userId } = options;
 
-      const query = { _id: urlId };
-      if (userId) {
-        query.userId = userId;
-      }
+      const query = userId
+        ? await this._accessQuery(urlId, userId, PERMISSIONS.URL_READ)
+        : { _id: urlId };
 
       const url = await URL_MODEL.findOne(query);
 
@@ -986,7 +1365,7 @@ class UrlService {
   async deleteQRCode(urlId, userId) {
     try {
       const result = await URL_MODEL.findOneAndUpdate(
-        { _id: urlId, userId },
+        await this._accessQuery(urlId, userId, PERMISSIONS.URL_WRITE),
         {
           $unset: {
             "qrCode.generated": 1,
@@ -1069,19 +1448,24 @@ class UrlService {
   }
 
   /**
-   * Export user URLs
+   * Stream a user's URLs for export
+   * Reads from a cursor so large accounts aren't loaded into memory
    * @param {string} userId - User ID
-   * @param {Object} options - Export options
-   * @returns {Promise<Array>} URLs data for export
+   * @param {Object} [options] - Export options
+   * @param {boolean} [options.includeInactive=false] - Include disabled links
+   * @param {boolean} [options.includeExpired=false] - Include expired links
+   * @param {Object} [options.dateRange] - { start, end } creation date range
+   * @returns {AsyncGenerator<Object>} Export records (see URL_EXPORT_COLUMNS)
    * @throws {Error} If export fails
    */
-  async exportUserUrls(userId, options = {}) {
+  async *exportUserUrls(userId, options = {}) {
     try {
       const {
-        format = "json",
         includeInactive = false,
         includeExpired = false,
+        dateRange = null,
       } = options;
+      const now = new Date();
 
       const query = { userId };
 
@@ -1089,6 +1473,17 @@ class UrlService {
         query.isActive = true;
       }
 
+      if (!includeExpired) {
+        query.$or = [{ expiresAt: null }, { expiresAt: { $gt: now } }];
+      }
+
+      if (dateRange) {
+        query.createdAt = {
+          $gte: new Date(dateRange.start),
+          $lte: new Date(dateRange.end),
+        };
+      }
+
       // Build projection for export
       const projection = {
         originalUrl: 1,
@@ -1096,39 +1491,397 @@ class UrlService {
         customAlias: 1,
         title: 1,
         description: 1,
+        tags: 1,
+        workspaceId: 1,
         clickCount: 1,
         uniqueClicks: 1,
         isActive: 1,
         createdAt: 1,
         lastClickedAt: 1,
         expiresAt: 1,
+        domain: 1,
       };
 
-      let urls = await URL_MODEL.find(query, projection)
+      const cursor = URL_MODEL.find(query, projection)
         .sort({ createdAt: -1 })
-        .lean();
+        .populate("domain", "hostname")
+        .lean()
+        .cursor();
+
+      for await (const url of cursor) {
+        const code = url.customAlias || url.shortCode;
+
+        // Add computed fields
+        yield {
+          ...url,
+          id: String(url._id),
+          shortCode: code,
+          shortUrl: url.domain?.hostname
+            ? `https://${url.domain.hostname}/${code}`
+            : `${config.baseUrl}/${code}`,
+          domain: url.domain?.hostname || null,
+          workspaceId: url.workspaceId ? String(url.workspaceId) : null,
+          isExpired: Boolean(url.expiresAt && url.expiresAt < now),
+          daysSinceCreation: Math.floor(
+            (now - url.createdAt) / (1000 * 60 * 60 * 24)
+          ),
+        };
+      }
+    } catch (error) {
+      throw new Error(`URL export failed: ${error.message}`);
+    }
+  }
 
-      // Filter expired URLs if needed
-      if (!includeExpired) {
-        urls = urls.filter(
-          (url) => !url.expiresAt || url.expiresAt > new Date()
+  /**
+   * Email owners about links that expire soon
+   * Each link is warned about once; owners who turned off email
+   * notifications are skipped
+   * @param {Object} [options] - Warning options
+   * @param {number} [options.withinHours] - How far ahead to look
+   * @returns {Promise<Object>} { usersNotified, urlsChecked }
+   * @throws {Error} If the sweep fails
+   */
+  async sendExpiryWarnings(options = {}) {
+    try {
+      const { withinHours = config.linkExpiryWarningHours } = options;
+      const now = new Date();
+
+      const urls = await URL_MODEL.find({
+        isActive: true,
+        userId: { $ne: null },
+        expiryWarningSentAt: null,
+        expiresAt: {
+          $gt: now,
+          $lte: new Date(now.getTime() + withinHours * 60 * 60 * 1000),
+        },
+      }).sort({ expiresAt: 1 });
+
+      const urlsByUser = new Map();
+      for (const url of urls) {
+        const key = String(url.userId);
+        urlsByUser.set(key, [...(urlsByUser.get(key) || []), url]);
+      }
+
+      const users = await User.find({
+        _id: { $in: [...urlsByUser.keys()] },
+        isActive: true,
+        "preferences.emailNotifications": { $ne: false },
+      });
+      const notifiedUsers = new Set(users.map((user) => String(user._id)));
+
+      // Links of opted-out owners are marked too so they aren't rescanned
+      const warnedIds = [...urlsByUser]
+        .filter(([userId]) => !notifiedUsers.has(userId))
+        .flatMap(([, userUrls]) => userUrls.map((url) => url._id));
+      let usersNotified = 0;
+
+      for (const user of users) {
+        const userUrls = urlsByUser.get(String(user._id));
+
+        try {
+          await mailService.sendLinkExpiryWarning(user, userUrls);
+          usersNotified++;
+          warnedIds.push(...userUrls.map((url) => url._id));
+        } catch (error) {
+          // Left unmarked so the next sweep retries
+          console.error(
+            `Expiry warning for user ${user._id} failed:`,
+            error.message
+          );
+        }
+      }
+
+      await URL_MODEL.updateMany(
+        { _id: { $in: warnedIds } },
+        { expiryWarningSentAt: now }
+      );
+
+      return { usersNotified, urlsChecked: urls.length };
+    } catch (error) {
+      throw new Error(`Expiry warnings failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Fetch the destination page and store its metadata
+   * Run by the metadata.fetch background job, or on demand by the owner
+   * @param {string} urlId - URL ID
+   * @param {Object} [options] - Refresh options
+   * @param {string} [options.userId] - Requesting user (checks write access)
+   * @returns {Promise<Object|null>} Stored metadata, or null if a queued URL is gone
+   * @throws {Error} If the URL isn't accessible or the destination can't be fetched
+   */
+  async refreshMetadata(urlId, options = {}) {
+    try {
+      const { userId } = options;
+
+      const query = userId
+        ? await this._accessQuery(urlId, userId, PERMISSIONS.URL_WRITE)
+        : { _id: urlId };
+      const url = await URL_MODEL.findOne(query);
+
+      if (!url) {
+        if (!userId) {
+          return null; // Deleted before the job ran
+        }
+        throw new Error(
+          "URL not found or you don't have permission to access it"
         );
       }
 
-      // Add computed fields
-      urls = urls.map((url) => ({
-        ...url,
-        shortUrl: `${config.baseUrl}/${url.shortCode}`,
-        isExpired: url.expiresAt && url.expiresAt < new Date(),
-        daysSinceCreation: Math.floor(
-          (Date.now() - url.createdAt) / (1000 * 60 * 60 * 24)
-        ),
-      }));
+      if (!userId && !url.isActive) {
+        return null;
+      }
 
-      return urls;
+      const fetched = await fetchPageMetadata(url.originalUrl, {
+        timeoutMs: config.metadataTimeoutMs,
+        maxBytes: config.metadataMaxBytes,
+      });
+
+      const update = {
+        "metadata.httpStatus": fetched.httpStatus,
+        "metadata.lastChecked": new Date(),
+      };
+
+      // Error pages keep the last good title, description and images
+      if (fetched.httpStatus >= 200 && fetched.httpStatus < 300) {
+        for (const field of [
+          "pageTitle",
+          "pageDescription",
+          "siteName",
+          "image",
+          "favicon",
+        ]) {
+          update[`metadata.${field}`] = fetched[field];
+        }
+      }
+
+      const updated = await URL_MODEL.findByIdAndUpdate(
+        url._id,
+        { $set: update },
+        { new: true }
+      );
+
+      return updated.metadata;
     } catch (error) {
-      throw new Error(`URL export failed: ${error.message}`);
+      throw new Error(`Metadata refresh failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Check whether a user can access a URL with the given permission
+   * @param {string} urlId - URL ID
+   * @param {string} userId - User ID
+   * @param {string} permission - Required permission (see utils/permissions.js)
+   * @returns {Promise<boolean>} True if allowed
+   * @throws {Error} If the check fails
+   */
+  async canAccessUrl(urlId, userId, permission) {
+    try {
+      const url = await URL_MODEL.exists(
+        await this._accessQuery(urlId, userId, permission)
+      );
+      return !!url;
+    } catch (error) {
+      throw new Error(`URL access check failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Private method to queue a background job without failing the caller
+   * @param {string} type - Job type (see models/Job.js)
+   * @param {Object} payload - Job payload
+   */
+  _queueJob(type, payload) {
+    jobService
+      .enqueue(type, payload)
+      .catch((error) => console.error(error.message));
+  }
+
+  /**
+   * Private method to build the filter for URLs a user may act on:
+   * their personal links, plus links in workspaces where their role
+   * grants the permission
+   * @param {string} urlId - URL ID
+   * @param {string} userId - User ID
+   * @param {string} permission - Required permission (see utils/permissions.js)
+   * @returns {Promise<Object>} MongoDB filter
+   */
+  async _accessQuery(urlId, userId, permission) {
+    const workspaceIds = await Workspace.findIdsWithPermission(
+      userId,
+      permission
+    );
+
+    return {
+      _id: urlId,
+      $or: [
+        { userId, workspaceId: null },
+        { workspaceId: { $in: workspaceIds } },
+      ],
+    };
+  }
+
+  /**
+   * Private method to check an inactive link can be reactivated
+   * Reactivated links count against the owner's plan again
+   * @param {Object} url - Inactive URL document
+   * @returns {Promise<void>}
+   * @throws {Error} "Plan limit reached: ..." when the owner is at a limit
+   */
+  async _checkReactivationLimits(url) {
+    if (!url.userId) {
+      return;
+    }
+
+    await planService.checkLimit(url.userId, "activeLinks");
+
+    if (url.customAlias) {
+      await planService.checkLimit(url.userId, "customAliases");
+    }
+  }
+
+  /**
+   * Private method to check a user may move a link to another workspace
+   * Taking a link out of a workspace (or into another one) requires
+   * managing the workspace it's in; editors can only share their own links
+   * @param {string} urlId - URL ID
+   * @param {string} userId - User ID
+   * @param {string|null} workspaceId - Target workspace (null for personal)
+   * @returns {Promise<void>}
+   * @throws {Error} "Workspace permission denied: ..." without the role
+   */
+  async _checkWorkspaceMove(urlId, userId, workspaceId) {
+    const current = await URL_MODEL.findOne(
+      await this._accessQuery(urlId, userId, PERMISSIONS.URL_WRITE)
+    ).select("workspaceId");
+
+    // Missing links are reported by the update itself
+    if (!current || String(current.workspaceId) === String(workspaceId)) {
+      return;
     }
+
+    if (
+      current.workspaceId &&
+      !(await Workspace.findWithPermission(
+        current.workspaceId,
+        userId,
+        PERMISSIONS.WORKSPACE_MANAGE
+      ))
+    ) {
+      throw new Error(
+        "Workspace permission denied: only workspace owners can move links out of it"
+      );
+    }
+
+    if (workspaceId) {
+      await this._resolveUserWorkspace(workspaceId, userId);
+    }
+  }
+
+  /**
+   * Private method to load a workspace the user can add links to
+   * @param {string} workspaceId - Workspace ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Workspace document
+   * @throws {Error} If the workspace is missing or the role is read-only
+   */
+  async _resolveUserWorkspace(workspaceId, userId) {
+    if (!userId) {
+      throw new Error("Workspaces require an authenticated user");
+    }
+
+    const workspace = await Workspace.findWithPermission(
+      workspaceId,
+      userId,
+      PERMISSIONS.URL_WRITE
+    );
+
+    if (!workspace) {
+      throw new Error(
+        "Workspace not found or your role does not allow creating links"
+      );
+    }
+
+    return workspace;
+  }
+
+  /**
+   * Private method to load a verified custom domain owned by the user
+   * @param {string} domainId - Domain ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Domain document
+   * @throws {Error} If the domain is missing, not owned or not verified
+   */
+  async _resolveUserDomain(domainId, userId) {
+    if (!userId) {
+      throw new Error("Custom domains require an authenticated user");
+    }
+
+    const domain = await Domain.findVerifiedForUser(domainId, userId);
+
+    if (!domain) {
+      throw new Error("Custom domain not found or not verified");
+    }
+
+    return domain;
+  }
+
+  /**
+   * Private method to normalize geographic restrictions
+   * Uppercases and de-duplicates country codes and validates fallback URLs
+   * @param {Object} geoRestrictions - Raw geo restriction settings
+   * @returns {Object} Normalized geo restrictions
+   * @throws {Error} If a country code or URL is invalid
+   */
+  _normalizeGeoRestrictions(geoRestrictions) {
+    const normalizeCountry = (code) => {
+      const country = String(code || "")
+        .trim()
+        .toUpperCase();
+      if (!/^[A-Z]{2}$/.test(country)) {
+        throw new Error(`Invalid country code: ${code}`);
+      }
+      return country;
+    };
+
+    const normalizeList = (codes = []) => [
+      ...new Set(codes.map(normalizeCountry)),
+    ];
+
+    const {
+      allowedCountries,
+      blockedCountries,
+      fallbackUrl = null,
+      countryRedirects = [],
+    } = geoRestrictions;
+
+    if (fallbackUrl && !this._isValidUrl(fallbackUrl)) {
+      throw new Error(
+        "Invalid fallback URL format. URL must start with http:// or https://"
+      );
+    }
+
+    const redirects = new Map();
+    for (const redirect of countryRedirects) {
+      if (!this._isValidUrl(redirect.url)) {
+        throw new Error(
+          `Invalid redirect URL for ${redirect.country}. URL must start with http:// or https://`
+        );
+      }
+      // Last entry wins when a country is listed twice
+      redirects.set(normalizeCountry(redirect.country), redirect.url);
+    }
+
+    return {
+      allowedCountries: normalizeList(allowedCountries),
+      blockedCountries: normalizeList(blockedCountries),
+      fallbackUrl: fallbackUrl || null,
+      countryRedirects: [...redirects].map(([country, url]) => ({
+        country,
+        url,
+      })),
+    };
   }
 
   /**
@@ -0,0 +1,650 @@
+import Webhook, { MAX_CONSECUTIVE_FAILURES } from "../models/Webhook.js";
+import WebhookDelivery, {
+  DELIVERY_STATUSES,
+} from "../models/WebhookDelivery.js";
+import URL_MODEL from "../models/URL.js";
+import {
+  SIGNATURE_HEADER,
+  generateWebhookSecret,
+  signPayload,
+} from "../utils/webhookSignature.js";
+import { assertPublicUrl } from "../utils/networkGuard.js";
+
+/**
+ * Webhook Service for SnapURL
+ * Manages webhook endpoints and delivers signed event payloads with retries
+ */
+
+const MAX_WEBHOOKS = 10;
+
+// Wait before each retry; a delivery fails for good after the last one
+const RETRY_DELAYS_MS = [
+  60 * 1000,
+  5 * 60 * 1000,
+  30 * 60 * 1000,
+  2 * 60 * 60 * 1000,
+  12 * 60 * 60 * 1000,
+];
+
+const DELIVERY_TIMEOUT_MS = 10 * 1000;
+
+// How far ahead the sweep queues url.expired events (covers the sweep interval)
+const EXPIRY_LOOKAHEAD_MS = 2 * 60 * 1000;
+
+class WebhookService {
+  /**
+   * Register a webhook endpoint
+   * @param {string} userId - Owner ID
+   * @param {Object} data - { url, events, milestoneEvery, description }
+   * @returns {Promise<Object>} { webhook, secret } - the secret is only returned here and on rotation
+   * @throws {Error} If creation fails
+   */
+  async createWebhook(userId, data) {
+    try {
+      const count = await Webhook.countDocuments({ userId });
+      if (count >= MAX_WEBHOOKS) {
+        throw new Error(`You can register up to ${MAX_WEBHOOKS} webhooks`);
+      }
+
+      const secret = generateWebhookSecret();
+      const webhook = await Webhook.create({
+        userId,
+        url: data.url,
+        events: [...new Set(data.events)],
+        milestoneEvery: data.milestoneEvery,
+        description: data.description,
+        secret,
+      });
+
+      return { webhook, secret };
+    } catch (error) {
+      throw new Error(`Webhook creation failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * List a user's webhooks
+   * @param {string} userId - Owner ID
+   * @returns {Promise<Array>} Webhooks
+   * @throws {Error} If retrieval fails
+   */
+  async getWebhooks(userId) {
+    try {
+      return await Webhook.find({ userId }).sort({ createdAt: -1 });
+    } catch (error) {
+      throw new Error(`Failed to get webhooks: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get one of a user's webhooks
+   * @param {string} webhookId - Webhook ID
+   * @param {string} userId - Owner ID
+   * @returns {Promise<Object>} Webhook
+   * @throws {Error} If not found
+   */
+  async getWebhook(webhookId, userId) {
+    try {
+      const webhook = await Webhook.findOne({ _id: webhookId, userId });
+      if (!webhook) {
+        throw new Error("Webhook not found");
+      }
+
+      return webhook;
+    } catch (error) {
+      throw new Error(`Failed to get webhook: ${error.message}`);
+    }
+  }
+
+  /**
+   * Update a webhook
+   * Re-enabling a webhook clears its failure streak
+   * @param {string} webhookId - Webhook ID
+   * @param {string} userId - Owner ID
+   * @param {Object} updateData - { url, events, milestoneEvery, description, isActive }
+   * @returns {Promise<Object>} Updated webhook
+   * @throws {Error} If update fails
+   */
+  async updateWebhook(webhookId, userId, updateData) {
+    try {
+      const webhook = await Webhook.findOne({ _id: webhookId, userId });
+      if (!webhook) {
+        throw new Error("Webhook not found");
+      }
+
+      const allowed = ["url", "milestoneEvery", "description", "isActive"];
+      for (const field of allowed) {
+        if (updateData[field] !== undefined) {
+          webhook[field] = updateData[field];
+        }
+      }
+
+      if (updateData.events) {
+        webhook.events = [...new Set(updateData.events)];
+      }
+
+      if (updateData.isActive === true) {
+        webhook.consecutiveFailures = 0;
+        webhook.disabledReason = null;
+      }
+
+      await webhook.save();
+      return webhook;
+    } catch (error) {
+      throw new Error(`Webhook update failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete a webhook and its delivery log
+   * @param {string} webhookId - Webhook ID
+   * @param {string} userId - Owner ID
+   * @returns {Promise<boolean>} Success status
+   * @throws {Error} If deletion fails
+   */
+  async deleteWebhook(webhookId, userId) {
+    try {
+      const webhook = await Webhook.findOneAndDelete({
+        _id: webhookId,
+        userId,
+      });
+      if (!webhook) {
+        throw new Error("Webhook not found");
+      }
+
+      await WebhookDelivery.deleteMany({ webhookId: webhook._id });
+      return true;
+    } catch (error) {
+      throw new Error(`Webhook deletion failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Replace a webhook's signing secret
+   * @param {string} webhookId - Webhook ID
+   * @param {string} userId - Owner ID
+   * @returns {Promise<Object>} { webhook, secret }
+   * @throws {Error} If rotation fails
+   */
+  async rotateSecret(webhookId, userId) {
+    try {
+      const secret = generateWebhookSecret();
+      const webhook = await Webhook.findOneAndUpdate(
+        { _id: webhookId, userId },
+        { secret },
+        { new: true }
+      );
+      if (!webhook) {
+        throw new Error("Webhook not found");
+      }
+
+      return { webhook, secret };
+    } catch (error) {
+      throw new Error(`Secret rotation failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a webhook's delivery log, newest first
+   * @param {string} webhookId - Webhook ID
+   * @param {string} userId - Owner ID
+   * @param {Object} [options] - { page, limit, status }
+   * @returns {Promise<Object>} Deliveries with pagination info
+   * @throws {Error} If retrieval fails
+   */
+  async getDeliveries(webhookId, userId, options = {}) {
+    try {
+      const { page = 1, limit = 20, status } = options;
+      const webhook = await Webhook.findOne({ _id: webhookId, userId });
+      if (!webhook) {
+        throw new Error("Webhook not found");
+      }
+
+      const query = { webhookId: webhook._id };
+      if (DELIVERY_STATUSES.includes(status)) {
+        query.status = status;
+      }
+
+      const skip = (page - 1) * limit;
+      const [deliveries, totalCount] = await Promise.all([
+        WebhookDelivery.find(query)
+          .sort({ createdAt: -1 })
+          .skip(skip)
+          .limit(limit),
+        WebhookDelivery.countDocuments(query),
+      ]);
+
+      return {
+        deliveries,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(totalCount / limit),
+          totalCount,
+          hasNextPage: page * limit < totalCount,
+          hasPrevPage: page > 1,
+        },
+      };
+    } catch (error) {
+      throw new Error(`Failed to get deliveries: ${error.message}`);
+    }
+  }
+
+  /**
+   * Send a past delivery's payload again as a new delivery
+   * Works on disabled webhooks so owners can test a fixed endpoint
+   * @param {string} webhookId - Webhook ID
+   * @param {string} userId - Owner ID
+   * @param {string} deliveryId - Delivery to resend
+   * @returns {Promise<Object>} The new delivery after its first attempt
+   * @throws {Error} If redelivery fails
+   */
+  async redeliver(webhookId, userId, deliveryId) {
+    try {
+      const webhook = await Webhook.findOne({
+        _id: webhookId,
+        userId,
+      }).select("+secret");
+      if (!webhook) {
+        throw new Error("Webhook not found");
+      }
+
+      const original = await WebhookDelivery.findOne({
+        _id: deliveryId,
+        webhookId: webhook._id,
+      });
+      if (!original) {
+        throw new Error("Delivery not found");
+      }
+
+      const delivery = this._buildDelivery(
+        webhook,
+        original.event,
+        original.payload.data
+      );
+      await delivery.save();
+
+      return await this._attempt(delivery, webhook, { force: true });
+    } catch (error) {
+      throw new Error(`Redelivery failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Queue an event for every subscribed webhook of a user and try to send it
+   * Never throws - callers fire and forget
+   * @param {string} event - Event name (see WEBHOOK_EVENTS)
+   * @param {string} userId - Owner of the resource
+   * @param {Object} data - Event data
+   * @param {Object} [options] - { deliverAt } to schedule instead of sending now
+   * @returns {Promise<Array>} Created deliveries
+   */
+  async emit(event, userId, data, options = {}) {
+    try {
+      if (!userId) {
+        return [];
+      }
+
+      const webhooks = await Webhook.find({
+        userId,
+        isActive: true,
+        events: event,
+      }).select("+secret");
+
+      return await this._dispatch(
+        webhooks.map((webhook) => ({ webhook, event, data })),
+        options
+      );
+    } catch (error) {
+      console.error(`Webhook emit ${event} failed:`, error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Emit a url.* event to the link owner's webhooks
+   * Never throws - callers fire and forget
+   * @param {string} event - url.created, url.deleted, url.expired, url.broken or url.recovered
+   * @param {Object} url - URL document
+   * @param {Object} [options] - { data } added to the payload; the rest is passed on to emit()
+   * @returns {Promise<Array>} Created deliveries
+   */
+  async emitUrlEvent(event, url, options = {}) {
+    const { data = {}, ...emitOptions } = options;
+
+    return this.emit(
+      event,
+      url.userId,
+      { url: this._serializeUrl(url), ...data },
+      emitOptions
+    );
+  }
+
+  /**
+   * Emit click.recorded and, on round numbers, click.milestone
+   * Never throws - callers fire and forget
+   * @param {Object} url - URL document
+   * @param {Object} click - Saved click document
+   * @param {number} clickCount - URL click count including this click
+   * @returns {Promise<Array>} Created deliveries
+   */
+  async emitClick(url, click, clickCount) {
+    try {
+      if (!url.userId) {
+        return [];
+      }
+
+      const webhooks = await Webhook.find({
+        userId: url.userId,
+        isActive: true,
+        events: { $in: ["click.recorded", "click.milestone"] },
+      }).select("+secret");
+
+      const urlData = this._serializeUrl(url);
+      const events = [];
+
+      for (const webhook of webhooks) {
+        if (webhook.events.includes("click.recorded")) {
+          events.push({
+            webhook,
+            event: "click.recorded",
+            data: { url: urlData, click: this._serializeClick(click) },
+          });
+        }
+
+        if (
+          webhook.events.includes("click.milestone") &&
+          clickCount > 0 &&
+          clickCount % webhook.milestoneEvery === 0
+        ) {
+          events.push({
+            webhook,
+            event: "click.milestone",
+            data: { url: urlData, clickCount, milestone: clickCount },
+          });
+        }
+      }
+
+      return await this._dispatch(events);
+    } catch (error) {
+      console.error("Webhook click emit failed:", error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Queue url.expired events for links about to expire
+   * Runs ahead of time because the TTL index removes expired links
+   * @param {Object} [options] - { lookaheadMs }
+   * @returns {Promise<number>} Number of links queued
+   * @throws {Error} If the sweep fails
+   */
+  async queueExpiredEvents(options = {}) {
+    try {
+      const { lookaheadMs = EXPIRY_LOOKAHEAD_MS } = options;
+      const now = new Date();
+
+      const urls = await URL_MODEL.find({
+        userId: { $ne: null },
+        expiredEventQueuedAt: null,
+        expiresAt: { $ne: null, $lte: new Date(now.getTime() + lookaheadMs) },
+      }).populate("domain", "hostname");
+
+      for (const url of urls) {
+        await this.emitUrlEvent("url.expired", url, {
+          deliverAt: url.expiresAt,
+        });
+      }
+
+      await URL_MODEL.updateMany(
+        { _id: { $in: urls.map((url) => url._id) } },
+        { expiredEventQueuedAt: now }
+      );
+
+      return urls.length;
+    } catch (error) {
+      throw new Error(`Expired event sweep failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Send deliveries whose next attempt is due (retries and scheduled events)
+   * @param {Object} [options] - { limit }
+   * @returns {Promise<Object>} { attempted }
+   * @throws {Error} If the sweep fails
+   */
+  async processDueDeliveries(options = {}) {
+    try {
+      const { limit = 100 } = options;
+      await this.queueExpiredEvents();
+
+      let attempted = 0;
+      while (attempted < limit) {
+        const now = new Date();
+
+        // Claim the delivery so concurrent sweeps don't send it twice
+        const delivery = await WebhookDelivery.findOneAndUpdate(
+          { status: "pending", nextAttemptAt: { $lte: now } },
+          {
+            nextAttemptAt: new Date(now.getTime() + DELIVERY_TIMEOUT_MS * 2),
+          },
+          { sort: { nextAttemptAt: 1 }, new: true }
+        );
+        if (!delivery) {
+          break;
+        }
+
+        const webhook = await Webhook.findById(delivery.webhookId).select(
+          "+secret"
+        );
+        await this._attempt(delivery, webhook);
+        attempted++;
+      }
+
+      return { attempted };
+    } catch (error) {
+      throw new Error(`Webhook delivery sweep failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Save deliveries and send the ones that are due now
+   * @param {Array} events - [{ webhook, event, data }]
+   * @param {Object} [options] - { deliverAt }
+   * @returns {Promise<Array>} Deliveries
+   * @private
+   */
+  async _dispatch(events, options = {}) {
+    const { deliverAt = null } = options;
+    if (events.length === 0) {
+      return [];
+    }
+
+    const deliveries = events.map(({ webhook, event, data }) =>
+      this._buildDelivery(webhook, event, data, deliverAt)
+    );
+    await WebhookDelivery.insertMany(deliveries);
+
+    if (deliverAt && deliverAt > new Date()) {
+      return deliveries;
+    }
+
+    return Promise.all(
+      deliveries.map((delivery, index) =>
+        this._attempt(delivery, events[index].webhook)
+      )
+    );
+  }
+
+  /**
+   * Create an unsaved delivery with the event envelope as payload
+   * @param {Object} webhook - Webhook document
+   * @param {string} event - Event name
+   * @param {Object} data - Event data
+   * @param {Date} [deliverAt] - First attempt time (defaults to now)
+   * @returns {Object} WebhookDelivery document
+   * @private
+   */
+  _buildDelivery(webhook, event, data, deliverAt = null) {
+    const delivery = new WebhookDelivery({
+      webhookId: webhook._id,
+      userId: webhook.userId,
+      event,
+      nextAttemptAt: deliverAt || new Date(),
+    });
+
+    delivery.payload = {
+      id: String(delivery._id),
+      event,
+      createdAt: new Date().toISOString(),
+      data,
+    };
+
+    return delivery;
+  }
+
+  /**
+   * POST a delivery to its webhook and record the outcome
+   * @param {Object} delivery - WebhookDelivery document
+   * @param {Object|null} webhook - Webhook document with secret selected
+   * @param {Object} [options] - { force } to send even if the webhook is disabled
+   * @returns {Promise<Object>} Updated delivery
+   * @private
+   */
+  async _attempt(delivery, webhook, options = {}) {
+    if (!webhook || (!webhook.isActive && !options.force)) {
+      delivery.status = "failed";
+      delivery.nextAttemptAt = null;
+      delivery.error = webhook ? "Webhook is disabled" : "Webhook was deleted";
+      await delivery.save();
+      return delivery;
+    }
+
+    const body = JSON.stringify(delivery.payload);
+    const startedAt = Date.now();
+    let succeeded = false;
+
+    delivery.attempts += 1;
+
+    try {
+      await assertPublicUrl(webhook.url);
+
+      const response = await fetch(webhook.url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "User-Agent": "SnapURL-Webhooks/1.0",
+          [SIGNATURE_HEADER]: signPayload(webhook.secret, body),
+          "X-SnapURL-Event": delivery.event,
+          "X-SnapURL-Delivery": String(delivery._id),
+        },
+        body,
+        redirect: "manual",
+        signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS),
+      });
+
+      succeeded = response.ok;
+      delivery.responseStatus = response.status;
+      delivery.responseBody = (await response.text()).slice(0, 1000);
+      delivery.error = succeeded
+        ? null
+        : `Endpoint responded with ${response.status}`;
+    } catch (error) {
+      delivery.responseStatus = null;
+      delivery.responseBody = null;
+      delivery.error = String(error.message).slice(0, 500);
+    }
+
+    delivery.durationMs = Date.now() - startedAt;
+
+    if (succeeded) {
+      delivery.status = "succeeded";
+      delivery.deliveredAt = new Date();
+      delivery.nextAttemptAt = null;
+    } else if (delivery.attempts > RETRY_DELAYS_MS.length) {
+      delivery.status = "failed";
+      delivery.nextAttemptAt = null;
+    } else {
+      delivery.status = "pending";
+      delivery.nextAttemptAt = new Date(
+        Date.now() + RETRY_DELAYS_MS[delivery.attempts - 1]
+      );
+    }
+
+    await delivery.save();
+    await this._recordOutcome(webhook, delivery.status);
+
+    return delivery;
+  }
+
+  /**
+   * Track the webhook's failure streak and disable it when it gets too long
+   * @param {Object} webhook - Webhook document
+   * @param {string} status - Delivery status after the attempt
+   * @private
+   */
+  async _recordOutcome(webhook, status) {
+    if (status === "succeeded") {
+      await Webhook.findByIdAndUpdate(webhook._id, {
+        consecutiveFailures: 0,
+        lastDeliveryAt: new Date(),
+      });
+    } else if (status === "failed") {
+      const updated = await Webhook.findByIdAndUpdate(
+        webhook._id,
+        { $inc: { consecutiveFailures: 1 } },
+        { new: true }
+      );
+
+      if (
+        updated?.isActive &&
+        updated.consecutiveFailures >= MAX_CONSECUTIVE_FAILURES
+      ) {
+        await Webhook.findByIdAndUpdate(webhook._id, {
+          isActive: false,
+          disabledReason: `Disabled after ${MAX_CONSECUTIVE_FAILURES} failed deliveries in a row`,
+        });
+      }
+    }
+  }
+
+  /**
+   * Public fields of a URL for event payloads
+   * @param {Object} url - URL document
+   * @returns {Object} URL data
+   * @private
+   */
+  _serializeUrl(url) {
+    return {
+      id: String(url._id),
+      shortCode: url.customAlias || url.shortCode,
+      shortUrl: url.shortUrl,
+      originalUrl: url.originalUrl,
+      title: url.title || null,
+      workspaceId: url.workspaceId ? String(url.workspaceId) : null,
+      expiresAt: url.expiresAt || null,
+      createdAt: url.createdAt,
+    };
+  }
+
+  /**
+   * Click fields for event payloads (no IP address or user agent)
+   * @param {Object} click - Click document
+   * @returns {Object} Click data
+   * @private
+   */
+  _serializeClick(click) {
+    return {
+      id: String(click._id),
+      clickedAt: click.clickedAt,
+      isUnique: click.isUnique,
+      referrer: click.referrer || null,
+      country: click.location?.country || null,
+      deviceType: click.device?.type || null,
+      browser: click.device?.browser || null,
+      os: click.device?.os || null,
+      variant: click.variant?.name || null,
+    };
+  }
+}
+
+export default new WebhookService();
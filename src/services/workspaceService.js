@@ -0,0 +1,427 @@
+import crypto from "crypto";
+import Workspace from "../models/Workspace.js";
+import WorkspaceInvitation, {
+  hashInvitationToken,
+} from "../models/WorkspaceInvitation.js";
+import URL_MODEL from "../models/URL.js";
+import { roleHasPermission } from "../utils/permissions.js";
+
+// Maximum number of members (including pending invitations) per workspace
+const MAX_MEMBERS = 50;
+
+/**
+ * Workspace Service for SnapURL
+ * Handles workspaces, membership roles and invitations
+ */
+
+class WorkspaceService {
+  /**
+   * Create a workspace owned by the user
+   * @param {string} userId - Creator user ID (becomes the first owner)
+   * @param {Object} workspaceData - Workspace data
+   * @param {string} workspaceData.name - Workspace name
+   * @param {string} [workspaceData.description] - Workspace description
+   * @returns {Promise<Object>} Created workspace
+   * @throws {Error} If creation fails
+   */
+  async createWorkspace(userId, workspaceData) {
+    try {
+      const { name, description } = workspaceData;
+
+      const workspace = new Workspace({
+        name,
+        description: description?.trim() || null,
+        createdBy: userId,
+        members: [{ userId, role: "owner" }],
+      });
+      await workspace.save();
+
+      return workspace;
+    } catch (error) {
+      throw new Error(`Workspace creation failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get all workspaces the user is a member of
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} Workspaces with the user's role
+   * @throws {Error} If retrieval fails
+   */
+  async getUserWorkspaces(userId) {
+    try {
+      const workspaces = await Workspace.find({ "members.userId": userId })
+        .sort({ createdAt: -1 })
+        .populate("members.userId", "name email");
+
+      return workspaces.map((workspace) => ({
+        ...workspace.toJSON(),
+        role: workspace.memberRole(userId),
+      }));
+    } catch (error) {
+      throw new Error(`Workspace retrieval failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a workspace and the user's role in it
+   * @param {string} workspaceId - Workspace ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} { workspace, role } or null if not a member
+   * @throws {Error} If retrieval fails
+   */
+  async getMembership(workspaceId, userId) {
+    try {
+      const workspace = await Workspace.findOne({
+        _id: workspaceId,
+        "members.userId": userId,
+      });
+
+      if (!workspace) {
+        return null;
+      }
+
+      return { workspace, role: workspace.memberRole(userId) };
+    } catch (error) {
+      throw new Error(`Workspace membership lookup failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a workspace with its members' names and emails
+   * @param {string} workspaceId - Workspace ID
+   * @returns {Promise<Object>} Workspace document
+   * @throws {Error} If the workspace is not found
+   */
+  async getWorkspaceById(workspaceId) {
+    try {
+      const workspace = await Workspace.findById(workspaceId).populate(
+        "members.userId",
+        "name email"
+      );
+
+      if (!workspace) {
+        throw new Error("Workspace not found");
+      }
+
+      return workspace;
+    } catch (error) {
+      throw new Error(`Workspace retrieval failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Update workspace name or description
+   * @param {string} workspaceId - Workspace ID
+   * @param {Object} updateData - Fields to update (name, description)
+   * @returns {Promise<Object>} Updated workspace
+   * @throws {Error} If update fails
+   */
+  async updateWorkspace(workspaceId, updateData) {
+    try {
+      const { name, description } = updateData;
+
+      const workspace = await Workspace.findByIdAndUpdate(
+        workspaceId,
+        {
+          ...(name !== undefined && { name }),
+          ...(description !== undefined && {
+            description: description?.trim() || null,
+          }),
+        },
+        { new: true, runValidators: true }
+      );
+
+      if (!workspace) {
+        throw new Error("Workspace not found");
+      }
+
+      return workspace;
+    } catch (error) {
+      throw new Error(`Workspace update failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete a workspace
+   * Shared links return to the personal accounts of the users who created them
+   * @param {string} workspaceId - Workspace ID
+   * @returns {Promise<Object>} { releasedUrls } number of links moved back
+   * @throws {Error} If deletion fails
+   */
+  async deleteWorkspace(workspaceId) {
+    try {
+      const workspace = await Workspace.findByIdAndDelete(workspaceId);
+
+      if (!workspace) {
+        throw new Error("Workspace not found");
+      }
+
+      const result = await URL_MODEL.updateMany(
+        { workspaceId },
+        { workspaceId: null }
+      );
+      await WorkspaceInvitation.deleteMany({ workspaceId });
+
+      return { releasedUrls: result.modifiedCount };
+    } catch (error) {
+      throw new Error(`Workspace deletion failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Invite a user to a workspace by email
+   * The raw token is only returned here; the database keeps its hash
+   * @param {string} workspaceId - Workspace ID
+   * @param {string} invitedBy - Inviting user ID
+   * @param {Object} invitationData - Invitation data
+   * @param {string} invitationData.email - Invitee email
+   * @param {string} [invitationData.role] - editor or viewer
+   * @returns {Promise<Object>} { invitation, token }
+   * @throws {Error} If the invitation cannot be created
+   */
+  async createInvitation(workspaceId, invitedBy, invitationData) {
+    try {
+      const email = String(invitationData.email || "")
+        .trim()
+        .toLowerCase();
+      const { role = "viewer" } = invitationData;
+
+      const workspace = await Workspace.findById(workspaceId).populate(
+        "members.userId",
+        "email"
+      );
+
+      if (!workspace) {
+        throw new Error("Workspace not found");
+      }
+
+      if (workspace.members.some((member) => member.userId?.email === email)) {
+        throw new Error("User is already a member of this workspace");
+      }
+
+      const pendingCount = await WorkspaceInvitation.countDocuments({
+        workspaceId,
+        status: "pending",
+        expiresAt: { $gt: new Date() },
+      });
+
+      if (workspace.members.length + pendingCount >= MAX_MEMBERS) {
+        throw new Error(`Workspaces can have up to ${MAX_MEMBERS} members`);
+      }
+
+      // A new invitation replaces any pending one for the same address
+      await WorkspaceInvitation.updateMany(
+        { workspaceId, email, status: "pending" },
+        { status: "revoked" }
+      );
+
+      const token = crypto.randomBytes(32).toString("hex");
+      const invitation = new WorkspaceInvitation({
+        workspaceId,
+        email,
+        role,
+        invitedBy,
+        tokenHash: hashInvitationToken(token),
+      });
+      await invitation.save();
+
+      return { invitation, token };
+    } catch (error) {
+      throw new Error(`Invitation creation failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get pending invitations for a workspace
+   * @param {string} workspaceId - Workspace ID
+   * @returns {Promise<Array>} Pending, unexpired invitations
+   * @throws {Error} If retrieval fails
+   */
+  async getInvitations(workspaceId) {
+    try {
+      return await WorkspaceInvitation.find({
+        workspaceId,
+        status: "pending",
+        expiresAt: { $gt: new Date() },
+      })
+        .sort({ createdAt: -1 })
+        .populate("invitedBy", "name email");
+    } catch (error) {
+      throw new Error(`Invitation retrieval failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Revoke a pending invitation
+   * @param {string} workspaceId - Workspace ID
+   * @param {string} invitationId - Invitation ID
+   * @returns {Promise<boolean>} Success status
+   * @throws {Error} If the invitation is not found
+   */
+  async revokeInvitation(workspaceId, invitationId) {
+    try {
+      const invitation = await WorkspaceInvitation.findOneAndUpdate(
+        { _id: invitationId, workspaceId, status: "pending" },
+        { status: "revoked" }
+      );
+
+      if (!invitation) {
+        throw new Error("Invitation not found");
+      }
+
+      return true;
+    } catch (error) {
+      throw new Error(`Invitation revocation failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Accept an invitation as the authenticated user
+   * @param {string} token - Raw invitation token
+   * @param {Object} user - Authenticated user (email must match the invitation)
+   * @returns {Promise<Object>} { workspace, role }
+   * @throws {Error} If the invitation is invalid, expired or for another address
+   */
+  async acceptInvitation(token, user) {
+    try {
+      const invitation = await WorkspaceInvitation.findOne({
+        tokenHash: hashInvitationToken(token),
+        status: "pending",
+      });
+
+      if (!invitation || invitation.isExpired) {
+        throw new Error("Invitation is invalid or has expired");
+      }
+
+      if (invitation.email !== user.email.toLowerCase()) {
+        throw new Error(
+          "This invitation was sent to a different email address"
+        );
+      }
+
+      const workspace = await Workspace.findById(invitation.workspaceId);
+      if (!workspace) {
+        throw new Error("Workspace no longer exists");
+      }
+
+      // Existing members keep their current role
+      if (!workspace.memberRole(user._id)) {
+        workspace.members.push({ userId: user._id, role: invitation.role });
+        await workspace.save();
+      }
+
+      invitation.status = "accepted";
+      invitation.acceptedBy = user._id;
+      invitation.acceptedAt = new Date();
+      await invitation.save();
+
+      return { workspace, role: workspace.memberRole(user._id) };
+    } catch (error) {
+      throw new Error(`Invitation acceptance failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Change a member's role
+   * @param {string} workspaceId - Workspace ID
+   * @param {string} memberId - Member user ID
+   * @param {string} role - New role
+   * @returns {Promise<Object>} Updated workspace
+   * @throws {Error} If the member is missing or is the last owner
+   */
+  async updateMemberRole(workspaceId, memberId, role) {
+    try {
+      const workspace = await Workspace.findById(workspaceId);
+
+      if (!workspace) {
+        throw new Error("Workspace not found");
+      }
+
+      const member = workspace.members.find((entry) =>
+        entry.userId.equals(memberId)
+      );
+      if (!member) {
+        throw new Error("Member not found");
+      }
+
+      if (member.role === "owner" && role !== "owner") {
+        this._assertNotLastOwner(workspace);
+      }
+
+      member.role = role;
+      await workspace.save();
+
+      return workspace;
+    } catch (error) {
+      throw new Error(`Member role update failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Remove a member from a workspace (members may also remove themselves)
+   * Links the member created stay in the workspace
+   * @param {string} workspaceId - Workspace ID
+   * @param {string} memberId - Member user ID
+   * @returns {Promise<boolean>} Success status
+   * @throws {Error} If the member is missing or is the last owner
+   */
+  async removeMember(workspaceId, memberId) {
+    try {
+      const workspace = await Workspace.findById(workspaceId);
+
+      if (!workspace) {
+        throw new Error("Workspace not found");
+      }
+
+      const role = workspace.memberRole(memberId);
+      if (!role) {
+        throw new Error("Member not found");
+      }
+
+      if (role === "owner") {
+        this._assertNotLastOwner(workspace);
+      }
+
+      workspace.members = workspace.members.filter(
+        (entry) => !entry.userId.equals(memberId)
+      );
+      await workspace.save();
+
+      return true;
+    } catch (error) {
+      throw new Error(`Member removal failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Check whether a user holds a permission in a workspace
+   * @param {string} workspaceId - Workspace ID
+   * @param {string} userId - User ID
+   * @param {string} permission - Permission (see utils/permissions.js)
+   * @returns {Promise<boolean>} True if allowed
+   */
+  async hasPermission(workspaceId, userId, permission) {
+    const membership = await this.getMembership(workspaceId, userId);
+    return !!membership && roleHasPermission(membership.role, permission);
+  }
+
+  /**
+   * Private method to ensure a workspace keeps at least one owner
+   * @param {Object} workspace - Workspace document
+   * @throws {Error} If only one owner remains
+   */
+  _assertNotLastOwner(workspace) {
+    const owners = workspace.members.filter(
+      (member) => member.role === "owner"
+    );
+
+    if (owners.length <= 1) {
+      throw new Error(
+        "A workspace must keep at least one owner. Promote another member first"
+      );
+    }
+  }
+}
+
+export default new WorkspaceService();
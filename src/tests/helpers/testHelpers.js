@@ -3,6 +3,18 @@ import bcrypt from "bcryptjs";
 import User from "../../models/User.js";
 import URL_MODEL from "../../models/URL.js";
 import Click from "../../models/Click.js";
+import Domain from "../../models/Domain.js";
+import Workspace from "../../models/Workspace.js";
+import ApiKey, {
+  generateRawApiKey,
+  getVisiblePrefix,
+  hashApiKey,
+} from "../../models/ApiKey.js";
+import Webhook from "../../models/Webhook.js";
+import sessionService from "../../services/sessionService.js";
+import { readOutbox } from "../../utils/mailTransports.js";
+import { generateWebhookSecret } from "../../utils/webhookSignature.js";
+import { config } from "../../config/config.js";
 
 export class TestHelper {
   static generateToken(userId, role = "user") {
@@ -20,6 +32,7 @@ export class TestHelper {
       password: await bcrypt.hash("password123", 10),
       role: "user",
       isActive: true,
+      emailVerified: true,
     };
 
     const user = new User({ ...defaultUser, ...userData });
@@ -54,6 +67,72 @@ export class TestHelper {
     return url;
   }
 
+  static async createTestDomain(userId, domainData = {}) {
+    const defaultDomain = {
+      hostname: "go.example.com",
+      userId,
+      isVerified: true,
+      verifiedAt: new Date(),
+    };
+
+    const domain = new Domain({ ...defaultDomain, ...domainData });
+    await domain.save();
+    return domain;
+  }
+
+  static async createTestWorkspace(ownerId, workspaceData = {}) {
+    const { members = [], ...data } = workspaceData;
+
+    const workspace = new Workspace({
+      name: "Test Workspace",
+      createdBy: ownerId,
+      ...data,
+      members: [{ userId: ownerId, role: "owner" }, ...members],
+    });
+    await workspace.save();
+    return workspace;
+  }
+
+  static async createTestSession(user, context = {}) {
+    return sessionService.createSession(user, {
+      userAgent: "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7)",
+      ipAddress: "203.0.113.7",
+      ...context,
+    });
+  }
+
+  static async getSentEmails(to = null) {
+    const messages = await readOutbox(config.mailOutboxDir);
+    return to ? messages.filter((message) => message.to === to) : messages;
+  }
+
+  static async createTestApiKey(userId, keyData = {}) {
+    const apiKey = generateRawApiKey();
+    const key = new ApiKey({
+      userId,
+      name: "Test Key",
+      scopes: ["urls:read", "analytics:read"],
+      prefix: getVisiblePrefix(apiKey),
+      keyHash: hashApiKey(apiKey),
+      ...keyData,
+    });
+    await key.save();
+    return { apiKey, key };
+  }
+
+  static async createTestWebhook(userId, webhookData = {}) {
+    const secret = generateWebhookSecret();
+    const webhook = new Webhook({
+      userId,
+      url: "https://hooks.example.com/snapurl",
+      events: ["url.created"],
+      secret,
+      ...webhookData,
+    });
+    await webhook.save();
+    return { webhook, secret };
+  }
+
   static async createTestClick(urlId, clickData = {}) {
     const defaultClick = {
       urlId,
@@ -106,6 +106,24 @@ describe("Analytics Routes", () => {
 
       expect(response.body.data.topUrls.length).toBeLessThanOrEqual(5);
     });
+
+    it("should summarise link health", async () => {
+      await TestHelper.createTestUrl(testUser._id, {
+        shortCode: "dashbroken",
+        health: { status: "broken" },
+      });
+
+      const response = await request(app)
+        .get("/api/analytics/dashboard")
+        .set("Authorization", `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.data.linkHealth).toEqual({
+        healthy: 0,
+        broken: 1,
+        unknown: 1,
+      });
+    });
   });
 
   describe("GET /api/analytics/platform", () => {
@@ -312,4 +330,107 @@ describe("Analytics Routes", () => {
       expect(response.body.success).toBe(false);
     });
   });
+
+  describe("GET /api/analytics/url/:id/clicks/export", () => {
+    /**
+     * Reads a streamed export body as text
+     */
+    const exportClicks = (query, token = authToken) =>
+      request(app)
+        .get(`/api/analytics/url/${testUrl._id}/clicks/export`)
+        .query(query)
+        .set("Authorization", `Bearer ${token}`)
+        .buffer(true)
+        .parse((res, callback) => {
+          let text = "";
+          res.on("data", (chunk) => (text += chunk));
+          res.on("end", () => callback(null, text));
+        });
+
+    beforeEach(async () => {
+      await TestHelper.createTestClick(testUrl._id, {
+        ipAddress: "203.0.113.7",
+        location: { country: "DE", city: "Berlin" },
+        campaign: { source: "newsletter", campaign: "spring" },
+      });
+      await TestHelper.createTestClick(testUrl._id, {
+        userAgent: "Googlebot/2.1 (+http://www.google.com/bot.html)",
+      });
+    });
+
+    it("should stream CSV with the default columns", async () => {
+      const response = await exportClicks({}).expect(200);
+
+      expect(response.headers["content-type"]).toContain("text/csv");
+      const lines = response.body.trim().split("\r\n");
+      expect(lines[0]).toBe(
+        "clickedAt,location.country,location.city,device.type,device.browser,referrer"
+      );
+      expect(lines).toHaveLength(7); // header + 6 human clicks
+    });
+
+    it("should filter by country, campaign and bots", async () => {
+      const byCountry = await exportClicks({
+        format: "ndjson",
+        country: "de",
+        columns: "location.city,campaign.source",
+      }).expect(200);
+
+      expect(byCountry.body.trim().split("\n").map(JSON.parse)).toEqual([
+        { "location.city": "Berlin", "campaign.source": "newsletter" },
+      ]);
+
+      const byCampaign = await exportClicks({
+        format: "json",
+        campaign: "spring",
+        columns: "id",
+      }).expect(200);
+      expect(JSON.parse(byCampaign.body)).toHaveLength(1);
+
+      const withBots = await exportClicks({
+        format: "json",
+        includeBots: "true",
+        columns: "isBot",
+      }).expect(200);
+      expect(JSON.parse(withBots.body)).toHaveLength(7);
+    });
+
+    it("should pseudonymise IP addresses by default", async () => {
+      const response = await exportClicks({
+        format: "ndjson",
+        country: "DE",
+        columns: "ipAddress",
+      }).expect(200);
+
+      const [row] = response.body.trim().split("\n").map(JSON.parse);
+      expect(row.ipAddress).toMatch(/^ip_[a-f0-9]{16}$/);
+      expect(response.body).not.toContain("203.0.113.7");
+    });
+
+    it("should export raw IP addresses only to the owner", async () => {
+      const owner = await exportClicks({
+        format: "ndjson",
+        country: "DE",
+        columns: "ipAddress",
+        includeIp: "true",
+      }).expect(200);
+
+      expect(JSON.parse(owner.body).ipAddress).toBe("203.0.113.7");
+
+      await exportClicks(
+        { columns: "ipAddress", includeIp: "true" },
+        adminToken
+      ).expect(403);
+    });
+
+    it("should reject unknown columns", async () => {
+      const response = await exportClicks({
+        columns: "clickedAt,location.coordinates",
+      }).expect(400);
+
+      expect(JSON.parse(response.body).message).toContain(
+        "location.coordinates"
+      );
+    });
+  });
 });
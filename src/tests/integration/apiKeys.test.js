@@ -0,0 +1,128 @@
+import request from "supertest";
+import app from "../../server.js";
+import { TestHelper } from "../helpers/testHelpers.js";
+import ApiKey from "../../models/ApiKey.js";
+
+describe("API Key Routes", () => {
+  let user, token;
+
+  beforeEach(async () => {
+    ({ user, token } = await TestHelper.createTestUser());
+  });
+
+  describe("POST /api/auth/api-keys", () => {
+    it("should return the key once and store only its hash", async () => {
+      const response = await request(app)
+        .post("/api/auth/api-keys")
+        .set("Authorization", `Bearer ${token}`)
+        .send({ name: "Zapier", scopes: ["urls:read", "urls:write"] })
+        .expect(201);
+
+      const { apiKey, key } = response.body.data;
+      expect(apiKey).toMatch(/^snap_/);
+      expect(key.prefix).toBe(apiKey.slice(0, key.prefix.length));
+      expect(key.keyHash).toBeUndefined();
+      expect(key.scopes).toEqual(["urls:read", "urls:write"]);
+
+      const stored = await ApiKey.findById(key._id).select("+keyHash");
+      expect(stored.keyHash).not.toBe(apiKey);
+    });
+
+    it("should reject unknown scopes", async () => {
+      await request(app)
+        .post("/api/auth/api-keys")
+        .set("Authorization", `Bearer ${token}`)
+        .send({ name: "Admin", scopes: ["admin"] })
+        .expect(400);
+    });
+
+    it("should still accept the deprecated endpoint", async () => {
+      const response = await request(app)
+        .post("/api/auth/api-key")
+        .set("Authorization", `Bearer ${token}`)
+        .send({ keyName: "Legacy" })
+        .expect(201);
+
+      expect(response.body.data.keyName).toBe("Legacy");
+    });
+  });
+
+  describe("GET /api/auth/api-keys", () => {
+    it("should list keys without secrets", async () => {
+      await TestHelper.createTestApiKey(user._id);
+
+      const response = await request(app)
+        .get("/api/auth/api-keys")
+        .set("Authorization", `Bearer ${token}`)
+        .expect(200);
+
+      expect(response.body.data.keys).toHaveLength(1);
+      expect(response.body.data.keys[0].keyHash).toBeUndefined();
+    });
+  });
+
+  describe("X-API-Key authentication", () => {
+    it("should authenticate scoped requests and record usage", async () => {
+      const { apiKey, key } = await TestHelper.createTestApiKey(user._id);
+      await TestHelper.createTestUrl(user._id);
+
+      const response = await request(app)
+        .get("/api/urls")
+        .set("X-API-Key", apiKey)
+        .expect(200);
+
+      expect(response.body.data).toHaveLength(1);
+
+      // Usage is recorded without blocking the request
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      const used = await ApiKey.findById(key._id);
+      expect(used.lastUsedAt).not.toBeNull();
+    });
+
+    it("should enforce the route's scope", async () => {
+      const { apiKey } = await TestHelper.createTestApiKey(user._id, {
+        scopes: ["urls:read"],
+      });
+
+      const response = await request(app)
+        .post("/api/urls/bulk")
+        .set("X-API-Key", apiKey)
+        .send({ urls: [{ originalUrl: "https://example.com" }] })
+        .expect(403);
+
+      expect(response.body.message).toContain("urls:write");
+    });
+
+    it("should not open session-only endpoints to API keys", async () => {
+      const { apiKey } = await TestHelper.createTestApiKey(user._id);
+
+      await request(app)
+        .get("/api/auth/api-keys")
+        .set("X-API-Key", apiKey)
+        .expect(403);
+    });
+
+    it("should reject revoked and unknown keys", async () => {
+      const { apiKey, key } = await TestHelper.createTestApiKey(user._id);
+
+      await request(app)
+        .delete(`/api/auth/api-keys/${key._id}`)
+        .set("Authorization", `Bearer ${token}`)
+        .expect(200);
+
+      await request(app).get("/api/urls").set("X-API-Key", apiKey).expect(401);
+      await request(app)
+        .get("/api/urls")
+        .set("X-API-Key", "snap_not-a-real-key")
+        .expect(401);
+    });
+
+    it("should reject expired keys", async () => {
+      const { apiKey } = await TestHelper.createTestApiKey(user._id, {
+        expiresAt: new Date(Date.now() - 1000),
+      });
+
+      await request(app).get("/api/urls").set("X-API-Key", apiKey).expect(401);
+    });
+  });
+});
@@ -0,0 +1,154 @@
+import request from "supertest";
+import app from "../../server.js";
+import domainService from "../../services/domainService.js";
+import { TestHelper } from "../helpers/testHelpers.js";
+
+describe("Domain Routes", () => {
+  let testUser, authToken;
+
+  beforeEach(async () => {
+    const userData = await TestHelper.createTestUser();
+    testUser = userData.user;
+    authToken = userData.token;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe("POST /api/domains", () => {
+    it("should register a domain with a verification record", async () => {
+      const response = await request(app)
+        .post("/api/domains")
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({ hostname: "Go.Example.com" })
+        .expect(201);
+
+      const { domain } = response.body.data;
+      expect(domain.hostname).toBe("go.example.com");
+      expect(domain.isVerified).toBe(false);
+      expect(domain.verificationRecord.name).toBe("_snapurl.go.example.com");
+      expect(domain.verificationToken).toBeUndefined();
+    });
+
+    it("should reject invalid hostnames", async () => {
+      const response = await request(app)
+        .post("/api/domains")
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({ hostname: "not a hostname" })
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+    });
+  });
+
+  describe("POST /api/domains/:id/verify", () => {
+    let domainId, recordValue;
+
+    beforeEach(async () => {
+      const response = await request(app)
+        .post("/api/domains")
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({ hostname: "links.example.org" });
+
+      domainId = response.body.data.domain._id;
+      recordValue = response.body.data.domain.verificationRecord.value;
+    });
+
+    it("should verify the domain when the TXT record exists", async () => {
+      jest
+        .spyOn(domainService, "_resolveTxtRecords")
+        .mockResolvedValue([[recordValue]]);
+
+      const response = await request(app)
+        .post(`/api/domains/${domainId}/verify`)
+        .set("Authorization", `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.data.domain.isVerified).toBe(true);
+    });
+
+    it("should not verify without the TXT record", async () => {
+      jest.spyOn(domainService, "_resolveTxtRecords").mockResolvedValue([]);
+
+      const response = await request(app)
+        .post(`/api/domains/${domainId}/verify`)
+        .set("Authorization", `Bearer ${authToken}`)
+        .expect(400);
+
+      expect(response.body.errors.verificationRecord.value).toBe(recordValue);
+    });
+  });
+
+  describe("Host-based redirects", () => {
+    it("should resolve the same alias separately per domain", async () => {
+      const domain = await TestHelper.createTestDomain(testUser._id);
+
+      await TestHelper.createTestUrl(testUser._id, {
+        shortCode: "launch",
+        originalUrl: "https://example.com/default",
+      });
+      await TestHelper.createTestUrl(testUser._id, {
+        shortCode: "launch",
+        originalUrl: "https://example.com/custom",
+        domain: domain._id,
+      });
+
+      const custom = await request(app)
+        .get("/launch")
+        .set("Host", "go.example.com")
+        .expect(302);
+      const fallback = await request(app).get("/launch").expect(302);
+
+      expect(custom.headers.location).toBe("https://example.com/custom");
+      expect(fallback.headers.location).toBe("https://example.com/default");
+    });
+
+    it("should create links on a verified domain", async () => {
+      const domain = await TestHelper.createTestDomain(testUser._id);
+
+      const response = await request(app)
+        .post("/api/urls")
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({
+          originalUrl: "https://example.com/campaign",
+          customAlias: "spring",
+          domainId: domain._id.toString(),
+        })
+        .expect(201);
+
+      expect(response.body.data.shortUrl).toBe("https://go.example.com/spring");
+    });
+
+    it("should refuse to move a link onto a domain that already uses its short code", async () => {
+      const domain = await TestHelper.createTestDomain(testUser._id);
+
+      const url = await TestHelper.createTestUrl(testUser._id, {
+        shortCode: "launch",
+      });
+      await TestHelper.createTestUrl(testUser._id, {
+        shortCode: "launch",
+        domain: domain._id,
+      });
+
+      const response = await request(app)
+        .put(`/api/urls/${url._id}`)
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({ domainId: domain._id.toString() })
+        .expect(409);
+
+      expect(response.body.message).toContain("already used on that domain");
+    });
+
+    it("should not delete a domain that still serves links", async () => {
+      const domain = await TestHelper.createTestDomain(testUser._id);
+      await TestHelper.createTestUrl(testUser._id, { domain: domain._id });
+
+      const response = await request(app)
+        .delete(`/api/domains/${domain._id}`)
+        .set("Authorization", `Bearer ${authToken}`);
+
+      expect(response.body.success).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,106 @@
+import request from "supertest";
+import app from "../../server.js";
+import { TestHelper } from "../helpers/testHelpers.js";
+import User from "../../models/User.js";
+
+/**
+ * Pulls the token query parameter out of an emailed link
+ */
+const tokenFromEmail = (email) => email.text.match(/token=([^\s]+)/)[1];
+
+describe("Email Flows", () => {
+  describe("Email verification", () => {
+    it("should email a verification link on registration", async () => {
+      const response = await request(app)
+        .post("/api/auth/register")
+        .send({
+          name: "Jane Doe",
+          email: "jane@example.com",
+          password: "password123",
+        })
+        .expect(201);
+
+      expect(response.body.data.user.emailVerified).toBe(false);
+
+      const [email] = await TestHelper.getSentEmails("jane@example.com");
+      expect(email.template).toBe("emailVerification");
+
+      await request(app)
+        .post("/api/auth/verify-email")
+        .send({ token: decodeURIComponent(tokenFromEmail(email)) })
+        .expect(200);
+
+      const user = await User.findOne({ email: "jane@example.com" });
+      expect(user.emailVerified).toBe(true);
+    });
+
+    it("should gate custom domains until the email is verified", async () => {
+      const { token } = await TestHelper.createTestUser({
+        emailVerified: false,
+      });
+
+      const response = await request(app)
+        .post("/api/domains")
+        .set("Authorization", `Bearer ${token}`)
+        .send({ hostname: "go.example.com" })
+        .expect(403);
+
+      expect(response.body.message).toContain("verify your email");
+    });
+
+    it("should not accept verification tokens as access tokens", async () => {
+      await request(app).post("/api/auth/register").send({
+        name: "Jane Doe",
+        email: "jane@example.com",
+        password: "password123",
+      });
+      const [email] = await TestHelper.getSentEmails("jane@example.com");
+
+      await request(app)
+        .get("/api/auth/profile")
+        .set(
+          "Authorization",
+          `Bearer ${decodeURIComponent(tokenFromEmail(email))}`
+        )
+        .expect(401);
+    });
+  });
+
+  describe("Password reset", () => {
+    it("should email the reset token instead of returning it", async () => {
+      const { user } = await TestHelper.createTestUser({
+        email: "reset@example.com",
+      });
+
+      const response = await request(app)
+        .post("/api/auth/forgot-password")
+        .send({ email: "reset@example.com" })
+        .expect(200);
+
+      expect(response.body.data).toBeNull();
+
+      const [email] = await TestHelper.getSentEmails("reset@example.com");
+      expect(email.template).toBe("passwordReset");
+
+      await request(app)
+        .post("/api/auth/reset-password")
+        .send({
+          resetToken: decodeURIComponent(tokenFromEmail(email)),
+          newPassword: "newpassword123",
+        })
+        .expect(200);
+
+      const updated = await User.findById(user._id).select("+password");
+      expect(await updated.matchPassword("newpassword123")).toBe(true);
+    });
+
+    it("should not send anything for unknown addresses", async () => {
+      await request(app)
+        .post("/api/auth/forgot-password")
+        .send({ email: "nobody@example.com" })
+        .expect(200);
+
+      expect(await TestHelper.getSentEmails()).toHaveLength(0);
+    });
+  });
+});
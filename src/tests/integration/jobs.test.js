@@ -0,0 +1,78 @@
+import request from "supertest";
+import app from "../../server.js";
+import { TestHelper } from "../helpers/testHelpers.js";
+import Job from "../../models/Job.js";
+
+describe("Job Routes", () => {
+  let adminToken, userToken;
+
+  beforeEach(async () => {
+    adminToken = (await TestHelper.createTestAdmin()).token;
+    userToken = (await TestHelper.createTestUser()).token;
+  });
+
+  describe("GET /api/jobs/stats", () => {
+    it("should return queue counts for admins", async () => {
+      await Job.create({ type: "qr.generate" });
+
+      const response = await request(app)
+        .get("/api/jobs/stats")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.data.byType["qr.generate"].queued).toBe(1);
+      expect(response.body.data.totals.queued).toBe(1);
+    });
+
+    it("should reject non-admins", async () => {
+      await request(app)
+        .get("/api/jobs/stats")
+        .set("Authorization", `Bearer ${userToken}`)
+        .expect(403);
+    });
+  });
+
+  describe("dead-letter queue", () => {
+    it("should list and retry dead jobs", async () => {
+      const dead = await Job.create({
+        type: "metadata.fetch",
+        status: "dead",
+        attempts: 5,
+        lastError: "Request timed out",
+      });
+      await Job.create({ type: "qr.generate" });
+
+      const list = await request(app)
+        .get("/api/jobs?status=dead")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(list.body.data.jobs).toHaveLength(1);
+      expect(list.body.data.jobs[0].lastError).toBe("Request timed out");
+
+      const retried = await request(app)
+        .post(`/api/jobs/${dead._id}/retry`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(retried.body.data.job.status).toBe("queued");
+      expect(retried.body.data.job.attempts).toBe(0);
+    });
+  });
+
+  describe("POST /api/urls", () => {
+    it("should queue QR and metadata jobs for new links", async () => {
+      await request(app)
+        .post("/api/urls")
+        .set("Authorization", `Bearer ${userToken}`)
+        .send({ originalUrl: "https://queued-jobs.com", generateQR: true })
+        .expect(201);
+
+      // Jobs are queued without blocking the response
+      await new Promise((resolve) => setTimeout(resolve, 100));
+
+      const types = (await Job.find()).map((job) => job.type).sort();
+      expect(types).toEqual(["metadata.fetch", "qr.generate"]);
+    });
+  });
+});
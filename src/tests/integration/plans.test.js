@@ -0,0 +1,268 @@
+import express from "express";
+import request from "supertest";
+import app from "../../server.js";
+import { identifyClient } from "../../middleware/auth.js";
+import { apiLimiter } from "../../middleware/rateLimiter.js";
+import { config } from "../../config/config.js";
+import { TestHelper } from "../helpers/testHelpers.js";
+import planService from "../../services/planService.js";
+import User from "../../models/User.js";
+
+describe("Plan Routes", () => {
+  let testUser, userToken, adminToken;
+
+  beforeEach(async () => {
+    ({ user: testUser, token: userToken } = await TestHelper.createTestUser());
+    adminToken = (await TestHelper.createTestAdmin()).token;
+  });
+
+  afterEach(() => {
+    planService.clearCache();
+  });
+
+  const moveToPlan = async (name, limits) => {
+    await planService.savePlan(name, { limits });
+    await User.findByIdAndUpdate(testUser._id, { plan: name });
+  };
+
+  describe("GET /api/plans", () => {
+    it("should list the built-in plans", async () => {
+      const response = await request(app).get("/api/plans").expect(200);
+
+      const names = response.body.data.plans.map((plan) => plan.name);
+      expect(names).toEqual(["free", "pro", "business"]);
+      expect(response.body.data.plans[0].limits.activeLinks).toBe(20);
+    });
+  });
+
+  describe("PUT /api/plans/:name", () => {
+    it("should let admins create plans", async () => {
+      await request(app)
+        .put("/api/plans/team")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ displayName: "Team", limits: { activeLinks: 200 } })
+        .expect(200);
+
+      const response = await request(app).get("/api/plans").expect(200);
+      const team = response.body.data.plans.find(
+        (plan) => plan.name === "team"
+      );
+      expect(team.limits.activeLinks).toBe(200);
+    });
+
+    it("should reject unknown limits", async () => {
+      const response = await request(app)
+        .put("/api/plans/team")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ limits: { seats: 5 } })
+        .expect(400);
+
+      expect(response.body.errors[0].field).toBe("limits.seats");
+    });
+
+    it("should reject non-admins", async () => {
+      await request(app)
+        .put("/api/plans/team")
+        .set("Authorization", `Bearer ${userToken}`)
+        .send({ limits: { activeLinks: 200 } })
+        .expect(403);
+    });
+  });
+
+  describe("PUT /api/plans/users/:userId", () => {
+    it("should move a user to another plan", async () => {
+      const response = await request(app)
+        .put(`/api/plans/users/${testUser._id}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ plan: "pro" })
+        .expect(200);
+
+      expect(response.body.data.user.plan).toBe("pro");
+      expect((await User.findById(testUser._id)).plan).toBe("pro");
+    });
+  });
+
+  describe("Plan limits", () => {
+    it("should stop creating links at the active link limit", async () => {
+      await moveToPlan("tiny", { activeLinks: 1 });
+      await TestHelper.createTestUrl(testUser._id);
+
+      const response = await request(app)
+        .post("/api/urls")
+        .set("Authorization", `Bearer ${userToken}`)
+        .send({ originalUrl: "https://example.org/second" })
+        .expect(403);
+
+      expect(response.body.message).toContain(
+        "Plan limit reached: the tiny plan allows 1 active links"
+      );
+    });
+
+    it("should limit custom aliases separately", async () => {
+      await moveToPlan("tiny", { customAliases: 0 });
+
+      await request(app)
+        .post("/api/urls")
+        .set("Authorization", `Bearer ${userToken}`)
+        .send({ originalUrl: "https://example.org/a", customAlias: "mine" })
+        .expect(403);
+      await request(app)
+        .post("/api/urls")
+        .set("Authorization", `Bearer ${userToken}`)
+        .send({ originalUrl: "https://example.org/b" })
+        .expect(201);
+    });
+
+    it("should limit QR code generations per month", async () => {
+      await moveToPlan("tiny", { qrGenerationsPerMonth: 1 });
+      const url = await TestHelper.createTestUrl(testUser._id);
+
+      await request(app)
+        .post(`/api/urls/${url._id}/qr`)
+        .set("Authorization", `Bearer ${userToken}`)
+        .send({})
+        .expect(200);
+      await request(app)
+        .post(`/api/urls/${url._id}/qr`)
+        .set("Authorization", `Bearer ${userToken}`)
+        .send({})
+        .expect(403);
+    });
+
+    it("should size bulk requests by plan", async () => {
+      const response = await request(app)
+        .post("/api/urls/bulk")
+        .set("Authorization", `Bearer ${userToken}`)
+        .send({
+          urls: Array.from({ length: 26 }, (_, i) => ({
+            originalUrl: `https://example${i}.com`,
+          })),
+        })
+        .expect(400);
+
+      expect(response.body.message).toBe(
+        "Maximum 25 URLs allowed per bulk operation on your plan"
+      );
+    });
+
+    it("should enforce the daily API request budget", async () => {
+      await moveToPlan("tiny", { apiRequestsPerDay: 2 });
+
+      for (let i = 0; i < 2; i++) {
+        await request(app)
+          .get("/api/auth/usage")
+          .set("Authorization", `Bearer ${userToken}`)
+          .expect(200);
+      }
+
+      const response = await request(app)
+        .get("/api/urls")
+        .set("Authorization", `Bearer ${userToken}`)
+        .expect(429);
+
+      expect(response.body.message).toContain("Daily API request limit");
+
+      const { apiUsage } = await User.findById(testUser._id).lean();
+      expect(apiUsage.requestCount).toBe(2);
+      expect(apiUsage.rateLimitResets).toBe(1);
+    });
+  });
+
+  describe("Rate limits", () => {
+    it("should key URL creation limits by user", async () => {
+      await moveToPlan("unlimited-links", { activeLinks: null });
+
+      for (let i = 0; i < 20; i++) {
+        await request(app)
+          .post("/api/urls")
+          .set("Authorization", `Bearer ${userToken}`)
+          .send({ originalUrl: `https://example${i}.com` })
+          .expect(201);
+      }
+
+      const response = await request(app)
+        .post("/api/urls")
+        .set("Authorization", `Bearer ${userToken}`)
+        .send({ originalUrl: "https://example.com/one-more" })
+        .expect(429);
+
+      expect(response.body.message).toContain("Too many URLs created");
+
+      // Another user from the same address has a budget of their own
+      const { token: otherToken } = await TestHelper.createTestUser({
+        email: "other@example.com",
+      });
+      await request(app)
+        .post("/api/urls")
+        .set("Authorization", `Bearer ${otherToken}`)
+        .send({ originalUrl: "https://example.com/other" })
+        .expect(201);
+    });
+
+    it("should give users on the same IP their own general API budget", async () => {
+      // apiLimiter is not mounted on the app under test
+      const limited = express();
+      limited.use(identifyClient, apiLimiter);
+      limited.get("/ping", (req, res) => res.json({ success: true }));
+
+      for (let i = 0; i < config.rateLimitMaxRequests; i++) {
+        await request(limited)
+          .get("/ping")
+          .set("Authorization", `Bearer ${userToken}`)
+          .expect(200);
+      }
+
+      await request(limited)
+        .get("/ping")
+        .set("Authorization", `Bearer ${userToken}`)
+        .expect(429);
+
+      const { token: otherToken } = await TestHelper.createTestUser({
+        email: "other@example.com",
+      });
+      await request(limited)
+        .get("/ping")
+        .set("Authorization", `Bearer ${otherToken}`)
+        .expect(200);
+
+      // Anonymous callers are counted against the address instead
+      await request(limited).get("/ping").expect(200);
+    });
+
+    it("should scale budgets with the plan multiplier", async () => {
+      await planService.savePlan("burst", {
+        limits: { activeLinks: null },
+        rateLimitMultiplier: 2,
+      });
+      await User.findByIdAndUpdate(testUser._id, { plan: "burst" });
+
+      for (let i = 0; i < 21; i++) {
+        await request(app)
+          .post("/api/urls")
+          .set("Authorization", `Bearer ${userToken}`)
+          .send({ originalUrl: `https://example${i}.com` })
+          .expect(201);
+      }
+    });
+  });
+
+  describe("GET /api/auth/usage", () => {
+    it("should summarise usage against the plan", async () => {
+      await TestHelper.createTestUrl(testUser._id);
+
+      const response = await request(app)
+        .get("/api/auth/usage")
+        .set("Authorization", `Bearer ${userToken}`)
+        .expect(200);
+
+      const { usage } = response.body.data;
+      expect(usage.plan.name).toBe("free");
+      expect(usage.limits.activeLinks).toEqual({
+        used: 1,
+        limit: 20,
+        remaining: 19,
+      });
+      expect(usage.limits.apiRequestsPerDay.used).toBe(1);
+    });
+  });
+});
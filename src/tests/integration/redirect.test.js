@@ -140,4 +140,622 @@ describe("Redirect Routes", () => {
       expect(response.body.success).toBe(false);
     });
   });
+
+  describe("A/B variant redirects", () => {
+    beforeEach(async () => {
+      await TestHelper.createTestUrl(testUser._id, {
+        shortCode: "split123",
+        originalUrl: "https://example.com",
+        variants: [
+          { name: "a", url: "https://example.com/a", weight: 50 },
+          { name: "b", url: "https://example.com/b", weight: 50 },
+        ],
+      });
+    });
+
+    it("should redirect to one of the variants", async () => {
+      const response = await request(app).get("/split123").expect(302);
+
+      expect(["https://example.com/a", "https://example.com/b"]).toContain(
+        response.headers.location
+      );
+    });
+
+    it("should keep the same variant for the same visitor", async () => {
+      const first = await request(app)
+        .get("/split123")
+        .set("User-Agent", "Mozilla/5.0 (Sticky Visitor)")
+        .expect(302);
+
+      for (let i = 0; i < 5; i++) {
+        const response = await request(app)
+          .get("/split123")
+          .set("User-Agent", "Mozilla/5.0 (Sticky Visitor)")
+          .expect(302);
+
+        expect(response.headers.location).toBe(first.headers.location);
+      }
+    });
+  });
+
+  describe("Geo-restricted redirects", () => {
+    // geoip-lite resolves this address to Germany
+    const GERMAN_IP = "85.214.132.117";
+
+    it("should return 451 for a blocked country", async () => {
+      await TestHelper.createTestUrl(testUser._id, {
+        shortCode: "geoblock1",
+        geoRestrictions: { blockedCountries: ["DE"] },
+      });
+
+      const response = await request(app)
+        .get("/geoblock1")
+        .set("X-Forwarded-For", GERMAN_IP)
+        .expect(451);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.errors.country).toBe("DE");
+    });
+
+    it("should send blocked visitors to the fallback URL", async () => {
+      await TestHelper.createTestUrl(testUser._id, {
+        shortCode: "geoblock2",
+        geoRestrictions: {
+          allowedCountries: ["US"],
+          fallbackUrl: "https://example.com/unavailable",
+        },
+      });
+
+      const response = await request(app)
+        .get("/geoblock2")
+        .set("X-Forwarded-For", GERMAN_IP)
+        .expect(302);
+
+      expect(response.headers.location).toBe("https://example.com/unavailable");
+    });
+
+    it("should not preview links for a blocked country", async () => {
+      await TestHelper.createTestUrl(testUser._id, {
+        shortCode: "geoblock3",
+        geoRestrictions: { blockedCountries: ["DE"] },
+      });
+
+      const preview = await request(app)
+        .get("/preview/geoblock3")
+        .set("X-Forwarded-For", GERMAN_IP)
+        .expect(451);
+      const plus = await request(app)
+        .get("/geoblock3+")
+        .set("X-Forwarded-For", GERMAN_IP)
+        .expect(451);
+
+      expect(preview.body.data).toBeUndefined();
+      expect(plus.body.data).toBeUndefined();
+    });
+
+    it("should apply per-country destination overrides", async () => {
+      await TestHelper.createTestUrl(testUser._id, {
+        shortCode: "geoswap1",
+        geoRestrictions: {
+          countryRedirects: [{ country: "DE", url: "https://example.de" }],
+        },
+      });
+
+      const german = await request(app)
+        .get("/geoswap1")
+        .set("X-Forwarded-For", GERMAN_IP)
+        .expect(302);
+      const local = await request(app).get("/geoswap1").expect(302);
+
+      expect(german.headers.location).toBe("https://example.de");
+      expect(local.headers.location).toBe("https://example.com");
+    });
+  });
+
+  describe("Broken link fallback", () => {
+    it("should redirect broken links to their fallback URL", async () => {
+      await TestHelper.createTestUrl(testUser._id, {
+        shortCode: "broken1",
+        fallbackUrl: "https://example.com/moved",
+        health: { status: "broken" },
+      });
+
+      const response = await request(app).get("/broken1").expect(302);
+
+      expect(response.headers.location).toBe("https://example.com/moved");
+    });
+
+    it("should keep redirecting to the destination until the link is broken", async () => {
+      await TestHelper.createTestUrl(testUser._id, {
+        shortCode: "flaky1",
+        fallbackUrl: "https://example.com/moved",
+        health: { status: "unknown", consecutiveFailures: 2 },
+      });
+
+      const response = await request(app).get("/flaky1").expect(302);
+
+      expect(response.headers.location).toBe("https://example.com");
+    });
+  });
+
+  describe("Unsafe destinations", () => {
+    it("should show browsers a warning page for suspicious destinations", async () => {
+      await TestHelper.createTestUrl(testUser._id, {
+        shortCode: "iphost1",
+        originalUrl: "http://203.0.113.7/login",
+      });
+
+      const response = await request(app)
+        .get("/iphost1")
+        .set("Accept", "text/html")
+        .expect(200);
+
+      expect(response.text).toContain("This link may be unsafe");
+      expect(response.text).toContain("/iphost1?safetyConfirmed=");
+    });
+
+    it("should redirect once the visitor confirms the warning", async () => {
+      await TestHelper.createTestUrl(testUser._id, {
+        shortCode: "iphost2",
+        originalUrl: "http://203.0.113.7/login",
+      });
+
+      const warning = await request(app).get("/iphost2").expect(200);
+      expect(warning.body.data.warning).toBe(true);
+      expect(warning.body.data.reasons[0].rule).toBe("ip-host");
+
+      const response = await request(app)
+        .get(warning.body.data.continueUrl)
+        .expect(302);
+
+      expect(response.headers.location).toBe("http://203.0.113.7/login");
+    });
+
+    it("should not let a forged confirmation skip the warning", async () => {
+      await TestHelper.createTestUrl(testUser._id, {
+        shortCode: "iphost3",
+        originalUrl: "http://203.0.113.7/login",
+      });
+      const other = await TestHelper.createTestUrl(testUser._id, {
+        shortCode: "iphost4",
+        originalUrl: "http://203.0.113.7/login",
+      });
+      const otherWarning = await request(app)
+        .get(`/${other.shortCode}`)
+        .expect(200);
+      const otherToken = new URL(
+        otherWarning.body.data.continueUrl,
+        "http://localhost"
+      ).searchParams.get("safetyConfirmed");
+
+      for (const token of ["1", otherToken]) {
+        const response = await request(app)
+          .get(`/iphost3?safetyConfirmed=${token}`)
+          .expect(200);
+        expect(response.body.data.warning).toBe(true);
+      }
+    });
+
+    it("should block links stored as malicious", async () => {
+      await TestHelper.createTestUrl(testUser._id, {
+        shortCode: "flagged1",
+        originalUrl: "https://example.com/landing",
+        safety: {
+          verdict: "malicious",
+          reasons: [
+            {
+              source: "provider",
+              rule: "fake-listing",
+              verdict: "malicious",
+              message: "example.com is listed as unsafe",
+            },
+          ],
+        },
+      });
+
+      const response = await request(app)
+        .get("/flagged1?safetyConfirmed=1")
+        .expect(403);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.errors.reasons[0].rule).toBe("fake-listing");
+    });
+  });
+
+  describe("Interstitial and preview pages", () => {
+    beforeEach(async () => {
+      await TestHelper.createTestUrl(testUser._id, {
+        shortCode: "inter1",
+        originalUrl: "https://example.com/article",
+        redirectMode: "interstitial",
+        interstitialCountdown: 5,
+        metadata: {
+          domain: "example.com",
+          pageTitle: "An Example Article",
+          favicon: "https://example.com/favicon.ico",
+        },
+      });
+    });
+
+    it("should show the interstitial page with a countdown", async () => {
+      const response = await request(app)
+        .get("/inter1")
+        .set("Accept", "text/html")
+        .expect(200);
+
+      expect(response.text).toContain("An Example Article");
+      expect(response.text).toContain("https://example.com/favicon.ico");
+      expect(response.text).toContain(
+        'content="5;url=/inter1?viaInterstitial='
+      );
+      expect(response.headers["content-security-policy"]).toContain(
+        "img-src http: https:"
+      );
+    });
+
+    it("should redirect visitors continuing from the interstitial", async () => {
+      const page = await request(app).get("/inter1").expect(200);
+
+      const response = await request(app)
+        .get(page.body.data.continueUrl)
+        .expect(302);
+
+      expect(response.headers.location).toBe("https://example.com/article");
+    });
+
+    it("should not let a forged continue link skip the interstitial", async () => {
+      const response = await request(app)
+        .get("/inter1?viaInterstitial=1")
+        .expect(200);
+
+      expect(response.body.data.interstitial).toBe(true);
+    });
+
+    it("should wait for the visitor in preview mode", async () => {
+      await TestHelper.createTestUrl(testUser._id, {
+        shortCode: "preview1",
+        redirectMode: "preview",
+        interstitialCountdown: 5,
+      });
+
+      const response = await request(app).get("/preview1").expect(200);
+
+      expect(response.body.data).toMatchObject({
+        interstitial: true,
+        redirectMode: "preview",
+        destination: "https://example.com",
+        continueUrl: expect.stringMatching(/^\/preview1\?viaInterstitial=/),
+        countdown: 0,
+      });
+    });
+
+    it("should preview any link with a + suffix", async () => {
+      const response = await request(app)
+        .get("/redirect123+")
+        .set("Accept", "text/html")
+        .expect(200);
+
+      expect(response.text).toContain("https://example.com");
+      expect(response.text).toContain('href="/redirect123?viaInterstitial=');
+      expect(response.text).not.toContain('http-equiv="refresh"');
+    });
+
+    it("should return preview JSON for API clients with a + suffix", async () => {
+      const response = await request(app).get("/inter1+").expect(200);
+
+      expect(response.body.data.originalUrl).toBe(
+        "https://example.com/article"
+      );
+      expect(response.body.data.redirectMode).toBe("interstitial");
+    });
+
+    it("should hide the destination of protected links in the preview", async () => {
+      await TestHelper.createTestUrl(testUser._id, {
+        shortCode: "locked2",
+        originalUrl: "https://example.com/secret",
+        password: "opensesame",
+      });
+
+      const response = await request(app)
+        .get("/locked2+")
+        .set("Accept", "text/html")
+        .expect(200);
+
+      expect(response.text).not.toContain("https://example.com/secret");
+    });
+  });
+
+  describe("Redirect types and query forwarding", () => {
+    it("should redirect with the link's status code", async () => {
+      await TestHelper.createTestUrl(testUser._id, {
+        shortCode: "perm1",
+        redirectType: "301",
+      });
+
+      const response = await request(app).get("/perm1").expect(301);
+
+      expect(response.headers.location).toBe("https://example.com");
+    });
+
+    it("should serve a meta-refresh page", async () => {
+      await TestHelper.createTestUrl(testUser._id, {
+        shortCode: "meta1",
+        redirectType: "meta-refresh",
+      });
+
+      const response = await request(app).get("/qr/meta1").expect(200);
+
+      expect(response.text).toContain(
+        '<meta http-equiv="refresh" content="0;url=https://example.com">'
+      );
+    });
+
+    it("should drop the visitor's query string by default", async () => {
+      const response = await request(app)
+        .get("/redirect123?utm_source=news")
+        .expect(302);
+
+      expect(response.headers.location).toBe("https://example.com");
+    });
+
+    it("should forward all parameters except SnapURL's own", async () => {
+      await TestHelper.createTestUrl(testUser._id, {
+        shortCode: "fwd1",
+        originalUrl: "https://example.com/shop?lang=en",
+        forwardQuery: { mode: "all" },
+      });
+
+      const response = await request(app)
+        .get("/fwd1?coupon=SAVE10&viaInterstitial=1&safetyConfirmed=1")
+        .expect(302);
+
+      expect(response.headers.location).toBe(
+        "https://example.com/shop?lang=en&coupon=SAVE10"
+      );
+    });
+
+    it("should forward only allowlisted parameters", async () => {
+      await TestHelper.createTestUrl(testUser._id, {
+        shortCode: "fwd2",
+        originalUrl: "https://example.com/shop",
+        redirectType: "307",
+        forwardQuery: { mode: "allowlist", keys: ["coupon"] },
+      });
+
+      const response = await request(app)
+        .get(
+          "/fwd2/track?coupon=SAVE10&session=abc&ref=newsletter&utm_source=mail"
+        )
+        .expect(307);
+
+      expect(response.headers.location).toBe(
+        "https://example.com/shop?coupon=SAVE10&utm_source=mail"
+      );
+    });
+  });
+
+  describe("Wildcard links and destination templates", () => {
+    it("should forward the rest of the path for wildcard links", async () => {
+      await TestHelper.createTestUrl(testUser._id, {
+        shortCode: "docs",
+        originalUrl: "https://example.com/docs",
+        wildcard: true,
+      });
+
+      const response = await request(app)
+        .get("/docs/getting-started/install")
+        .expect(302);
+
+      expect(response.headers.location).toBe(
+        "https://example.com/docs/getting-started/install"
+      );
+    });
+
+    it("should not match paths on regular links", async () => {
+      await request(app).get("/redirect123/extra").expect(404);
+    });
+
+    it("should fill the template from the visitor's country and query", async () => {
+      await TestHelper.createTestUrl(testUser._id, {
+        shortCode: "shop1",
+        originalUrl: "https://shop.example.com",
+        destinationTemplate:
+          "https://shop.example.com/{country|us}/p?ref={utm_source|direct}",
+      });
+
+      const german = await request(app)
+        .get("/shop1?utm_source=news%26more")
+        .set("X-Forwarded-For", "85.214.132.117")
+        .expect(302);
+      const local = await request(app).get("/shop1").expect(302);
+
+      expect(german.headers.location).toBe(
+        "https://shop.example.com/de/p?ref=news%26more"
+      );
+      expect(local.headers.location).toBe(
+        "https://shop.example.com/us/p?ref=direct"
+      );
+    });
+
+    it("should place the wildcard path where the template says", async () => {
+      await TestHelper.createTestUrl(testUser._id, {
+        shortCode: "kb",
+        originalUrl: "https://example.com/kb",
+        wildcard: true,
+        destinationTemplate: "https://example.com/kb/{path|index}?lang=en",
+      });
+
+      const response = await request(app).get("/kb/setup/a%2Fb").expect(302);
+
+      expect(response.headers.location).toBe(
+        "https://example.com/kb/setup/a%2Fb?lang=en"
+      );
+    });
+  });
+
+  describe("Password-protected redirects", () => {
+    beforeEach(async () => {
+      await TestHelper.createTestUrl(testUser._id, {
+        shortCode: "locked1",
+        originalUrl: "https://example.com/secret",
+        password: "opensesame",
+      });
+    });
+
+    it("should challenge API clients with 401", async () => {
+      const response = await request(app).get("/locked1").expect(401);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.errors.passwordRequired).toBe(true);
+    });
+
+    it("should show an unlock form to browsers", async () => {
+      const response = await request(app)
+        .get("/locked1")
+        .set("Accept", "text/html")
+        .expect(401);
+
+      expect(response.headers["content-type"]).toMatch(/html/);
+      expect(response.text).toContain('action="/locked1/unlock"');
+    });
+
+    it("should reject an invalid password", async () => {
+      const response = await request(app)
+        .post("/locked1/unlock")
+        .send({ password: "wrong" })
+        .expect(401);
+
+      expect(response.body.success).toBe(false);
+    });
+
+    it("should issue an unlock token that skips the prompt", async () => {
+      const unlock = await request(app)
+        .post("/locked1/unlock")
+        .send({ password: "opensesame" })
+        .expect(200);
+
+      expect(unlock.body.data.redirectUrl).toBe("https://example.com/secret");
+
+      const response = await request(app)
+        .get("/locked1")
+        .set("X-Unlock-Token", unlock.body.data.unlockToken)
+        .expect(302);
+
+      expect(response.headers.location).toBe("https://example.com/secret");
+    });
+
+    it("should unlock via the form and remember the visitor", async () => {
+      const unlock = await request(app)
+        .post("/locked1/unlock")
+        .type("form")
+        .send({ password: "opensesame" })
+        .expect(302);
+
+      expect(unlock.headers.location).toBe("https://example.com/secret");
+      const cookie = unlock.headers["set-cookie"][0].split(";")[0];
+
+      await request(app).get("/locked1").set("Cookie", cookie).expect(302);
+    });
+
+    it("should redirect unlocked visitors with the link's redirect options", async () => {
+      await TestHelper.createTestUrl(testUser._id, {
+        shortCode: "locked3",
+        originalUrl: "https://example.com/secret",
+        password: "opensesame",
+        redirectType: "301",
+        forwardQuery: { mode: "all" },
+      });
+
+      const form = await request(app)
+        .get("/locked3?coupon=SAVE10")
+        .set("Accept", "text/html")
+        .expect(401);
+      expect(form.text).toContain('action="/locked3/unlock?coupon=SAVE10"');
+
+      const unlock = await request(app)
+        .post("/locked3/unlock?coupon=SAVE10")
+        .type("form")
+        .send({ password: "opensesame" })
+        .expect(301);
+
+      expect(unlock.headers.location).toBe(
+        "https://example.com/secret?coupon=SAVE10"
+      );
+    });
+
+    it("should throttle repeated failed unlocks", async () => {
+      for (let i = 0; i < 5; i++) {
+        await request(app)
+          .post("/locked1/unlock")
+          .set("X-Forwarded-For", "203.0.113.7")
+          .send({ password: "wrong" })
+          .expect(401);
+      }
+
+      await request(app)
+        .post("/locked1/unlock")
+        .set("X-Forwarded-For", "203.0.113.7")
+        .send({ password: "opensesame" })
+        .expect(429);
+    });
+  });
+
+  describe("Device routing rules", () => {
+    const IPHONE_UA =
+      "Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Mobile/15E148 Safari/604.1";
+    const ANDROID_UA =
+      "Mozilla/5.0 (Linux; Android 14; Pixel 8) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Mobile Safari/537.36";
+    const DESKTOP_UA =
+      "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36";
+
+    beforeEach(async () => {
+      await TestHelper.createTestUrl(testUser._id, {
+        shortCode: "appcamp1",
+        originalUrl: "https://example.com/app",
+        routingRules: [
+          {
+            name: "ios",
+            match: { os: "iOS" },
+            destination: "https://apps.apple.com/app/id123456789",
+          },
+          {
+            name: "android",
+            match: { os: "Android" },
+            destination: "https://play.google.com/store/apps/details?id=app",
+          },
+        ],
+      });
+    });
+
+    it("should send iOS visitors to the App Store", async () => {
+      const response = await request(app)
+        .get("/appcamp1")
+        .set("User-Agent", IPHONE_UA)
+        .expect(302);
+
+      expect(response.headers.location).toBe(
+        "https://apps.apple.com/app/id123456789"
+      );
+    });
+
+    it("should send Android visitors to Google Play", async () => {
+      const response = await request(app)
+        .get("/appcamp1")
+        .set("User-Agent", ANDROID_UA)
+        .expect(302);
+
+      expect(response.headers.location).toBe(
+        "https://play.google.com/store/apps/details?id=app"
+      );
+    });
+
+    it("should fall back to the original URL when no rule matches", async () => {
+      const response = await request(app)
+        .get("/appcamp1")
+        .set("User-Agent", DESKTOP_UA)
+        .expect(302);
+
+      expect(response.headers.location).toBe("https://example.com/app");
+    });
+  });
 });
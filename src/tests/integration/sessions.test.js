@@ -0,0 +1,181 @@
+import jwt from "jsonwebtoken";
+import request from "supertest";
+import app from "../../server.js";
+import { TestHelper } from "../helpers/testHelpers.js";
+import Session from "../../models/Session.js";
+import { config } from "../../config/config.js";
+
+describe("Session Routes", () => {
+  let user;
+
+  beforeEach(async () => {
+    ({ user } = await TestHelper.createTestUser());
+  });
+
+  describe("POST /api/auth/register", () => {
+    it("should start a session with a refresh token", async () => {
+      const response = await request(app)
+        .post("/api/auth/register")
+        .set(
+          "User-Agent",
+          "Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X)"
+        )
+        .send({
+          name: "Jane Doe",
+          email: "jane@example.com",
+          password: "password123",
+        })
+        .expect(201);
+
+      expect(response.body.data.refreshToken).toBeDefined();
+
+      const session = await Session.findOne({}).sort({ createdAt: -1 });
+      expect(session.device.deviceType).toBe("mobile");
+    });
+  });
+
+  describe("POST /api/auth/refresh", () => {
+    it("should rotate the refresh token", async () => {
+      const { refreshToken } = await TestHelper.createTestSession(user);
+
+      const response = await request(app)
+        .post("/api/auth/refresh")
+        .send({ refreshToken })
+        .expect(200);
+
+      const { token, refreshToken: rotated } = response.body.data;
+      expect(rotated).not.toBe(refreshToken);
+
+      await request(app)
+        .get("/api/auth/profile")
+        .set("Authorization", `Bearer ${token}`)
+        .expect(200);
+    });
+
+    it("should revoke the session when a used token is replayed", async () => {
+      const { session, refreshToken } =
+        await TestHelper.createTestSession(user);
+
+      const first = await request(app)
+        .post("/api/auth/refresh")
+        .send({ refreshToken })
+        .expect(200);
+
+      await request(app)
+        .post("/api/auth/refresh")
+        .send({ refreshToken })
+        .expect(401);
+
+      const revoked = await Session.findById(session._id);
+      expect(revoked.revokedReason).toBe("reuse_detected");
+
+      // The token issued by the legitimate refresh is dead too
+      await request(app)
+        .post("/api/auth/refresh")
+        .send({ refreshToken: first.body.data.refreshToken })
+        .expect(401);
+    });
+
+    it("should reject unknown refresh tokens", async () => {
+      await request(app)
+        .post("/api/auth/refresh")
+        .send({ refreshToken: "not-a-real-token" })
+        .expect(401);
+    });
+  });
+
+  describe("Session revocation", () => {
+    it("should reject access tokens after logout", async () => {
+      const { token } = await TestHelper.createTestSession(user);
+
+      await request(app)
+        .post("/api/auth/logout")
+        .set("Authorization", `Bearer ${token}`)
+        .expect(200);
+
+      await request(app)
+        .get("/api/auth/profile")
+        .set("Authorization", `Bearer ${token}`)
+        .expect(401);
+    });
+
+    it("should stop validating access tokens after logout", async () => {
+      const { token } = await TestHelper.createTestSession(user);
+
+      await request(app)
+        .get("/api/auth/validate")
+        .set("Authorization", `Bearer ${token}`)
+        .expect(200);
+
+      await request(app)
+        .post("/api/auth/logout")
+        .set("Authorization", `Bearer ${token}`)
+        .expect(200);
+
+      await request(app)
+        .get("/api/auth/validate")
+        .set("Authorization", `Bearer ${token}`)
+        .expect(401);
+    });
+
+    it("should not validate password reset tokens", async () => {
+      const resetToken = jwt.sign(
+        { id: user._id, type: "password-reset" },
+        config.jwtSecret
+      );
+
+      await request(app)
+        .get("/api/auth/validate")
+        .set("Authorization", `Bearer ${resetToken}`)
+        .expect(401);
+    });
+
+    it("should list sessions and revoke another device", async () => {
+      const current = await TestHelper.createTestSession(user);
+      const other = await TestHelper.createTestSession(user, {
+        userAgent: "Mozilla/5.0 (Linux; Android 14; Pixel 8)",
+      });
+
+      const response = await request(app)
+        .get("/api/auth/sessions")
+        .set("Authorization", `Bearer ${current.token}`)
+        .expect(200);
+
+      const { sessions } = response.body.data;
+      expect(sessions).toHaveLength(2);
+      expect(sessions.filter((session) => session.current)).toHaveLength(1);
+      expect(sessions[0].refreshTokenHash).toBeUndefined();
+
+      await request(app)
+        .delete(`/api/auth/sessions/${other.session._id}`)
+        .set("Authorization", `Bearer ${current.token}`)
+        .expect(200);
+
+      await request(app)
+        .get("/api/auth/profile")
+        .set("Authorization", `Bearer ${other.token}`)
+        .expect(401);
+    });
+
+    it("should revoke every other session but keep the current one", async () => {
+      const current = await TestHelper.createTestSession(user);
+      const other = await TestHelper.createTestSession(user);
+
+      const response = await request(app)
+        .delete("/api/auth/sessions?keepCurrent=true")
+        .set("Authorization", `Bearer ${current.token}`)
+        .expect(200);
+
+      expect(response.body.data.revoked).toBe(1);
+
+      await request(app)
+        .get("/api/auth/profile")
+        .set("Authorization", `Bearer ${current.token}`)
+        .expect(200);
+      await request(app)
+        .get("/api/auth/profile")
+        .set("Authorization", `Bearer ${other.token}`)
+        .expect(401);
+    });
+  });
+});
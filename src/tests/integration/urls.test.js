@@ -1,6 +1,11 @@
+import http from "http";
 import request from "supertest";
 import app from "../../server.js";
 import { TestHelper } from "../helpers/testHelpers.js";
+import URL_MODEL from "../../models/URL.js";
+import ImportJob from "../../models/ImportJob.js";
+import jobService from "../../services/jobService.js";
+import { registerJobHandlers } from "../../worker.js";
 
 describe("URL Routes", () => {
   let testUser, authToken;
@@ -69,6 +74,185 @@ describe("URL Routes", () => {
       expect(response.body.success).toBe(true);
       expect(response.body.data.url.userId).toBeNull();
     });
+
+    it("should block destinations flagged as malicious", async () => {
+      const response = await request(app)
+        .post("/api/urls")
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({ originalUrl: "https://login.malware.test/account" })
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.errors.reasons[0]).toMatchObject({
+        source: "provider",
+        rule: "fake-listing",
+      });
+    });
+
+    it("should block destinations hiding a javascript: target", async () => {
+      const response = await request(app)
+        .post("/api/urls")
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({
+          originalUrl:
+            "https://example.com/out?next=javascript%253Aalert(document.cookie)",
+        })
+        .expect(400);
+
+      expect(response.body.errors.reasons[0].rule).toBe("hidden-script-scheme");
+    });
+
+    it("should store the screening result on suspicious links", async () => {
+      const response = await request(app)
+        .post("/api/urls")
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({ originalUrl: "https://suspicious.test/offer" })
+        .expect(201);
+
+      const { safety } = response.body.data.url;
+      expect(safety.verdict).toBe("suspicious");
+      expect(safety.provider).toBe("fake");
+      expect(safety.checkedAt).toBeDefined();
+    });
+
+    it("should create URL with normalized geo restrictions", async () => {
+      const response = await request(app)
+        .post("/api/urls")
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({
+          originalUrl: "https://example.org/store",
+          geoRestrictions: {
+            blockedCountries: ["ru", "RU"],
+            countryRedirects: [{ country: "de", url: "https://example.de" }],
+          },
+        })
+        .expect(201);
+
+      const { geoRestrictions } = response.body.data.url;
+      expect(geoRestrictions.blockedCountries).toEqual(["RU"]);
+      expect(geoRestrictions.countryRedirects[0].country).toBe("DE");
+    });
+
+    it("should create URL with an interstitial redirect mode", async () => {
+      const response = await request(app)
+        .post("/api/urls")
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({
+          originalUrl: "https://example.org/landing",
+          redirectMode: "interstitial",
+          interstitialCountdown: 5,
+        })
+        .expect(201);
+
+      expect(response.body.data.url.redirectMode).toBe("interstitial");
+      expect(response.body.data.url.interstitialCountdown).toBe(5);
+    });
+
+    it("should reject unknown redirect modes and long countdowns", async () => {
+      const response = await request(app)
+        .post("/api/urls")
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({
+          originalUrl: "https://example.org/landing",
+          redirectMode: "popup",
+          interstitialCountdown: 120,
+        })
+        .expect(400);
+
+      expect(response.body.errors.map((error) => error.field)).toContain(
+        "redirectMode"
+      );
+    });
+
+    it("should create URL with a redirect type and query forwarding", async () => {
+      const response = await request(app)
+        .post("/api/urls")
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({
+          originalUrl: "https://example.org/docs",
+          redirectType: 308,
+          forwardQuery: { mode: "allowlist", keys: ["ref", "lang"] },
+        })
+        .expect(201);
+
+      expect(response.body.data.url.redirectType).toBe("308");
+      expect(response.body.data.url.forwardQuery).toEqual({
+        mode: "allowlist",
+        keys: ["ref", "lang"],
+      });
+    });
+
+    it("should require keys when forwarding an allowlist", async () => {
+      const response = await request(app)
+        .post("/api/urls")
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({
+          originalUrl: "https://example.org/docs",
+          forwardQuery: { mode: "allowlist" },
+        })
+        .expect(400);
+
+      expect(response.body.errors[0].field).toBe("forwardQuery.keys");
+    });
+
+    it("should create a wildcard URL with a destination template", async () => {
+      const response = await request(app)
+        .post("/api/urls")
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({
+          originalUrl: "https://example.org/docs",
+          wildcard: true,
+          destinationTemplate: "https://example.org/docs/{path}?v={version|2}",
+        })
+        .expect(201);
+
+      expect(response.body.data.url.wildcard).toBe(true);
+      expect(response.body.data.url.destinationTemplate).toBe(
+        "https://example.org/docs/{path}?v={version|2}"
+      );
+    });
+
+    it("should reject templates that put placeholders in the host", async () => {
+      const response = await request(app)
+        .post("/api/urls")
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({
+          originalUrl: "https://example.org",
+          destinationTemplate: "https://{site}/landing",
+        })
+        .expect(400);
+
+      expect(response.body.errors[0].message).toBe(
+        "Placeholders are not allowed in the destination host"
+      );
+    });
+
+    it("should create a password-protected URL", async () => {
+      const response = await request(app)
+        .post("/api/urls")
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({
+          originalUrl: "https://example.org/private",
+          password: "opensesame",
+        })
+        .expect(201);
+
+      expect(response.body.data.url.isPasswordProtected).toBe(true);
+      expect(response.body.data.url.password).toBeUndefined();
+    });
+
+    it("should reject invalid country codes", async () => {
+      const response = await request(app)
+        .post("/api/urls")
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({
+          originalUrl: "https://example.org",
+          geoRestrictions: { allowedCountries: ["Germany"] },
+        })
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+    });
   });
 
   describe("GET /api/urls", () => {
@@ -214,6 +398,38 @@ describe("URL Routes", () => {
 
       expect(response.body.success).toBe(false);
     });
+
+    it("should replace device routing rules", async () => {
+      await request(app)
+        .put(`/api/urls/${testUrl._id}`)
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({
+          routingRules: [
+            {
+              name: "ios",
+              match: { os: "iOS" },
+              destination: "https://apps.apple.com/app/id123456789",
+            },
+          ],
+        })
+        .expect(200);
+
+      const updated = await URL_MODEL.findById(testUrl._id);
+      expect(updated.routingRules).toHaveLength(1);
+      expect(updated.routingRules[0].match.os).toBe("iOS");
+    });
+
+    it("should reject routing rules without match conditions", async () => {
+      const response = await request(app)
+        .put(`/api/urls/${testUrl._id}`)
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({
+          routingRules: [{ match: {}, destination: "https://example.com" }],
+        })
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+    });
   });
 
   describe("DELETE /api/urls/:id", () => {
@@ -327,6 +543,40 @@ describe("URL Routes", () => {
     });
   });
 
+  describe("GET /api/urls/broken", () => {
+    it("should list only the user's broken links", async () => {
+      await TestHelper.createTestUrl(testUser._id, {
+        shortCode: "broken1",
+        health: { status: "broken", consecutiveFailures: 3 },
+      });
+      await TestHelper.createTestUrl(testUser._id, {
+        shortCode: "healthy1",
+        health: { status: "healthy" },
+      });
+      const { user: otherUser } = await TestHelper.createTestUser({
+        email: "other@example.com",
+      });
+      await TestHelper.createTestUrl(otherUser._id, {
+        shortCode: "broken2",
+        health: { status: "broken" },
+      });
+
+      const response = await request(app)
+        .get("/api/urls/broken")
+        .set("Authorization", `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.data).toHaveLength(1);
+      expect(response.body.data[0].shortCode).toBe("broken1");
+      expect(response.body.data[0].health.consecutiveFailures).toBe(3);
+      expect(response.body.pagination.totalUrls).toBe(1);
+    });
+
+    it("should require authentication", async () => {
+      await request(app).get("/api/urls/broken").expect(401);
+    });
+  });
+
   describe("POST /api/urls/bulk", () => {
     it("should create multiple URLs successfully", async () => {
       const bulkData = {
@@ -497,5 +747,376 @@ describe("URL Routes", () => {
         expect(response.headers["content-type"]).toContain("text/csv");
       }
     });
+
+    it("should stream RFC 4180 CSV with the selected columns", async () => {
+      await TestHelper.createTestUrl(testUser._id, {
+        shortCode: "quoted",
+        title: 'Launch, "v2"',
+      });
+
+      const response = await request(app)
+        .get("/api/urls/export?format=csv&columns=shortCode,title")
+        .set("Authorization", `Bearer ${authToken}`)
+        .expect(200);
+
+      const lines = response.text.trim().split("\r\n");
+      expect(lines[0]).toBe("shortCode,title");
+      expect(lines).toHaveLength(5);
+      expect(lines).toContain('quoted,"Launch, ""v2"""');
+    });
+
+    it("should export NDJSON", async () => {
+      const response = await request(app)
+        .get("/api/urls/export?format=ndjson&columns=shortCode,clickCount")
+        .set("Authorization", `Bearer ${authToken}`)
+        .buffer(true)
+        .parse((res, callback) => {
+          let text = "";
+          res.on("data", (chunk) => (text += chunk));
+          res.on("end", () => callback(null, text));
+        })
+        .expect(200);
+
+      expect(response.headers["content-type"]).toContain(
+        "application/x-ndjson"
+      );
+
+      const rows = response.body.trim().split("\n").map(JSON.parse);
+      expect(rows).toHaveLength(3);
+      expect(Object.keys(rows[0])).toEqual(["shortCode", "clickCount"]);
+    });
+
+    it("should reject unknown formats and columns", async () => {
+      await request(app)
+        .get("/api/urls/export?format=xlsx")
+        .set("Authorization", `Bearer ${authToken}`)
+        .expect(400);
+
+      const response = await request(app)
+        .get("/api/urls/export?format=csv&columns=shortCode,password")
+        .set("Authorization", `Bearer ${authToken}`)
+        .expect(400);
+
+      expect(response.body.message).toContain("password");
+    });
+  });
+
+  describe("POST /api/urls/import", () => {
+    beforeAll(() => {
+      registerJobHandlers();
+    });
+
+    /**
+     * Runs queued jobs and polls an import job until it finishes
+     */
+    const waitForImport = async (jobId) => {
+      for (let attempt = 0; attempt < 50; attempt++) {
+        await jobService.drain();
+
+        const response = await request(app)
+          .get(`/api/urls/import/${jobId}`)
+          .set("Authorization", `Bearer ${authToken}`)
+          .expect(200);
+
+        if (["completed", "failed"].includes(response.body.data.job.status)) {
+          return response.body.data.job;
+        }
+        await new Promise((resolve) => setTimeout(resolve, 100));
+      }
+      throw new Error(`Import ${jobId} did not finish`);
+    };
+
+    const csv = [
+      "originalUrl,alias,title,tags,expiry",
+      "https://import-one.com,imported-one,One,a;b,2099-01-01",
+      "https://existing.com,,,,",
+      "https://import-two.com,taken-alias,,,",
+      "not-a-url,,,,",
+      "https://import-one.com,,,,",
+    ].join("\r\n");
+
+    beforeEach(async () => {
+      await TestHelper.createTestUrl(testUser._id, {
+        originalUrl: "https://existing.com",
+      });
+      await TestHelper.createTestUrl(testUser._id, {
+        originalUrl: "https://other.com",
+        customAlias: "taken-alias",
+      });
+    });
+
+    it("should import a CSV in the background and report every row", async () => {
+      const response = await request(app)
+        .post("/api/urls/import")
+        .set("Authorization", `Bearer ${authToken}`)
+        .set("Content-Type", "text/csv")
+        .send(csv)
+        .expect(202);
+
+      expect(response.body.data.job.totalRows).toBe(5);
+
+      const job = await waitForImport(response.body.data.job._id);
+      expect(job.status).toBe("completed");
+      expect(job.progress).toBe(100);
+      expect(job.counts).toMatchObject({
+        created: 1,
+        skippedDuplicate: 2,
+        aliasConflict: 1,
+        invalid: 1,
+      });
+
+      const created = await URL_MODEL.findOne({ customAlias: "imported-one" });
+      expect(created.title).toBe("One");
+      expect(created.tags).toEqual(["a", "b"]);
+      expect(created.expiresAt.toISOString()).toBe("2099-01-01T00:00:00.000Z");
+
+      const report = await request(app)
+        .get(`/api/urls/import/${job._id}/report?format=json`)
+        .set("Authorization", `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(report.body.map((row) => row.status)).toEqual([
+        "created",
+        "skipped-duplicate",
+        "alias-conflict",
+        "invalid",
+        "skipped-duplicate",
+      ]);
+      expect(report.body[0].shortUrl).toContain("imported-one");
+      expect(report.body[3].errors).toBeTruthy();
+    });
+
+    it("should only validate rows in a dry run", async () => {
+      const ndjson = [
+        JSON.stringify({ url: "https://dry-run.com", alias: "dry-run" }),
+        JSON.stringify({ url: "ftp://dry-run.com" }),
+      ].join("\n");
+
+      const response = await request(app)
+        .post("/api/urls/import?dryRun=true")
+        .set("Authorization", `Bearer ${authToken}`)
+        .set("Content-Type", "application/x-ndjson")
+        .send(ndjson)
+        .expect(202);
+
+      const job = await waitForImport(response.body.data.job._id);
+      expect(job.dryRun).toBe(true);
+      expect(job.counts).toMatchObject({ valid: 1, invalid: 1, created: 0 });
+      expect(await URL_MODEL.exists({ customAlias: "dry-run" })).toBeNull();
+
+      const report = await request(app)
+        .get(`/api/urls/import/${job._id}/report`)
+        .set("Authorization", `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(report.headers["content-type"]).toContain("text/csv");
+      expect(report.text.split("\r\n")[0]).toBe(
+        "row,status,originalUrl,alias,shortUrl,errors"
+      );
+    });
+
+    it("should never store row passwords in plain text", async () => {
+      const response = await request(app)
+        .post("/api/urls/import")
+        .set("Authorization", `Bearer ${authToken}`)
+        .set("Content-Type", "text/csv")
+        .send(
+          [
+            "url,alias,password",
+            "https://locked-import.com,locked-import,opensesame",
+            "https://short-password.com,,abc",
+          ].join("\n")
+        )
+        .expect(202);
+
+      const stored = await ImportJob.findById(
+        response.body.data.job._id
+      ).select("+rows");
+      expect(JSON.stringify(stored.rows)).not.toContain("opensesame");
+      expect(stored.rows[0].passwordHash).toMatch(/^\$2[aby]\$/);
+
+      const job = await waitForImport(response.body.data.job._id);
+      expect(job.counts).toMatchObject({ created: 1, invalid: 1 });
+
+      const created = await URL_MODEL.findOne({
+        customAlias: "locked-import",
+      }).select("+password");
+      expect(created.isPasswordProtected).toBe(true);
+      expect(await created.matchPassword("opensesame")).toBe(true);
+    });
+
+    it("should reject missing or unparseable files", async () => {
+      await request(app)
+        .post("/api/urls/import")
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({ originalUrl: "https://example.com" })
+        .expect(400);
+
+      const response = await request(app)
+        .post("/api/urls/import")
+        .set("Authorization", `Bearer ${authToken}`)
+        .set("Content-Type", "text/csv")
+        .send("title,tags\nNo URL,a")
+        .expect(400);
+
+      expect(response.body.message).toContain("originalUrl");
+    });
+
+    it("should not expose other users' imports", async () => {
+      const response = await request(app)
+        .post("/api/urls/import")
+        .set("Authorization", `Bearer ${authToken}`)
+        .set("Content-Type", "text/csv")
+        .send("url\nhttps://private-import.com")
+        .expect(202);
+
+      const other = await TestHelper.createTestUser({
+        email: "other@example.com",
+      });
+      const otherResponse = await request(app)
+        .get(`/api/urls/import/${response.body.data.job._id}`)
+        .set("Authorization", `Bearer ${other.token}`);
+
+      expect(otherResponse.status).not.toBe(200);
+      await waitForImport(response.body.data.job._id);
+    });
+  });
+
+  describe("POST /api/urls/:id/refresh-metadata", () => {
+    let server, baseUrl;
+
+    beforeAll(async () => {
+      server = http.createServer((req, res) => {
+        res.writeHead(200, { "Content-Type": "text/html" });
+        res.end(`<head><title>Fixture page</title>
+          <meta name="description" content="Served locally">
+          <meta property="og:image" content="/card.png"></head>`);
+      });
+      await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterAll(async () => {
+      await new Promise((resolve) => server.close(resolve));
+    });
+
+    it("should fetch and store the destination's metadata", async () => {
+      const url = await TestHelper.createTestUrl(testUser._id, {
+        originalUrl: `${baseUrl}/page`,
+      });
+
+      const response = await request(app)
+        .post(`/api/urls/${url._id}/refresh-metadata`)
+        .set("Authorization", `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.data.metadata).toMatchObject({
+        pageTitle: "Fixture page",
+        pageDescription: "Served locally",
+        image: `${baseUrl}/card.png`,
+        favicon: `${baseUrl}/favicon.ico`,
+        httpStatus: 200,
+      });
+
+      const stored = await URL_MODEL.findById(url._id);
+      expect(stored.metadata.pageTitle).toBe("Fixture page");
+      expect(stored.metadata.lastChecked).toBeInstanceOf(Date);
+    });
+
+    it("should not refresh other users' links", async () => {
+      const other = await TestHelper.createTestUser({
+        email: "other@example.com",
+      });
+      const url = await TestHelper.createTestUrl(other.user._id, {
+        originalUrl: `${baseUrl}/page`,
+      });
+
+      const response = await request(app)
+        .post(`/api/urls/${url._id}/refresh-metadata`)
+        .set("Authorization", `Bearer ${authToken}`);
+
+      expect(response.status).not.toBe(200);
+      expect((await URL_MODEL.findById(url._id)).metadata.pageTitle).toBe(
+        undefined
+      );
+    });
+  });
+
+  describe("A/B variants /api/urls/:id/variants", () => {
+    let testUrl;
+
+    beforeEach(async () => {
+      testUrl = await TestHelper.createTestUrl(testUser._id);
+    });
+
+    it("should add a variant", async () => {
+      const response = await request(app)
+        .post(`/api/urls/${testUrl._id}/variants`)
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({ name: "landing-b", url: "https://example.com/b", weight: 30 })
+        .expect(201);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.variant.name).toBe("landing-b");
+      expect(response.body.data.variant.weight).toBe(30);
+      expect(response.body.data.variant.clicks).toBe(0);
+    });
+
+    it("should validate variant data", async () => {
+      const response = await request(app)
+        .post(`/api/urls/${testUrl._id}/variants`)
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({ name: "bad", url: "not-a-url", weight: 150 })
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+    });
+
+    it("should list, update and delete variants", async () => {
+      const created = await request(app)
+        .post(`/api/urls/${testUrl._id}/variants`)
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({ name: "a", url: "https://example.com/a" })
+        .expect(201);
+      const variantId = created.body.data.variant._id;
+
+      const list = await request(app)
+        .get(`/api/urls/${testUrl._id}/variants`)
+        .set("Authorization", `Bearer ${authToken}`)
+        .expect(200);
+      expect(list.body.data.variants).toHaveLength(1);
+
+      const updated = await request(app)
+        .put(`/api/urls/${testUrl._id}/variants/${variantId}`)
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({ weight: 0 })
+        .expect(200);
+      expect(updated.body.data.variant.weight).toBe(0);
+
+      await request(app)
+        .delete(`/api/urls/${testUrl._id}/variants/${variantId}`)
+        .set("Authorization", `Bearer ${authToken}`)
+        .expect(200);
+
+      const after = await request(app)
+        .get(`/api/urls/${testUrl._id}/variants`)
+        .set("Authorization", `Bearer ${authToken}`)
+        .expect(200);
+      expect(after.body.data.variants).toHaveLength(0);
+    });
+
+    it("should not allow managing other user variants", async () => {
+      const otherUser = await TestHelper.createTestUser({
+        email: "other@example.com",
+      });
+      const otherUrl = await TestHelper.createTestUrl(otherUser.user._id);
+
+      const response = await request(app)
+        .post(`/api/urls/${otherUrl._id}/variants`)
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({ name: "a", url: "https://example.com/a" });
+
+      expect(response.body.success).toBe(false);
+    });
   });
 });
@@ -0,0 +1,179 @@
+import request from "supertest";
+import app from "../../server.js";
+import WebhookDelivery from "../../models/WebhookDelivery.js";
+import { TestHelper } from "../helpers/testHelpers.js";
+
+/**
+ * Waits for fire-and-forget deliveries to be attempted
+ */
+const waitForDeliveries = async (query, count = 1) => {
+  for (let i = 0; i < 50; i++) {
+    const deliveries = await WebhookDelivery.find({
+      ...query,
+      attempts: { $gte: 1 },
+    });
+    if (deliveries.length >= count) {
+      return deliveries;
+    }
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+
+  throw new Error("Timed out waiting for webhook deliveries");
+};
+
+describe("Webhook Routes", () => {
+  let testUser, authToken, fetchMock;
+
+  beforeEach(async () => {
+    const userData = await TestHelper.createTestUser();
+    testUser = userData.user;
+    authToken = userData.token;
+    fetchMock = jest
+      .spyOn(globalThis, "fetch")
+      .mockImplementation(async () => new Response("ok", { status: 200 }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe("POST /api/webhooks", () => {
+    it("should create a webhook and return its secret once", async () => {
+      const response = await request(app)
+        .post("/api/webhooks")
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({
+          url: "https://hooks.example.com/snapurl",
+          events: ["url.created", "click.milestone"],
+          milestoneEvery: 1000,
+        })
+        .expect(201);
+
+      const { webhook, secret } = response.body.data;
+      expect(secret).toMatch(/^whsec_/);
+      expect(webhook.secret).toBeUndefined();
+      expect(webhook.milestoneEvery).toBe(1000);
+
+      const list = await request(app)
+        .get("/api/webhooks")
+        .set("Authorization", `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(list.body.data.webhooks).toHaveLength(1);
+      expect(list.body.data.webhooks[0].secret).toBeUndefined();
+    });
+
+    it("should reject unknown events and non-http URLs", async () => {
+      const response = await request(app)
+        .post("/api/webhooks")
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({ url: "ftp://hooks.example.com", events: ["url.renamed"] })
+        .expect(400);
+
+      const fields = response.body.errors.map((error) => error.field);
+      expect(fields).toEqual(expect.arrayContaining(["url", "events.0"]));
+    });
+
+    it("should not be available to API keys", async () => {
+      const { apiKey } = await TestHelper.createTestApiKey(testUser._id);
+
+      await request(app)
+        .get("/api/webhooks")
+        .set("X-API-Key", apiKey)
+        .expect(403);
+    });
+  });
+
+  describe("Events", () => {
+    it("should deliver url.created and url.deleted", async () => {
+      await TestHelper.createTestWebhook(testUser._id, {
+        events: ["url.created", "url.deleted"],
+      });
+
+      const created = await request(app)
+        .post("/api/urls")
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({ originalUrl: "https://example.com/launch" })
+        .expect(201);
+      const urlId = created.body.data.url._id;
+
+      const [createdDelivery] = await waitForDeliveries({
+        event: "url.created",
+      });
+      expect(createdDelivery.payload.data.url.id).toBe(urlId);
+
+      await request(app)
+        .delete(`/api/urls/${urlId}`)
+        .set("Authorization", `Bearer ${authToken}`)
+        .expect(200);
+
+      const [deletedDelivery] = await waitForDeliveries({
+        event: "url.deleted",
+      });
+      expect(deletedDelivery.status).toBe("succeeded");
+      expect(fetchMock).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe("Delivery log", () => {
+    it("should list and redeliver deliveries", async () => {
+      fetchMock.mockImplementationOnce(
+        async () => new Response("down", { status: 502 })
+      );
+      const { webhook } = await TestHelper.createTestWebhook(testUser._id);
+
+      await request(app)
+        .post("/api/urls")
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({ originalUrl: "https://example.com/retry" })
+        .expect(201);
+      const [failed] = await waitForDeliveries({ webhookId: webhook._id });
+
+      const log = await request(app)
+        .get(`/api/webhooks/${webhook._id}/deliveries`)
+        .set("Authorization", `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(log.body.data.deliveries).toHaveLength(1);
+      expect(log.body.data.deliveries[0].responseStatus).toBe(502);
+
+      const redelivered = await request(app)
+        .post(`/api/webhooks/${webhook._id}/deliveries/${failed._id}/redeliver`)
+        .set("Authorization", `Bearer ${authToken}`)
+        .expect(200);
+
+      const { delivery } = redelivered.body.data;
+      expect(delivery.status).toBe("succeeded");
+      expect(delivery._id).not.toBe(String(failed._id));
+      expect(delivery.payload.data).toEqual(failed.payload.data);
+    });
+
+    it("should rotate the secret", async () => {
+      const { webhook, secret } = await TestHelper.createTestWebhook(
+        testUser._id
+      );
+
+      const response = await request(app)
+        .post(`/api/webhooks/${webhook._id}/rotate-secret`)
+        .set("Authorization", `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.data.secret).toMatch(/^whsec_/);
+      expect(response.body.data.secret).not.toBe(secret);
+    });
+
+    it("should hide other users' webhooks", async () => {
+      const { user: otherUser } = await TestHelper.createTestUser({
+        email: "other@example.com",
+      });
+      const { webhook } = await TestHelper.createTestWebhook(otherUser._id);
+
+      const response = await request(app)
+        .get(`/api/webhooks/${webhook._id}/deliveries`)
+        .set("Authorization", `Bearer ${authToken}`);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.message).toContain("Webhook not found");
+    });
+  });
+});
@@ -0,0 +1,305 @@
+import request from "supertest";
+import app from "../../server.js";
+import { TestHelper } from "../helpers/testHelpers.js";
+import URL_MODEL from "../../models/URL.js";
+import Workspace from "../../models/Workspace.js";
+
+describe("Workspace Routes", () => {
+  let owner, ownerToken, editor, editorToken, viewer, viewerToken;
+  let outsiderToken, workspace;
+
+  beforeEach(async () => {
+    ({ user: owner, token: ownerToken } = await TestHelper.createTestUser({
+      email: "owner@example.com",
+    }));
+    ({ user: editor, token: editorToken } = await TestHelper.createTestUser({
+      email: "editor@example.com",
+    }));
+    ({ user: viewer, token: viewerToken } = await TestHelper.createTestUser({
+      email: "viewer@example.com",
+    }));
+    ({ token: outsiderToken } = await TestHelper.createTestUser({
+      email: "outsider@example.com",
+    }));
+
+    workspace = await TestHelper.createTestWorkspace(owner._id, {
+      members: [
+        { userId: editor._id, role: "editor" },
+        { userId: viewer._id, role: "viewer" },
+      ],
+    });
+  });
+
+  describe("POST /api/workspaces", () => {
+    it("should create a workspace with the creator as owner", async () => {
+      const response = await request(app)
+        .post("/api/workspaces")
+        .set("Authorization", `Bearer ${outsiderToken}`)
+        .send({ name: "Growth" })
+        .expect(201);
+
+      const { workspace: created } = response.body.data;
+      expect(created.name).toBe("Growth");
+      expect(created.members).toHaveLength(1);
+      expect(created.members[0].role).toBe("owner");
+    });
+
+    it("should list workspaces with the caller's role", async () => {
+      const response = await request(app)
+        .get("/api/workspaces")
+        .set("Authorization", `Bearer ${viewerToken}`)
+        .expect(200);
+
+      expect(response.body.data.workspaces).toHaveLength(1);
+      expect(response.body.data.workspaces[0].role).toBe("viewer");
+    });
+  });
+
+  describe("GET /api/workspaces/:id", () => {
+    it("should hide workspaces from non-members", async () => {
+      await request(app)
+        .get(`/api/workspaces/${workspace._id}`)
+        .set("Authorization", `Bearer ${outsiderToken}`)
+        .expect(404);
+    });
+
+    it("should only let owners rename the workspace", async () => {
+      await request(app)
+        .put(`/api/workspaces/${workspace._id}`)
+        .set("Authorization", `Bearer ${editorToken}`)
+        .send({ name: "Renamed" })
+        .expect(403);
+
+      await request(app)
+        .put(`/api/workspaces/${workspace._id}`)
+        .set("Authorization", `Bearer ${ownerToken}`)
+        .send({ name: "Renamed" })
+        .expect(200);
+    });
+  });
+
+  describe("Invitations", () => {
+    it("should add the invitee with the invited role", async () => {
+      const { user: invitee, token: inviteeToken } =
+        await TestHelper.createTestUser({ email: "new@example.com" });
+
+      const invite = await request(app)
+        .post(`/api/workspaces/${workspace._id}/invitations`)
+        .set("Authorization", `Bearer ${ownerToken}`)
+        .send({ email: "New@Example.com", role: "editor" })
+        .expect(201);
+
+      expect(invite.body.data.invitation.tokenHash).toBeUndefined();
+
+      const response = await request(app)
+        .post("/api/workspaces/invitations/accept")
+        .set("Authorization", `Bearer ${inviteeToken}`)
+        .send({ token: invite.body.data.token })
+        .expect(200);
+
+      expect(response.body.data.role).toBe("editor");
+
+      const updated = await Workspace.findById(workspace._id);
+      expect(updated.memberRole(invitee._id)).toBe("editor");
+    });
+
+    it("should reject invitations accepted by another account", async () => {
+      const invite = await request(app)
+        .post(`/api/workspaces/${workspace._id}/invitations`)
+        .set("Authorization", `Bearer ${ownerToken}`)
+        .send({ email: "someone@example.com" });
+
+      const response = await request(app)
+        .post("/api/workspaces/invitations/accept")
+        .set("Authorization", `Bearer ${outsiderToken}`)
+        .send({ token: invite.body.data.token });
+
+      expect(response.body.success).toBe(false);
+    });
+
+    it("should not let editors invite members", async () => {
+      await request(app)
+        .post(`/api/workspaces/${workspace._id}/invitations`)
+        .set("Authorization", `Bearer ${editorToken}`)
+        .send({ email: "someone@example.com" })
+        .expect(403);
+    });
+
+    it("should not allow inviting owners", async () => {
+      await request(app)
+        .post(`/api/workspaces/${workspace._id}/invitations`)
+        .set("Authorization", `Bearer ${ownerToken}`)
+        .send({ email: "someone@example.com", role: "owner" })
+        .expect(400);
+    });
+  });
+
+  describe("Members", () => {
+    it("should keep at least one owner", async () => {
+      const response = await request(app)
+        .delete(`/api/workspaces/${workspace._id}/members/${owner._id}`)
+        .set("Authorization", `Bearer ${ownerToken}`);
+
+      expect(response.body.success).toBe(false);
+      const updated = await Workspace.findById(workspace._id);
+      expect(updated.memberRole(owner._id)).toBe("owner");
+    });
+
+    it("should let members leave but not remove others", async () => {
+      await request(app)
+        .delete(`/api/workspaces/${workspace._id}/members/${editor._id}`)
+        .set("Authorization", `Bearer ${viewerToken}`)
+        .expect(403);
+
+      await request(app)
+        .delete(`/api/workspaces/${workspace._id}/members/${viewer._id}`)
+        .set("Authorization", `Bearer ${viewerToken}`)
+        .expect(200);
+    });
+  });
+
+  describe("Shared links", () => {
+    let sharedUrl;
+
+    beforeEach(async () => {
+      sharedUrl = await TestHelper.createTestUrl(editor._id, {
+        workspaceId: workspace._id,
+        title: "Shared",
+      });
+    });
+
+    it("should create links in a workspace for editors", async () => {
+      const response = await request(app)
+        .post("/api/urls")
+        .set("Authorization", `Bearer ${editorToken}`)
+        .send({
+          originalUrl: "https://example.com/team",
+          workspaceId: workspace._id.toString(),
+        })
+        .expect(201);
+
+      expect(response.body.data.url.workspaceId).toBe(workspace._id.toString());
+    });
+
+    it("should not let viewers create workspace links", async () => {
+      const response = await request(app)
+        .post("/api/urls")
+        .set("Authorization", `Bearer ${viewerToken}`)
+        .send({
+          originalUrl: "https://example.com/team",
+          workspaceId: workspace._id.toString(),
+        });
+
+      expect(response.body.success).toBe(false);
+    });
+
+    it("should list workspace links for every member", async () => {
+      const response = await request(app)
+        .get(`/api/urls?workspaceId=${workspace._id}`)
+        .set("Authorization", `Bearer ${viewerToken}`)
+        .expect(200);
+
+      expect(response.body.data).toHaveLength(1);
+      expect(response.body.data[0].title).toBe("Shared");
+    });
+
+    it("should keep workspace links out of personal listings", async () => {
+      const response = await request(app)
+        .get("/api/urls")
+        .set("Authorization", `Bearer ${editorToken}`)
+        .expect(200);
+
+      expect(response.body.data).toHaveLength(0);
+    });
+
+    it("should reject workspace listings for non-members", async () => {
+      await request(app)
+        .get(`/api/urls?workspaceId=${workspace._id}`)
+        .set("Authorization", `Bearer ${outsiderToken}`)
+        .expect(404);
+    });
+
+    it("should let owners edit links created by other members", async () => {
+      await request(app)
+        .put(`/api/urls/${sharedUrl._id}`)
+        .set("Authorization", `Bearer ${ownerToken}`)
+        .send({ title: "Edited by owner" });
+
+      const updated = await URL_MODEL.findById(sharedUrl._id);
+      expect(updated.title).toBe("Edited by owner");
+    });
+
+    it("should not let editors move links out of the workspace", async () => {
+      const ownWorkspace = await TestHelper.createTestWorkspace(editor._id);
+
+      for (const workspaceId of [null, ownWorkspace._id.toString()]) {
+        await request(app)
+          .put(`/api/urls/${sharedUrl._id}`)
+          .set("Authorization", `Bearer ${editorToken}`)
+          .send({ workspaceId })
+          .expect(403);
+      }
+
+      const unchanged = await URL_MODEL.findById(sharedUrl._id);
+      expect(unchanged.workspaceId.toString()).toBe(workspace._id.toString());
+    });
+
+    it("should let owners move links out, keeping their creator", async () => {
+      await request(app)
+        .put(`/api/urls/${sharedUrl._id}`)
+        .set("Authorization", `Bearer ${ownerToken}`)
+        .send({ workspaceId: null })
+        .expect(200);
+
+      const moved = await URL_MODEL.findById(sharedUrl._id);
+      expect(moved.workspaceId).toBeNull();
+      expect(moved.userId.toString()).toBe(editor._id.toString());
+    });
+
+    it("should not let viewers edit links", async () => {
+      const response = await request(app)
+        .put(`/api/urls/${sharedUrl._id}`)
+        .set("Authorization", `Bearer ${viewerToken}`)
+        .send({ title: "Edited by viewer" });
+
+      expect(response.body.success).toBe(false);
+      const unchanged = await URL_MODEL.findById(sharedUrl._id);
+      expect(unchanged.title).toBe("Shared");
+    });
+
+    it("should share link analytics with viewers only", async () => {
+      await request(app)
+        .get(`/api/analytics/url/${sharedUrl._id}`)
+        .set("Authorization", `Bearer ${viewerToken}`)
+        .expect(200);
+
+      await request(app)
+        .get(`/api/analytics/url/${sharedUrl._id}`)
+        .set("Authorization", `Bearer ${outsiderToken}`)
+        .expect(403);
+    });
+
+    it("should scope the dashboard to the workspace", async () => {
+      await TestHelper.createTestClick(sharedUrl._id);
+
+      const response = await request(app)
+        .get(`/api/analytics/dashboard?workspaceId=${workspace._id}`)
+        .set("Authorization", `Bearer ${viewerToken}`)
+        .expect(200);
+
+      expect(response.body.data.workspaceId).toBe(workspace._id.toString());
+      expect(response.body.data.topUrls).toHaveLength(1);
+    });
+
+    it("should return links to their creators when the workspace is deleted", async () => {
+      await request(app)
+        .delete(`/api/workspaces/${workspace._id}`)
+        .set("Authorization", `Bearer ${ownerToken}`)
+        .expect(200);
+
+      const released = await URL_MODEL.findById(sharedUrl._id);
+      expect(released.workspaceId).toBeNull();
+      expect(released.userId.toString()).toBe(editor._id.toString());
+    });
+  });
+});
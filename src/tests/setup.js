@@ -1,8 +1,18 @@
 import { MongoMemoryServer } from "mongodb-memory-server";
 import mongoose from "mongoose";
+import fs from "fs";
+import os from "os";
+import path from "path";
 
 let mongoServer;
 
+// Emails go to a per-worker file outbox (see TestHelper.getSentEmails)
+process.env.MAIL_DRIVER = "file";
+process.env.MAIL_OUTBOX_DIR = path.join(
+  os.tmpdir(),
+  `snapurl-outbox-${process.env.JEST_WORKER_ID || 1}`
+);
+
 beforeAll(async () => {
   if (mongoose.connection.readyState !== 0) {
     await mongoose.disconnect();
@@ -29,4 +39,6 @@ afterEach(async () => {
       await collections[key].deleteMany({});
     }
   }
+
+  fs.rmSync(process.env.MAIL_OUTBOX_DIR, { recursive: true, force: true });
 });
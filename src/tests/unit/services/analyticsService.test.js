@@ -1,7 +1,12 @@
 import analyticsService from "../../../services/analyticsService.js";
+import rollupService from "../../../services/rollupService.js";
 import { TestHelper } from "../../helpers/testHelpers.js";
 import URL from "../../../models/URL.js"; //
 import Click from "../../../models/Click.js";
+import AccessEvent from "../../../models/AccessEvent.js";
+import ClickRollup from "../../../models/ClickRollup.js";
+import User from "../../../models/User.js";
+import { config } from "../../../config/config.js";
 
 describe("AnalyticsService", () => {
   let testUser, testUrl;
@@ -43,6 +48,401 @@ describe("AnalyticsService", () => {
         "URL not found or inactive"
       );
     });
+
+    it("should count interstitial views and click-throughs separately", async () => {
+      await analyticsService.recordInterstitialView(testUrl._id);
+      await analyticsService.recordInterstitialView(testUrl._id);
+      const { click } = await analyticsService.recordClick({
+        urlId: testUrl._id,
+        ipAddress: "192.168.1.1",
+        viaInterstitial: true,
+      });
+      await analyticsService.recordClick({
+        urlId: testUrl._id,
+        ipAddress: "192.168.1.2",
+      });
+
+      expect(click.viaInterstitial).toBe(true);
+
+      const result = await analyticsService.getUrlAnalytics(testUrl._id);
+      expect(result.overview.totalClicks).toBe(2);
+      expect(result.overview.interstitialClicks).toBe(1);
+      expect(result.interstitial).toEqual({
+        redirectMode: "direct",
+        views: 2,
+        clickThroughs: 1,
+        clickThroughRate: 50,
+      });
+    });
+  });
+
+  describe("privacy mode", () => {
+    const { clickPrivacyMode, enableGeolocation } = config;
+
+    afterEach(() => {
+      config.clickPrivacyMode = clickPrivacyMode;
+      config.enableGeolocation = enableGeolocation;
+    });
+
+    it("should store only a visitor hash and still detect unique visitors", async () => {
+      config.clickPrivacyMode = "hash";
+      config.enableGeolocation = true;
+
+      const first = await analyticsService.recordClick({
+        urlId: testUrl._id,
+        ipAddress: "8.8.8.8",
+      });
+      const second = await analyticsService.recordClick({
+        urlId: testUrl._id,
+        ipAddress: "8.8.8.8",
+      });
+
+      expect(first.click.ipAddress).toBeNull();
+      expect(first.click.visitorKey).toMatch(/^v_[a-f0-9]{24}$/);
+      expect(first.click.location.country).toBe("US");
+      expect(first.analytics.isUnique).toBe(true);
+      expect(second.click.visitorKey).toBe(first.click.visitorKey);
+      expect(second.analytics.isUnique).toBe(false);
+
+      const result = await analyticsService.getUrlAnalytics(testUrl._id);
+      expect(result.overview.totalClicks).toBe(2);
+    });
+
+    it("should keep a truncated IP in truncate mode", async () => {
+      config.clickPrivacyMode = "truncate";
+
+      const { click } = await analyticsService.recordClick({
+        urlId: testUrl._id,
+        ipAddress: "203.0.113.7",
+      });
+
+      expect(click.ipAddress).toBe("203.0.113.0");
+      expect(click.visitorKey).toMatch(/^v_/);
+      expect(click.privacy.mode).toBe("truncate");
+    });
+
+    it("should record anonymous clicks for DNT and GPC visitors", async () => {
+      config.clickPrivacyMode = "hash";
+      config.enableGeolocation = true;
+
+      const { click, analytics } = await analyticsService.recordClick({
+        urlId: testUrl._id,
+        ipAddress: "8.8.8.8",
+        userAgent: "Mozilla/5.0 (Windows NT 10.0; Win64; x64) Chrome/120.0",
+        referrer: "https://news.example.com/story?id=42",
+        userId: testUser._id,
+        sessionId: "session-1",
+        doNotTrack: true,
+      });
+
+      expect(click.privacy.anonymous).toBe(true);
+      expect(click.ipAddress).toBeNull();
+      expect(click.visitorKey).toBeNull();
+      expect(click.userAgent).toBeUndefined();
+      expect(click.userId).toBeNull();
+      expect(click.sessionId).toBeNull();
+      expect(click.referrer).toBe("https://news.example.com");
+      expect(click.device.browser).toBe("Chrome");
+      expect(click.location.country).toBe("US");
+      expect(click.location.city).toBeUndefined();
+      expect(analytics.isUnique).toBe(false);
+    });
+
+    it("should apply the privacy mode to access events", async () => {
+      config.clickPrivacyMode = "truncate";
+
+      const event = await analyticsService.recordAccessEvent({
+        urlId: testUrl._id,
+        type: "geo_blocked",
+        ipAddress: "203.0.113.7",
+      });
+      const optedOut = await analyticsService.recordAccessEvent({
+        urlId: testUrl._id,
+        type: "unsafe_destination",
+        outcome: "warned",
+        ipAddress: "203.0.113.7",
+        userAgent: "Mozilla/5.0 Chrome/120.0",
+        referrer: "https://news.example.com/story?id=42",
+        doNotTrack: true,
+      });
+
+      expect(event.ipAddress).toBe("203.0.113.0");
+      expect(event.privacy.mode).toBe("truncate");
+      expect(optedOut.ipAddress).toBeNull();
+      expect(optedOut.userAgent).toBeNull();
+      expect(optedOut.referrer).toBe("https://news.example.com");
+      expect(optedOut.privacy.anonymous).toBe(true);
+    });
+
+    it("should ignore DNT when the privacy mode is off", async () => {
+      const { click } = await analyticsService.recordClick({
+        urlId: testUrl._id,
+        ipAddress: "203.0.113.7",
+        doNotTrack: true,
+      });
+
+      expect(click.ipAddress).toBe("203.0.113.7");
+      expect(click.privacy.anonymous).toBe(false);
+    });
+  });
+
+  describe("anonymiseClicks", () => {
+    it("should truncate and then hash stored IPs", async () => {
+      const clickedAt = new Date("2026-10-01T12:00:00Z");
+      const click = await TestHelper.createTestClick(testUrl._id, {
+        ipAddress: "203.0.113.7",
+        clickedAt,
+      });
+
+      const truncated = await analyticsService.anonymiseClicks({
+        mode: "truncate",
+      });
+      const afterTruncate = await Click.findById(click._id).lean();
+
+      expect(truncated).toEqual({
+        mode: "truncate",
+        anonymisedCount: 1,
+        anonymisedAccessEvents: 0,
+      });
+      expect(afterTruncate.ipAddress).toBe("203.0.113.0");
+      expect(afterTruncate.visitorKey).toMatch(/^v_/);
+      expect(afterTruncate.privacy.anonymisedAt).toBeInstanceOf(Date);
+
+      const hashed = await analyticsService.anonymiseClicks({ mode: "hash" });
+      const afterHash = await Click.findById(click._id).lean();
+
+      expect(hashed.anonymisedCount).toBe(1);
+      expect(afterHash.ipAddress).toBeNull();
+      expect(afterHash.visitorKey).toBe(afterTruncate.visitorKey);
+      expect(
+        (await analyticsService.anonymiseClicks({ mode: "hash" }))
+          .anonymisedCount
+      ).toBe(0);
+    });
+
+    it("should anonymise access events too", async () => {
+      const event = await analyticsService.recordAccessEvent({
+        urlId: testUrl._id,
+        type: "geo_blocked",
+        ipAddress: "203.0.113.7",
+      });
+      expect(event.ipAddress).toBe("203.0.113.7");
+
+      const truncated = await analyticsService.anonymiseClicks({
+        mode: "truncate",
+      });
+      expect(truncated.anonymisedAccessEvents).toBe(1);
+      expect((await AccessEvent.findById(event._id)).ipAddress).toBe(
+        "203.0.113.0"
+      );
+
+      const hashed = await analyticsService.anonymiseClicks({ mode: "hash" });
+      const afterHash = await AccessEvent.findById(event._id).lean();
+
+      expect(hashed.anonymisedAccessEvents).toBe(1);
+      expect(afterHash.ipAddress).toBeNull();
+      expect(afterHash.privacy).toMatchObject({ mode: "hash" });
+      expect(afterHash.privacy.anonymisedAt).toBeInstanceOf(Date);
+    });
+
+    it("should reject modes that keep raw IPs", async () => {
+      await expect(
+        analyticsService.anonymiseClicks({ mode: "off" })
+      ).rejects.toThrow('Privacy mode must be truncate or hash, got "off"');
+    });
+  });
+
+  describe("cleanupAnalyticsData", () => {
+    const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+    it("should keep each user's clicks for their preference capped by their plan", async () => {
+      // Free plan keeps 90 days even though the preference is 365
+      await TestHelper.createTestClick(testUrl._id, {
+        clickedAt: daysAgo(100),
+      });
+      await TestHelper.createTestClick(testUrl._id, { clickedAt: daysAgo(10) });
+
+      // Pro plan allows 365 days, but this user only wants 30
+      const { user: proUser } = await TestHelper.createTestUser({
+        email: "pro@example.com",
+        plan: "pro",
+        preferences: { analyticsRetention: 30 },
+      });
+      const proUrl = await TestHelper.createTestUrl(proUser._id);
+      await TestHelper.createTestClick(proUrl._id, { clickedAt: daysAgo(45) });
+      await TestHelper.createTestClick(proUrl._id, { clickedAt: daysAgo(20) });
+
+      const result = await analyticsService.cleanupAnalyticsData();
+
+      expect(result.deletedCount).toBe(2);
+      expect(await Click.countDocuments({ urlId: testUrl._id })).toBe(1);
+      expect(await Click.countDocuments({ urlId: proUrl._id })).toBe(1);
+
+      const report = Object.fromEntries(
+        result.users.map((entry) => [entry.email, entry])
+      );
+      expect(report["test@example.com"]).toMatchObject({
+        plan: "free",
+        retentionDays: 90,
+        clicks: 1,
+        foldedDays: 1,
+      });
+      expect(report["pro@example.com"]).toMatchObject({
+        plan: "pro",
+        retentionDays: 30,
+        clicks: 1,
+      });
+    });
+
+    it("should fold expiring clicks into daily rollups", async () => {
+      const day = daysAgo(120);
+      await TestHelper.createTestClick(testUrl._id, { clickedAt: day });
+      await TestHelper.createTestClick(testUrl._id, {
+        clickedAt: day,
+        isUnique: false,
+        userAgent: "Googlebot/2.1 (+http://www.google.com/bot.html)",
+      });
+
+      await analyticsService.cleanupAnalyticsData();
+
+      const rollups = await ClickRollup.find({ urlId: testUrl._id }).lean();
+      expect(rollups).toHaveLength(1);
+      expect(rollups[0]).toMatchObject({
+        clicks: 2,
+        uniqueClicks: 1,
+        botClicks: 1,
+      });
+      expect(rollups[0].userId.toString()).toBe(testUser._id.toString());
+      expect(rollups[0].date.toISOString()).toBe(
+        `${day.toISOString().slice(0, 10)}T00:00:00.000Z`
+      );
+    });
+
+    it("should only report in a dry run", async () => {
+      await User.findByIdAndUpdate(testUser._id, {
+        "preferences.analyticsRetention": 30,
+      });
+      await TestHelper.createTestClick(testUrl._id, { clickedAt: daysAgo(40) });
+
+      const result = await analyticsService.cleanupAnalyticsData({
+        dryRun: true,
+      });
+
+      expect(result.recordsToDelete).toBe(1);
+      expect(result.users[0].retentionDays).toBe(30);
+      expect(await Click.countDocuments()).toBe(1);
+      expect(await ClickRollup.countDocuments()).toBe(0);
+    });
+
+    it("should apply the global retention to links without an owner", async () => {
+      const anonymousUrl = await TestHelper.createTestUrl(null);
+      await TestHelper.createTestClick(anonymousUrl._id, {
+        clickedAt: daysAgo(40),
+      });
+
+      const result = await analyticsService.cleanupAnalyticsData({
+        retentionDays: 30,
+      });
+
+      expect(result.users).toEqual([
+        expect.objectContaining({ userId: null, retentionDays: 30, clicks: 1 }),
+      ]);
+    });
+
+    it("should apply the global retention to clicks of deleted links and owners", async () => {
+      const deletedUrl = await TestHelper.createTestUrl(testUser._id);
+      await TestHelper.createTestClick(deletedUrl._id, {
+        clickedAt: daysAgo(40),
+      });
+      await URL.findByIdAndDelete(deletedUrl._id);
+
+      const { user: formerUser } = await TestHelper.createTestUser({
+        email: "former@example.com",
+      });
+      const formerUrl = await TestHelper.createTestUrl(formerUser._id);
+      await TestHelper.createTestClick(formerUrl._id, {
+        clickedAt: daysAgo(40),
+      });
+      await TestHelper.createTestClick(formerUrl._id, {
+        clickedAt: daysAgo(10),
+      });
+      await User.findByIdAndDelete(formerUser._id);
+
+      const result = await analyticsService.cleanupAnalyticsData({
+        retentionDays: 30,
+        batchSize: 1,
+      });
+
+      expect(result.orphaned).toMatchObject({
+        retentionDays: 30,
+        links: 2,
+        clicks: 2,
+      });
+      expect(result.deletedCount).toBe(2);
+      expect(await Click.countDocuments({ urlId: deletedUrl._id })).toBe(0);
+      expect(await Click.countDocuments({ urlId: formerUrl._id })).toBe(1);
+    });
+  });
+
+  describe("analytics from rollups", () => {
+    const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+    beforeEach(async () => {
+      await TestHelper.createTestClick(testUrl._id, {
+        clickedAt: daysAgo(3),
+        referrer: "https://www.google.com/search?q=snapurl",
+      });
+      await TestHelper.createTestClick(testUrl._id, {
+        ipAddress: "192.168.1.1",
+      });
+    });
+
+    it("should read past days from rollups and today from raw clicks", async () => {
+      // The past click isn't rolled up yet
+      const before = await analyticsService.getUrlAnalytics(testUrl._id, {
+        includeRealTime: false,
+      });
+      expect(before.overview.totalClicks).toBe(1);
+
+      await rollupService.backfill();
+
+      const result = await analyticsService.getUrlAnalytics(testUrl._id, {
+        includeRealTime: false,
+      });
+      expect(result.overview).toMatchObject({
+        totalClicks: 2,
+        uniqueClicks: 2,
+      });
+      expect(result.traffic.clicksByDay).toHaveLength(2);
+      expect(result.traffic.byReferrer).toEqual([
+        expect.objectContaining({
+          domain: "www.google.com",
+          count: 1,
+          type: "search",
+        }),
+      ]);
+
+      // Including bots reads raw clicks only
+      const raw = await analyticsService.getUrlAnalytics(testUrl._id, {
+        includeRealTime: false,
+        excludeBots: false,
+      });
+      expect(raw.overview.totalClicks).toBe(2);
+    });
+
+    it("should combine rollups and raw clicks on dashboards", async () => {
+      await rollupService.backfill();
+
+      const dashboard = await analyticsService.getUserDashboard(testUser._id);
+      expect(dashboard.overview.totalClicks).toBe(2);
+      expect(dashboard.trends.map((day) => day.clicks)).toEqual([1, 1]);
+
+      const platform = await analyticsService.getPlatformAnalytics();
+      expect(platform.overview.clicks).toMatchObject({
+        totalClicks: 2,
+        uniqueUrls: 1,
+      });
+    });
   });
 
   describe("getUrlAnalytics", () => {
@@ -0,0 +1,160 @@
+import jobService from "../../../services/jobService.js";
+import Job from "../../../models/Job.js";
+
+describe("JobService", () => {
+  let handler;
+
+  beforeEach(() => {
+    handler = jest.fn(async (payload) => ({ echoed: payload.value }));
+    jobService.registerHandler("metadata.fetch", handler);
+  });
+
+  describe("enqueue and runNext", () => {
+    it("should run a due job and store its result", async () => {
+      const queued = await jobService.enqueue("metadata.fetch", { value: 1 });
+
+      const job = await jobService.runNext();
+
+      expect(String(job._id)).toBe(String(queued._id));
+      expect(job.status).toBe("completed");
+      expect(job.attempts).toBe(1);
+      expect(job.result).toEqual({ echoed: 1 });
+      expect(handler).toHaveBeenCalledWith({ value: 1 }, expect.anything());
+      expect(await jobService.runNext()).toBeNull();
+    });
+
+    it("should not run jobs before their runAt", async () => {
+      await jobService.enqueue(
+        "metadata.fetch",
+        {},
+        { runAt: new Date(Date.now() + 60000) }
+      );
+
+      expect(await jobService.runNext()).toBeNull();
+      expect(handler).not.toHaveBeenCalled();
+    });
+
+    it("should reject unknown job types", () => {
+      expect(() => jobService.registerHandler("nope", jest.fn())).toThrow(
+        "Unknown job type"
+      );
+    });
+  });
+
+  describe("retries", () => {
+    it("should retry failed jobs with backoff and dead-letter them", async () => {
+      handler.mockRejectedValue(new Error("destination timed out"));
+      const queued = await jobService.enqueue(
+        "metadata.fetch",
+        {},
+        { maxAttempts: 2 }
+      );
+
+      const retried = await jobService.runNext();
+      expect(retried.status).toBe("queued");
+      expect(retried.lastError).toBe("destination timed out");
+      expect(retried.runAt.getTime()).toBeGreaterThan(Date.now() + 20000);
+
+      await Job.updateOne({ _id: queued._id }, { runAt: new Date() });
+      const dead = await jobService.runNext();
+      expect(dead.status).toBe("dead");
+      expect(dead.attempts).toBe(2);
+
+      const requeued = await jobService.retryJob(queued._id);
+      expect(requeued.status).toBe("queued");
+      expect(requeued.attempts).toBe(0);
+    });
+
+    it("should only retry dead jobs", async () => {
+      const queued = await jobService.enqueue("metadata.fetch");
+
+      await expect(jobService.retryJob(queued._id)).rejects.toThrow(
+        "Dead job not found"
+      );
+    });
+
+    it("should reclaim jobs abandoned by a crashed worker", async () => {
+      await Job.create({
+        type: "metadata.fetch",
+        status: "running",
+        attempts: 1,
+        lockedAt: new Date(Date.now() - 60 * 60 * 1000),
+        lockedBy: "crashed-worker",
+      });
+
+      const job = await jobService.runNext();
+
+      expect(job.status).toBe("completed");
+      expect(job.attempts).toBe(2);
+    });
+  });
+
+  describe("locks", () => {
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    it("should keep refreshing the lock of a long-running job", async () => {
+      // Only the heartbeat interval is faked; the driver keeps real timers
+      jest.useFakeTimers({
+        doNotFake: [
+          "Date",
+          "nextTick",
+          "setImmediate",
+          "setTimeout",
+          "clearTimeout",
+          "queueMicrotask",
+          "hrtime",
+          "performance",
+        ],
+      });
+      const oneHourAgo = new Date(Date.now() - 60 * 60 * 1000);
+      let lockedAt;
+
+      handler.mockImplementation(async (payload, job) => {
+        await Job.updateOne({ _id: job._id }, { lockedAt: oneHourAgo });
+        jest.advanceTimersByTime(3 * 60 * 1000);
+        await new Promise((resolve) => setTimeout(resolve, 100));
+        ({ lockedAt } = await Job.findById(job._id).lean());
+        return null;
+      });
+
+      await jobService.enqueue("metadata.fetch");
+      const job = await jobService.runNext();
+
+      expect(job.status).toBe("completed");
+      expect(lockedAt.getTime()).toBeGreaterThan(oneHourAgo.getTime());
+    });
+  });
+
+  describe("schedule", () => {
+    it("should keep one re-queued document per recurring job", async () => {
+      await jobService.schedule("metadata.fetch", 60000, { value: 2 });
+      await jobService.schedule("metadata.fetch", 60000, { value: 2 });
+      expect(await Job.countDocuments({ type: "metadata.fetch" })).toBe(1);
+
+      const job = await jobService.runNext();
+
+      expect(job.status).toBe("queued");
+      expect(job.result).toEqual({ echoed: 2 });
+      expect(job.runAt.getTime()).toBeGreaterThan(Date.now() + 50000);
+      expect(await jobService.runNext()).toBeNull();
+    });
+  });
+
+  describe("getStats", () => {
+    it("should count jobs by type and status", async () => {
+      await jobService.enqueue("metadata.fetch");
+      await jobService.enqueue("qr.generate");
+      await Job.create({ type: "qr.generate", status: "dead" });
+
+      const stats = await jobService.getStats();
+
+      expect(stats.byType["metadata.fetch"].queued).toBe(1);
+      expect(stats.byType["qr.generate"]).toMatchObject({ queued: 1, dead: 1 });
+      expect(stats.totals.queued).toBe(2);
+      expect(stats.oldestDueAt).not.toBeNull();
+      expect(stats.worker.running).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,208 @@
+import linkHealthService from "../../../services/linkHealthService.js";
+import URL_MODEL, { HEALTH_HISTORY_LIMIT } from "../../../models/URL.js";
+import WebhookDelivery from "../../../models/WebhookDelivery.js";
+import { TestHelper } from "../../helpers/testHelpers.js";
+
+describe("LinkHealthService", () => {
+  let testUser, fetchMock;
+
+  const hoursAgo = (hours) => new Date(Date.now() - hours * 60 * 60 * 1000);
+
+  beforeEach(async () => {
+    const userData = await TestHelper.createTestUser();
+    testUser = userData.user;
+
+    // Destinations on dead.example.com fail; everything else (webhooks too) succeeds
+    fetchMock = jest.spyOn(globalThis, "fetch").mockImplementation(
+      async (target) =>
+        new Response(null, {
+          status: String(target).includes("dead.example.com") ? 404 : 200,
+        })
+    );
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe("checkUrl", () => {
+    it("should flag a link broken after consecutive failures", async () => {
+      await TestHelper.createTestWebhook(testUser._id, {
+        events: ["url.broken"],
+      });
+      let url = await TestHelper.createTestUrl(testUser._id, {
+        originalUrl: "https://dead.example.com/page",
+      });
+
+      for (let check = 1; check < 3; check++) {
+        const result = await linkHealthService.checkUrl(url);
+        url = result.url;
+        expect(result.transition).toBeNull();
+        expect(url.health.status).toBe("unknown");
+        expect(url.health.consecutiveFailures).toBe(check);
+      }
+
+      const { url: broken, transition } = await linkHealthService.checkUrl(url);
+
+      expect(transition).toBe("broken");
+      expect(broken.health.status).toBe("broken");
+      expect(broken.health.brokenSince).toBeInstanceOf(Date);
+      expect(broken.health.lastError).toBe("HTTP 404");
+      expect(broken.health.history).toHaveLength(3);
+      expect(broken.metadata.httpStatus).toBe(404);
+      expect(fetchMock).toHaveBeenCalledWith(
+        "https://dead.example.com/page",
+        expect.objectContaining({ method: "HEAD" })
+      );
+
+      const emails = await TestHelper.getSentEmails(testUser.email);
+      expect(emails).toHaveLength(1);
+      expect(emails[0].template).toBe("brokenLinkAlert");
+
+      const delivery = await WebhookDelivery.findOne({ event: "url.broken" });
+      expect(delivery.payload.data.health).toMatchObject({
+        status: "broken",
+        consecutiveFailures: 3,
+        httpStatus: 404,
+      });
+    });
+
+    it("should alert only once while the link stays broken", async () => {
+      const url = await TestHelper.createTestUrl(testUser._id, {
+        originalUrl: "https://dead.example.com/page",
+        health: {
+          status: "broken",
+          consecutiveFailures: 5,
+          brokenSince: hoursAgo(48),
+        },
+      });
+
+      const { url: checked, transition } =
+        await linkHealthService.checkUrl(url);
+
+      expect(transition).toBeNull();
+      expect(checked.health.consecutiveFailures).toBe(6);
+      expect(checked.health.brokenSince).toEqual(url.health.brokenSince);
+      expect(await TestHelper.getSentEmails()).toHaveLength(0);
+    });
+
+    it("should skip the email when notifications are turned off", async () => {
+      testUser.preferences.emailNotifications = false;
+      await testUser.save();
+      const url = await TestHelper.createTestUrl(testUser._id, {
+        originalUrl: "https://dead.example.com/page",
+        health: { consecutiveFailures: 2 },
+      });
+
+      const { transition } = await linkHealthService.checkUrl(url);
+
+      expect(transition).toBe("broken");
+      expect(await TestHelper.getSentEmails()).toHaveLength(0);
+    });
+
+    it("should mark a broken link as recovered", async () => {
+      await TestHelper.createTestWebhook(testUser._id, {
+        events: ["url.recovered"],
+      });
+      const url = await TestHelper.createTestUrl(testUser._id, {
+        health: {
+          status: "broken",
+          consecutiveFailures: 3,
+          brokenSince: hoursAgo(24),
+        },
+      });
+
+      const { url: checked, transition } =
+        await linkHealthService.checkUrl(url);
+
+      expect(transition).toBe("recovered");
+      expect(checked.health).toMatchObject({
+        status: "healthy",
+        consecutiveFailures: 0,
+        brokenSince: null,
+        lastError: null,
+      });
+      expect(
+        await WebhookDelivery.countDocuments({ event: "url.recovered" })
+      ).toBe(1);
+    });
+
+    it("should keep only the most recent checks", async () => {
+      const history = Array.from({ length: HEALTH_HISTORY_LIMIT }, (_, i) => ({
+        checkedAt: hoursAgo(HEALTH_HISTORY_LIMIT - i),
+        ok: true,
+        httpStatus: 200,
+      }));
+      const url = await TestHelper.createTestUrl(testUser._id, {
+        health: { status: "healthy", history },
+      });
+
+      const { url: checked } = await linkHealthService.checkUrl(url);
+
+      expect(checked.health.history).toHaveLength(HEALTH_HISTORY_LIMIT);
+      expect(checked.health.history[0].checkedAt).toEqual(history[1].checkedAt);
+      expect(checked.health.history.at(-1).checkedAt).toEqual(
+        checked.health.lastCheckedAt
+      );
+    });
+  });
+
+  describe("checkDueUrls", () => {
+    it("should check active links not checked within the interval", async () => {
+      const neverChecked = await TestHelper.createTestUrl(testUser._id);
+      const stale = await TestHelper.createTestUrl(testUser._id, {
+        health: { status: "healthy", lastCheckedAt: hoursAgo(48) },
+      });
+      const recent = await TestHelper.createTestUrl(testUser._id, {
+        health: { status: "healthy", lastCheckedAt: hoursAgo(1) },
+      });
+      await TestHelper.createTestUrl(testUser._id, { isActive: false });
+
+      const result = await linkHealthService.checkDueUrls({ concurrency: 2 });
+
+      expect(result).toEqual({ checked: 2, broken: 0, recovered: 0 });
+
+      const checkedIds = (
+        await URL_MODEL.find({ "health.status": "healthy" })
+      ).map((url) => String(url._id));
+      expect(checkedIds).toEqual(
+        expect.arrayContaining([String(neverChecked._id), String(stale._id)])
+      );
+
+      const unchanged = await URL_MODEL.findById(recent._id);
+      expect(unchanged.health.history).toHaveLength(0);
+    });
+
+    it("should stop at the batch limit", async () => {
+      await TestHelper.createTestUrl(testUser._id);
+      await TestHelper.createTestUrl(testUser._id);
+
+      const result = await linkHealthService.checkDueUrls({ limit: 1 });
+
+      expect(result.checked).toBe(1);
+    });
+  });
+
+  describe("getHealthSummary", () => {
+    it("should count active links by health status", async () => {
+      await TestHelper.createTestUrl(testUser._id, {
+        health: { status: "healthy" },
+      });
+      await TestHelper.createTestUrl(testUser._id, {
+        health: { status: "broken" },
+      });
+      await TestHelper.createTestUrl(testUser._id);
+      await TestHelper.createTestUrl(testUser._id, {
+        isActive: false,
+        health: { status: "broken" },
+      });
+
+      const summary = await linkHealthService.getHealthSummary({
+        userId: testUser._id,
+        workspaceId: null,
+      });
+
+      expect(summary).toEqual({ healthy: 1, broken: 1, unknown: 1 });
+    });
+  });
+});
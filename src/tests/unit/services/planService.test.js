@@ -0,0 +1,120 @@
+import planService from "../../../services/planService.js";
+import Plan from "../../../models/Plan.js";
+import User from "../../../models/User.js";
+import { TestHelper } from "../../helpers/testHelpers.js";
+
+describe("PlanService", () => {
+  let testUser;
+
+  beforeEach(async () => {
+    ({ user: testUser } = await TestHelper.createTestUser());
+  });
+
+  afterEach(() => {
+    planService.clearCache();
+  });
+
+  describe("getPlan", () => {
+    it("should resolve built-in plans", async () => {
+      const plan = await planService.getPlan("free");
+
+      expect(plan.displayName).toBe("Free");
+      expect(plan.limits.activeLinks).toBe(20);
+      expect(plan.builtIn).toBe(true);
+    });
+
+    it("should merge stored overrides over the built-in limits", async () => {
+      await Plan.create({
+        name: "pro",
+        limits: { activeLinks: 5, customAliases: null },
+      });
+
+      const plan = await planService.getPlan("pro");
+
+      expect(plan.limits.activeLinks).toBe(5);
+      expect(plan.limits.customAliases).toBeNull();
+      expect(plan.limits.bulkBatchSize).toBe(100);
+      expect(plan.rateLimitMultiplier).toBe(5);
+    });
+
+    it("should fall back to the default plan for unknown or inactive plans", async () => {
+      await Plan.create({ name: "legacy", isActive: false });
+
+      expect((await planService.getPlan("legacy")).name).toBe("free");
+      expect((await planService.getPlan("missing")).name).toBe("free");
+    });
+  });
+
+  describe("checkLimit", () => {
+    it("should reject links over the plan's active link limit", async () => {
+      await planService.savePlan("tiny", { limits: { activeLinks: 1 } });
+      await User.findByIdAndUpdate(testUser._id, { plan: "tiny" });
+
+      await planService.checkLimit(testUser._id, "activeLinks");
+      await TestHelper.createTestUrl(testUser._id);
+
+      await expect(
+        planService.checkLimit(testUser._id, "activeLinks")
+      ).rejects.toThrow("Plan limit reached");
+    });
+
+    it("should not count inactive links", async () => {
+      await planService.savePlan("tiny", { limits: { activeLinks: 1 } });
+      await User.findByIdAndUpdate(testUser._id, { plan: "tiny" });
+      await TestHelper.createTestUrl(testUser._id, { isActive: false });
+
+      await expect(
+        planService.checkLimit(testUser._id, "activeLinks")
+      ).resolves.toBeUndefined();
+    });
+  });
+
+  describe("recordQrGeneration", () => {
+    it("should count generations up to the monthly limit", async () => {
+      await planService.savePlan("tiny", {
+        limits: { qrGenerationsPerMonth: 2 },
+      });
+      await User.findByIdAndUpdate(testUser._id, { plan: "tiny" });
+
+      await planService.recordQrGeneration(testUser._id);
+      await planService.recordQrGeneration(testUser._id);
+
+      await expect(
+        planService.recordQrGeneration(testUser._id)
+      ).rejects.toThrow("QR code generations per month");
+    });
+
+    it("should restart the count in a new month", async () => {
+      await User.findByIdAndUpdate(testUser._id, {
+        planUsage: { month: "2000-01", qrGenerations: 50 },
+      });
+
+      await planService.recordQrGeneration(testUser._id);
+
+      const user = await User.findById(testUser._id);
+      expect(user.planUsage.qrGenerations).toBe(1);
+      expect(user.planUsage.month).not.toBe("2000-01");
+    });
+  });
+
+  describe("getUsageSummary", () => {
+    it("should report usage against each limit", async () => {
+      await TestHelper.createTestUrl(testUser._id);
+      await TestHelper.createTestUrl(testUser._id, { customAlias: "mine" });
+
+      const summary = await planService.getUsageSummary(testUser._id, {
+        apiRequestsToday: 7,
+      });
+
+      expect(summary.plan.name).toBe("free");
+      expect(summary.limits.activeLinks).toEqual({
+        used: 2,
+        limit: 20,
+        remaining: 18,
+      });
+      expect(summary.limits.customAliases.used).toBe(1);
+      expect(summary.limits.qrGenerationsPerMonth.used).toBe(0);
+      expect(summary.limits.apiRequestsPerDay.used).toBe(7);
+    });
+  });
+});
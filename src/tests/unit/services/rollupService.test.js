@@ -0,0 +1,100 @@
+import rollupService from "../../../services/rollupService.js";
+import analyticsService from "../../../services/analyticsService.js";
+import ClickRollup from "../../../models/ClickRollup.js";
+import { TestHelper } from "../../helpers/testHelpers.js";
+
+describe("RollupService", () => {
+  let testUser, testUrl;
+
+  const CHROME_UA =
+    "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36";
+  const BOT_UA = "Googlebot/2.1 (+http://www.google.com/bot.html)";
+
+  const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+  beforeEach(async () => {
+    const userData = await TestHelper.createTestUser();
+    testUser = userData.user;
+    testUrl = await TestHelper.createTestUrl(testUser._id);
+  });
+
+  describe("recordClick", () => {
+    it("should add recorded clicks to their hourly rollup", async () => {
+      for (const ipAddress of ["192.168.1.1", "192.168.1.2"]) {
+        await analyticsService.recordClick({
+          urlId: testUrl._id,
+          ipAddress,
+          userAgent: CHROME_UA,
+          referrer: "https://www.linkedin.com/feed?utm_campaign=launch",
+        });
+      }
+      await analyticsService.recordClick({
+        urlId: testUrl._id,
+        ipAddress: "192.168.1.3",
+        userAgent: BOT_UA,
+      });
+
+      const rollup = await ClickRollup.findOne({ urlId: testUrl._id }).lean();
+
+      expect(rollup).toMatchObject({
+        clicks: 3,
+        uniqueClicks: 2,
+        botClicks: 1,
+        hour: new Date().getUTCHours(),
+        referrers: { social: 2 },
+        referrerDomains: { "www%2Elinkedin%2Ecom": 2 },
+        campaigns: { launch: 2 },
+        browsers: { Chrome: 2 },
+        devices: { desktop: 2 },
+      });
+      expect(rollup.userId.toString()).toBe(testUser._id.toString());
+    });
+  });
+
+  describe("backfill", () => {
+    it("should build rollups from stored clicks", async () => {
+      const day = daysAgo(3);
+      await TestHelper.createTestClick(testUrl._id, {
+        clickedAt: day,
+        userAgent: CHROME_UA,
+        referrer: "https://www.google.com/search?q=snapurl",
+      });
+      await TestHelper.createTestClick(testUrl._id, {
+        clickedAt: day,
+        isUnique: false,
+        userAgent: CHROME_UA,
+      });
+      await TestHelper.createTestClick(testUrl._id, {
+        clickedAt: daysAgo(10),
+        userAgent: BOT_UA,
+      });
+
+      const result = await rollupService.backfill({ from: daysAgo(5) });
+      const rollups = await ClickRollup.find({ urlId: testUrl._id }).lean();
+
+      expect(result).toEqual({ clicks: 2, slots: 1, days: 1 });
+      expect(rollups).toHaveLength(1);
+      expect(rollups[0]).toMatchObject({
+        hour: day.getUTCHours(),
+        clicks: 2,
+        uniqueClicks: 1,
+        botClicks: 0,
+        referrers: { search: 1, direct: 1 },
+      });
+    });
+
+    it("should replace rollups unless only missing ones are filled in", async () => {
+      const day = daysAgo(3);
+      await TestHelper.createTestClick(testUrl._id, { clickedAt: day });
+      await rollupService.backfill();
+
+      await ClickRollup.updateOne({ urlId: testUrl._id }, { clicks: 40 });
+      await rollupService.backfill({ onlyMissing: true });
+      expect((await ClickRollup.findOne().lean()).clicks).toBe(40);
+
+      await rollupService.backfill();
+      expect((await ClickRollup.findOne().lean()).clicks).toBe(1);
+      expect(await ClickRollup.countDocuments()).toBe(1);
+    });
+  });
+});
@@ -1,4 +1,5 @@
 import urlService from "../../../services/urlService.js";
+import User from "../../../models/User.js";
 import { TestHelper } from "../../helpers/testHelpers.js";
 
 describe("UrlService", () => {
@@ -242,4 +243,56 @@ describe("UrlService", () => {
       ).rejects.toThrow("Maximum 100 URLs allowed");
     });
   });
+
+  describe("generateQRCode", () => {
+    it("should only count QR codes that were generated", async () => {
+      const url = await TestHelper.createTestUrl(testUser._id);
+
+      await expect(
+        urlService.generateQRCode(url._id, {
+          userId: testUser._id,
+          color: { dark: "not-a-color", light: "#FFFFFF" },
+        })
+      ).rejects.toThrow("Invalid hex color");
+      expect(
+        (await User.findById(testUser._id)).planUsage?.qrGenerations || 0
+      ).toBe(0);
+
+      await urlService.generateQRCode(url._id, { userId: testUser._id });
+      expect((await User.findById(testUser._id)).planUsage.qrGenerations).toBe(
+        1
+      );
+    });
+  });
+
+  describe("sendExpiryWarnings", () => {
+    const inHours = (hours) => new Date(Date.now() + hours * 60 * 60 * 1000);
+
+    it("should email owners once about links expiring soon", async () => {
+      await TestHelper.createTestUrl(testUser._id, { expiresAt: inHours(24) });
+      await TestHelper.createTestUrl(testUser._id, { expiresAt: inHours(500) });
+
+      const result = await urlService.sendExpiryWarnings({ withinHours: 72 });
+      expect(result.usersNotified).toBe(1);
+
+      const emails = await TestHelper.getSentEmails(testUser.email);
+      expect(emails).toHaveLength(1);
+      expect(emails[0].template).toBe("linkExpiryWarning");
+
+      // Already warned
+      await urlService.sendExpiryWarnings({ withinHours: 72 });
+      expect(await TestHelper.getSentEmails(testUser.email)).toHaveLength(1);
+    });
+
+    it("should respect the email notification preference", async () => {
+      testUser.preferences.emailNotifications = false;
+      await testUser.save();
+      await TestHelper.createTestUrl(testUser._id, { expiresAt: inHours(24) });
+
+      const result = await urlService.sendExpiryWarnings({ withinHours: 72 });
+
+      expect(result.usersNotified).toBe(0);
+      expect(await TestHelper.getSentEmails()).toHaveLength(0);
+    });
+  });
 });
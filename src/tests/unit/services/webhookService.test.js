@@ -0,0 +1,222 @@
+import webhookService from "../../../services/webhookService.js";
+import Webhook from "../../../models/Webhook.js";
+import WebhookDelivery from "../../../models/WebhookDelivery.js";
+import URL_MODEL from "../../../models/URL.js";
+import { verifySignature } from "../../../utils/webhookSignature.js";
+import { config } from "../../../config/config.js";
+import { TestHelper } from "../../helpers/testHelpers.js";
+
+describe("WebhookService", () => {
+  let testUser, fetchMock;
+
+  beforeEach(async () => {
+    const userData = await TestHelper.createTestUser();
+    testUser = userData.user;
+    fetchMock = jest
+      .spyOn(globalThis, "fetch")
+      .mockImplementation(async () => new Response("ok", { status: 200 }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe("emit", () => {
+    it("should POST a signed envelope to subscribed webhooks", async () => {
+      const { webhook, secret } = await TestHelper.createTestWebhook(
+        testUser._id,
+        { events: ["url.created"] }
+      );
+
+      const [delivery] = await webhookService.emit(
+        "url.created",
+        testUser._id,
+        { url: { id: "abc" } }
+      );
+
+      expect(delivery.status).toBe("succeeded");
+      expect(fetchMock).toHaveBeenCalledTimes(1);
+
+      const [target, init] = fetchMock.mock.calls[0];
+      expect(target).toBe(webhook.url);
+      expect(init.headers["X-SnapURL-Event"]).toBe("url.created");
+      expect(init.headers["X-SnapURL-Delivery"]).toBe(String(delivery._id));
+      expect(
+        verifySignature(secret, init.body, init.headers["X-SnapURL-Signature"])
+      ).toBe(true);
+      expect(JSON.parse(init.body)).toMatchObject({
+        id: String(delivery._id),
+        event: "url.created",
+        data: { url: { id: "abc" } },
+      });
+    });
+
+    it("should skip webhooks that are not subscribed or disabled", async () => {
+      await TestHelper.createTestWebhook(testUser._id, {
+        events: ["url.deleted"],
+      });
+      await TestHelper.createTestWebhook(testUser._id, {
+        events: ["url.created"],
+        isActive: false,
+      });
+
+      const deliveries = await webhookService.emit(
+        "url.created",
+        testUser._id,
+        {}
+      );
+
+      expect(deliveries).toHaveLength(0);
+      expect(fetchMock).not.toHaveBeenCalled();
+    });
+
+    it("should schedule a retry when the endpoint fails", async () => {
+      fetchMock.mockImplementation(
+        async () => new Response("nope", { status: 503 })
+      );
+      await TestHelper.createTestWebhook(testUser._id);
+
+      const [delivery] = await webhookService.emit(
+        "url.created",
+        testUser._id,
+        {}
+      );
+
+      expect(delivery.status).toBe("pending");
+      expect(delivery.attempts).toBe(1);
+      expect(delivery.responseStatus).toBe(503);
+      expect(delivery.nextAttemptAt.getTime()).toBeGreaterThan(Date.now());
+    });
+
+    it("should never throw", async () => {
+      fetchMock.mockRejectedValue(new Error("connect ECONNREFUSED"));
+      await TestHelper.createTestWebhook(testUser._id);
+
+      const [delivery] = await webhookService.emit(
+        "url.created",
+        testUser._id,
+        {}
+      );
+
+      expect(delivery.error).toContain("ECONNREFUSED");
+    });
+  });
+
+  describe("delivery targets", () => {
+    it("should not deliver to loopback, private or link-local hosts", async () => {
+      const { allowPrivateNetworkRequests } = config;
+      config.allowPrivateNetworkRequests = false;
+
+      try {
+        await TestHelper.createTestWebhook(testUser._id, {
+          url: "http://169.254.169.254/latest/meta-data",
+        });
+
+        const [delivery] = await webhookService.emit(
+          "url.created",
+          testUser._id,
+          {}
+        );
+
+        expect(fetchMock).not.toHaveBeenCalled();
+        expect(delivery.status).toBe("pending");
+        expect(delivery.error).toBe(
+          "Refusing to connect to private address: 169.254.169.254"
+        );
+      } finally {
+        config.allowPrivateNetworkRequests = allowPrivateNetworkRequests;
+      }
+    });
+  });
+
+  describe("emitClick", () => {
+    it("should fire click.milestone on multiples of milestoneEvery", async () => {
+      await TestHelper.createTestWebhook(testUser._id, {
+        events: ["click.recorded", "click.milestone"],
+        milestoneEvery: 10,
+      });
+      const url = await TestHelper.createTestUrl(testUser._id);
+      const click = await TestHelper.createTestClick(url._id);
+
+      const atNine = await webhookService.emitClick(url, click, 9);
+      const atTen = await webhookService.emitClick(url, click, 10);
+
+      expect(atNine.map((d) => d.event)).toEqual(["click.recorded"]);
+      expect(atTen.map((d) => d.event).sort()).toEqual([
+        "click.milestone",
+        "click.recorded",
+      ]);
+
+      const recorded = atNine[0].payload.data;
+      expect(recorded.url.id).toBe(String(url._id));
+      expect(recorded.click.id).toBe(String(click._id));
+      expect(recorded.click.ipAddress).toBeUndefined();
+    });
+  });
+
+  describe("processDueDeliveries", () => {
+    it("should retry due deliveries", async () => {
+      fetchMock.mockImplementationOnce(
+        async () => new Response("", { status: 500 })
+      );
+      await TestHelper.createTestWebhook(testUser._id);
+      const [delivery] = await webhookService.emit(
+        "url.created",
+        testUser._id,
+        {}
+      );
+      await WebhookDelivery.findByIdAndUpdate(delivery._id, {
+        nextAttemptAt: new Date(Date.now() - 1000),
+      });
+
+      const { attempted } = await webhookService.processDueDeliveries();
+
+      const retried = await WebhookDelivery.findById(delivery._id);
+      expect(attempted).toBe(1);
+      expect(retried.status).toBe("succeeded");
+      expect(retried.attempts).toBe(2);
+    });
+
+    it("should disable webhooks after repeated final failures", async () => {
+      fetchMock.mockImplementation(
+        async () => new Response("", { status: 500 })
+      );
+      const { webhook } = await TestHelper.createTestWebhook(testUser._id, {
+        consecutiveFailures: 9,
+      });
+      await WebhookDelivery.create({
+        webhookId: webhook._id,
+        userId: testUser._id,
+        event: "url.created",
+        payload: { event: "url.created", data: {} },
+        attempts: 5,
+        nextAttemptAt: new Date(Date.now() - 1000),
+      });
+
+      await webhookService.processDueDeliveries();
+
+      const updated = await Webhook.findById(webhook._id);
+      expect(updated.isActive).toBe(false);
+      expect(updated.disabledReason).toContain("failed deliveries");
+    });
+
+    it("should queue url.expired events for links about to expire", async () => {
+      await TestHelper.createTestWebhook(testUser._id, {
+        events: ["url.expired"],
+      });
+      const url = await TestHelper.createTestUrl(testUser._id, {
+        expiresAt: new Date(Date.now() + 30 * 1000),
+      });
+
+      await webhookService.processDueDeliveries();
+
+      const [delivery] = await WebhookDelivery.find({ event: "url.expired" });
+      expect(delivery.status).toBe("pending");
+      expect(delivery.nextAttemptAt.getTime()).toBe(url.expiresAt.getTime());
+      expect(fetchMock).not.toHaveBeenCalled();
+
+      const marked = await URL_MODEL.findById(url._id);
+      expect(marked.expiredEventQueuedAt).toBeInstanceOf(Date);
+    });
+  });
+});
@@ -0,0 +1,41 @@
+import mongoose from "mongoose";
+import {
+  createContinueToken,
+  verifyContinueToken,
+} from "../../utils/continueToken.js";
+
+describe("Continue Token Utils", () => {
+  const url = { _id: new mongoose.Types.ObjectId() };
+  const destination = "http://203.0.113.7/login";
+
+  it("should verify a token for the same link, destination and page", () => {
+    const token = createContinueToken(url, destination, "safety");
+
+    expect(verifyContinueToken(token, url, destination, "safety")).toBe(true);
+  });
+
+  it("should reject tokens for other links, destinations or pages", () => {
+    const token = createContinueToken(url, destination, "safety");
+    const other = { _id: new mongoose.Types.ObjectId() };
+
+    expect(verifyContinueToken(token, other, destination, "safety")).toBe(
+      false
+    );
+    expect(
+      verifyContinueToken(token, url, "https://example.com", "safety")
+    ).toBe(false);
+    expect(verifyContinueToken(token, url, destination, "interstitial")).toBe(
+      false
+    );
+  });
+
+  it("should reject missing, forged or malformed tokens", () => {
+    expect(verifyContinueToken(undefined, url, destination, "safety")).toBe(
+      false
+    );
+    expect(verifyContinueToken("1", url, destination, "safety")).toBe(false);
+    expect(verifyContinueToken(["a", "b"], url, destination, "safety")).toBe(
+      false
+    );
+  });
+});
@@ -0,0 +1,135 @@
+import http from "http";
+import { checkDestination } from "../../utils/destinationCheck.js";
+
+/**
+ * Local fixture server for checkDestination
+ */
+const fixtures = {
+  "/ok": (req, res) => {
+    res.writeHead(200, { "Content-Type": "text/html" });
+    res.end(req.method === "HEAD" ? undefined : "<title>OK</title>");
+  },
+  "/moved": (req, res) => {
+    res.writeHead(301, { Location: "/ok" });
+    res.end();
+  },
+  "/get-only": (req, res) => {
+    res.writeHead(req.method === "HEAD" ? 405 : 200);
+    res.end();
+  },
+  "/gone": (req, res) => {
+    res.writeHead(410);
+    res.end();
+  },
+  "/loop": (req, res) => {
+    res.writeHead(302, { Location: "/loop" });
+    res.end();
+  },
+  "/slow": (req, res) => {
+    setTimeout(() => res.end(), 2000).unref();
+  },
+};
+
+describe("Destination Check Utils", () => {
+  let server, baseUrl;
+  const methods = [];
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      methods.push(`${req.method} ${req.url}`);
+      fixtures[req.url](req, res);
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  beforeEach(() => {
+    methods.length = 0;
+  });
+
+  afterAll(async () => {
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  it("should report a healthy destination with a HEAD request", async () => {
+    const result = await checkDestination(`${baseUrl}/ok`);
+
+    expect(result).toMatchObject({
+      ok: true,
+      httpStatus: 200,
+      finalUrl: `${baseUrl}/ok`,
+      redirects: [],
+      error: null,
+    });
+    expect(result.responseTimeMs).toBeGreaterThanOrEqual(0);
+    expect(methods).toEqual(["HEAD /ok"]);
+  });
+
+  it("should record the redirect chain", async () => {
+    const result = await checkDestination(`${baseUrl}/moved`);
+
+    expect(result.ok).toBe(true);
+    expect(result.finalUrl).toBe(`${baseUrl}/ok`);
+    expect(result.redirects).toEqual([
+      { url: `${baseUrl}/moved`, status: 301 },
+    ]);
+  });
+
+  it("should retry with GET when HEAD is not allowed", async () => {
+    const result = await checkDestination(`${baseUrl}/get-only`);
+
+    expect(result.ok).toBe(true);
+    expect(methods).toEqual(["HEAD /get-only", "GET /get-only"]);
+  });
+
+  it("should report error statuses as failures", async () => {
+    const result = await checkDestination(`${baseUrl}/gone`);
+
+    expect(result).toMatchObject({ ok: false, httpStatus: 410, error: null });
+  });
+
+  it("should report redirect loops without throwing", async () => {
+    const result = await checkDestination(`${baseUrl}/loop`, {
+      maxRedirects: 2,
+    });
+
+    expect(result.ok).toBe(false);
+    expect(result.httpStatus).toBeNull();
+    expect(result.error).toMatch(/Too many redirects/);
+  });
+
+  it("should report timeouts", async () => {
+    const result = await checkDestination(`${baseUrl}/slow`, {
+      timeoutMs: 200,
+    });
+
+    expect(result.ok).toBe(false);
+    expect(result.error).toBe("Request timed out after 200ms");
+  });
+
+  it("should report private hosts without requesting them", async () => {
+    const result = await checkDestination(`${baseUrl}/`, {
+      allowPrivate: false,
+    });
+
+    expect(result.ok).toBe(false);
+    expect(result.httpStatus).toBeNull();
+    expect(result.error).toBe(
+      "Refusing to connect to private address: 127.0.0.1"
+    );
+  });
+
+  it("should report connection failures", async () => {
+    // A port nothing listens on any more
+    const closed = http.createServer();
+    await new Promise((resolve) => closed.listen(0, "127.0.0.1", resolve));
+    const { port } = closed.address();
+    await new Promise((resolve) => closed.close(resolve));
+
+    const result = await checkDestination(`http://127.0.0.1:${port}/`);
+
+    expect(result.ok).toBe(false);
+    expect(result.error).toBe("ECONNREFUSED");
+  });
+});
@@ -0,0 +1,106 @@
+import {
+  appendPathSuffix,
+  getTemplateError,
+  renderDestinationTemplate,
+  splitPathSuffix,
+} from "../../utils/destinationTemplate.js";
+
+describe("Destination Templates", () => {
+  describe("renderDestinationTemplate", () => {
+    it("should fill built-in and query placeholders", () => {
+      const result = renderDestinationTemplate(
+        "https://shop.example.com/{country}/p?ref={utm_source}&d={device}",
+        {
+          country: "DE",
+          query: new URLSearchParams("utm_source=newsletter"),
+          device: { deviceType: "mobile", os: "iOS", browser: "Safari" },
+        }
+      );
+
+      expect(result).toBe(
+        "https://shop.example.com/de/p?ref=newsletter&d=mobile"
+      );
+    });
+
+    it("should use defaults for missing values", () => {
+      expect(
+        renderDestinationTemplate(
+          "https://example.com/{country|us}?ref={ref|direct}&x={x}",
+          { country: "XX" }
+        )
+      ).toBe("https://example.com/us?ref=direct&x=");
+    });
+
+    it("should encode values so they can't change the URL structure", () => {
+      const result = renderDestinationTemplate(
+        "https://example.com/p/{slug}?next={next}",
+        {
+          query: new URLSearchParams({
+            slug: "../admin?x=1#top",
+            next: "https://evil.example/&a=b",
+          }),
+        }
+      );
+
+      expect(result).toBe(
+        "https://example.com/p/..%2Fadmin%3Fx%3D1%23top?next=https%3A%2F%2Fevil.example%2F%26a%3Db"
+      );
+    });
+
+    it("should place or append the wildcard path", () => {
+      const path = ["guides", "setup one"];
+
+      expect(
+        renderDestinationTemplate("https://example.com/kb/{path}?v=2", {
+          path,
+        })
+      ).toBe("https://example.com/kb/guides/setup%20one?v=2");
+      expect(
+        renderDestinationTemplate("https://example.com/kb/?v=2", { path })
+      ).toBe("https://example.com/kb/guides/setup%20one?v=2");
+    });
+  });
+
+  describe("getTemplateError", () => {
+    it("should accept valid templates", () => {
+      expect(
+        getTemplateError("https://example.com/{path}?ref={utm_source|x}")
+      ).toBeNull();
+    });
+
+    it("should reject templates that could change the site", () => {
+      expect(getTemplateError("https://{host}/x")).toBe(
+        "Placeholders are not allowed in the destination host"
+      );
+      expect(getTemplateError("{scheme}://example.com")).toBe(
+        "Destination template must start with http:// or https://"
+      );
+    });
+
+    it("should reject malformed placeholders", () => {
+      expect(getTemplateError("https://example.com/{path")).toBe(
+        "Destination template has a malformed placeholder"
+      );
+      expect(getTemplateError("https://example.com/{1st}")).toBe(
+        "Destination template has a malformed placeholder"
+      );
+    });
+  });
+
+  describe("path helpers", () => {
+    it("should drop empty and dot segments", () => {
+      expect(splitPathSuffix(["a", "", ".", "..", "b"])).toEqual(["a", "b"]);
+      expect(splitPathSuffix("a//../b")).toEqual(["a", "b"]);
+      expect(splitPathSuffix(undefined)).toEqual([]);
+    });
+
+    it("should append encoded segments to the destination path", () => {
+      expect(
+        appendPathSuffix("https://example.com/docs/?q=1", ["a b", "c"])
+      ).toBe("https://example.com/docs/a%20b/c?q=1");
+      expect(appendPathSuffix("https://example.com", [])).toBe(
+        "https://example.com"
+      );
+    });
+  });
+});
@@ -0,0 +1,43 @@
+import { getDeviceProfile, matchesDevice } from "../../utils/deviceDetector.js";
+
+describe("Device Detector Utils", () => {
+  const IPHONE_UA =
+    "Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Mobile/15E148 Safari/604.1";
+  const DESKTOP_UA =
+    "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36";
+
+  describe("getDeviceProfile", () => {
+    it("should detect mobile operating systems", () => {
+      expect(getDeviceProfile(IPHONE_UA)).toMatchObject({
+        deviceType: "mobile",
+        os: "iOS",
+      });
+    });
+
+    it("should default to desktop", () => {
+      expect(getDeviceProfile(DESKTOP_UA).deviceType).toBe("desktop");
+      expect(getDeviceProfile(null).deviceType).toBe("desktop");
+    });
+  });
+
+  describe("matchesDevice", () => {
+    const device = { deviceType: "mobile", os: "iOS", browser: "Safari" };
+
+    it("should match case-insensitively", () => {
+      expect(matchesDevice({ os: "ios" }, device)).toBe(true);
+    });
+
+    it("should require every condition to match", () => {
+      expect(matchesDevice({ os: "iOS", deviceType: "mobile" }, device)).toBe(
+        true
+      );
+      expect(matchesDevice({ os: "iOS", deviceType: "tablet" }, device)).toBe(
+        false
+      );
+    });
+
+    it("should never match an empty rule", () => {
+      expect(matchesDevice({}, device)).toBe(false);
+    });
+  });
+});
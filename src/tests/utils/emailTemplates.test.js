@@ -0,0 +1,69 @@
+import { renderEmail } from "../../utils/emailTemplates.js";
+
+describe("Email Templates", () => {
+  it("should render the reset link in both bodies", () => {
+    const email = renderEmail("passwordReset", {
+      name: "Jane",
+      resetUrl: "https://app.example.com/reset-password?token=abc",
+    });
+
+    expect(email.subject).toContain("Reset");
+    expect(email.text).toContain(
+      "https://app.example.com/reset-password?token=abc"
+    );
+    expect(email.html).toContain(
+      "https://app.example.com/reset-password?token=abc"
+    );
+  });
+
+  it("should escape user-provided values in HTML", () => {
+    const email = renderEmail("linkExpiryWarning", {
+      name: "<b>Jane</b>",
+      urls: [
+        {
+          title: "<script>alert(1)</script>",
+          shortUrl: "http://localhost:5000/abc1234",
+          expiresAt: new Date("2030-01-01T00:00:00Z"),
+        },
+      ],
+    });
+
+    expect(email.subject).toBe("One of your SnapURL links expires soon");
+    expect(email.html).not.toContain("<script>");
+    expect(email.html).toContain("&lt;b&gt;Jane&lt;/b&gt;");
+  });
+
+  it("should pluralize the expiry warning subject", () => {
+    const url = { shortUrl: "http://localhost:5000/a", expiresAt: new Date() };
+    const email = renderEmail("linkExpiryWarning", {
+      name: "Jane",
+      urls: [url, url],
+    });
+
+    expect(email.subject).toBe("2 of your SnapURL links expire soon");
+  });
+
+  it("should mention the fallback URL in broken link alerts", () => {
+    const email = renderEmail("brokenLinkAlert", {
+      name: "Jane",
+      shortUrl: "http://localhost:5000/abc1234",
+      originalUrl: "https://example.com/gone",
+      failures: 3,
+      lastError: "HTTP 404",
+      fallbackUrl: "https://example.com/moved",
+    });
+
+    expect(email.subject).toBe(
+      "Your SnapURL link http://localhost:5000/abc1234 looks broken"
+    );
+    expect(email.text).toContain("failed 3 checks in a row");
+    expect(email.text).toContain("Last error: HTTP 404");
+    expect(email.html).toContain("https://example.com/moved");
+  });
+
+  it("should reject unknown templates", () => {
+    expect(() => renderEmail("newsletter")).toThrow(
+      "Unknown email template: newsletter"
+    );
+  });
+});
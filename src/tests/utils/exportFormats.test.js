@@ -0,0 +1,104 @@
+import {
+  URL_EXPORT_COLUMNS,
+  escapeCsvValue,
+  parseExportColumns,
+  serializeExport,
+} from "../../utils/exportFormats.js";
+
+/**
+ * Collects a serialized export into one string
+ */
+const collect = async (records, format, columns) => {
+  let output = "";
+  for await (const chunk of serializeExport(records, format, columns)) {
+    output += chunk;
+  }
+  return output;
+};
+
+describe("Export Format Utils", () => {
+  const records = [
+    { shortCode: "abc", title: 'Say "hi", then\nleave', tags: ["a", "b"] },
+    { shortCode: "def", title: null, tags: [] },
+  ];
+
+  describe("escapeCsvValue", () => {
+    it("should quote fields with commas, quotes and line breaks", () => {
+      expect(escapeCsvValue("plain")).toBe("plain");
+      expect(escapeCsvValue("a,b")).toBe('"a,b"');
+      expect(escapeCsvValue('say "hi"')).toBe('"say ""hi"""');
+      expect(escapeCsvValue("line\r\nbreak")).toBe('"line\r\nbreak"');
+    });
+
+    it("should format empty values, dates and arrays", () => {
+      expect(escapeCsvValue(null)).toBe("");
+      expect(escapeCsvValue(undefined)).toBe("");
+      expect(escapeCsvValue(new Date(0))).toBe("1970-01-01T00:00:00.000Z");
+      expect(escapeCsvValue(["a", "b"])).toBe("a;b");
+      expect(escapeCsvValue(42)).toBe("42");
+    });
+
+    it("should neutralize spreadsheet formulas", () => {
+      expect(escapeCsvValue("=HYPERLINK(1)")).toBe("'=HYPERLINK(1)");
+      expect(escapeCsvValue("@cmd")).toBe("'@cmd");
+      expect(escapeCsvValue(-5)).toBe("-5");
+    });
+  });
+
+  describe("parseExportColumns", () => {
+    it("should fall back to the defaults", () => {
+      expect(parseExportColumns(undefined, URL_EXPORT_COLUMNS, ["id"])).toEqual(
+        { columns: ["id"], invalid: [] }
+      );
+    });
+
+    it("should keep the requested order and report unknown columns", () => {
+      expect(
+        parseExportColumns("clickCount, shortUrl,nope", URL_EXPORT_COLUMNS, [])
+      ).toEqual({ columns: ["clickCount", "shortUrl"], invalid: ["nope"] });
+    });
+  });
+
+  describe("serializeExport", () => {
+    it("should write CSV with a header row and CRLF line endings", async () => {
+      const csv = await collect(records, "csv", ["shortCode", "title", "tags"]);
+
+      expect(csv).toBe(
+        'shortCode,title,tags\r\nabc,"Say ""hi"", then\nleave",a;b\r\ndef,,\r\n'
+      );
+    });
+
+    it("should write one JSON object per NDJSON line", async () => {
+      const ndjson = await collect(records, "ndjson", ["shortCode"]);
+
+      expect(ndjson.trim().split("\n").map(JSON.parse)).toEqual([
+        { shortCode: "abc" },
+        { shortCode: "def" },
+      ]);
+    });
+
+    it("should write a valid JSON array", async () => {
+      expect(JSON.parse(await collect(records, "json", ["title"]))).toEqual([
+        { title: 'Say "hi", then\nleave' },
+        { title: null },
+      ]);
+      expect(JSON.parse(await collect([], "json", ["title"]))).toEqual([]);
+    });
+
+    it("should consume async iterables", async () => {
+      async function* generate() {
+        yield { shortCode: "x" };
+      }
+
+      expect(await collect(generate(), "ndjson", ["shortCode"])).toBe(
+        '{"shortCode":"x"}\n'
+      );
+    });
+
+    it("should reject unknown formats", async () => {
+      await expect(collect(records, "xlsx", ["id"])).rejects.toThrow(
+        "Unsupported export format"
+      );
+    });
+  });
+});
@@ -0,0 +1,49 @@
+import {
+  LOCAL_COUNTRY_CODE,
+  isLocalIp,
+  lookupCountry,
+  lookupLocation,
+} from "../../utils/geoLocation.js";
+
+describe("Geo Location Utils", () => {
+  describe("isLocalIp", () => {
+    it("should detect localhost and private addresses", () => {
+      expect(isLocalIp("127.0.0.1")).toBe(true);
+      expect(isLocalIp("::1")).toBe(true);
+      expect(isLocalIp("::ffff:192.168.1.10")).toBe(true);
+      expect(isLocalIp("10.0.0.5")).toBe(true);
+    });
+
+    it("should not flag public addresses", () => {
+      expect(isLocalIp("8.8.8.8")).toBe(false);
+    });
+  });
+
+  describe("lookupLocation", () => {
+    it("should resolve public IP addresses", () => {
+      const location = lookupLocation("8.8.8.8");
+
+      expect(location.country).toBe("US");
+      expect(location.coordinates).toBeDefined();
+    });
+
+    it("should return the local placeholder for private addresses", () => {
+      expect(lookupLocation("127.0.0.1").country).toBe(LOCAL_COUNTRY_CODE);
+    });
+
+    it("should return null for missing IP addresses", () => {
+      expect(lookupLocation(null)).toBeNull();
+    });
+  });
+
+  describe("lookupCountry", () => {
+    it("should return the country code", () => {
+      expect(lookupCountry("85.214.132.117")).toBe("DE");
+      expect(lookupCountry("::ffff:8.8.8.8")).toBe("US");
+    });
+
+    it("should return null for unknown addresses", () => {
+      expect(lookupCountry("not-an-ip")).toBeNull();
+    });
+  });
+});
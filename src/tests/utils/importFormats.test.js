@@ -0,0 +1,95 @@
+import {
+  normalizeImportRow,
+  parseCsv,
+  parseImportFile,
+} from "../../utils/importFormats.js";
+
+describe("Import Format Utils", () => {
+  describe("parseCsv", () => {
+    it("should handle quoted fields, doubled quotes and line breaks", () => {
+      const records = parseCsv('a,b,c\r\n"x, y","say ""hi""","two\nlines"\r\n');
+
+      expect(records).toEqual([
+        ["a", "b", "c"],
+        ["x, y", 'say "hi"', "two\nlines"],
+      ]);
+    });
+
+    it("should strip a byte order mark and skip blank lines", () => {
+      expect(parseCsv("\uFEFFurl\n\nhttps://a.com\n")).toEqual([
+        ["url"],
+        ["https://a.com"],
+      ]);
+    });
+
+    it("should reject unterminated quotes", () => {
+      expect(() => parseCsv('url\n"https://a.com')).toThrow(
+        "Unterminated quoted field"
+      );
+    });
+  });
+
+  describe("normalizeImportRow", () => {
+    it("should map header aliases to import fields", () => {
+      const row = normalizeImportRow({
+        URL: " https://a.com ",
+        Alias: "launch",
+        Tags: "a; b,c",
+        Expiry: "2099-01-01",
+        Unknown: "ignored",
+      });
+
+      expect(row).toEqual({
+        originalUrl: "https://a.com",
+        customAlias: "launch",
+        tags: ["a", "b", "c"],
+        expiresAt: new Date("2099-01-01"),
+      });
+    });
+
+    it("should keep unparseable expiry dates for validation", () => {
+      expect(normalizeImportRow({ url: "x", expiry: "soon" }).expiresAt).toBe(
+        "soon"
+      );
+    });
+  });
+
+  describe("parseImportFile", () => {
+    it("should parse CSV rows by header", () => {
+      const rows = parseImportFile(
+        "originalUrl,title\nhttps://a.com,A\nhttps://b.com,",
+        "csv"
+      );
+
+      expect(rows).toEqual([
+        { originalUrl: "https://a.com", title: "A" },
+        { originalUrl: "https://b.com" },
+      ]);
+    });
+
+    it("should parse NDJSON lines", () => {
+      const rows = parseImportFile(
+        '{"url":"https://a.com","tags":["x"]}\n\n{"originalUrl":"https://b.com"}\n',
+        "ndjson"
+      );
+
+      expect(rows).toEqual([
+        { originalUrl: "https://a.com", tags: ["x"] },
+        { originalUrl: "https://b.com" },
+      ]);
+    });
+
+    it("should report malformed input", () => {
+      expect(() => parseImportFile("title\nA", "csv")).toThrow("originalUrl");
+      expect(() => parseImportFile('{"url":1}\nnope', "ndjson")).toThrow(
+        "Line 2 is not valid JSON"
+      );
+      expect(() => parseImportFile("[1]", "ndjson")).toThrow(
+        "Line 1 must be a JSON object"
+      );
+      expect(() => parseImportFile("", "xlsx")).toThrow(
+        "Unsupported import format"
+      );
+    });
+  });
+});
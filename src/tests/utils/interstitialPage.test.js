@@ -0,0 +1,50 @@
+import { renderInterstitialPage } from "../../utils/interstitialPage.js";
+
+describe("Interstitial Page", () => {
+  it("should show the destination domain, title and favicon", () => {
+    const html = renderInterstitialPage({
+      destination: "https://docs.example.com/guide?step=1",
+      title: "The Guide",
+      favicon: "https://docs.example.com/favicon.ico",
+      continueUrl: "/abc123?viaInterstitial=1",
+    });
+
+    expect(html).toContain("<span>docs.example.com</span>");
+    expect(html).toContain("<h1>The Guide</h1>");
+    expect(html).toContain('src="https://docs.example.com/favicon.ico"');
+    expect(html).toContain('href="/abc123?viaInterstitial=1"');
+    expect(html).not.toContain('http-equiv="refresh"');
+  });
+
+  it("should continue automatically after the countdown", () => {
+    const html = renderInterstitialPage({
+      destination: "https://example.com",
+      continueUrl: "/abc123?viaInterstitial=1",
+      countdown: 3,
+    });
+
+    expect(html).toContain(
+      '<meta http-equiv="refresh" content="3;url=/abc123?viaInterstitial=1">'
+    );
+    expect(html).toContain("Continuing automatically in 3 seconds.");
+  });
+
+  it("should escape page details", () => {
+    const html = renderInterstitialPage({
+      destination: "https://example.com/?q=<script>",
+      title: '<img src=x onerror="alert(1)">',
+      continueUrl: "/abc123?a=1&viaInterstitial=1",
+    });
+
+    expect(html).not.toContain("<script>");
+    expect(html).not.toContain("<img src=x");
+    expect(html).toContain('href="/abc123?a=1&amp;viaInterstitial=1"');
+  });
+
+  it("should hide the destination when none is given", () => {
+    const html = renderInterstitialPage({ continueUrl: "/abc123" });
+
+    expect(html).toContain("after you enter the link's password");
+    expect(html).toContain("<h1>You are leaving SnapURL</h1>");
+  });
+});
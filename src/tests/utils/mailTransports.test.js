@@ -0,0 +1,39 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createTransport, readOutbox } from "../../utils/mailTransports.js";
+
+describe("Mail Transports", () => {
+  const dir = path.join(os.tmpdir(), `snapurl-transport-test-${process.pid}`);
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("should write messages to the file outbox", async () => {
+    const transport = createTransport("file", { dir });
+
+    const { messageId } = await transport.send({
+      from: "SnapURL <no-reply@snapurl.local>",
+      to: "jane@example.com",
+      subject: "Hello",
+      text: "Hi Jane",
+      html: "<p>Hi Jane</p>",
+    });
+
+    const messages = await readOutbox(dir);
+    expect(messages).toHaveLength(1);
+    expect(messages[0].messageId).toBe(messageId);
+    expect(messages[0].to).toBe("jane@example.com");
+  });
+
+  it("should return an empty outbox before anything is sent", async () => {
+    expect(await readOutbox(dir)).toEqual([]);
+  });
+
+  it("should reject unknown drivers", () => {
+    expect(() => createTransport("carrier-pigeon")).toThrow(
+      "Unknown mail driver"
+    );
+  });
+});
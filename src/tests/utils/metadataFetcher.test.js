@@ -0,0 +1,233 @@
+import http from "http";
+import {
+  fetchPageMetadata,
+  parsePageMetadata,
+} from "../../utils/metadataFetcher.js";
+
+const ARTICLE_HTML = `<!doctype html>
+<html><head>
+  <meta charset="utf-8">
+  <meta property="og:title" content="OG Title">
+  <meta property="og:description" content="OG description">
+  <meta property="og:site_name" content="Fixture Site">
+  <meta property="og:image" content="/images/card.png">
+  <link rel="apple-touch-icon" href="/apple.png">
+  <link rel="shortcut icon" href="/static/favicon.png">
+</head><body><title>Not the title</title></body></html>`;
+
+/**
+ * Local fixture server for fetchPageMetadata
+ */
+const fixtures = {
+  "/article": (req, res) => {
+    res.writeHead(200, { "Content-Type": "text/html; charset=utf-8" });
+    res.end(ARTICLE_HTML);
+  },
+  "/twitter": (req, res) => {
+    res.writeHead(200, { "Content-Type": "text/html" });
+    res.end(`<head><meta name="twitter:title" content="Card title">
+      <meta name="twitter:image" content="https://cdn.example.com/card.jpg"></head>`);
+  },
+  "/latin1": (req, res) => {
+    res.writeHead(200, { "Content-Type": "text/html; charset=iso-8859-1" });
+    res.end(Buffer.from("<title>Caf\xe9</title>", "latin1"));
+  },
+  "/moved": (req, res) => {
+    res.writeHead(301, { Location: "/hop" });
+    res.end();
+  },
+  "/hop": (req, res) => {
+    res.writeHead(302, { Location: "/article" });
+    res.end();
+  },
+  "/loop": (req, res) => {
+    res.writeHead(302, { Location: "/loop" });
+    res.end();
+  },
+  "/to-ftp": (req, res) => {
+    res.writeHead(302, { Location: "ftp://example.com/file" });
+    res.end();
+  },
+  "/missing": (req, res) => {
+    res.writeHead(404, { "Content-Type": "text/html" });
+    res.end("<title>Not Found</title>");
+  },
+  "/image": (req, res) => {
+    res.writeHead(200, { "Content-Type": "image/png" });
+    res.end(Buffer.alloc(16));
+  },
+  "/huge": (req, res) => {
+    res.writeHead(200, { "Content-Type": "text/html" });
+    res.write("<head>" + " ".repeat(64 * 1024));
+    res.end("<title>Too far down</title></head>");
+  },
+  "/slow": (req, res) => {
+    setTimeout(() => res.end("<title>Late</title>"), 2000).unref();
+  },
+};
+
+describe("Metadata Fetcher Utils", () => {
+  let server, baseUrl;
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => fixtures[req.url](req, res));
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  describe("parsePageMetadata", () => {
+    it("should extract the title and meta description", () => {
+      const html = `<html><head>
+        <title>
+          Launch &amp; Learn
+        </title>
+        <meta content='A "quick" guide' name="description">
+      </head></html>`;
+
+      expect(parsePageMetadata(html)).toMatchObject({
+        pageTitle: "Launch & Learn",
+        pageDescription: 'A "quick" guide',
+      });
+    });
+
+    it("should replace invalid character references", () => {
+      const html = `<title>Caf&#233; &#99999999; &#x110000; &#xD800; &#0; &#x1F600;</title>`;
+
+      expect(parsePageMetadata(html).pageTitle).toBe(
+        "Caf\u00e9 \ufffd \ufffd \ufffd \ufffd \u{1f600}"
+      );
+    });
+
+    it("should return nulls when tags are missing", () => {
+      expect(parsePageMetadata("<p>No head</p>")).toEqual({
+        pageTitle: null,
+        pageDescription: null,
+        siteName: null,
+        image: null,
+        favicon: null,
+      });
+    });
+
+    it("should truncate overly long values", () => {
+      const html = `<title>${"a".repeat(300)}</title>`;
+
+      expect(parsePageMetadata(html).pageTitle).toHaveLength(200);
+    });
+
+    it("should ignore javascript: links", () => {
+      const html = `<meta property="og:image" content="javascript:alert(1)">`;
+
+      expect(parsePageMetadata(html, "https://example.com").image).toBeNull();
+    });
+  });
+
+  describe("fetchPageMetadata", () => {
+    it("should read OpenGraph tags and resolve relative links", async () => {
+      const metadata = await fetchPageMetadata(`${baseUrl}/article`);
+
+      expect(metadata).toEqual({
+        httpStatus: 200,
+        finalUrl: `${baseUrl}/article`,
+        redirects: [],
+        pageTitle: "OG Title",
+        pageDescription: "OG description",
+        siteName: "Fixture Site",
+        image: `${baseUrl}/images/card.png`,
+        favicon: `${baseUrl}/static/favicon.png`,
+      });
+    });
+
+    it("should fall back to Twitter card tags and /favicon.ico", async () => {
+      const metadata = await fetchPageMetadata(`${baseUrl}/twitter`);
+
+      expect(metadata.pageTitle).toBe("Card title");
+      expect(metadata.image).toBe("https://cdn.example.com/card.jpg");
+      expect(metadata.favicon).toBe(`${baseUrl}/favicon.ico`);
+    });
+
+    it("should decode the declared charset", async () => {
+      const metadata = await fetchPageMetadata(`${baseUrl}/latin1`);
+
+      expect(metadata.pageTitle).toBe("Café");
+    });
+
+    it("should follow redirects and record each hop", async () => {
+      const metadata = await fetchPageMetadata(`${baseUrl}/moved`);
+
+      expect(metadata.finalUrl).toBe(`${baseUrl}/article`);
+      expect(metadata.redirects).toEqual([
+        { url: `${baseUrl}/moved`, status: 301 },
+        { url: `${baseUrl}/hop`, status: 302 },
+      ]);
+      expect(metadata.pageTitle).toBe("OG Title");
+    });
+
+    it("should stop after too many redirects", async () => {
+      await expect(
+        fetchPageMetadata(`${baseUrl}/loop`, { maxRedirects: 3 })
+      ).rejects.toThrow("Too many redirects");
+    });
+
+    it("should refuse redirects to other protocols", async () => {
+      await expect(fetchPageMetadata(`${baseUrl}/to-ftp`)).rejects.toThrow(
+        "Unsupported redirect target"
+      );
+    });
+
+    it("should refuse private hosts unless they are allowed", async () => {
+      await expect(
+        fetchPageMetadata(`${baseUrl}/article`, { allowPrivate: false })
+      ).rejects.toThrow("Refusing to connect to private address: 127.0.0.1");
+    });
+
+    it("should refuse redirects to private hosts", async () => {
+      const fetchMock = jest.spyOn(globalThis, "fetch").mockResolvedValue(
+        new Response(null, {
+          status: 302,
+          headers: { Location: "http://169.254.169.254/latest/meta-data" },
+        })
+      );
+
+      try {
+        await expect(
+          fetchPageMetadata("https://93.184.216.34/", { allowPrivate: false })
+        ).rejects.toThrow(
+          "Refusing to connect to private address: 169.254.169.254"
+        );
+        expect(fetchMock).toHaveBeenCalledTimes(1);
+      } finally {
+        fetchMock.mockRestore();
+      }
+    });
+
+    it("should only report the status of error and non-HTML responses", async () => {
+      const missing = await fetchPageMetadata(`${baseUrl}/missing`);
+      expect(missing.httpStatus).toBe(404);
+      expect(missing.pageTitle).toBeNull();
+
+      const image = await fetchPageMetadata(`${baseUrl}/image`);
+      expect(image.httpStatus).toBe(200);
+      expect(image.pageTitle).toBeNull();
+    });
+
+    it("should stop reading at the size limit", async () => {
+      const metadata = await fetchPageMetadata(`${baseUrl}/huge`, {
+        maxBytes: 1024,
+      });
+
+      expect(metadata.httpStatus).toBe(200);
+      expect(metadata.pageTitle).toBeNull();
+    });
+
+    it("should time out slow destinations", async () => {
+      await expect(
+        fetchPageMetadata(`${baseUrl}/slow`, { timeoutMs: 200 })
+      ).rejects.toThrow("Request timed out after 200ms");
+    });
+  });
+});
@@ -0,0 +1,45 @@
+import { assertPublicUrl, isPrivateAddress } from "../../utils/networkGuard.js";
+
+describe("Network Guard Utils", () => {
+  it("should flag loopback, private and link-local addresses", () => {
+    for (const address of [
+      "127.0.0.1",
+      "10.1.2.3",
+      "172.20.0.1",
+      "192.168.1.1",
+      "169.254.169.254",
+      "100.64.0.1",
+      "0.0.0.0",
+      "::1",
+      "fd00::1",
+      "fe80::1",
+      "::ffff:127.0.0.1",
+    ]) {
+      expect(isPrivateAddress(address)).toBe(true);
+    }
+  });
+
+  it("should let public addresses through", () => {
+    for (const address of ["93.184.216.34", "8.8.8.8", "2606:4700::1111"]) {
+      expect(isPrivateAddress(address)).toBe(false);
+    }
+  });
+
+  it("should reject URLs whose host resolves to a private address", async () => {
+    await expect(
+      assertPublicUrl("http://localhost:3000/", { allowPrivate: false })
+    ).rejects.toThrow("Refusing to connect to private address: localhost");
+    await expect(
+      assertPublicUrl("http://[::1]/", { allowPrivate: false })
+    ).rejects.toThrow("Refusing to connect to private address: ::1");
+    await expect(
+      assertPublicUrl("https://93.184.216.34/", { allowPrivate: false })
+    ).resolves.toBeUndefined();
+  });
+
+  it("should skip the check when private hosts are allowed", async () => {
+    await expect(
+      assertPublicUrl("http://127.0.0.1/", { allowPrivate: true })
+    ).resolves.toBeUndefined();
+  });
+});
@@ -0,0 +1,66 @@
+import {
+  PERMISSIONS,
+  roleHasPermission,
+  rolesWithPermission,
+  isAdmin,
+  API_KEY_SCOPES,
+  DEFAULT_API_KEY_SCOPES,
+} from "../../utils/permissions.js";
+
+describe("Permission Utils", () => {
+  describe("roleHasPermission", () => {
+    it("should let owners manage the workspace", () => {
+      expect(roleHasPermission("owner", PERMISSIONS.WORKSPACE_MANAGE)).toBe(
+        true
+      );
+      expect(roleHasPermission("editor", PERMISSIONS.WORKSPACE_MANAGE)).toBe(
+        false
+      );
+    });
+
+    it("should keep viewers read-only", () => {
+      expect(roleHasPermission("viewer", PERMISSIONS.URL_READ)).toBe(true);
+      expect(roleHasPermission("viewer", PERMISSIONS.ANALYTICS_READ)).toBe(
+        true
+      );
+      expect(roleHasPermission("viewer", PERMISSIONS.URL_WRITE)).toBe(false);
+    });
+
+    it("should deny unknown roles", () => {
+      expect(roleHasPermission("admin", PERMISSIONS.URL_READ)).toBe(false);
+      expect(roleHasPermission(null, PERMISSIONS.URL_READ)).toBe(false);
+    });
+  });
+
+  describe("rolesWithPermission", () => {
+    it("should list the roles that grant a permission", () => {
+      expect(rolesWithPermission(PERMISSIONS.URL_WRITE)).toEqual([
+        "owner",
+        "editor",
+      ]);
+      expect(rolesWithPermission(PERMISSIONS.URL_READ)).toEqual([
+        "owner",
+        "editor",
+        "viewer",
+      ]);
+    });
+  });
+
+  describe("isAdmin", () => {
+    it("should check the platform role", () => {
+      expect(isAdmin({ role: "admin" })).toBe(true);
+      expect(isAdmin({ role: "user" })).toBe(false);
+      expect(isAdmin(null)).toBe(false);
+    });
+  });
+
+  describe("API key scopes", () => {
+    it("should default new keys to read-only scopes", () => {
+      expect(DEFAULT_API_KEY_SCOPES).toEqual([
+        API_KEY_SCOPES.URLS_READ,
+        API_KEY_SCOPES.ANALYTICS_READ,
+      ]);
+      expect(DEFAULT_API_KEY_SCOPES).not.toContain(API_KEY_SCOPES.URLS_WRITE);
+    });
+  });
+});
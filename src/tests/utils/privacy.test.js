@@ -0,0 +1,77 @@
+import {
+  hasPrivacySignal,
+  hashVisitorIp,
+  protectIp,
+  pseudonymizeIp,
+  truncateIp,
+} from "../../utils/privacy.js";
+
+describe("Privacy Utils", () => {
+  it("should map the same IP to the same pseudonym within a scope", () => {
+    const pseudonym = pseudonymizeIp("203.0.113.7", "url-1");
+
+    expect(pseudonym).toMatch(/^ip_[a-f0-9]{16}$/);
+    expect(pseudonymizeIp("203.0.113.7", "url-1")).toBe(pseudonym);
+    expect(pseudonym).not.toContain("203");
+  });
+
+  it("should differ across IPs and scopes", () => {
+    const pseudonym = pseudonymizeIp("203.0.113.7", "url-1");
+
+    expect(pseudonymizeIp("203.0.113.8", "url-1")).not.toBe(pseudonym);
+    expect(pseudonymizeIp("203.0.113.7", "url-2")).not.toBe(pseudonym);
+  });
+
+  it("should pass empty values through as null", () => {
+    expect(pseudonymizeIp(null)).toBeNull();
+    expect(pseudonymizeIp("")).toBeNull();
+  });
+
+  it("should truncate IPv4 to /24 and IPv6 to /48", () => {
+    expect(truncateIp("203.0.113.7")).toBe("203.0.113.0");
+    expect(truncateIp("::ffff:203.0.113.7")).toBe("203.0.113.0");
+    expect(truncateIp("2001:0db8:85a3:0000:0000:8a2e:0370:7334")).toBe(
+      "2001:db8:85a3::"
+    );
+    expect(truncateIp("2001:db8::1")).toBe("2001:db8:0::");
+    expect(truncateIp("not-an-ip")).toBeNull();
+  });
+
+  it("should rotate visitor keys daily and per scope", () => {
+    const day = new Date("2026-10-19T08:00:00Z");
+    const key = hashVisitorIp("203.0.113.7", "url-1", day);
+
+    expect(key).toMatch(/^v_[a-f0-9]{24}$/);
+    expect(
+      hashVisitorIp("203.0.113.7", "url-1", new Date("2026-10-19T23:00:00Z"))
+    ).toBe(key);
+    expect(
+      hashVisitorIp("203.0.113.7", "url-1", new Date("2026-10-20T08:00:00Z"))
+    ).not.toBe(key);
+    expect(hashVisitorIp("203.0.113.7", "url-2", day)).not.toBe(key);
+  });
+
+  it("should store what each privacy mode allows", () => {
+    const date = new Date("2026-10-19T08:00:00Z");
+    const visitorKey = hashVisitorIp("203.0.113.7", "url-1", date);
+
+    expect(protectIp("203.0.113.7", "off")).toEqual({
+      ipAddress: "203.0.113.7",
+      visitorKey: null,
+    });
+    expect(
+      protectIp("203.0.113.7", "truncate", { scope: "url-1", date })
+    ).toEqual({ ipAddress: "203.0.113.0", visitorKey });
+    expect(protectIp("203.0.113.7", "hash", { scope: "url-1", date })).toEqual({
+      ipAddress: null,
+      visitorKey,
+    });
+  });
+
+  it("should detect Do Not Track and Global Privacy Control", () => {
+    expect(hasPrivacySignal({ dnt: "1" })).toBe(true);
+    expect(hasPrivacySignal({ "sec-gpc": "1" })).toBe(true);
+    expect(hasPrivacySignal({ dnt: "0" })).toBe(false);
+    expect(hasPrivacySignal()).toBe(false);
+  });
+});
@@ -0,0 +1,74 @@
+import { MemoryStore } from "express-rate-limit";
+import {
+  createMongoStore,
+  createRateLimitStore,
+} from "../../utils/rateLimitStores.js";
+import RateLimit from "../../models/RateLimit.js";
+
+describe("Rate Limit Stores", () => {
+  const windowMs = 60 * 1000;
+
+  const createStore = (prefix = "test:") => {
+    const store = createMongoStore({ model: RateLimit, prefix });
+    store.init({ windowMs });
+    return store;
+  };
+
+  it("should count hits within a window", async () => {
+    const store = createStore();
+
+    await store.increment("user:1");
+    const { totalHits, resetTime } = await store.increment("user:1");
+
+    expect(totalHits).toBe(2);
+    expect(resetTime.getTime()).toBeGreaterThan(Date.now());
+    expect(resetTime.getTime()).toBeLessThanOrEqual(Date.now() + windowMs);
+    expect((await store.get("user:1")).totalHits).toBe(2);
+  });
+
+  it("should start a new window once the last one ended", async () => {
+    const store = createStore();
+    await RateLimit.create({
+      key: "test:user:1",
+      hits: 50,
+      resetAt: new Date(Date.now() - 1000),
+    });
+
+    expect(await store.get("user:1")).toBeUndefined();
+    expect((await store.increment("user:1")).totalHits).toBe(1);
+  });
+
+  it("should keep limiters apart by prefix", async () => {
+    const createLimiter = createStore("create:");
+    const analyticsLimiter = createStore("analytics:");
+
+    await createLimiter.increment("user:1");
+    await createLimiter.increment("user:1");
+    await analyticsLimiter.increment("user:1");
+
+    expect((await createLimiter.get("user:1")).totalHits).toBe(2);
+    expect((await analyticsLimiter.get("user:1")).totalHits).toBe(1);
+  });
+
+  it("should take back and reset hits", async () => {
+    const store = createStore();
+    await store.increment("user:1");
+    await store.increment("user:1");
+
+    await store.decrement("user:1");
+    expect((await store.get("user:1")).totalHits).toBe(1);
+
+    await store.resetKey("user:1");
+    expect(await store.get("user:1")).toBeUndefined();
+  });
+
+  it("should create stores by name", () => {
+    expect(createRateLimitStore("memory")).toBeInstanceOf(MemoryStore);
+    expect(
+      createRateLimitStore("mongo", { model: RateLimit, prefix: "x:" }).prefix
+    ).toBe("x:");
+    expect(() => createRateLimitStore("redis")).toThrow(
+      'Unknown rate limit store "redis". Use one of: mongo, memory'
+    );
+  });
+});
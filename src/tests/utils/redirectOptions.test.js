@@ -0,0 +1,62 @@
+import {
+  forwardQueryParams,
+  renderRefreshPage,
+} from "../../utils/redirectOptions.js";
+
+describe("Redirect Options", () => {
+  describe("forwardQueryParams", () => {
+    const incoming = new URLSearchParams(
+      "utm_source=news&tag=a&tag=b&viaInterstitial=1"
+    );
+
+    it("should leave the destination alone by default", () => {
+      expect(forwardQueryParams("https://example.com", incoming)).toBe(
+        "https://example.com"
+      );
+      expect(
+        forwardQueryParams("https://example.com", incoming, { mode: "none" })
+      ).toBe("https://example.com");
+    });
+
+    it("should merge every parameter except excluded ones", () => {
+      const result = forwardQueryParams(
+        "https://example.com/page?tag=old&lang=en",
+        incoming,
+        { mode: "all" },
+        ["viaInterstitial"]
+      );
+
+      expect(result).toBe(
+        "https://example.com/page?lang=en&utm_source=news&tag=a&tag=b"
+      );
+    });
+
+    it("should merge only allowlisted keys", () => {
+      const result = forwardQueryParams("https://example.com/page", incoming, {
+        mode: "allowlist",
+        keys: ["utm_source", "missing"],
+      });
+
+      expect(result).toBe("https://example.com/page?utm_source=news");
+    });
+
+    it("should keep the destination untouched when nothing is forwarded", () => {
+      expect(
+        forwardQueryParams("https://example.com", new URLSearchParams(), {
+          mode: "all",
+        })
+      ).toBe("https://example.com");
+    });
+  });
+
+  describe("renderRefreshPage", () => {
+    it("should refresh to the escaped destination", () => {
+      const html = renderRefreshPage("https://example.com/?a=1&b=2");
+
+      expect(html).toContain(
+        '<meta http-equiv="refresh" content="0;url=https://example.com/?a=1&amp;b=2">'
+      );
+      expect(html).toContain('href="https://example.com/?a=1&amp;b=2"');
+    });
+  });
+});
@@ -0,0 +1,154 @@
+import {
+  applyRollupIncrement,
+  buildRollupIncrement,
+  classifyReferrerDomain,
+  decodeRollupKey,
+  encodeRollupKey,
+  getRollupRangeFilter,
+  getRollupSlot,
+  mergeCounts,
+} from "../../utils/rollups.js";
+
+describe("Rollup Utils", () => {
+  const click = {
+    isBot: false,
+    isUnique: true,
+    viaInterstitial: false,
+    referrer: "https://www.google.com/search?q=snapurl",
+    location: { country: "DE" },
+    device: { type: "mobile", browser: "Safari", os: "iOS" },
+    campaign: { campaign: "spring.sale" },
+  };
+
+  it("should put clicks in their UTC day and hour", () => {
+    const { date, hour } = getRollupSlot(new Date("2025-06-01T23:45:10Z"));
+
+    expect(date.toISOString()).toBe("2025-06-01T00:00:00.000Z");
+    expect(hour).toBe(23);
+  });
+
+  it("should encode keys MongoDB can't store and decode them back", () => {
+    const value = "$spring.sale 50%";
+    const key = encodeRollupKey(value);
+
+    expect(key).toBe("%24spring%2Esale 50%25");
+    expect(key).not.toMatch(/[.$]/);
+    expect(decodeRollupKey(key)).toBe(value);
+  });
+
+  it("should count human clicks towards every breakdown", () => {
+    expect(buildRollupIncrement(click)).toEqual({
+      clicks: 1,
+      uniqueClicks: 1,
+      "countries.DE": 1,
+      "devices.mobile": 1,
+      "browsers.Safari": 1,
+      "os.iOS": 1,
+      "referrers.search": 1,
+      "referrerDomains.www%2Egoogle%2Ecom": 1,
+      "campaigns.spring%2Esale": 1,
+    });
+  });
+
+  it("should count bots only as bot clicks", () => {
+    expect(buildRollupIncrement({ ...click, isBot: true })).toEqual({
+      clicks: 1,
+      botClicks: 1,
+    });
+  });
+
+  it("should count direct traffic and variants", () => {
+    const increment = buildRollupIncrement({
+      isUnique: false,
+      viaInterstitial: true,
+      referrer: null,
+      variant: { variantId: "64a1b2c3d4e5f6789abcdef1" },
+    });
+
+    expect(increment).toEqual({
+      clicks: 1,
+      interstitialClicks: 1,
+      "referrers.direct": 1,
+      "variants.64a1b2c3d4e5f6789abcdef1.clicks": 1,
+    });
+  });
+
+  it("should apply increments to an in-memory rollup", () => {
+    const rollup = {};
+    applyRollupIncrement(rollup, buildRollupIncrement(click));
+    applyRollupIncrement(rollup, buildRollupIncrement(click));
+
+    expect(rollup.clicks).toBe(2);
+    expect(rollup.countries).toEqual({ DE: 2 });
+    expect(rollup.referrers).toEqual({ search: 2 });
+  });
+
+  it("should classify referrer domains", () => {
+    expect(classifyReferrerDomain("www.google.com")).toBe("search");
+    expect(classifyReferrerDomain("linkedin.com")).toBe("social");
+    expect(classifyReferrerDomain("blog.example.com")).toBe("referral");
+  });
+
+  it("should widen ranges to whole hours", () => {
+    expect(
+      getRollupRangeFilter(
+        new Date("2025-06-01T08:30:00Z"),
+        new Date("2025-06-01T17:59:59Z")
+      )
+    ).toEqual({
+      date: new Date("2025-06-01T00:00:00Z"),
+      hour: { $gte: 8, $lte: 17 },
+    });
+
+    expect(
+      getRollupRangeFilter(
+        new Date("2025-06-01T08:30:00Z"),
+        new Date("2025-06-03T23:59:59Z")
+      ).$or
+    ).toEqual([
+      { date: new Date("2025-06-01T00:00:00Z"), hour: { $gte: 8 } },
+      {
+        date: {
+          $gt: new Date("2025-06-01T00:00:00Z"),
+          $lt: new Date("2025-06-03T00:00:00Z"),
+        },
+      },
+      { date: new Date("2025-06-03T00:00:00Z"), hour: { $lte: 23 } },
+    ]);
+  });
+
+  it("should merge counts from rollups and raw clicks", () => {
+    const merged = mergeCounts(
+      [
+        [{ _id: "US", count: 2, countryName: "United States" }],
+        [
+          { _id: "US", count: 5 },
+          { _id: "DE", count: 4 },
+          { _id: "FR", count: 1 },
+        ],
+      ],
+      { limit: 2 }
+    );
+
+    expect(merged).toEqual([
+      { _id: "US", count: 7, countryName: "United States" },
+      { _id: "DE", count: 4 },
+    ]);
+
+    expect(
+      mergeCounts(
+        [
+          [{ _id: 14, count: 1, uniqueIPsCount: 1 }],
+          [
+            { _id: 9, count: 3, uniqueIPsCount: 2 },
+            { _id: 14, count: 2, uniqueIPsCount: 2 },
+          ],
+        ],
+        { sortById: true }
+      )
+    ).toEqual([
+      { _id: 9, count: 3, uniqueIPsCount: 2 },
+      { _id: 14, count: 3, uniqueIPsCount: 3 },
+    ]);
+  });
+});
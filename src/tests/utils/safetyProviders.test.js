@@ -0,0 +1,77 @@
+import {
+  createFakeProvider,
+  createSafetyProvider,
+} from "../../utils/safetyProviders.js";
+
+describe("Safety Providers", () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("should flag fake-listed hosts and their subdomains", async () => {
+    const provider = createFakeProvider();
+
+    const result = await provider.check("https://login.phishing.test/account");
+
+    expect(result.verdict).toBe("malicious");
+    expect(result.reasons[0].rule).toBe("fake-listing");
+    expect(provider.calls).toEqual(["https://login.phishing.test/account"]);
+    expect((await provider.check("https://example.com")).verdict).toBe("safe");
+  });
+
+  it("should report Safe Browsing matches as malicious", async () => {
+    const fetchMock = jest.spyOn(globalThis, "fetch").mockResolvedValue(
+      Response.json({
+        matches: [{ threatType: "SOCIAL_ENGINEERING" }],
+      })
+    );
+    const provider = createSafetyProvider("safe-browsing", { apiKey: "key" });
+
+    const result = await provider.check("https://phish.example/");
+
+    expect(result).toEqual({
+      verdict: "malicious",
+      reasons: [
+        {
+          rule: "social_engineering",
+          message: "Listed by Google Safe Browsing as SOCIAL_ENGINEERING",
+        },
+      ],
+    });
+    const [endpoint, options] = fetchMock.mock.calls[0];
+    expect(endpoint).toContain("key=key");
+    expect(JSON.parse(options.body).threatInfo.threatEntries).toEqual([
+      { url: "https://phish.example/" },
+    ]);
+  });
+
+  it("should treat an empty Safe Browsing response as safe", async () => {
+    jest.spyOn(globalThis, "fetch").mockResolvedValue(Response.json({}));
+    const provider = createSafetyProvider("safe-browsing", { apiKey: "key" });
+
+    expect(await provider.check("https://example.com")).toEqual({
+      verdict: "safe",
+      reasons: [],
+    });
+  });
+
+  it("should fail when Safe Browsing returns an error", async () => {
+    jest
+      .spyOn(globalThis, "fetch")
+      .mockResolvedValue(new Response(null, { status: 403 }));
+    const provider = createSafetyProvider("safe-browsing", { apiKey: "key" });
+
+    await expect(provider.check("https://example.com")).rejects.toThrow(
+      "HTTP 403"
+    );
+  });
+
+  it("should reject unknown or misconfigured providers", () => {
+    expect(() => createSafetyProvider("crystal-ball")).toThrow(
+      "Unknown URL safety provider"
+    );
+    expect(() => createSafetyProvider("safe-browsing")).toThrow(
+      "URL_SAFETY_API_KEY"
+    );
+  });
+});
@@ -0,0 +1,49 @@
+import mongoose from "mongoose";
+import {
+  createUnlockToken,
+  getUnlockCookieName,
+  getUnlockTokenFromRequest,
+  verifyUnlockToken,
+} from "../../utils/unlockToken.js";
+
+describe("Unlock Token Utils", () => {
+  const url = { _id: new mongoose.Types.ObjectId(), passwordUpdatedAt: null };
+
+  it("should verify a token for the same URL", () => {
+    const { token, expiresAt } = createUnlockToken(url);
+
+    expect(verifyUnlockToken(token, url)).toBe(true);
+    expect(expiresAt.getTime()).toBeGreaterThan(Date.now());
+  });
+
+  it("should reject tokens for other URLs", () => {
+    const { token } = createUnlockToken(url);
+    const other = { _id: new mongoose.Types.ObjectId() };
+
+    expect(verifyUnlockToken(token, other)).toBe(false);
+  });
+
+  it("should reject tokens issued before the password changed", () => {
+    const { token } = createUnlockToken(url);
+    const changed = { ...url, passwordUpdatedAt: new Date(Date.now() + 5000) };
+
+    expect(verifyUnlockToken(token, changed)).toBe(false);
+  });
+
+  it("should reject missing or malformed tokens", () => {
+    expect(verifyUnlockToken(null, url)).toBe(false);
+    expect(verifyUnlockToken("not-a-token", url)).toBe(false);
+  });
+
+  it("should read the token from the unlock cookie", () => {
+    const { token } = createUnlockToken(url);
+    const req = {
+      headers: {
+        cookie: `theme=dark; ${getUnlockCookieName(url._id)}=${token}`,
+      },
+      get: () => undefined,
+    };
+
+    expect(getUnlockTokenFromRequest(req, url)).toBe(token);
+  });
+});
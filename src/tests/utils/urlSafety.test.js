@@ -0,0 +1,108 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  checkUrlPatterns,
+  loadDomainLists,
+  matchesDomainList,
+  worstVerdict,
+} from "../../utils/urlSafety.js";
+
+describe("URL Safety", () => {
+  const rules = (url) => checkUrlPatterns(url).map((finding) => finding.rule);
+
+  describe("checkUrlPatterns", () => {
+    it("should pass ordinary destinations", () => {
+      expect(checkUrlPatterns("https://example.com/page?ref=home#top")).toEqual(
+        []
+      );
+    });
+
+    it("should flag IP address hosts", () => {
+      expect(rules("http://203.0.113.7/login")).toEqual(["ip-host"]);
+      expect(rules("http://[2001:db8::1]/login")).toEqual(["ip-host"]);
+    });
+
+    it("should flag punycode lookalike hosts", () => {
+      expect(rules("https://xn--pple-43d.com/signin")).toEqual([
+        "punycode-host",
+      ]);
+    });
+
+    it("should flag credentials that disguise the host", () => {
+      expect(rules("https://paypal.com@evil.example/")).toEqual([
+        "credentials-in-url",
+      ]);
+    });
+
+    it("should find script schemes hidden in parameters and fragments", () => {
+      const findings = checkUrlPatterns(
+        "https://example.com/out?next=javascript%253Aalert(1)"
+      );
+
+      expect(findings).toEqual([
+        expect.objectContaining({
+          rule: "hidden-script-scheme",
+          verdict: "malicious",
+        }),
+      ]);
+      expect(rules("https://example.com/#data:text/html;base64,PHA+")).toEqual([
+        "hidden-script-scheme",
+      ]);
+    });
+
+    it("should treat unparseable URLs as malicious", () => {
+      expect(checkUrlPatterns("not a url")[0]).toMatchObject({
+        rule: "invalid-url",
+        verdict: "malicious",
+      });
+    });
+  });
+
+  describe("worstVerdict", () => {
+    it("should pick the most harmful verdict", () => {
+      expect(worstVerdict([])).toBe("safe");
+      expect(worstVerdict(["safe", "suspicious"])).toBe("suspicious");
+      expect(worstVerdict(["malicious", "suspicious"])).toBe("malicious");
+    });
+  });
+
+  describe("matchesDomainList", () => {
+    it("should match listed domains and their subdomains only", () => {
+      const domains = ["evil.example"];
+
+      expect(matchesDomainList("evil.example", domains)).toBe(true);
+      expect(matchesDomainList("login.evil.example", domains)).toBe(true);
+      expect(matchesDomainList("notevil.example", domains)).toBe(false);
+    });
+  });
+
+  describe("loadDomainLists", () => {
+    const file = path.join(
+      os.tmpdir(),
+      `snapurl-safety-lists-${process.pid}.json`
+    );
+
+    afterEach(() => {
+      fs.rmSync(file, { force: true });
+    });
+
+    it("should read and normalize the list file", () => {
+      fs.writeFileSync(
+        file,
+        JSON.stringify({ blocked: [" Evil.Example ", ""], allowed: ["ok.io"] })
+      );
+
+      expect(loadDomainLists(file)).toEqual({
+        blocked: ["evil.example"],
+        allowed: ["ok.io"],
+      });
+    });
+
+    it("should default missing lists to empty", () => {
+      fs.writeFileSync(file, JSON.stringify({ blocked: ["evil.example"] }));
+
+      expect(loadDomainLists(file).allowed).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,77 @@
+import {
+  getVisitorKey,
+  hashToUnitInterval,
+  selectVariant,
+} from "../../utils/variantSelector.js";
+
+describe("Variant Selector Utils", () => {
+  const variants = [
+    { name: "a", url: "https://example.com/a", weight: 50 },
+    { name: "b", url: "https://example.com/b", weight: 50 },
+  ];
+
+  describe("getVisitorKey", () => {
+    it("should combine IP address and user agent", () => {
+      expect(
+        getVisitorKey({ ipAddress: "8.8.8.8", userAgent: "Mozilla/5.0" })
+      ).toBe("8.8.8.8|Mozilla/5.0");
+    });
+
+    it("should handle missing values", () => {
+      expect(getVisitorKey({ ipAddress: null })).toBe("|");
+    });
+  });
+
+  describe("hashToUnitInterval", () => {
+    it("should return a stable number between 0 and 1", () => {
+      const value = hashToUnitInterval("visitor");
+
+      expect(value).toBeGreaterThanOrEqual(0);
+      expect(value).toBeLessThan(1);
+      expect(hashToUnitInterval("visitor")).toBe(value);
+    });
+  });
+
+  describe("selectVariant", () => {
+    it("should return null when there are no eligible variants", () => {
+      expect(selectVariant([])).toBeNull();
+      expect(
+        selectVariant([{ name: "a", url: "https://example.com", weight: 0 }])
+      ).toBeNull();
+    });
+
+    it("should be sticky for the same seed", () => {
+      const first = selectVariant(variants, "url1:8.8.8.8|Chrome");
+
+      for (let i = 0; i < 20; i++) {
+        expect(selectVariant(variants, "url1:8.8.8.8|Chrome")).toBe(first);
+      }
+    });
+
+    it("should never select a zero-weight variant", () => {
+      const paused = [
+        { name: "a", url: "https://example.com/a", weight: 100 },
+        { name: "b", url: "https://example.com/b", weight: 0 },
+      ];
+
+      for (let i = 0; i < 50; i++) {
+        expect(selectVariant(paused, `seed-${i}`).name).toBe("a");
+      }
+    });
+
+    it("should distribute visitors according to weight", () => {
+      const weighted = [
+        { name: "a", url: "https://example.com/a", weight: 80 },
+        { name: "b", url: "https://example.com/b", weight: 20 },
+      ];
+      const counts = { a: 0, b: 0 };
+
+      for (let i = 0; i < 2000; i++) {
+        counts[selectVariant(weighted, `visitor-${i}`).name]++;
+      }
+
+      expect(counts.a / 2000).toBeGreaterThan(0.7);
+      expect(counts.a / 2000).toBeLessThan(0.9);
+    });
+  });
+});
@@ -0,0 +1,42 @@
+import {
+  generateWebhookSecret,
+  signPayload,
+  verifySignature,
+} from "../../utils/webhookSignature.js";
+
+describe("Webhook Signature Utils", () => {
+  const secret = generateWebhookSecret();
+  const body = JSON.stringify({ event: "url.created", data: { id: "abc" } });
+
+  it("should generate prefixed random secrets", () => {
+    expect(secret).toMatch(/^whsec_[a-f0-9]{48}$/);
+    expect(generateWebhookSecret()).not.toBe(secret);
+  });
+
+  it("should sign with a timestamp and HMAC", () => {
+    expect(signPayload(secret, body, 1700000000)).toMatch(
+      /^t=1700000000,v1=[a-f0-9]{64}$/
+    );
+  });
+
+  it("should verify its own signatures", () => {
+    expect(verifySignature(secret, body, signPayload(secret, body))).toBe(true);
+  });
+
+  it("should reject tampered bodies and other secrets", () => {
+    const header = signPayload(secret, body);
+
+    expect(verifySignature(secret, `${body} `, header)).toBe(false);
+    expect(verifySignature(generateWebhookSecret(), body, header)).toBe(false);
+  });
+
+  it("should reject stale or malformed headers", () => {
+    const old = Math.floor(Date.now() / 1000) - 600;
+
+    expect(verifySignature(secret, body, signPayload(secret, body, old))).toBe(
+      false
+    );
+    expect(verifySignature(secret, body, "garbage")).toBe(false);
+    expect(verifySignature(secret, body, undefined)).toBe(false);
+  });
+});
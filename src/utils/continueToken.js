@@ -0,0 +1,63 @@
+import jwt from "jsonwebtoken";
+import crypto from "crypto";
+import { config } from "../config/config.js";
+
+/**
+ * Continue token utility for SnapURL service
+ * Issues short-lived signed tokens for the "continue" links on pages shown
+ * before a redirect, so only visitors who saw the page can skip it
+ */
+
+// Separate audience so continue tokens are never accepted as other tokens
+const CONTINUE_AUDIENCE = "snapurl-continue";
+
+// Tokens carry a digest of the destination rather than the URL itself
+const hashDestination = (destination) =>
+  crypto.createHash("sha256").update(destination).digest("base64url");
+
+/**
+ * Creates a signed continue token for a link and destination
+ * @param {Object} url - URL document
+ * @param {string} destination - Destination the page was shown for
+ * @param {string} step - Page being continued from ('safety' or 'interstitial')
+ * @returns {string} Token
+ */
+export const createContinueToken = (url, destination, step) =>
+  jwt.sign(
+    { urlId: url._id.toString(), dst: hashDestination(destination), step },
+    config.jwtSecret,
+    {
+      expiresIn: config.continueTokenExpire,
+      issuer: "snapurl-api",
+      audience: CONTINUE_AUDIENCE,
+    }
+  );
+
+/**
+ * Verifies a continue token against a link and destination
+ * @param {string} token - Continue token
+ * @param {Object} url - URL document
+ * @param {string} destination - Destination the visitor is about to be sent to
+ * @param {string} step - Page being continued from ('safety' or 'interstitial')
+ * @returns {boolean} True if the token was issued for this link, destination and page
+ */
+export const verifyContinueToken = (token, url, destination, step) => {
+  if (!token || typeof token !== "string") {
+    return false;
+  }
+
+  try {
+    const decoded = jwt.verify(token, config.jwtSecret, {
+      issuer: "snapurl-api",
+      audience: CONTINUE_AUDIENCE,
+    });
+
+    return (
+      decoded.urlId === url._id.toString() &&
+      decoded.dst === hashDestination(destination) &&
+      decoded.step === step
+    );
+  } catch (error) {
+    return false;
+  }
+};
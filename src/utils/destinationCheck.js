@@ -0,0 +1,70 @@
+import { fetchFollowingRedirects } from "./metadataFetcher.js";
+
+/**
+ * Destination check utility for SnapURL service
+ * Probes a link's destination for the scheduled health checks
+ */
+
+const DEFAULT_TIMEOUT_MS = 10000;
+
+// Servers that reject HEAD are retried with GET
+const HEAD_UNSUPPORTED_STATUSES = [405, 501];
+
+/**
+ * Checks whether a destination responds successfully
+ * Sends HEAD (falling back to GET), follows redirects and never throws;
+ * loopback, private and link-local hosts are reported as failures
+ * @param {string} url - Destination URL
+ * @param {Object} [options] - { timeoutMs, maxRedirects, allowPrivate }
+ * @returns {Promise<Object>} { ok, httpStatus, finalUrl, redirects, responseTimeMs, error }
+ */
+export const checkDestination = async (url, options = {}) => {
+  const {
+    timeoutMs = DEFAULT_TIMEOUT_MS,
+    maxRedirects,
+    allowPrivate,
+  } = options;
+  const signal = AbortSignal.timeout(timeoutMs);
+  const startedAt = Date.now();
+
+  try {
+    let result = await fetchFollowingRedirects(url, {
+      method: "HEAD",
+      signal,
+      maxRedirects,
+      allowPrivate,
+    });
+
+    if (HEAD_UNSUPPORTED_STATUSES.includes(result.response.status)) {
+      result = await fetchFollowingRedirects(url, {
+        signal,
+        maxRedirects,
+        allowPrivate,
+      });
+    }
+
+    // Only the status matters
+    await result.response.body?.cancel();
+
+    return {
+      ok: result.response.status < 400,
+      httpStatus: result.response.status,
+      finalUrl: result.finalUrl,
+      redirects: result.redirects,
+      responseTimeMs: Date.now() - startedAt,
+      error: null,
+    };
+  } catch (error) {
+    return {
+      ok: false,
+      httpStatus: null,
+      finalUrl: null,
+      redirects: [],
+      responseTimeMs: Date.now() - startedAt,
+      error:
+        error.name === "TimeoutError" || signal.aborted
+          ? `Request timed out after ${timeoutMs}ms`
+          : error.cause?.code || error.cause?.message || error.message,
+    };
+  }
+};
@@ -0,0 +1,151 @@
+/**
+ * Destination template utility for SnapURL service
+ * Fills per-request destinations such as
+ * https://shop.example.com/{country}/p?ref={utm_source|direct}
+ *
+ * Placeholders are {name} or {name|default}:
+ * - {path}: the rest of the path after a wildcard link's short code
+ * - {country}: visitor country code, lowercase
+ * - {device}, {os}, {browser}: visitor device type, OS and browser
+ * - any other name: the visitor's query parameter with that name
+ * Values are percent-encoded, and placeholders may not appear in the scheme or
+ * host, so a visitor can never change which site the link leads to
+ */
+
+export const TEMPLATE_VARIABLES = [
+  "path",
+  "country",
+  "device",
+  "os",
+  "browser",
+];
+
+const PLACEHOLDER_PATTERN = /\{([A-Za-z][A-Za-z0-9_-]*)(?:\|([^{}]*))?\}/g;
+
+// Scheme and host, which must be written out literally
+const ORIGIN_PATTERN = /^(https?):\/\/([^/?#]*)/i;
+
+/**
+ * Splits a wildcard path remainder into safe segments
+ * Empty and dot segments are dropped so the path can't climb out of the destination
+ * @param {string|Array<string>} path - Decoded remainder ("a/b" or ["a", "b"])
+ * @returns {Array<string>} Path segments
+ */
+export const splitPathSuffix = (path) =>
+  (Array.isArray(path) ? path : String(path || "").split("/")).filter(
+    (segment) => segment && segment !== "." && segment !== ".."
+  );
+
+/**
+ * Appends path segments to a destination's path
+ * @param {string} destination - Destination URL
+ * @param {Array<string>} segments - Decoded path segments
+ * @returns {string} Destination with the segments appended
+ */
+export const appendPathSuffix = (destination, segments = []) => {
+  if (segments.length === 0) {
+    return destination;
+  }
+
+  const target = new URL(destination);
+  target.pathname = `${target.pathname.replace(/\/$/, "")}/${segments
+    .map(encodeURIComponent)
+    .join("/")}`;
+
+  return target.toString();
+};
+
+/**
+ * Checks a destination template before it is saved
+ * @param {string} template - Destination template
+ * @returns {string|null} What is wrong with the template, or null if it is valid
+ */
+export const getTemplateError = (template) => {
+  const origin = String(template).match(ORIGIN_PATTERN);
+  if (!origin) {
+    return "Destination template must start with http:// or https://";
+  }
+
+  if (origin[2].includes("{") || origin[2].includes("}")) {
+    return "Placeholders are not allowed in the destination host";
+  }
+
+  if (/[{}]/.test(template.replace(PLACEHOLDER_PATTERN, ""))) {
+    return "Destination template has a malformed placeholder";
+  }
+
+  try {
+    renderDestinationTemplate(template);
+  } catch (error) {
+    return error.message;
+  }
+
+  return null;
+};
+
+/**
+ * Fills a destination template from the request
+ * @param {string} template - Destination template
+ * @param {Object} [context] - Request values
+ * @param {Array<string>} [context.path] - Wildcard path segments
+ * @param {URLSearchParams} [context.query] - Visitor query parameters
+ * @param {string} [context.country] - Visitor country code
+ * @param {Object} [context.device] - Device profile ({ deviceType, os, browser })
+ * @returns {string} Rendered destination (path segments are appended when the
+ *   template has no {path} placeholder)
+ * @throws {Error} If the result isn't a valid http(s) URL on the template's host
+ */
+export const renderDestinationTemplate = (template, context = {}) => {
+  const {
+    path = [],
+    query = new URLSearchParams(),
+    country = null,
+    device = {},
+  } = context;
+
+  const builtIns = {
+    // "XX" marks local addresses (see utils/geoLocation.js)
+    country: country === "XX" ? null : country?.toLowerCase(),
+    device: device.deviceType,
+    os: device.os,
+    browser: device.browser,
+  };
+
+  let usesPath = false;
+  const rendered = template.replace(
+    PLACEHOLDER_PATTERN,
+    (placeholder, name, fallback = "") => {
+      if (name === "path") {
+        usesPath = true;
+        return path.length > 0
+          ? path.map(encodeURIComponent).join("/")
+          : encodeURIComponent(fallback);
+      }
+
+      const value = TEMPLATE_VARIABLES.includes(name)
+        ? builtIns[name]
+        : query.get(name);
+
+      return encodeURIComponent(value || fallback);
+    }
+  );
+
+  let target;
+  try {
+    target = new URL(rendered);
+  } catch {
+    throw new Error("Destination template did not produce a valid URL");
+  }
+
+  const [, , host] = template.match(ORIGIN_PATTERN) || [];
+  if (
+    !["http:", "https:"].includes(target.protocol) ||
+    !host ||
+    target.host !== new URL(`${target.protocol}//${host}`).host
+  ) {
+    throw new Error("Destination template must keep its scheme and host");
+  }
+
+  const destination = target.toString();
+  return usesPath ? destination : appendPathSuffix(destination, path);
+};
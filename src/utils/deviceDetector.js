@@ -0,0 +1,64 @@
+import { UAParser } from "ua-parser-js";
+
+/**
+ * Device detection utility for SnapURL service
+ * Parses user agent strings for click analytics and device-aware routing
+ */
+
+/**
+ * Device types a routing rule can match on
+ */
+export const DEVICE_TYPES = ["desktop", "mobile", "tablet"];
+
+/**
+ * Parses a user agent string
+ * @param {string} userAgent - Raw User-Agent header
+ * @returns {Object} ua-parser-js result (browser, engine, os, device, cpu)
+ */
+export const parseUserAgent = (userAgent) => {
+  return new UAParser(userAgent || "").getResult();
+};
+
+/**
+ * Builds the device profile used to evaluate routing rules
+ * @param {string} userAgent - Raw User-Agent header
+ * @returns {{deviceType: string, os: string|null, browser: string|null}} Device profile
+ */
+export const getDeviceProfile = (userAgent) => {
+  try {
+    const result = parseUserAgent(userAgent);
+    const { type } = result.device;
+
+    return {
+      deviceType: type === "mobile" || type === "tablet" ? type : "desktop",
+      os: result.os.name || null,
+      browser: result.browser.name || null,
+    };
+  } catch (error) {
+    console.error("User agent parsing failed:", error.message);
+    return { deviceType: "desktop", os: null, browser: null };
+  }
+};
+
+/**
+ * Checks whether a device profile satisfies every condition of a rule match
+ * String comparisons are case-insensitive
+ * @param {Object} match - Rule conditions ({ os, deviceType, browser })
+ * @param {Object} device - Device profile from getDeviceProfile
+ * @returns {boolean} True if all specified conditions match
+ */
+export const matchesDevice = (match = {}, device = {}) => {
+  const conditions = ["os", "deviceType", "browser"].filter(
+    (key) => match[key]
+  );
+
+  if (conditions.length === 0) {
+    return false;
+  }
+
+  return conditions.every(
+    (key) =>
+      device[key] &&
+      String(device[key]).toLowerCase() === String(match[key]).toLowerCase()
+  );
+};
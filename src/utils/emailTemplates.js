@@ -0,0 +1,170 @@
+import { escapeHtml } from "./html.js";
+
+/**
+ * Email template utility for SnapURL service
+ * Each template returns a subject with plain-text and HTML bodies
+ */
+
+/**
+ * Wraps template content in the shared HTML layout
+ * @param {string} title - Heading shown at the top of the email
+ * @param {string} body - Inner HTML
+ * @returns {string} HTML document
+ */
+const renderLayout = (title, body) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(title)}</title>
+</head>
+<body style="font-family: system-ui, -apple-system, sans-serif; color: #1f2937; max-width: 560px; margin: 0 auto; padding: 24px;">
+  <h1 style="font-size: 20px;">${escapeHtml(title)}</h1>
+  ${body}
+  <p style="color: #6b7280; font-size: 12px; margin-top: 32px;">SnapURL</p>
+</body>
+</html>`;
+
+/**
+ * Renders a call-to-action link
+ * @param {string} url - Link target
+ * @param {string} label - Button text
+ * @returns {string} HTML
+ */
+const renderButton = (url, label) =>
+  `<p><a href="${escapeHtml(url)}" style="display: inline-block; padding: 10px 16px; background: #2563eb; color: #fff; text-decoration: none; border-radius: 6px;">${escapeHtml(label)}</a></p>`;
+
+export const EMAIL_TEMPLATES = {
+  /**
+   * @param {Object} data - { name, resetUrl, expiresIn }
+   */
+  passwordReset: ({ name, resetUrl, expiresIn = "1 hour" }) => ({
+    subject: "Reset your SnapURL password",
+    text: [
+      `Hi ${name},`,
+      "",
+      "We received a request to reset your password. Open this link to choose a new one:",
+      resetUrl,
+      "",
+      `The link expires in ${expiresIn}. If you didn't ask for this, you can ignore this email.`,
+    ].join("\n"),
+    html: renderLayout(
+      "Reset your password",
+      `<p>Hi ${escapeHtml(name)},</p>
+  <p>We received a request to reset your password.</p>
+  ${renderButton(resetUrl, "Choose a new password")}
+  <p>The link expires in ${escapeHtml(expiresIn)}. If you didn't ask for this, you can ignore this email.</p>`
+    ),
+  }),
+
+  /**
+   * @param {Object} data - { name, verifyUrl, expiresIn }
+   */
+  emailVerification: ({ name, verifyUrl, expiresIn = "24 hours" }) => ({
+    subject: "Verify your SnapURL email address",
+    text: [
+      `Hi ${name},`,
+      "",
+      "Please confirm your email address by opening this link:",
+      verifyUrl,
+      "",
+      `The link expires in ${expiresIn}.`,
+    ].join("\n"),
+    html: renderLayout(
+      "Verify your email address",
+      `<p>Hi ${escapeHtml(name)},</p>
+  <p>Please confirm your email address to unlock custom domains, API keys and workspace invitations.</p>
+  ${renderButton(verifyUrl, "Verify email")}
+  <p>The link expires in ${escapeHtml(expiresIn)}.</p>`
+    ),
+  }),
+
+  /**
+   * @param {Object} data - { name, urls: [{ title, shortUrl, expiresAt }] }
+   */
+  linkExpiryWarning: ({ name, urls = [] }) => {
+    const count = urls.length;
+    const subject =
+      count === 1
+        ? "One of your SnapURL links expires soon"
+        : `${count} of your SnapURL links expire soon`;
+    const describe = (url) =>
+      `${url.title || url.shortUrl} (${url.shortUrl}) - expires ${new Date(
+        url.expiresAt
+      ).toUTCString()}`;
+
+    return {
+      subject,
+      text: [
+        `Hi ${name},`,
+        "",
+        "These links will stop redirecting soon:",
+        ...urls.map((url) => `- ${describe(url)}`),
+        "",
+        "Update their expiration date if you want to keep them.",
+      ].join("\n"),
+      html: renderLayout(
+        subject,
+        `<p>Hi ${escapeHtml(name)},</p>
+  <p>These links will stop redirecting soon:</p>
+  <ul>${urls.map((url) => `<li>${escapeHtml(describe(url))}</li>`).join("")}</ul>
+  <p>Update their expiration date if you want to keep them.</p>`
+      ),
+    };
+  },
+
+  /**
+   * @param {Object} data - { name, title, shortUrl, originalUrl, failures, lastError, fallbackUrl }
+   */
+  brokenLinkAlert: ({
+    name,
+    title,
+    shortUrl,
+    originalUrl,
+    failures,
+    lastError,
+    fallbackUrl,
+  }) => {
+    const subject = `Your SnapURL link ${shortUrl} looks broken`;
+    const visitors = fallbackUrl
+      ? `Visitors are being sent to your fallback URL (${fallbackUrl}) until it recovers.`
+      : "Visitors are still being sent to it.";
+
+    return {
+      subject,
+      text: [
+        `Hi ${name},`,
+        "",
+        `The destination of ${title || shortUrl} (${shortUrl}) failed ${failures} checks in a row:`,
+        originalUrl,
+        `Last error: ${lastError}`,
+        "",
+        visitors,
+        "Update the link if the page has moved.",
+      ].join("\n"),
+      html: renderLayout(
+        subject,
+        `<p>Hi ${escapeHtml(name)},</p>
+  <p>The destination of ${escapeHtml(title || shortUrl)} (${escapeHtml(shortUrl)}) failed ${escapeHtml(String(failures))} checks in a row:</p>
+  <p>${escapeHtml(originalUrl)}<br>Last error: ${escapeHtml(lastError)}</p>
+  <p>${escapeHtml(visitors)}</p>
+  <p>Update the link if the page has moved.</p>`
+      ),
+    };
+  },
+};
+
+/**
+ * Renders an email from a named template
+ * @param {string} name - Template name (key of EMAIL_TEMPLATES)
+ * @param {Object} data - Template data
+ * @returns {{subject: string, text: string, html: string}} Rendered email
+ * @throws {Error} If the template does not exist
+ */
+export const renderEmail = (name, data = {}) => {
+  const template = EMAIL_TEMPLATES[name];
+  if (!template) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+
+  return template(data);
+};
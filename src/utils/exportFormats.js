@@ -0,0 +1,217 @@
+/**
+ * Export format utility for SnapURL service
+ * Serializes record streams to JSON, RFC 4180 CSV or NDJSON chunk by chunk
+ */
+
+export const EXPORT_FORMATS = {
+  json: { contentType: "application/json; charset=utf-8", extension: "json" },
+  csv: { contentType: "text/csv; charset=utf-8", extension: "csv" },
+  ndjson: {
+    contentType: "application/x-ndjson; charset=utf-8",
+    extension: "ndjson",
+  },
+};
+
+// Columns available in URL exports (GET /api/urls/export)
+export const URL_EXPORT_COLUMNS = [
+  "id",
+  "shortCode",
+  "shortUrl",
+  "originalUrl",
+  "title",
+  "description",
+  "tags",
+  "domain",
+  "workspaceId",
+  "isActive",
+  "isExpired",
+  "clickCount",
+  "uniqueClicks",
+  "createdAt",
+  "lastClickedAt",
+  "expiresAt",
+  "daysSinceCreation",
+];
+
+export const URL_ANALYTICS_COLUMNS = [
+  "clickCount",
+  "uniqueClicks",
+  "lastClickedAt",
+];
+
+export const DEFAULT_URL_EXPORT_COLUMNS = [
+  "shortCode",
+  "shortUrl",
+  "originalUrl",
+  "title",
+  "description",
+  "domain",
+  "isActive",
+  "isExpired",
+  "clickCount",
+  "uniqueClicks",
+  "createdAt",
+  "lastClickedAt",
+  "expiresAt",
+  "daysSinceCreation",
+];
+
+// Columns available in click exports (GET /api/analytics/url/:id/clicks/export)
+export const CLICK_EXPORT_COLUMNS = [
+  "id",
+  "clickedAt",
+  "ipAddress",
+  "userAgent",
+  "referrer",
+  "location.country",
+  "location.countryName",
+  "location.region",
+  "location.city",
+  "location.timezone",
+  "device.type",
+  "device.browser",
+  "device.browserVersion",
+  "device.os",
+  "device.osVersion",
+  "device.language",
+  "isBot",
+  "isUnique",
+  "campaign.source",
+  "campaign.medium",
+  "campaign.campaign",
+  "campaign.term",
+  "campaign.content",
+  "variant.name",
+  "routingRule.name",
+  "sessionId",
+  "loadTime",
+];
+
+export const DEFAULT_CLICK_EXPORT_COLUMNS = [
+  "clickedAt",
+  "location.country",
+  "location.city",
+  "device.type",
+  "device.browser",
+  "referrer",
+];
+
+// Cells starting with these are run as formulas by spreadsheet apps
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Parses a comma-separated column list
+ * @param {string} [requested] - e.g. "shortUrl,clickCount"; empty for the defaults
+ * @param {Array<string>} available - Allowed column names
+ * @param {Array<string>} defaults - Columns used when none are requested
+ * @returns {{columns: Array<string>, invalid: Array<string>}} Selected and unknown columns
+ */
+export const parseExportColumns = (requested, available, defaults) => {
+  if (!requested || typeof requested !== "string") {
+    return { columns: [...defaults], invalid: [] };
+  }
+
+  const names = [
+    ...new Set(
+      requested
+        .split(",")
+        .map((name) => name.trim())
+        .filter(Boolean)
+    ),
+  ];
+
+  return {
+    columns: names.filter((name) => available.includes(name)),
+    invalid: names.filter((name) => !available.includes(name)),
+  };
+};
+
+/**
+ * Escapes one CSV field (RFC 4180)
+ * Dates become ISO strings, arrays are joined with ";" and
+ * formula-like text is prefixed with ' so spreadsheets show it as text
+ * @param {*} value - Field value
+ * @returns {string} CSV-safe field
+ */
+export const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) {
+    return "";
+  }
+
+  let text;
+  if (value instanceof Date) {
+    text = value.toISOString();
+  } else if (Array.isArray(value)) {
+    text = value.join(";");
+  } else if (typeof value === "object") {
+    text = JSON.stringify(value);
+  } else {
+    text = String(value);
+  }
+
+  if (typeof value === "string" && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+
+  return text;
+};
+
+/**
+ * Builds one CSV line
+ * @param {Array} values - Field values
+ * @returns {string} CSV row terminated with CRLF
+ */
+export const toCsvRow = (values) =>
+  `${values.map(escapeCsvValue).join(",")}\r\n`;
+
+/**
+ * Picks the selected columns from a record
+ * @param {Object} record - Export record
+ * @param {Array<string>} columns - Column names
+ * @returns {Object} Record with only those columns (missing values are null)
+ */
+export const pickColumns = (record, columns) =>
+  Object.fromEntries(columns.map((column) => [column, record[column] ?? null]));
+
+/**
+ * Serializes an (async) iterable of records chunk by chunk
+ * Pair with stream.Readable.from() to stream a response
+ * @param {AsyncIterable<Object>|Iterable<Object>} records - Export records
+ * @param {string} format - json, csv or ndjson
+ * @param {Array<string>} columns - Columns to include, in order
+ * @returns {AsyncGenerator<string>} Output chunks
+ */
+export async function* serializeExport(records, format, columns) {
+  if (!EXPORT_FORMATS[format]) {
+    throw new Error(`Unsupported export format: ${format}`);
+  }
+
+  if (format === "csv") {
+    yield toCsvRow(columns);
+  } else if (format === "json") {
+    yield "[";
+  }
+
+  let index = 0;
+  for await (const record of records) {
+    const row = pickColumns(record, columns);
+
+    if (format === "csv") {
+      yield toCsvRow(columns.map((column) => row[column]));
+    } else if (format === "ndjson") {
+      yield `${JSON.stringify(row)}\n`;
+    } else {
+      yield `${index > 0 ? "," : ""}\n${JSON.stringify(row)}`;
+    }
+
+    index++;
+  }
+
+  if (format === "json") {
+    yield index > 0 ? "\n]\n" : "]\n";
+  }
+}
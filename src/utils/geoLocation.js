@@ -0,0 +1,92 @@
+import geoip from "geoip-lite";
+
+/**
+ * Geolocation utility for SnapURL service
+ * Resolves visitor location from IP addresses using the bundled geoip-lite database
+ */
+
+/**
+ * Country code used for localhost and private network addresses
+ */
+export const LOCAL_COUNTRY_CODE = "XX";
+
+/**
+ * Strips IPv4-mapped IPv6 prefixes (::ffff:1.2.3.4 -> 1.2.3.4)
+ * @param {string} ipAddress - Raw IP address
+ * @returns {string} Normalized IP address
+ */
+const normalizeIp = (ipAddress) => {
+  if (ipAddress && ipAddress.startsWith("::ffff:")) {
+    return ipAddress.substring(7);
+  }
+  return ipAddress;
+};
+
+/**
+ * Checks if an IP address is localhost or a private network address
+ * @param {string} ipAddress - IP address to check
+ * @returns {boolean} True if local/private
+ */
+export const isLocalIp = (ipAddress) => {
+  const ip = normalizeIp(ipAddress);
+
+  return (
+    ip === "127.0.0.1" ||
+    ip === "::1" ||
+    ip === "localhost" ||
+    ip.startsWith("192.168.") ||
+    ip.startsWith("10.") ||
+    ip.startsWith("172.")
+  );
+};
+
+/**
+ * Looks up location details for an IP address
+ * @param {string} ipAddress - Visitor IP address
+ * @returns {Object|null} Location data in Click schema shape, or null if unknown
+ */
+export const lookupLocation = (ipAddress) => {
+  if (!ipAddress) {
+    return null;
+  }
+
+  if (isLocalIp(ipAddress)) {
+    return {
+      country: LOCAL_COUNTRY_CODE,
+      countryName: "Local/Private",
+      city: "Local",
+      region: "Local",
+    };
+  }
+
+  const geo = geoip.lookup(normalizeIp(ipAddress));
+  if (!geo) {
+    return null;
+  }
+
+  return {
+    country: geo.country,
+    countryName: geo.country, // geoip-lite doesn't provide full name
+    region: geo.region,
+    city: geo.city,
+    timezone: geo.timezone,
+    coordinates: {
+      latitude: geo.ll[0],
+      longitude: geo.ll[1],
+    },
+  };
+};
+
+/**
+ * Looks up the ISO country code for an IP address
+ * @param {string} ipAddress - Visitor IP address
+ * @returns {string|null} Two-letter country code, "XX" for local IPs, or null if unknown
+ */
+export const lookupCountry = (ipAddress) => {
+  try {
+    return lookupLocation(ipAddress)?.country || null;
+  } catch (error) {
+    console.error("Country lookup failed:", error.message);
+    return null;
+  }
+};
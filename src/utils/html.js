@@ -0,0 +1,17 @@
+/**
+ * HTML utility for SnapURL service
+ * Helpers shared by the server-rendered pages and email templates
+ */
+
+/**
+ * Escapes text for safe inclusion in HTML
+ * @param {string} value - Raw text
+ * @returns {string} Escaped text
+ */
+export const escapeHtml = (value = "") =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
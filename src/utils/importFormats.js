@@ -0,0 +1,187 @@
+/**
+ * Import format utility for SnapURL service
+ * Parses CSV (RFC 4180) and NDJSON link uploads into normalized rows
+ */
+
+export const IMPORT_CONTENT_TYPES = {
+  csv: ["text/csv", "application/csv", "text/plain"],
+  ndjson: ["application/x-ndjson", "application/ndjson"],
+};
+
+export const MAX_IMPORT_ROWS = 10000;
+
+// Columns of the downloadable per-row report
+export const IMPORT_REPORT_COLUMNS = [
+  "row",
+  "status",
+  "originalUrl",
+  "alias",
+  "shortUrl",
+  "errors",
+];
+
+// Accepted header spellings for each import field (compared lowercased, without punctuation)
+const FIELD_ALIASES = {
+  originalUrl: ["originalurl", "url", "longurl", "destination", "target"],
+  customAlias: ["alias", "customalias", "shortcode", "slug", "backhalf"],
+  title: ["title", "name"],
+  tags: ["tags", "tag"],
+  expiresAt: ["expiry", "expiresat", "expires", "expiration"],
+  password: ["password"],
+};
+
+/**
+ * Maps a header name to an import field
+ * @param {string} header - Column header or NDJSON key
+ * @returns {string|null} Field name or null if not imported
+ */
+const fieldForHeader = (header) => {
+  const key = String(header)
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, "");
+
+  return (
+    Object.keys(FIELD_ALIASES).find((field) =>
+      FIELD_ALIASES[field].includes(key)
+    ) || null
+  );
+};
+
+/**
+ * Splits CSV text into records of fields (RFC 4180)
+ * Handles quoted fields with commas, doubled quotes and line breaks,
+ * CRLF or LF line endings and a leading byte order mark
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Records
+ * @throws {Error} If a quoted field is not closed
+ */
+export const parseCsv = (text) => {
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+  const records = [];
+  let record = [];
+  let field = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === "") {
+      inQuotes = true;
+    } else if (char === ",") {
+      record.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") {
+        i++;
+      }
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error("Unterminated quoted field");
+  }
+
+  if (field !== "" || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  // Blank lines carry no data
+  return records.filter(
+    (fields) => fields.length > 1 || fields[0].trim() !== ""
+  );
+};
+
+/**
+ * Turns one raw row into import fields
+ * Tags may be separated by ";" or ","; expiry must be an ISO date
+ * @param {Object} raw - { header: value }
+ * @returns {Object} { originalUrl, customAlias, title, tags, expiresAt, password }
+ */
+export const normalizeImportRow = (raw) => {
+  const row = {};
+
+  for (const [header, value] of Object.entries(raw)) {
+    const field = fieldForHeader(header);
+    if (!field || value === null || value === undefined || value === "") {
+      continue;
+    }
+
+    if (field === "tags") {
+      row.tags = (Array.isArray(value) ? value : String(value).split(/[;,]/))
+        .map((tag) => String(tag).trim())
+        .filter(Boolean);
+    } else if (field === "expiresAt") {
+      const date = new Date(value);
+      row.expiresAt = isNaN(date.getTime()) ? String(value) : date;
+    } else {
+      row[field] = String(value).trim();
+    }
+  }
+
+  return row;
+};
+
+/**
+ * Parses an import upload into normalized rows
+ * @param {string} content - Uploaded file contents
+ * @param {string} format - csv or ndjson
+ * @returns {Array<Object>} Normalized rows in file order
+ * @throws {Error} If the file cannot be parsed
+ */
+export const parseImportFile = (content, format) => {
+  if (format === "ndjson") {
+    return content
+      .split(/\r?\n/)
+      .map((line, index) => ({ line: line.trim(), number: index + 1 }))
+      .filter(({ line }) => line !== "")
+      .map(({ line, number }) => {
+        let raw;
+        try {
+          raw = JSON.parse(line);
+        } catch {
+          throw new Error(`Line ${number} is not valid JSON`);
+        }
+
+        if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+          throw new Error(`Line ${number} must be a JSON object`);
+        }
+
+        return normalizeImportRow(raw);
+      });
+  }
+
+  if (format !== "csv") {
+    throw new Error(`Unsupported import format: ${format}`);
+  }
+
+  const [headers, ...records] = parseCsv(content);
+  if (!headers || !headers.map(fieldForHeader).includes("originalUrl")) {
+    throw new Error(
+      "CSV header row must include an originalUrl (or url) column"
+    );
+  }
+
+  return records.map((fields) =>
+    normalizeImportRow(
+      Object.fromEntries(
+        headers.map((header, index) => [header, fields[index] ?? ""])
+      )
+    )
+  );
+};
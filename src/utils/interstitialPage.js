@@ -0,0 +1,91 @@
+import { escapeHtml } from "./html.js";
+
+/**
+ * Interstitial page utility for SnapURL service
+ * Renders the page shown before leaving for a link's destination, used by
+ * links in interstitial or preview mode and by "+" preview URLs
+ */
+
+// direct redirects straight away; interstitial shows the page (with an optional
+// countdown) on every visit; preview shows it and waits for the visitor
+export const REDIRECT_MODES = ["direct", "interstitial", "preview"];
+
+export const MAX_INTERSTITIAL_COUNTDOWN = 30; // seconds
+
+// The page shows the destination's favicon and image, which the default
+// Helmet policy (img-src 'self') would block
+export const INTERSTITIAL_PAGE_CSP =
+  "default-src 'none'; img-src http: https: data:; style-src 'unsafe-inline'";
+
+/**
+ * Renders the interstitial/preview page for a link
+ * @param {Object} options - Page options
+ * @param {string} [options.destination] - Where the link points (null hides it)
+ * @param {string} [options.title] - Destination page title
+ * @param {string} [options.description] - Destination page description
+ * @param {string} [options.favicon] - Destination favicon URL
+ * @param {string} options.continueUrl - Link that follows the short URL
+ * @param {number} [options.countdown=0] - Seconds before continuing automatically (0 waits)
+ * @returns {string} HTML document
+ */
+export const renderInterstitialPage = ({
+  destination = null,
+  title = null,
+  description = null,
+  favicon = null,
+  continueUrl,
+  countdown = 0,
+}) => {
+  let domain = null;
+  try {
+    domain = destination ? new URL(destination).hostname : null;
+  } catch {
+    domain = null;
+  }
+
+  const next = escapeHtml(continueUrl);
+  const refreshHtml =
+    countdown > 0
+      ? `<meta http-equiv="refresh" content="${countdown};url=${next}">`
+      : "";
+  const faviconHtml = favicon
+    ? `<img class="favicon" src="${escapeHtml(favicon)}" alt="" width="32" height="32">`
+    : "";
+  const destinationHtml = destination
+    ? `<p class="domain">${faviconHtml}<span>${escapeHtml(domain || destination)}</span></p>
+    <p class="destination">${escapeHtml(destination)}</p>`
+    : "<p>The destination is shown after you enter the link's password.</p>";
+  const countdownHtml =
+    countdown > 0
+      ? `<p class="countdown">Continuing automatically in ${countdown} seconds.</p>`
+      : "";
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <meta name="robots" content="noindex">
+  ${refreshHtml}
+  <title>You are leaving SnapURL</title>
+  <style>
+    body { font-family: system-ui, sans-serif; background: #f5f5f7; display: flex; align-items: center; justify-content: center; min-height: 100vh; margin: 0; }
+    main { background: #fff; padding: 2rem; border-radius: 8px; box-shadow: 0 2px 8px rgba(0, 0, 0, 0.1); width: 100%; max-width: 480px; }
+    h1 { font-size: 1.25rem; margin-top: 0; }
+    .domain { display: flex; align-items: center; gap: 0.5rem; font-weight: 600; }
+    .destination { word-break: break-all; font-family: monospace; background: #f5f5f7; padding: 0.5rem; }
+    .continue { display: inline-block; margin-top: 0.75rem; padding: 0.6rem 1.2rem; background: #2d6cdf; color: #fff; border-radius: 4px; text-decoration: none; }
+    .countdown { color: #666; }
+  </style>
+</head>
+<body>
+  <main>
+    <h1>${escapeHtml(title || "You are leaving SnapURL")}</h1>
+    ${description ? `<p>${escapeHtml(description)}</p>` : ""}
+    ${destinationHtml}
+    ${countdownHtml}
+    <a class="continue" href="${next}" rel="nofollow noreferrer">Continue</a>
+  </main>
+</body>
+</html>`;
+};
@@ -0,0 +1,134 @@
+import { promises as fs } from "fs";
+import path from "path";
+import crypto from "crypto";
+import nodemailer from "nodemailer";
+
+/**
+ * Mail transport utility for SnapURL service
+ * Every driver exposes send(message) -> { messageId } for messages shaped
+ * { from, to, subject, text, html, template }
+ */
+
+export const MAIL_DRIVERS = ["smtp", "console", "file"];
+
+/**
+ * Creates a transport that prints messages to the log (development)
+ * @returns {Object} Transport
+ */
+export const createConsoleTransport = () => ({
+  name: "console",
+  async send(message) {
+    const messageId = crypto.randomUUID();
+    console.log(
+      `📧 Email to ${message.to}: ${message.subject}\n${message.text}`
+    );
+    return { messageId };
+  },
+});
+
+/**
+ * Creates a transport that writes each message to a JSON file (tests)
+ * @param {Object} options - Transport options
+ * @param {string} options.dir - Outbox directory
+ * @returns {Object} Transport
+ */
+export const createFileTransport = ({ dir }) => ({
+  name: "file",
+  dir,
+  async send(message) {
+    const messageId = `${Date.now()}-${crypto.randomBytes(4).toString("hex")}`;
+
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(
+      path.join(dir, `${messageId}.json`),
+      JSON.stringify(
+        { messageId, ...message, sentAt: new Date().toISOString() },
+        null,
+        2
+      )
+    );
+
+    return { messageId };
+  },
+});
+
+/**
+ * Creates a transport that delivers through an SMTP server
+ * @param {Object} options - SMTP options
+ * @param {string} options.host - SMTP host
+ * @param {number} options.port - SMTP port
+ * @param {boolean} options.secure - Use TLS from the start (port 465)
+ * @param {string} [options.user] - SMTP username
+ * @param {string} [options.pass] - SMTP password
+ * @returns {Object} Transport
+ */
+export const createSmtpTransport = ({ host, port, secure, user, pass }) => {
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined,
+  });
+
+  return {
+    name: "smtp",
+    async send({ from, to, subject, text, html }) {
+      const info = await transporter.sendMail({
+        from,
+        to,
+        subject,
+        text,
+        html,
+      });
+      return { messageId: info.messageId };
+    },
+  };
+};
+
+/**
+ * Creates the transport for a configured driver
+ * @param {string} driver - One of MAIL_DRIVERS
+ * @param {Object} [options] - Driver options
+ * @returns {Object} Transport
+ * @throws {Error} If the driver is unknown
+ */
+export const createTransport = (driver, options = {}) => {
+  switch (driver) {
+    case "smtp":
+      return createSmtpTransport(options);
+    case "console":
+      return createConsoleTransport();
+    case "file":
+      return createFileTransport(options);
+    default:
+      throw new Error(
+        `Unknown mail driver "${driver}". Use one of: ${MAIL_DRIVERS.join(", ")}`
+      );
+  }
+};
+
+/**
+ * Reads the messages written by the file transport, oldest first
+ * @param {string} dir - Outbox directory
+ * @returns {Promise<Array>} Sent messages
+ */
+export const readOutbox = async (dir) => {
+  let files;
+  try {
+    files = await fs.readdir(dir);
+  } catch (error) {
+    if (error.code === "ENOENT") return [];
+    throw error;
+  }
+
+  const messages = await Promise.all(
+    files
+      .filter((file) => file.endsWith(".json"))
+      .sort()
+      .map(async (file) =>
+        JSON.parse(await fs.readFile(path.join(dir, file), "utf8"))
+      )
+  );
+
+  return messages;
+};
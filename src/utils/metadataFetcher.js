@@ -0,0 +1,303 @@
+import { assertPublicUrl } from "./networkGuard.js";
+
+/**
+ * Metadata fetcher utility for SnapURL service
+ * Retrieves a destination page (following redirects, with a time and size
+ * budget) and extracts its title, description, favicon and preview image
+ * from <title>, meta description, OpenGraph and Twitter card tags
+ */
+
+const DEFAULT_TIMEOUT_MS = 10000;
+const DEFAULT_MAX_BYTES = 1024 * 1024; // 1 MB
+const DEFAULT_MAX_REDIRECTS = 5;
+
+const USER_AGENT = "SnapURL-MetadataBot/1.0";
+
+/**
+ * Converts a numeric character reference to its character
+ * NUL, out-of-range and surrogate code points become U+FFFD, as browsers do
+ * @param {number} code - Code point
+ * @returns {string} Character
+ */
+const fromCharacterReference = (code) =>
+  code === 0 || code > 0x10ffff || (code >= 0xd800 && code <= 0xdfff)
+    ? "\ufffd"
+    : String.fromCodePoint(code);
+
+/**
+ * Decodes the HTML entities common in titles and descriptions
+ * @param {string} text - HTML text
+ * @returns {string} Plain text
+ */
+const decodeEntities = (text) =>
+  text
+    .replace(/&#(\d+);/g, (match, code) =>
+      fromCharacterReference(parseInt(code, 10))
+    )
+    .replace(/&#x([0-9a-f]+);/gi, (match, code) =>
+      fromCharacterReference(parseInt(code, 16))
+    )
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&apos;/g, "'")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&nbsp;/g, " ")
+    .replace(/&amp;/g, "&");
+
+/**
+ * Collapses whitespace and trims extracted text
+ * @param {string} [text] - Extracted text
+ * @param {number} maxLength - Longest value to keep
+ * @returns {string|null} Clean text or null if empty
+ */
+const cleanText = (text, maxLength) => {
+  const clean = decodeEntities(text || "")
+    .replace(/\s+/g, " ")
+    .trim();
+
+  return clean ? clean.slice(0, maxLength) : null;
+};
+
+/**
+ * Parses the attributes of one HTML tag
+ * @param {string} tag - e.g. <meta property="og:title" content="...">
+ * @returns {Object} Lowercased attribute names to raw values
+ */
+const parseAttributes = (tag) => {
+  const attributes = {};
+  const pattern =
+    /([a-z][a-z0-9:_-]*)\s*=\s*("([^"]*)"|'([^']*)'|([^\s"'>]+))/gi;
+
+  for (const match of tag.matchAll(pattern)) {
+    attributes[match[1].toLowerCase()] = match[3] ?? match[4] ?? match[5];
+  }
+
+  return attributes;
+};
+
+/**
+ * Resolves a link found in a page to an absolute http(s) URL
+ * @param {string} [href] - Link from the page
+ * @param {string} baseUrl - URL the page was served from
+ * @returns {string|null} Absolute URL or null if unusable
+ */
+const resolveLink = (href, baseUrl) => {
+  if (!href) {
+    return null;
+  }
+
+  try {
+    const resolved = new URL(decodeEntities(href.trim()), baseUrl);
+    return ["http:", "https:"].includes(resolved.protocol)
+      ? resolved.href
+      : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Extracts page metadata from an HTML document
+ * OpenGraph and Twitter card values fill in for a missing <title> or
+ * meta description; the favicon defaults to /favicon.ico
+ * @param {string} html - Page HTML
+ * @param {string} [baseUrl] - URL the page was served from, for relative links
+ * @returns {Object} { pageTitle, pageDescription, siteName, image, favicon }
+ */
+export const parsePageMetadata = (html, baseUrl) => {
+  // Metadata lives in <head>; ignore the body when we can find it
+  const headEnd = html.search(/<\/head\s*>|<body[\s>]/i);
+  const head = headEnd === -1 ? html : html.slice(0, headEnd);
+
+  const meta = {};
+  for (const [tag] of head.matchAll(/<meta\s[^>]*>/gi)) {
+    const { name, property, content } = parseAttributes(tag);
+    const key = (property || name || "").toLowerCase();
+    if (key && content !== undefined && !(key in meta)) {
+      meta[key] = content;
+    }
+  }
+
+  let favicon = null;
+  for (const [tag] of head.matchAll(/<link\s[^>]*>/gi)) {
+    const { rel = "", href } = parseAttributes(tag);
+    const rels = rel.toLowerCase().split(/\s+/);
+    // Prefer a real favicon over an apple-touch-icon
+    if (
+      rels.includes("icon") ||
+      (!favicon && rels.includes("apple-touch-icon"))
+    ) {
+      favicon = resolveLink(href, baseUrl) || favicon;
+    }
+  }
+
+  const title = head.match(/<title[^>]*>([\s\S]*?)<\/title>/i)?.[1];
+
+  return {
+    pageTitle: cleanText(
+      title || meta["og:title"] || meta["twitter:title"],
+      200
+    ),
+    pageDescription: cleanText(
+      meta.description || meta["og:description"] || meta["twitter:description"],
+      500
+    ),
+    siteName: cleanText(meta["og:site_name"], 100),
+    image: resolveLink(
+      meta["og:image:secure_url"] ||
+        meta["og:image"] ||
+        meta["twitter:image"] ||
+        meta["twitter:image:src"],
+      baseUrl
+    ),
+    favicon: favicon || (baseUrl ? resolveLink("/favicon.ico", baseUrl) : null),
+  };
+};
+
+/**
+ * Reads a response body up to a byte limit and decodes it
+ * @param {Response} response - Fetch response
+ * @param {number} maxBytes - Bytes to read at most
+ * @returns {Promise<string>} Decoded text (truncated at the limit)
+ */
+const readText = async (response, maxBytes) => {
+  const charset = (response.headers.get("content-type") || "").match(
+    /charset=["']?([\w-]+)/i
+  )?.[1];
+
+  let decoder;
+  try {
+    decoder = new TextDecoder(charset || "utf-8");
+  } catch {
+    decoder = new TextDecoder("utf-8");
+  }
+
+  const reader = response.body.getReader();
+  const chunks = [];
+  let received = 0;
+
+  while (received < maxBytes) {
+    const { done, value } = await reader.read();
+    if (done) {
+      break;
+    }
+    chunks.push(value.subarray(0, maxBytes - received));
+    received += value.length;
+  }
+
+  await reader.cancel().catch(() => {});
+
+  return decoder.decode(Buffer.concat(chunks));
+};
+
+/**
+ * Requests a URL, following redirects by hand so every hop is limited to
+ * http(s) and public hosts
+ * @param {string} url - Starting URL
+ * @param {Object} options - Request options
+ * @param {string} [options.method="GET"] - HTTP method
+ * @param {Object} [options.headers] - Extra request headers
+ * @param {AbortSignal} [options.signal] - Cancels the whole chain
+ * @param {number} [options.maxRedirects] - Hops to follow at most
+ * @param {boolean} [options.allowPrivate] - Allow loopback/private hosts (defaults to ALLOW_PRIVATE_NETWORK_REQUESTS)
+ * @returns {Promise<Object>} { response, finalUrl, redirects: [{ url, status }] }
+ * @throws {Error} If the request fails, reaches a private host or redirects too often or to another protocol
+ */
+export const fetchFollowingRedirects = async (url, options = {}) => {
+  const {
+    method = "GET",
+    headers = {},
+    signal,
+    maxRedirects = DEFAULT_MAX_REDIRECTS,
+    allowPrivate,
+  } = options;
+
+  let currentUrl = url;
+  const redirects = [];
+
+  for (;;) {
+    // Checked on every hop: a public page may redirect to an internal one
+    await assertPublicUrl(currentUrl, { allowPrivate });
+
+    const response = await fetch(currentUrl, {
+      method,
+      headers: { "User-Agent": USER_AGENT, ...headers },
+      redirect: "manual",
+      signal,
+    });
+
+    const location = response.headers.get("location");
+    if (response.status < 300 || response.status >= 400 || !location) {
+      return { response, finalUrl: currentUrl, redirects };
+    }
+
+    await response.body?.cancel();
+    if (redirects.length >= maxRedirects) {
+      throw new Error(`Too many redirects (more than ${maxRedirects})`);
+    }
+
+    const nextUrl = resolveLink(location, currentUrl);
+    if (!nextUrl) {
+      throw new Error(`Unsupported redirect target: ${location}`);
+    }
+    redirects.push({ url: currentUrl, status: response.status });
+    currentUrl = nextUrl;
+  }
+};
+
+/**
+ * Fetches a page and extracts its metadata
+ * Non-HTML and error responses only report their status
+ * @param {string} url - Destination URL
+ * @param {Object} [options] - { timeoutMs, maxBytes, maxRedirects, allowPrivate }
+ * @returns {Promise<Object>} { httpStatus, finalUrl, redirects ([{ url, status }] hops), pageTitle, pageDescription, siteName, image, favicon }
+ * @throws {Error} If the request fails, times out, reaches a private host or redirects too often
+ */
+export const fetchPageMetadata = async (url, options = {}) => {
+  const {
+    timeoutMs = DEFAULT_TIMEOUT_MS,
+    maxBytes = DEFAULT_MAX_BYTES,
+    maxRedirects = DEFAULT_MAX_REDIRECTS,
+    allowPrivate,
+  } = options;
+
+  // One budget for the whole request, including redirects and the body
+  const signal = AbortSignal.timeout(timeoutMs);
+
+  try {
+    const { response, finalUrl, redirects } = await fetchFollowingRedirects(
+      url,
+      {
+        headers: { Accept: "text/html,application/xhtml+xml" },
+        signal,
+        maxRedirects,
+        allowPrivate,
+      }
+    );
+
+    const metadata = {
+      httpStatus: response.status,
+      finalUrl,
+      redirects,
+      pageTitle: null,
+      pageDescription: null,
+      siteName: null,
+      image: null,
+      favicon: null,
+    };
+
+    const contentType = response.headers.get("content-type") || "";
+    if (!response.ok || !/html/i.test(contentType) || !response.body) {
+      await response.body?.cancel();
+      return metadata;
+    }
+
+    const html = await readText(response, maxBytes);
+    return { ...metadata, ...parsePageMetadata(html, finalUrl) };
+  } catch (error) {
+    if (error.name === "TimeoutError" || signal.aborted) {
+      throw new Error(`Request timed out after ${timeoutMs}ms`);
+    }
+    throw error;
+  }
+};
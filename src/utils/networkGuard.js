@@ -0,0 +1,75 @@
+import dns from "dns";
+import net from "net";
+import { config } from "../config/config.js";
+
+/**
+ * Network guard utility for SnapURL service
+ * Keeps server-side requests to user-supplied URLs (destination metadata,
+ * health checks, webhooks) away from loopback, private and link-local hosts
+ */
+
+const BLOCKED_RANGES = new net.BlockList();
+
+[
+  ["0.0.0.0", 8], // "this" network
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10], // carrier-grade NAT
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16], // link-local, including cloud metadata endpoints
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15], // benchmarking
+  ["224.0.0.0", 4], // multicast
+  ["240.0.0.0", 4], // reserved and broadcast
+].forEach(([address, prefix]) =>
+  BLOCKED_RANGES.addSubnet(address, prefix, "ipv4")
+);
+
+[
+  ["::", 128],
+  ["::1", 128],
+  ["fc00::", 7], // unique local
+  ["fe80::", 10], // link-local
+  ["ff00::", 8], // multicast
+].forEach(([address, prefix]) =>
+  BLOCKED_RANGES.addSubnet(address, prefix, "ipv6")
+);
+
+/**
+ * Checks whether an IP address is loopback, private, link-local or reserved
+ * IPv4-mapped IPv6 addresses are checked as IPv4
+ * @param {string} address - IP address
+ * @returns {boolean} True if requests to it must be refused
+ */
+export const isPrivateAddress = (address) => {
+  const family = net.isIP(address);
+  if (!family) {
+    return true;
+  }
+
+  return BLOCKED_RANGES.check(address, family === 6 ? "ipv6" : "ipv4");
+};
+
+/**
+ * Resolves a URL's host and rejects it if any of its addresses is private
+ * @param {string} url - Absolute http(s) URL about to be requested
+ * @param {Object} [options] - { allowPrivate } to skip the check (defaults to ALLOW_PRIVATE_NETWORK_REQUESTS)
+ * @throws {Error} If the host resolves to a loopback, private or link-local address
+ */
+export const assertPublicUrl = async (url, options = {}) => {
+  const { allowPrivate = config.allowPrivateNetworkRequests } = options;
+  if (allowPrivate) {
+    return;
+  }
+
+  const hostname = new URL(url).hostname.replace(/^\[|\]$/g, "");
+  const addresses = await dns.promises.lookup(hostname, {
+    all: true,
+    verbatim: true,
+  });
+
+  if (addresses.some(({ address }) => isPrivateAddress(address))) {
+    throw new Error(`Refusing to connect to private address: ${hostname}`);
+  }
+};
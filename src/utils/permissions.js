@@ -0,0 +1,80 @@
+/**
+ * Permission utility for SnapURL service
+ * Maps workspace roles to the actions they allow, so routes and services
+ * ask "can this member do X" instead of comparing role names
+ */
+
+/**
+ * Workspace member roles, from most to least privileged
+ */
+export const WORKSPACE_ROLES = ["owner", "editor", "viewer"];
+
+/**
+ * Actions that can be granted on workspace resources
+ */
+export const PERMISSIONS = {
+  URL_READ: "url:read",
+  URL_WRITE: "url:write",
+  ANALYTICS_READ: "analytics:read",
+  WORKSPACE_READ: "workspace:read",
+  WORKSPACE_MANAGE: "workspace:manage",
+};
+
+const ROLE_PERMISSIONS = {
+  owner: Object.values(PERMISSIONS),
+  editor: [
+    PERMISSIONS.URL_READ,
+    PERMISSIONS.URL_WRITE,
+    PERMISSIONS.ANALYTICS_READ,
+    PERMISSIONS.WORKSPACE_READ,
+  ],
+  viewer: [
+    PERMISSIONS.URL_READ,
+    PERMISSIONS.ANALYTICS_READ,
+    PERMISSIONS.WORKSPACE_READ,
+  ],
+};
+
+/**
+ * Checks whether a workspace role grants a permission
+ * @param {string} role - Workspace role
+ * @param {string} permission - Permission to check
+ * @returns {boolean} True if the role grants the permission
+ */
+export const roleHasPermission = (role, permission) => {
+  return ROLE_PERMISSIONS[role]?.includes(permission) || false;
+};
+
+/**
+ * Lists the workspace roles that grant a permission
+ * @param {string} permission - Permission to check
+ * @returns {Array<string>} Matching roles
+ */
+export const rolesWithPermission = (permission) => {
+  return WORKSPACE_ROLES.filter((role) => roleHasPermission(role, permission));
+};
+
+/**
+ * Checks whether a user has the platform admin role
+ * @param {Object} user - Authenticated user
+ * @returns {boolean} True for admins
+ */
+export const isAdmin = (user) => user?.role === "admin";
+
+/**
+ * Scopes that can be granted to API keys
+ * (API keys act as their user, limited to these scopes)
+ */
+export const API_KEY_SCOPES = {
+  URLS_READ: "urls:read",
+  URLS_WRITE: "urls:write",
+  ANALYTICS_READ: "analytics:read",
+};
+
+/**
+ * Scopes granted when a key is created without explicit scopes
+ */
+export const DEFAULT_API_KEY_SCOPES = [
+  API_KEY_SCOPES.URLS_READ,
+  API_KEY_SCOPES.ANALYTICS_READ,
+];
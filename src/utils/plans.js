@@ -0,0 +1,87 @@
+/**
+ * Plan utility for SnapURL service
+ * Built-in plans and the limits every plan defines. Admins can override a
+ * built-in plan or add new ones in the plans collection
+ */
+
+// activeLinks: active links a user owns
+// customAliases: active links with a custom alias
+// qrGenerationsPerMonth: on-demand QR codes (POST /api/urls/:id/qr) per calendar month (UTC)
+// analyticsRetentionDays: how far back analytics can be queried
+// bulkBatchSize: URLs per POST /api/urls/bulk request
+// apiRequestsPerDay: authenticated API requests per rolling 24 hours
+export const PLAN_LIMITS = [
+  "activeLinks",
+  "customAliases",
+  "qrGenerationsPerMonth",
+  "analyticsRetentionDays",
+  "bulkBatchSize",
+  "apiRequestsPerDay",
+];
+
+// Plan for new users and for users whose plan no longer exists
+export const DEFAULT_PLAN = "free";
+
+// A null limit means unlimited. rateLimitMultiplier scales the per-user
+// budgets of the short-window rate limiters (middleware/rateLimiter.js)
+export const BUILT_IN_PLANS = {
+  free: {
+    displayName: "Free",
+    description: "For personal projects",
+    rateLimitMultiplier: 1,
+    limits: {
+      activeLinks: 20,
+      customAliases: 10,
+      qrGenerationsPerMonth: 50,
+      analyticsRetentionDays: 90,
+      bulkBatchSize: 25,
+      apiRequestsPerDay: 1000,
+    },
+  },
+  pro: {
+    displayName: "Pro",
+    description: "For creators and small teams",
+    rateLimitMultiplier: 5,
+    limits: {
+      activeLinks: 1000,
+      customAliases: 500,
+      qrGenerationsPerMonth: 1000,
+      analyticsRetentionDays: 365,
+      bulkBatchSize: 100,
+      apiRequestsPerDay: 10000,
+    },
+  },
+  business: {
+    displayName: "Business",
+    description: "For organisations with high volume",
+    rateLimitMultiplier: 20,
+    limits: {
+      activeLinks: null,
+      customAliases: null,
+      qrGenerationsPerMonth: null,
+      analyticsRetentionDays: 730,
+      bulkBatchSize: 500,
+      apiRequestsPerDay: 100000,
+    },
+  },
+};
+
+/**
+ * Builds a usage-vs-limit entry
+ * @param {number} used - Amount used
+ * @param {number|null} limit - Plan limit (null for unlimited)
+ * @returns {Object} { used, limit, remaining } (remaining is null when unlimited)
+ */
+export const describeLimit = (used, limit) => ({
+  used,
+  limit,
+  remaining: limit === null ? null : Math.max(limit - used, 0),
+});
+
+/**
+ * Gets the usage period key for monthly limits
+ * @param {Date} [date] - Date in the period
+ * @returns {string} UTC month, e.g. "2026-10"
+ */
+export const getUsageMonth = (date = new Date()) =>
+  date.toISOString().slice(0, 7);
@@ -0,0 +1,129 @@
+import crypto from "crypto";
+import { isIPv4, isIPv6 } from "net";
+import { config } from "../config/config.js";
+
+/**
+ * Privacy utility for SnapURL service
+ * Helpers for storing and sharing visitor data without exposing raw identifiers
+ */
+
+/**
+ * Replaces an IP address with a stable keyed pseudonym
+ * The same IP maps to the same value within a scope (e.g. one link),
+ * so unique visitors can still be told apart without revealing the address
+ * @param {string} ip - IP address
+ * @param {string} [scope] - Namespace, e.g. a URL ID
+ * @returns {string|null} Pseudonym (ip_ + 16 hex characters) or null
+ */
+export const pseudonymizeIp = (ip, scope = "") => {
+  if (!ip) {
+    return null;
+  }
+
+  const digest = crypto
+    .createHmac("sha256", config.ipHashSecret)
+    .update(`${scope}:${ip}`)
+    .digest("hex");
+
+  return `ip_${digest.slice(0, 16)}`;
+};
+
+// off: raw IPs; truncate: IPv4 /24 and IPv6 /48 plus a visitor hash;
+// hash: only the visitor hash
+export const PRIVACY_MODES = ["off", "truncate", "hash"];
+
+/**
+ * Cuts an IP address down to its network (IPv4 /24, IPv6 /48)
+ * @param {string} ip - IP address
+ * @returns {string|null} Truncated address, e.g. "203.0.113.0", or null
+ */
+export const truncateIp = (ip) => {
+  if (!ip) {
+    return null;
+  }
+
+  const address = ip.startsWith("::ffff:") ? ip.substring(7) : ip;
+
+  if (isIPv4(address)) {
+    return address.split(".").slice(0, 3).concat("0").join(".");
+  }
+
+  if (isIPv6(address)) {
+    // Expand "::" so the first three groups can be read
+    const [head, tail = ""] = address.split("::");
+    const headGroups = head ? head.split(":") : [];
+    const tailGroups = tail ? tail.split(":") : [];
+    const groups = address.includes("::")
+      ? [
+          ...headGroups,
+          ...Array(8 - headGroups.length - tailGroups.length).fill("0"),
+          ...tailGroups,
+        ]
+      : headGroups;
+
+    return `${groups
+      .slice(0, 3)
+      .map((group) => parseInt(group, 16).toString(16))
+      .join(":")}::`;
+  }
+
+  return null;
+};
+
+/**
+ * Hashes an IP address into a visitor key that changes every UTC day
+ * Clicks from one visitor on one link share a key for the day, so unique
+ * visitors can be counted without keeping the address
+ * @param {string} ip - IP address
+ * @param {string} scope - Namespace, e.g. a URL ID
+ * @param {Date} [date] - Day of the visit
+ * @returns {string|null} Visitor key (v_ + 24 hex characters) or null
+ */
+export const hashVisitorIp = (ip, scope, date = new Date()) => {
+  if (!ip) {
+    return null;
+  }
+
+  const daySalt = crypto
+    .createHmac("sha256", config.ipHashSecret)
+    .update(`visitor-salt:${date.toISOString().slice(0, 10)}`)
+    .digest();
+
+  const digest = crypto
+    .createHmac("sha256", daySalt)
+    .update(`${scope}:${ip}`)
+    .digest("hex");
+
+  return `v_${digest.slice(0, 24)}`;
+};
+
+/**
+ * Applies a privacy mode to a visitor's IP address
+ * @param {string} ip - IP address
+ * @param {string} mode - One of PRIVACY_MODES
+ * @param {Object} options - Hash options
+ * @param {string} options.scope - Namespace of the visitor key, e.g. a URL ID
+ * @param {Date} [options.date] - Day of the visit
+ * @returns {Object} { ipAddress, visitorKey } to store
+ */
+export const protectIp = (ip, mode, { scope, date } = {}) => {
+  switch (mode) {
+    case "truncate":
+      return {
+        ipAddress: truncateIp(ip),
+        visitorKey: hashVisitorIp(ip, scope, date),
+      };
+    case "hash":
+      return { ipAddress: null, visitorKey: hashVisitorIp(ip, scope, date) };
+    default:
+      return { ipAddress: ip || null, visitorKey: null };
+  }
+};
+
+/**
+ * Checks whether the visitor asked not to be tracked (DNT or Global Privacy Control)
+ * @param {Object} [headers] - Request headers
+ * @returns {boolean} True if DNT: 1 or Sec-GPC: 1 was sent
+ */
+export const hasPrivacySignal = (headers = {}) =>
+  headers.dnt === "1" || headers["sec-gpc"] === "1";
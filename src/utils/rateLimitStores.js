@@ -0,0 +1,73 @@
+import { MemoryStore } from "express-rate-limit";
+
+/**
+ * Rate limit store utility for SnapURL service
+ * Every store implements the express-rate-limit Store interface:
+ * init(options), get(key), increment(key) -> { totalHits, resetTime },
+ * decrement(key) and resetKey(key)
+ */
+
+// mongo shares counters between instances and restarts; memory is per process (tests)
+export const RATE_LIMIT_STORES = ["mongo", "memory"];
+
+/**
+ * Creates a store that keeps counters in this process
+ * @returns {Object} Store
+ */
+export const createMemoryStore = () => new MemoryStore();
+
+/**
+ * Creates a store that keeps counters in MongoDB
+ * @param {Object} options - Store options
+ * @param {Object} options.model - Counter model (models/RateLimit.js)
+ * @param {string} options.prefix - Keeps this limiter's keys apart from the others'
+ * @returns {Object} Store
+ */
+export const createMongoStore = ({ model, prefix }) => ({
+  prefix,
+  localKeys: false,
+
+  init(options) {
+    this.windowMs = options.windowMs;
+  },
+
+  async get(key) {
+    const counter = await model.peek(`${prefix}${key}`);
+    return counter
+      ? { totalHits: counter.hits, resetTime: counter.resetAt }
+      : undefined;
+  },
+
+  async increment(key) {
+    const counter = await model.hit(`${prefix}${key}`, this.windowMs);
+    return { totalHits: counter.hits, resetTime: counter.resetAt };
+  },
+
+  async decrement(key) {
+    await model.unhit(`${prefix}${key}`);
+  },
+
+  async resetKey(key) {
+    await model.deleteOne({ key: `${prefix}${key}` });
+  },
+});
+
+/**
+ * Creates the store for a configured name
+ * @param {string} name - One of RATE_LIMIT_STORES
+ * @param {Object} [options] - Store options (see createMongoStore)
+ * @returns {Object} Store
+ * @throws {Error} If the store is unknown
+ */
+export const createRateLimitStore = (name, options = {}) => {
+  switch (name) {
+    case "mongo":
+      return createMongoStore(options);
+    case "memory":
+      return createMemoryStore();
+    default:
+      throw new Error(
+        `Unknown rate limit store "${name}". Use one of: ${RATE_LIMIT_STORES.join(", ")}`
+      );
+  }
+};
@@ -0,0 +1,74 @@
+import { escapeHtml } from "./html.js";
+
+/**
+ * Redirect options utility for SnapURL service
+ * Per-link redirect status codes and query-string forwarding
+ */
+
+// HTTP status codes, or an HTML page that redirects with <meta http-equiv="refresh">
+export const REDIRECT_TYPES = ["301", "302", "307", "308", "meta-refresh"];
+
+// none drops the visitor's query string, all merges every parameter,
+// allowlist merges only the listed keys
+export const FORWARD_QUERY_MODES = ["none", "all", "allowlist"];
+
+/**
+ * Merges a visitor's query parameters into a destination URL
+ * Forwarded keys replace the destination's own values for the same key
+ * @param {string} destination - Destination URL
+ * @param {URLSearchParams} incoming - Query parameters the visitor brought
+ * @param {Object} [policy] - Link forwarding policy
+ * @param {string} [policy.mode="none"] - One of FORWARD_QUERY_MODES
+ * @param {Array<string>} [policy.keys] - Keys forwarded in allowlist mode
+ * @param {Array<string>} [exclude] - Keys never forwarded (SnapURL's own parameters)
+ * @returns {string} Destination with the forwarded parameters
+ */
+export const forwardQueryParams = (
+  destination,
+  incoming,
+  { mode = "none", keys = [] } = {},
+  exclude = []
+) => {
+  if (mode === "none") {
+    return destination;
+  }
+
+  const forwarded = [...new Set(incoming.keys())].filter(
+    (key) => !exclude.includes(key) && (mode === "all" || keys.includes(key))
+  );
+  if (forwarded.length === 0) {
+    return destination;
+  }
+
+  const target = new URL(destination);
+  for (const key of forwarded) {
+    target.searchParams.delete(key);
+    for (const value of incoming.getAll(key)) {
+      target.searchParams.append(key, value);
+    }
+  }
+
+  return target.toString();
+};
+
+/**
+ * Renders the page used by meta-refresh links
+ * @param {string} destination - Where to send the visitor
+ * @returns {string} HTML document
+ */
+export const renderRefreshPage = (destination) => {
+  const url = escapeHtml(destination);
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="robots" content="noindex">
+  <meta http-equiv="refresh" content="0;url=${url}">
+  <title>Redirecting - SnapURL</title>
+</head>
+<body>
+  <p>Redirecting to <a href="${url}">${url}</a></p>
+</body>
+</html>`;
+};
@@ -0,0 +1,220 @@
+/**
+ * Rollup utility for SnapURL service
+ * Helpers for the hourly click rollups (models/ClickRollup.js): which slot a
+ * click falls in, what it adds to it, and how rollup ranges are queried
+ */
+
+// Breakdown maps of a rollup (human clicks only)
+export const ROLLUP_BREAKDOWNS = [
+  "countries",
+  "devices",
+  "browsers",
+  "os",
+  "referrers",
+  "referrerDomains",
+  "campaigns",
+];
+
+const SEARCH_ENGINES = [
+  "google.com",
+  "bing.com",
+  "yahoo.com",
+  "duckduckgo.com",
+];
+const SOCIAL_NETWORKS = [
+  "facebook.com",
+  "twitter.com",
+  "linkedin.com",
+  "instagram.com",
+];
+
+/**
+ * Classifies a referrer domain
+ * @param {string} domain - Referrer hostname
+ * @returns {string} search, social or referral
+ */
+export const classifyReferrerDomain = (domain) => {
+  if (SEARCH_ENGINES.some((engine) => domain.includes(engine))) return "search";
+  if (SOCIAL_NETWORKS.some((network) => domain.includes(network)))
+    return "social";
+  return "referral";
+};
+
+/**
+ * Gets the hostname of a referrer
+ * @param {string} referrer - Referring URL
+ * @returns {string|null} Hostname, or null for direct traffic
+ */
+export const getReferrerDomain = (referrer) => {
+  if (!referrer) {
+    return null;
+  }
+
+  try {
+    return new URL(referrer).hostname || null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Encodes a value for use as a rollup map key ("." and a leading "$"
+ * aren't allowed in MongoDB field names)
+ * @param {string} value - Breakdown value, e.g. "google.com"
+ * @returns {string} Key, e.g. "google%2Ecom"
+ */
+export const encodeRollupKey = (value) =>
+  String(value)
+    .slice(0, 100)
+    .replace(/%/g, "%25")
+    .replace(/\./g, "%2E")
+    .replace(/^\$/, "%24");
+
+/**
+ * Decodes a rollup map key
+ * @param {string} key - Key from encodeRollupKey
+ * @returns {string} Original value
+ */
+export const decodeRollupKey = (key) =>
+  key.replace(/%2E/g, ".").replace(/%24/g, "$").replace(/%25/g, "%");
+
+/**
+ * Gets the rollup slot of a point in time
+ * @param {Date} date - Click time
+ * @returns {Object} { date: start of the UTC day, hour: UTC hour }
+ */
+export const getRollupSlot = (date) => ({
+  date: new Date(
+    Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate())
+  ),
+  hour: date.getUTCHours(),
+});
+
+/**
+ * Builds the query for the rollup slots covering a time range
+ * Rollups are hourly, so the range is widened to whole hours
+ * @param {Date} startDate - Range start
+ * @param {Date} endDate - Range end (inclusive)
+ * @returns {Object} MongoDB filter on date and hour
+ */
+export const getRollupRangeFilter = (startDate, endDate) => {
+  const start = getRollupSlot(startDate);
+  const end = getRollupSlot(endDate);
+
+  if (start.date.getTime() === end.date.getTime()) {
+    return { date: start.date, hour: { $gte: start.hour, $lte: end.hour } };
+  }
+
+  return {
+    $or: [
+      { date: start.date, hour: { $gte: start.hour } },
+      { date: { $gt: start.date, $lt: end.date } },
+      { date: end.date, hour: { $lte: end.hour } },
+    ],
+  };
+};
+
+/**
+ * Gets the breakdown values a click counts towards
+ * @param {Object} click - Click document (after its pre-save hooks ran)
+ * @returns {Object} Breakdown name -> value (only the ones the click has)
+ */
+export const getClickBreakdowns = (click) => {
+  const domain = getReferrerDomain(click.referrer);
+  const values = {
+    countries: click.location?.country,
+    devices: click.device?.type,
+    browsers: click.device?.browser,
+    os: click.device?.os,
+    referrers: domain ? classifyReferrerDomain(domain) : "direct",
+    referrerDomains: domain,
+    campaigns: click.campaign?.campaign,
+  };
+
+  return Object.fromEntries(
+    Object.entries(values).filter(([, value]) => value)
+  );
+};
+
+/**
+ * Builds the $inc update a click adds to its rollup slot
+ * Bots only count towards clicks and botClicks
+ * @param {Object} click - Click document
+ * @returns {Object} Field path -> increment
+ */
+export const buildRollupIncrement = (click) => {
+  const increment = { clicks: 1 };
+
+  if (click.isBot) {
+    increment.botClicks = 1;
+    return increment;
+  }
+
+  if (click.isUnique) increment.uniqueClicks = 1;
+  if (click.viaInterstitial) increment.interstitialClicks = 1;
+
+  Object.entries(getClickBreakdowns(click)).forEach(([name, value]) => {
+    increment[`${name}.${encodeRollupKey(value)}`] = 1;
+  });
+
+  if (click.variant?.variantId) {
+    const variantKey = `variants.${click.variant.variantId}`;
+    increment[`${variantKey}.clicks`] = 1;
+    if (click.isUnique) increment[`${variantKey}.uniqueClicks`] = 1;
+  }
+
+  return increment;
+};
+
+/**
+ * Adds an $inc update to an in-memory rollup (backfills)
+ * @param {Object} rollup - Rollup fields being built
+ * @param {Object} increment - Update from buildRollupIncrement
+ * @returns {Object} The same rollup
+ */
+export const applyRollupIncrement = (rollup, increment) => {
+  Object.entries(increment).forEach(([path, amount]) => {
+    const keys = path.split(".");
+    const last = keys.pop();
+    const target = keys.reduce((node, key) => (node[key] ??= {}), rollup);
+    target[last] = (target[last] || 0) + amount;
+  });
+
+  return rollup;
+};
+
+/**
+ * Merges count entries ({ _id, count, ... }) from rollups and raw clicks
+ * Numeric fields are summed; other fields keep their first value
+ * @param {Array<Array>} lists - Entry lists to merge
+ * @param {Object} [options] - Merge options
+ * @param {number} [options.limit] - Keep only the top entries
+ * @param {boolean} [options.sortById=false] - Sort by _id instead of highest count
+ * @returns {Array} Merged entries
+ */
+export const mergeCounts = (lists, options = {}) => {
+  const { limit = Infinity, sortById = false } = options;
+  const merged = new Map();
+
+  lists.flat().forEach((entry) => {
+    const key = String(entry._id);
+    const existing = merged.get(key);
+    if (!existing) {
+      merged.set(key, { ...entry });
+      return;
+    }
+
+    Object.entries(entry).forEach(([field, value]) => {
+      if (field === "_id") return;
+      if (typeof value === "number") {
+        existing[field] = (existing[field] || 0) + value;
+      } else {
+        existing[field] ??= value;
+      }
+    });
+  });
+
+  return [...merged.values()]
+    .sort(sortById ? (a, b) => a._id - b._id : (a, b) => b.count - a.count)
+    .slice(0, limit);
+};
@@ -0,0 +1,57 @@
+import { escapeHtml } from "./html.js";
+
+/**
+ * Safety page utility for SnapURL service
+ * Renders the HTML pages shown to browsers instead of redirecting to a
+ * destination that failed safety screening
+ */
+
+/**
+ * Renders the warning (suspicious) or blocked (malicious) page
+ * @param {Object} options - Page options
+ * @param {string} options.destination - Where the link points
+ * @param {Array} [options.reasons] - Screening reasons ({ message })
+ * @param {string} [options.continueUrl] - Link to follow anyway (omitted when blocked)
+ * @returns {string} HTML document
+ */
+export const renderSafetyPage = ({
+  destination,
+  reasons = [],
+  continueUrl = null,
+}) => {
+  const title = continueUrl
+    ? "This link may be unsafe"
+    : "This link has been blocked";
+  const reasonsHtml = reasons
+    .map((reason) => `<li>${escapeHtml(reason.message)}</li>`)
+    .join("");
+  const actionHtml = continueUrl
+    ? `<a class="continue" href="${escapeHtml(continueUrl)}" rel="nofollow noreferrer">Continue anyway</a>`
+    : "<p>The destination was flagged as phishing or malware.</p>";
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <meta name="robots" content="noindex">
+  <title>${title} - SnapURL</title>
+  <style>
+    body { font-family: system-ui, sans-serif; background: #f5f5f7; display: flex; align-items: center; justify-content: center; min-height: 100vh; margin: 0; }
+    main { background: #fff; padding: 2rem; border-radius: 8px; box-shadow: 0 2px 8px rgba(0, 0, 0, 0.1); width: 100%; max-width: 480px; }
+    h1 { font-size: 1.25rem; margin-top: 0; color: #c0392b; }
+    .destination { word-break: break-all; font-family: monospace; background: #f5f5f7; padding: 0.5rem; }
+    .continue { display: inline-block; margin-top: 0.75rem; color: #c0392b; }
+  </style>
+</head>
+<body>
+  <main>
+    <h1>${title}</h1>
+    <p>This short link points to:</p>
+    <p class="destination">${escapeHtml(destination)}</p>
+    <ul>${reasonsHtml}</ul>
+    ${actionHtml}
+  </main>
+</body>
+</html>`;
+};
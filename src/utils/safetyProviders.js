@@ -0,0 +1,131 @@
+/**
+ * Safety provider utility for SnapURL service
+ * Every provider exposes check(url) -> { verdict, reasons: [{ rule, message }] }
+ * with a verdict from SAFETY_VERDICTS (see utils/urlSafety.js)
+ */
+
+export const SAFETY_PROVIDERS = ["none", "fake", "safe-browsing"];
+
+const SAFE_BROWSING_ENDPOINT =
+  "https://safebrowsing.googleapis.com/v4/threatMatches:find";
+
+// Hosts the fake provider flags unless told otherwise
+const DEFAULT_FAKE_HOSTS = {
+  "malware.test": "malicious",
+  "phishing.test": "malicious",
+  "suspicious.test": "suspicious",
+};
+
+/**
+ * Creates a provider that never flags anything (no external service)
+ * @returns {Object} Provider
+ */
+export const createNoopProvider = () => ({
+  name: "none",
+  async check() {
+    return { verdict: "safe", reasons: [] };
+  },
+});
+
+/**
+ * Creates a provider that flags a fixed set of hosts and their subdomains (tests)
+ * @param {Object} [options] - Provider options
+ * @param {Object} [options.hosts] - Hostname to verdict
+ * @returns {Object} Provider with the checked URLs in `calls`
+ */
+export const createFakeProvider = ({ hosts = DEFAULT_FAKE_HOSTS } = {}) => ({
+  name: "fake",
+  calls: [],
+  async check(url) {
+    this.calls.push(url);
+
+    const { hostname } = new URL(url);
+    const match = Object.keys(hosts).find(
+      (host) => hostname === host || hostname.endsWith(`.${host}`)
+    );
+
+    return match
+      ? {
+          verdict: hosts[match],
+          reasons: [
+            { rule: "fake-listing", message: `${match} is listed as unsafe` },
+          ],
+        }
+      : { verdict: "safe", reasons: [] };
+  },
+});
+
+/**
+ * Creates a provider backed by the Google Safe Browsing Lookup API (v4)
+ * @param {Object} options - Provider options
+ * @param {string} options.apiKey - Safe Browsing API key
+ * @param {number} [options.timeoutMs=5000] - Request timeout
+ * @returns {Object} Provider
+ */
+export const createSafeBrowsingProvider = ({ apiKey, timeoutMs = 5000 }) => ({
+  name: "safe-browsing",
+  async check(url) {
+    const response = await fetch(
+      `${SAFE_BROWSING_ENDPOINT}?key=${encodeURIComponent(apiKey)}`,
+      {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          client: { clientId: "snapurl", clientVersion: "1.0.0" },
+          threatInfo: {
+            threatTypes: [
+              "MALWARE",
+              "SOCIAL_ENGINEERING",
+              "UNWANTED_SOFTWARE",
+              "POTENTIALLY_HARMFUL_APPLICATION",
+            ],
+            platformTypes: ["ANY_PLATFORM"],
+            threatEntryTypes: ["URL"],
+            threatEntries: [{ url }],
+          },
+        }),
+        signal: AbortSignal.timeout(timeoutMs),
+      }
+    );
+
+    if (!response.ok) {
+      throw new Error(`Safe Browsing returned HTTP ${response.status}`);
+    }
+
+    const { matches = [] } = await response.json();
+    const threatTypes = [...new Set(matches.map((match) => match.threatType))];
+
+    return {
+      verdict: threatTypes.length > 0 ? "malicious" : "safe",
+      reasons: threatTypes.map((threatType) => ({
+        rule: threatType.toLowerCase(),
+        message: `Listed by Google Safe Browsing as ${threatType}`,
+      })),
+    };
+  },
+});
+
+/**
+ * Creates the provider for a configured name
+ * @param {string} name - One of SAFETY_PROVIDERS
+ * @param {Object} [options] - Provider options
+ * @returns {Object} Provider
+ * @throws {Error} If the provider is unknown or misconfigured
+ */
+export const createSafetyProvider = (name, options = {}) => {
+  switch (name) {
+    case "none":
+      return createNoopProvider();
+    case "fake":
+      return createFakeProvider(options);
+    case "safe-browsing":
+      if (!options.apiKey) {
+        throw new Error("The safe-browsing provider needs URL_SAFETY_API_KEY");
+      }
+      return createSafeBrowsingProvider(options);
+    default:
+      throw new Error(
+        `Unknown URL safety provider "${name}". Use one of: ${SAFETY_PROVIDERS.join(", ")}`
+      );
+  }
+};
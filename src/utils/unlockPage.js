@@ -0,0 +1,48 @@
+import { escapeHtml } from "./html.js";
+
+/**
+ * Unlock page utility for SnapURL service
+ * Renders the minimal HTML password form shown to browsers
+ * that open a password-protected link
+ */
+
+/**
+ * Renders the password form for a protected link
+ * @param {Object} options - Page options
+ * @param {string} options.shortCode - Short code or alias being unlocked
+ * @param {string} [options.error] - Error message to display
+ * @param {string} [options.query] - Query string of the visit (e.g. "?utm_source=mail"), kept for the redirect
+ * @returns {string} HTML document
+ */
+export const renderUnlockPage = ({ shortCode, error = null, query = "" }) => {
+  const code = escapeHtml(shortCode);
+  const errorHtml = error
+    ? `<p class="error" role="alert">${escapeHtml(error)}</p>`
+    : "";
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <meta name="robots" content="noindex">
+  <title>Password required - SnapURL</title>
+  <style>
+    body { font-family: system-ui, sans-serif; background: #f5f5f7; display: flex; align-items: center; justify-content: center; min-height: 100vh; margin: 0; }
+    form { background: #fff; padding: 2rem; border-radius: 8px; box-shadow: 0 2px 8px rgba(0, 0, 0, 0.1); width: 100%; max-width: 320px; }
+    h1 { font-size: 1.25rem; margin-top: 0; }
+    input, button { width: 100%; padding: 0.6rem; margin-top: 0.75rem; box-sizing: border-box; font-size: 1rem; }
+    .error { color: #c0392b; }
+  </style>
+</head>
+<body>
+  <form method="POST" action="/${code}/unlock${escapeHtml(query)}">
+    <h1>This link is password protected</h1>
+    ${errorHtml}
+    <label for="password">Password</label>
+    <input id="password" name="password" type="password" autocomplete="current-password" required autofocus>
+    <button type="submit">Continue</button>
+  </form>
+</body>
+</html>`;
+};
@@ -0,0 +1,111 @@
+import jwt from "jsonwebtoken";
+import { config } from "../config/config.js";
+
+/**
+ * Unlock token utility for SnapURL service
+ * Issues short-lived signed tokens that let a visitor revisit a
+ * password-protected link without entering the password again
+ */
+
+// Separate audience so unlock tokens are never accepted as user tokens
+const UNLOCK_AUDIENCE = "snapurl-unlock";
+
+/**
+ * Header clients can use instead of the unlock cookie
+ */
+export const UNLOCK_HEADER = "X-Unlock-Token";
+
+/**
+ * Builds the cookie name holding the unlock token for a URL
+ * @param {string} urlId - URL ObjectId
+ * @returns {string} Cookie name
+ */
+export const getUnlockCookieName = (urlId) => `snapurl_unlock_${urlId}`;
+
+/**
+ * Creates a signed unlock token for a URL
+ * @param {Object} url - URL document
+ * @returns {{token: string, expiresAt: Date}} Token and its expiry
+ */
+export const createUnlockToken = (url) => {
+  const token = jwt.sign({ urlId: url._id.toString() }, config.jwtSecret, {
+    expiresIn: config.urlUnlockExpire,
+    issuer: "snapurl-api",
+    audience: UNLOCK_AUDIENCE,
+  });
+
+  const { exp } = jwt.decode(token);
+
+  return { token, expiresAt: new Date(exp * 1000) };
+};
+
+/**
+ * Verifies an unlock token against a URL
+ * Tokens issued before the link password last changed are rejected
+ * @param {string} token - Unlock token
+ * @param {Object} url - URL document
+ * @returns {boolean} True if the token unlocks the URL
+ */
+export const verifyUnlockToken = (token, url) => {
+  if (!token) {
+    return false;
+  }
+
+  try {
+    const decoded = jwt.verify(token, config.jwtSecret, {
+      issuer: "snapurl-api",
+      audience: UNLOCK_AUDIENCE,
+    });
+
+    if (decoded.urlId !== url._id.toString()) {
+      return false;
+    }
+
+    if (url.passwordUpdatedAt) {
+      const changedAt = Math.floor(url.passwordUpdatedAt.getTime() / 1000);
+      return decoded.iat >= changedAt;
+    }
+
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Reads a cookie value from the raw Cookie header
+ * @param {Object} req - Express request object
+ * @param {string} name - Cookie name
+ * @returns {string|null} Cookie value or null
+ */
+const readCookie = (req, name) => {
+  const header = req.headers.cookie;
+  if (!header) {
+    return null;
+  }
+
+  for (const part of header.split(";")) {
+    const [key, ...value] = part.trim().split("=");
+    if (key === name) {
+      try {
+        return decodeURIComponent(value.join("="));
+      } catch (error) {
+        return null;
+      }
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Extracts the unlock token for a URL from the request header or cookie
+ * @param {Object} req - Express request object
+ * @param {Object} url - URL document
+ * @returns {string|null} Unlock token or null
+ */
+export const getUnlockTokenFromRequest = (req, url) => {
+  return (
+    req.get(UNLOCK_HEADER) || readCookie(req, getUnlockCookieName(url._id))
+  );
+};
@@ -0,0 +1,145 @@
+import { readFileSync } from "fs";
+
+/**
+ * URL safety utility for SnapURL service
+ * Local screening rules for link destinations: domain block/allow lists and
+ * patterns common in phishing links. External reputation services live in
+ * utils/safetyProviders.js
+ */
+
+// Ordered from harmless to harmful
+export const SAFETY_VERDICTS = ["safe", "suspicious", "malicious"];
+
+// Script schemes that must never be reached through a link
+const SCRIPT_SCHEME_PATTERN = /^\s*(javascript|data|vbscript):/i;
+
+// Encoded values are unwrapped this many times looking for hidden schemes
+const MAX_DECODE_PASSES = 3;
+
+/**
+ * Picks the most harmful of several verdicts
+ * @param {Array<string>} verdicts - Verdicts from SAFETY_VERDICTS
+ * @returns {string} Worst verdict ("safe" when there are none)
+ */
+export const worstVerdict = (verdicts) =>
+  verdicts.reduce(
+    (worst, verdict) =>
+      SAFETY_VERDICTS.indexOf(verdict) > SAFETY_VERDICTS.indexOf(worst)
+        ? verdict
+        : worst,
+    "safe"
+  );
+
+/**
+ * Checks whether a hostname is listed, directly or as a subdomain
+ * @param {string} hostname - Lowercase hostname
+ * @param {Array<string>} domains - Listed domains
+ * @returns {boolean} True if the hostname or a parent domain is listed
+ */
+export const matchesDomainList = (hostname, domains = []) =>
+  domains.some(
+    (domain) => hostname === domain || hostname.endsWith(`.${domain}`)
+  );
+
+/**
+ * Reads a domain list file
+ * The file is JSON: { "blocked": ["evil.example"], "allowed": ["example.com"] }
+ * @param {string} filePath - Path to the list file
+ * @returns {Object} { blocked, allowed } lowercase domains
+ * @throws {Error} If the file can't be read or parsed
+ */
+export const loadDomainLists = (filePath) => {
+  const { blocked = [], allowed = [] } = JSON.parse(
+    readFileSync(filePath, "utf8")
+  );
+  const normalize = (domains) =>
+    domains.map((domain) => domain.trim().toLowerCase()).filter(Boolean);
+
+  return { blocked: normalize(blocked), allowed: normalize(allowed) };
+};
+
+/**
+ * Decodes a URL component repeatedly, stopping at malformed input
+ * @param {string} value - Possibly encoded value
+ * @returns {Array<string>} The value and each decoded form
+ */
+const decodeLayers = (value) => {
+  const layers = [value];
+
+  for (let pass = 0; pass < MAX_DECODE_PASSES; pass++) {
+    let decoded;
+    try {
+      decoded = decodeURIComponent(layers[layers.length - 1]);
+    } catch {
+      break;
+    }
+    if (decoded === layers[layers.length - 1]) {
+      break;
+    }
+    layers.push(decoded);
+  }
+
+  return layers;
+};
+
+/**
+ * Checks a destination against the built-in pattern rules
+ * - ip-host: the host is an IP literal instead of a domain
+ * - punycode-host: the host uses punycode, as lookalike domains do
+ * - credentials-in-url: text before "@" disguises the real host
+ * - hidden-script-scheme: a query parameter or fragment carries a
+ *   javascript:, data: or vbscript: URL for an open redirect to follow
+ * @param {string} url - Destination URL
+ * @returns {Array<Object>} Findings: [{ rule, verdict, message }]
+ */
+export const checkUrlPatterns = (url) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return [
+      { rule: "invalid-url", verdict: "malicious", message: "Invalid URL" },
+    ];
+  }
+
+  const findings = [];
+  const { hostname } = parsed;
+
+  if (/^\d{1,3}(\.\d{1,3}){3}$/.test(hostname) || hostname.startsWith("[")) {
+    findings.push({
+      rule: "ip-host",
+      verdict: "suspicious",
+      message: `Host is an IP address (${hostname})`,
+    });
+  }
+
+  if (hostname.split(".").some((label) => label.startsWith("xn--"))) {
+    findings.push({
+      rule: "punycode-host",
+      verdict: "suspicious",
+      message: `Host uses punycode and may imitate another domain (${hostname})`,
+    });
+  }
+
+  if (parsed.username || parsed.password) {
+    findings.push({
+      rule: "credentials-in-url",
+      verdict: "suspicious",
+      message: "URL contains credentials that can disguise the real host",
+    });
+  }
+
+  const embedded = [...parsed.searchParams.values(), parsed.hash.slice(1)];
+  const hidesScript = embedded.some((value) =>
+    decodeLayers(value).some((layer) => SCRIPT_SCHEME_PATTERN.test(layer))
+  );
+  if (hidesScript) {
+    findings.push({
+      rule: "hidden-script-scheme",
+      verdict: "malicious",
+      message: "URL carries a javascript:, data: or vbscript: redirect target",
+    });
+  }
+
+  return findings;
+};
@@ -0,0 +1,61 @@
+import crypto from "crypto";
+
+/**
+ * A/B variant selection utility for SnapURL service
+ * Picks weighted split-test variants deterministically so that a returning
+ * visitor keeps landing on the same destination
+ */
+
+/**
+ * Builds a stable visitor key from request information
+ * @param {Object} visitor - Visitor information
+ * @param {string} [visitor.ipAddress] - Visitor IP address
+ * @param {string} [visitor.userAgent] - Browser user agent
+ * @returns {string} Visitor key
+ */
+export const getVisitorKey = ({ ipAddress = "", userAgent = "" } = {}) => {
+  return `${ipAddress || ""}|${userAgent || ""}`;
+};
+
+/**
+ * Maps an arbitrary string onto the [0, 1) interval
+ * @param {string} value - Value to hash
+ * @returns {number} Number in the range [0, 1)
+ */
+export const hashToUnitInterval = (value) => {
+  const hash = crypto.createHash("sha256").update(String(value)).digest();
+  return hash.readUInt32BE(0) / 0x100000000;
+};
+
+/**
+ * Selects a variant by weight
+ * @param {Array} variants - Variants with `url` and `weight` fields
+ * @param {string} [seed] - Sticky seed (random selection when omitted)
+ * @returns {Object|null} Selected variant or null if none is eligible
+ */
+export const selectVariant = (variants = [], seed) => {
+  const eligible = (variants || []).filter(
+    (variant) => variant && variant.url && variant.weight > 0
+  );
+
+  if (eligible.length === 0) {
+    return null;
+  }
+
+  const totalWeight = eligible.reduce(
+    (sum, variant) => sum + variant.weight,
+    0
+  );
+  const roll = seed === undefined ? Math.random() : hashToUnitInterval(seed);
+  const point = roll * totalWeight;
+
+  let cumulative = 0;
+  for (const variant of eligible) {
+    cumulative += variant.weight;
+    if (point < cumulative) {
+      return variant;
+    }
+  }
+
+  return eligible[eligible.length - 1];
+};
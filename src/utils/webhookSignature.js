@@ -0,0 +1,74 @@
+import crypto from "crypto";
+
+/**
+ * Webhook signature utility for SnapURL service
+ * Deliveries carry X-SnapURL-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256>
+ * computed over "<t>.<raw JSON body>" with the webhook's secret
+ */
+
+export const SIGNATURE_HEADER = "X-SnapURL-Signature";
+
+/**
+ * Generates a new webhook signing secret
+ * @returns {string} Secret (whsec_ + 48 hex characters)
+ */
+export const generateWebhookSecret = () =>
+  `whsec_${crypto.randomBytes(24).toString("hex")}`;
+
+/**
+ * Signs a payload
+ * @param {string} secret - Webhook secret
+ * @param {string} body - Raw JSON body
+ * @param {number} [timestamp] - Unix time in seconds
+ * @returns {string} Signature header value
+ */
+export const signPayload = (
+  secret,
+  body,
+  timestamp = Math.floor(Date.now() / 1000)
+) => {
+  const digest = crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+
+  return `t=${timestamp},v1=${digest}`;
+};
+
+/**
+ * Verifies a signature header (what receivers are expected to do)
+ * @param {string} secret - Webhook secret
+ * @param {string} body - Raw JSON body as received
+ * @param {string} header - Signature header value
+ * @param {number} [toleranceSeconds] - Maximum accepted age
+ * @returns {boolean} True if the signature is valid and fresh
+ */
+export const verifySignature = (
+  secret,
+  body,
+  header,
+  toleranceSeconds = 300
+) => {
+  const parts = Object.fromEntries(
+    String(header || "")
+      .split(",")
+      .map((part) => part.split("="))
+  );
+  const timestamp = parseInt(parts.t);
+
+  if (!timestamp || !parts.v1) {
+    return false;
+  }
+
+  if (Math.abs(Date.now() / 1000 - timestamp) > toleranceSeconds) {
+    return false;
+  }
+
+  const expected = Buffer.from(signPayload(secret, body, timestamp));
+  const received = Buffer.from(`t=${timestamp},v1=${parts.v1}`);
+
+  return (
+    expected.length === received.length &&
+    crypto.timingSafeEqual(expected, received)
+  );
+};
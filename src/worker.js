@@ -0,0 +1,118 @@
+import { pathToFileURL } from "url";
+
+// Import configurations
+import connectDB from "./config/db.js";
+import { config } from "./config/config.js";
+
+// Import models and services
+import URL_MODEL from "./models/URL.js";
+import jobService from "./services/jobService.js";
+import urlService from "./services/urlService.js";
+import analyticsService from "./services/analyticsService.js";
+import webhookService from "./services/webhookService.js";
+import linkHealthService from "./services/linkHealthService.js";
+import importService from "./services/importService.js";
+
+/**
+ * Background worker for SnapURL
+ * Runs queued jobs and the recurring maintenance schedules. Started
+ * in-process by server.js, or on its own with `node src/worker.js`
+ * (set RUN_WORKER_IN_PROCESS=false on the API servers in that case)
+ */
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+/**
+ * Register the handler for every job type
+ */
+export const registerJobHandlers = () => {
+  // QR code for a newly created link
+  jobService.registerHandler("qr.generate", async ({ urlId }) => {
+    const url = await URL_MODEL.findById(urlId).populate("domain", "hostname");
+    if (!url || !url.isActive) {
+      return { skipped: true };
+    }
+
+    await url.generateQRCode();
+    return { generatedAt: url.qrCode.generatedAt };
+  });
+
+  // Title, description and status of the destination page
+  jobService.registerHandler("metadata.fetch", ({ urlId }) =>
+    urlService.refreshMetadata(urlId)
+  );
+
+  // CSV/NDJSON imports; progress and the per-row report live on the ImportJob
+  jobService.registerHandler("urls.import", async ({ importId }) => {
+    const importJob = await importService.runImport(importId);
+    return importJob
+      ? { status: importJob.status, counts: importJob.counts }
+      : { skipped: true };
+  });
+
+  jobService.registerHandler("urls.cleanup-expired", () =>
+    URL_MODEL.cleanupExpiredUrls()
+  );
+
+  // Per-user click retention; the job result is the per-user purge report
+  jobService.registerHandler("clicks.retention", ({ retentionDays }) =>
+    analyticsService.cleanupAnalyticsData({
+      retentionDays: retentionDays || config.clickRetentionDays,
+    })
+  );
+
+  jobService.registerHandler("urls.expiry-warnings", () =>
+    urlService.sendExpiryWarnings()
+  );
+
+  // Webhook retries and scheduled url.expired events
+  jobService.registerHandler("webhooks.deliver", () =>
+    webhookService.processDueDeliveries()
+  );
+
+  // Destination checks for links not checked within the interval
+  jobService.registerHandler("urls.health-check", () =>
+    linkHealthService.checkDueUrls()
+  );
+};
+
+/**
+ * Register handlers, ensure the recurring schedules exist and start polling
+ * @returns {Promise<void>}
+ */
+export const startWorker = async () => {
+  registerJobHandlers();
+
+  await Promise.all([
+    jobService.schedule("webhooks.deliver", MINUTE),
+    jobService.schedule("urls.expiry-warnings", HOUR),
+    jobService.schedule("urls.cleanup-expired", HOUR),
+    jobService.schedule("urls.health-check", 10 * MINUTE),
+    jobService.schedule("clicks.retention", 24 * HOUR, {
+      retentionDays: config.clickRetentionDays,
+    }),
+  ]);
+
+  jobService.start({
+    concurrency: config.jobConcurrency,
+    pollIntervalMs: config.jobPollIntervalMs,
+  });
+};
+
+// Standalone worker: `node src/worker.js`
+if (
+  process.argv[1] &&
+  import.meta.url === pathToFileURL(process.argv[1]).href
+) {
+  await connectDB();
+  await startWorker();
+  console.log(`⚙️  SnapURL worker ${jobService.workerId} started`);
+
+  const shutdown = async () => {
+    await jobService.stop();
+    process.exit(0);
+  };
+  process.on("SIGTERM", shutdown);
+  process.on("SIGINT", shutdown);
+}